@@ -0,0 +1,174 @@
+/**
+ * Account Tokens Module for Campus BookSwap
+ * Handles signed, expiring, one-time tokens for email verification and password reset links
+ */
+
+class AccountTokens {
+    constructor(store = window.dataStore) {
+        this.store = store;
+        this.keyBytes = 32;
+        this.signingKey = null;
+    }
+    
+    /**
+     * Issue a token. Older unused tokens for the same purpose and email stop working.
+     * @param {string} purpose - What the token is for ('verify_email' or 'reset_password')
+     * @param {Object} user - User the token is for ({ id, email })
+     * @param {number} lifetime - Milliseconds until the token expires
+     * @returns {Promise<string>} Token to put in the emailed link
+     */
+    async issue(purpose, user, lifetime) {
+        const email = (user.email || '').trim().toLowerCase();
+        const now = Date.now();
+        
+        this.revoke(purpose, email);
+        
+        const record = this.store.create('accountTokens', {
+            id: this.generateId(),
+            purpose: purpose,
+            userId: user.id,
+            email: email,
+            issuedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + lifetime).toISOString(),
+            usedAt: null
+        });
+        
+        const payload = this.encode(new TextEncoder().encode(JSON.stringify({
+            id: record.id,
+            purpose: purpose,
+            email: email,
+            exp: now + lifetime
+        })));
+        
+        return `${payload}.${await this.sign(payload)}`;
+    }
+    
+    /**
+     * Check a token without using it up
+     * @param {string} token - Token from the link
+     * @param {string} purpose - Expected purpose
+     * @returns {Promise<Object>} { ok: true, record } or { ok: false, reason, message }
+     */
+    async check(token, purpose) {
+        const invalid = { ok: false, reason: 'invalid', message: 'This link is not valid. Please request a new one.' };
+        
+        const [payload, signature] = (token || '').split('.');
+        if (!payload || !signature) return invalid;
+        
+        if (signature !== await this.sign(payload)) return invalid;
+        
+        let claims;
+        try {
+            claims = JSON.parse(new TextDecoder().decode(this.decode(payload)));
+        } catch (error) {
+            return invalid;
+        }
+        
+        const record = this.store.getById('accountTokens', claims.id);
+        if (!record || claims.purpose !== purpose || record.purpose !== purpose || record.email !== claims.email) {
+            return invalid;
+        }
+        
+        if (record.usedAt) {
+            return { ok: false, reason: 'used', message: 'This link has already been used.' };
+        }
+        
+        if (Date.now() > claims.exp) {
+            return { ok: false, reason: 'expired', message: 'This link has expired. Please request a new one.' };
+        }
+        
+        return { ok: true, record };
+    }
+    
+    /**
+     * Check a token and mark it as used
+     * @param {string} token - Token from the link
+     * @param {string} purpose - Expected purpose
+     * @returns {Promise<Object>} { ok: true, record } or { ok: false, reason, message }
+     */
+    async consume(token, purpose) {
+        const result = await this.check(token, purpose);
+        if (result.ok) {
+            result.record = this.store.update('accountTokens', result.record.id, { usedAt: new Date().toISOString() });
+        }
+        return result;
+    }
+    
+    /**
+     * Invalidate every unused token for a purpose and email
+     * @param {string} purpose - Token purpose
+     * @param {string} email - Email address
+     */
+    revoke(purpose, email) {
+        const now = new Date().toISOString();
+        
+        this.store.findBy('accountTokens', 'email', email)
+            .filter(record => record.purpose === purpose && !record.usedAt)
+            .forEach(record => this.store.update('accountTokens', record.id, { usedAt: now }));
+    }
+    
+    /**
+     * Sign a payload with HMAC-SHA-256
+     * @param {string} payload - Encoded payload
+     * @returns {Promise<string>} Encoded signature
+     */
+    async sign(payload) {
+        const key = await this.getSigningKey();
+        const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload));
+        return this.encode(new Uint8Array(signature));
+    }
+    
+    /**
+     * Get the HMAC key, creating and storing a random one on first use
+     * @returns {Promise<CryptoKey>} Signing key
+     */
+    async getSigningKey() {
+        if (this.signingKey) return this.signingKey;
+        
+        let stored = this.store.getDocument('accountTokenKey');
+        if (!stored) {
+            stored = { key: this.encode(crypto.getRandomValues(new Uint8Array(this.keyBytes))), createdAt: new Date().toISOString() };
+            this.store.setDocument('accountTokenKey', stored);
+        }
+        
+        this.signingKey = await crypto.subtle.importKey(
+            'raw',
+            this.decode(stored.key),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+        return this.signingKey;
+    }
+    
+    /**
+     * Generate a random token id
+     * @returns {string} Hex id
+     */
+    generateId() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    /**
+     * Encode bytes as URL-safe base64
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Base64url string
+     */
+    encode(bytes) {
+        return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    /**
+     * Decode URL-safe base64 to bytes
+     * @param {string} value - Base64url string
+     * @returns {Uint8Array} Bytes
+     */
+    decode(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    }
+}
+
+// Create the shared token service
+window.accountTokens = new AccountTokens();
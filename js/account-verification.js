@@ -0,0 +1,150 @@
+/**
+ * Account Verification Module for Campus BookSwap
+ * Handles email verification for new accounts and the forgot-password flow
+ */
+
+class AccountVerification {
+    constructor(store = window.dataStore) {
+        this.store = store;
+        this.verificationLifetime = 24 * 60 * 60 * 1000;
+        this.resetLifetime = 60 * 60 * 1000;
+    }
+    
+    /**
+     * Get the stored profile for a user
+     * @param {Object} user - User data ({ id, email })
+     * @returns {Object|null} Profile from the users collection
+     */
+    getProfile(user) {
+        if (!user) return null;
+        
+        return this.store.getById('users', user.id) ||
+            this.store.findBy('users', 'email', (user.email || '').trim().toLowerCase())[0] ||
+            null;
+    }
+    
+    /**
+     * Check whether a user has verified their email address
+     * @param {Object} user - User data
+     * @returns {boolean} True if verified
+     */
+    isEmailVerified(user) {
+        const profile = this.getProfile(user);
+        return profile ? profile.emailVerified === true : !!(user && user.emailVerified === true);
+    }
+    
+    /**
+     * Email a verification link to a user
+     * @param {Object} user - User data ({ id, email, name })
+     * @returns {Promise<Object>} Message placed in the outbox
+     */
+    async sendVerificationEmail(user) {
+        const token = await window.accountTokens.issue('verify_email', user, this.verificationLifetime);
+        
+        const message = window.mailOutbox.send({
+            to: user.email,
+            subject: 'Verify your Campus BookSwap email address',
+            body: `Hi ${user.name || 'there'},\n\nPlease confirm that ${user.email} is your email address so you can start listing books. This link expires in 24 hours and can only be used once.`,
+            actionUrl: window.mailOutbox.buildLink(`verify-email.html?token=${encodeURIComponent(token)}`),
+            actionLabel: 'Verify email address'
+        });
+        
+        await this.store.flush();
+        return message;
+    }
+    
+    /**
+     * Verify an email address from the emailed link
+     * @param {string} token - Token from the link
+     * @returns {Promise<Object>} { ok: true, email } or { ok: false, reason, message }
+     */
+    async verifyEmail(token) {
+        const result = await window.accountTokens.consume(token, 'verify_email');
+        if (!result.ok) return result;
+        
+        const email = result.record.email;
+        this.markVerified(email);
+        await this.store.flush();
+        
+        return { ok: true, email };
+    }
+    
+    /**
+     * Mark an email address as verified on its profile and the current session
+     * @param {string} email - Email address
+     */
+    markVerified(email) {
+        const profile = this.store.findBy('users', 'email', email)[0];
+        if (profile && profile.emailVerified !== true) {
+            this.store.update('users', profile.id, {
+                emailVerified: true,
+                emailVerifiedAt: new Date().toISOString()
+            });
+        }
+        
+        const currentUser = window.sessionManager.getCurrentUser();
+        if (currentUser && (currentUser.email || '').toLowerCase() === email) {
+            window.sessionManager.updateUser({ ...currentUser, emailVerified: true });
+        }
+    }
+    
+    /**
+     * Email a password reset link. Always succeeds so the form doesn't reveal
+     * which emails have accounts.
+     * @param {string} email - Email address
+     * @returns {Promise<Object>} { ok: true }
+     */
+    async requestPasswordReset(email) {
+        const credential = window.credentialStore.getCredential(email);
+        if (!credential) return { ok: true };
+        
+        const profile = this.getProfile({ id: credential.id, email: credential.email }) || {};
+        const token = await window.accountTokens.issue('reset_password', { id: credential.id, email: credential.email }, this.resetLifetime);
+        
+        window.mailOutbox.send({
+            to: credential.email,
+            subject: 'Reset your Campus BookSwap password',
+            body: `Hi ${profile.name || 'there'},\n\nSomeone asked to reset the password for ${credential.email}. If it was you, use the link below to choose a new password. It expires in 1 hour. If it wasn't you, you can ignore this email.`,
+            actionUrl: window.mailOutbox.buildLink(`reset-password.html?token=${encodeURIComponent(token)}`),
+            actionLabel: 'Choose a new password'
+        });
+        
+        await this.store.flush();
+        return { ok: true };
+    }
+    
+    /**
+     * Check that a reset link can still be used
+     * @param {string} token - Token from the link
+     * @returns {Promise<Object>} { ok: true, record } or { ok: false, reason, message }
+     */
+    checkResetToken(token) {
+        return window.accountTokens.check(token, 'reset_password');
+    }
+    
+    /**
+     * Set a new password from a reset link
+     * @param {string} token - Token from the link
+     * @param {string} password - New password
+     * @returns {Promise<Object>} { ok: true, email } or { ok: false, reason, message }
+     */
+    async resetPassword(token, password) {
+        const check = await this.checkResetToken(token);
+        if (!check.ok) return check;
+        
+        // Only use up the link once the new password has been accepted
+        const result = await window.credentialStore.setPassword(check.record.email, password);
+        if (!result.ok) return result;
+        
+        await window.accountTokens.consume(token, 'reset_password');
+        
+        // Opening the emailed link proves the address belongs to the user
+        this.markVerified(check.record.email);
+        await this.store.flush();
+        
+        return { ok: true, email: check.record.email };
+    }
+}
+
+// Create the shared account verification service
+window.accountVerification = new AccountVerification();
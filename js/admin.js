@@ -0,0 +1,416 @@
+/**
+ * Admin Console Module for Campus BookSwap
+ * Handles the moderation console on admin.html: reported content, user accounts,
+ * the audit log and catalog uploads
+ */
+
+class AdminConsole {
+    constructor() {
+        this.currentUser = window.sessionManager.getCurrentUser();
+        this.reportFilter = 'open';
+        this.userQuery = '';
+        this.auditQuery = '';
+        
+        this.actionLabels = {
+            'content.hide': 'Hid content',
+            'content.unhide': 'Restored content',
+            'content.delete': 'Deleted content',
+            'report.dismiss': 'Dismissed report',
+            'user.warn': 'Warned user',
+            'user.suspend': 'Suspended user',
+            'user.unsuspend': 'Lifted suspension',
+            'user.role': 'Changed role',
+            'catalog.import': 'Imported catalog'
+        };
+        
+        // Catalogs admins can upload, by the data-catalog value of their file input
+        this.catalogs = {
+            book: { catalog: window.bookCatalog, document: 'bookCatalog', label: 'Book catalog', noun: ['book', 'books'] },
+            course: { catalog: window.courseCatalog, document: 'courseCatalog', label: 'Course catalog', noun: ['course', 'courses'] }
+        };
+        
+        this.init();
+    }
+    
+    /**
+     * Check access and draw the console
+     */
+    init() {
+        if (!this.currentUser) {
+            window.location.href = 'login.html?session=required';
+            return;
+        }
+        
+        const consoleElement = document.getElementById('admin-console');
+        const deniedElement = document.getElementById('admin-denied');
+        
+        if (!window.permissions.can('moderation.access')) {
+            deniedElement.hidden = false;
+            return;
+        }
+        
+        consoleElement.hidden = false;
+        document.getElementById('admin-role').textContent = window.permissions.getRoleLabel(window.permissions.getRole());
+        
+        // Only admins can read the audit log and upload catalogs
+        if (!window.permissions.can('audit.view')) {
+            document.querySelector('.admin-tab[data-tab="audit"]').remove();
+        }
+        if (!window.permissions.can('catalog.import')) {
+            document.querySelector('.admin-tab[data-tab="catalogs"]').remove();
+        }
+        
+        this.setupTabs();
+        this.setupEventListeners();
+        this.renderAll();
+        
+        ['reports', 'users', 'auditLog', 'listings', 'forumPosts', 'ratings', 'forumChat'].forEach(name => {
+            window.dataStore.subscribe(name, () => this.renderAll());
+        });
+    }
+    
+    /**
+     * Switch between the Reports, Users, Audit log and Catalogs panels
+     */
+    setupTabs() {
+        document.querySelectorAll('.admin-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                document.querySelectorAll('.admin-tab').forEach(t => t.classList.toggle('active', t === tab));
+                document.querySelectorAll('.admin-panel').forEach(panel => {
+                    panel.hidden = panel.id !== `admin-${tab.dataset.tab}`;
+                });
+            });
+        });
+    }
+    
+    /**
+     * Wire up filters, search boxes and action buttons
+     */
+    setupEventListeners() {
+        document.getElementById('report-filter').addEventListener('change', (e) => {
+            this.reportFilter = e.target.value;
+            this.renderReports();
+        });
+        
+        document.getElementById('user-search').addEventListener('input', (e) => {
+            this.userQuery = e.target.value;
+            this.renderUsers();
+        });
+        
+        const auditSearch = document.getElementById('audit-search');
+        if (auditSearch) {
+            auditSearch.addEventListener('input', (e) => {
+                this.auditQuery = e.target.value;
+                this.renderAuditLog();
+            });
+        }
+        
+        document.getElementById('admin-console').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleAction(button.dataset.action, button.dataset);
+            }
+        });
+        
+        document.getElementById('admin-users').addEventListener('change', (e) => {
+            if (e.target.matches('.role-select')) {
+                this.changeRole(e.target.dataset.userId, e.target.value, e.target);
+            }
+        });
+        
+        document.getElementById('admin-catalogs').addEventListener('change', (e) => {
+            if (e.target.matches('.catalog-file') && e.target.files.length > 0) {
+                this.importCatalog(e.target);
+            }
+        });
+    }
+    
+    /**
+     * Run a moderator action from a button
+     * @param {string} action - Action name from data-action
+     * @param {DOMStringMap} data - The button's data attributes
+     */
+    handleAction(action, data) {
+        const moderation = window.moderation;
+        const report = data.reportId ? window.dataStore.getById('reports', data.reportId) : null;
+        
+        switch (action) {
+            case 'hide': {
+                const reason = prompt('Reason for hiding (recorded in the audit log):', report ? report.reason : '');
+                if (reason === null) return;
+                moderation.setContentHidden(report.targetType, report.target, true, reason);
+                break;
+            }
+            case 'unhide':
+                moderation.setContentHidden(report.targetType, report.target, false, 'Restored from the moderation console');
+                break;
+            case 'delete': {
+                if (!confirm('Delete this content permanently? This cannot be undone.')) return;
+                moderation.deleteContent(report.targetType, report.target, report.reason);
+                break;
+            }
+            case 'warn': {
+                const message = prompt('Warning message for the user:', report ? `Your content was reported for: ${report.reason}` : '');
+                if (message === null) return;
+                moderation.warnUser(data.userId, message, report ? report.id : null);
+                break;
+            }
+            case 'dismiss':
+                moderation.dismissReport(report.id);
+                break;
+            case 'suspend': {
+                const reason = prompt('Reason for the suspension:');
+                if (reason === null) return;
+                moderation.setUserSuspended(data.userId, true, reason);
+                break;
+            }
+            case 'unsuspend':
+                if (!confirm('Lift this suspension?')) return;
+                moderation.setUserSuspended(data.userId, false);
+                break;
+            default:
+                return;
+        }
+        
+        this.renderAll();
+    }
+    
+    /**
+     * Change a user's role from the users table
+     * @param {string} userId - User id
+     * @param {string} role - New role
+     * @param {HTMLSelectElement} select - Role picker, reset if the change is refused
+     */
+    changeRole(userId, role, select) {
+        const profile = window.dataStore.getById('users', userId);
+        const label = window.permissions.getRoleLabel(role);
+        
+        if (!profile || !confirm(`Make ${profile.name || profile.email} a ${label}?`) || !window.moderation.setUserRole(userId, role)) {
+            select.value = window.permissions.getRole(profile);
+            return;
+        }
+        
+        this.renderAll();
+    }
+    
+    /**
+     * Import the catalog file chosen in a file input and record it in the audit log
+     * @param {HTMLInputElement} input - File input with a data-catalog attribute
+     */
+    async importCatalog(input) {
+        const { catalog, document: name, label, noun } = this.catalogs[input.dataset.catalog];
+        const resultElement = input.parentElement.querySelector('.catalog-result');
+        const file = input.files[0];
+        input.value = '';
+        
+        if (!window.permissions.enforce('catalog.import')) return;
+        
+        const showResult = (message, isError) => {
+            resultElement.textContent = message;
+            resultElement.classList.toggle('error', isError);
+        };
+        
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            console.error('Error reading catalog file:', error);
+            showResult(`Sorry, ${file.name} could not be read.`, true);
+            return;
+        }
+        
+        const previous = window.dataStore.getDocument(name);
+        const result = catalog.importCatalog(text);
+        if (!result.ok) {
+            showResult(result.message, true);
+            return;
+        }
+        
+        try {
+            await window.dataStore.flush();
+        } catch (error) {
+            console.error('Error importing catalog:', error);
+            
+            // Don't keep an import that never reached storage
+            window.dataStore.setDocument(name, previous);
+            
+            // Quota errors are already reported through the bookswap:storagefull event
+            if (!DataStore.isQuotaError(error)) {
+                showResult('Sorry, the catalog could not be saved. Please try again.', true);
+            }
+            return;
+        }
+        
+        const summary = `${result.imported} ${result.imported === 1 ? noun[0] : noun[1]} from ${file.name}`;
+        window.moderation.log('catalog.import', { targetType: 'catalog', targetKey: `catalog:${input.dataset.catalog}`, summary: `${label}: ${summary}` });
+        
+        showResult(`Imported ${summary}.${result.skipped > 0 ? ` ${result.skipped} ${result.skipped === 1 ? 'entry was' : 'entries were'} skipped because ${result.skipped === 1 ? 'it was' : 'they were'} missing required details.` : ''}`, false);
+        this.renderAuditLog();
+    }
+    
+    /**
+     * Redraw every panel
+     */
+    renderAll() {
+        this.renderReports();
+        this.renderUsers();
+        this.renderAuditLog();
+        
+        const openCount = window.moderation.getReports('open').length;
+        document.getElementById('open-report-count').textContent = openCount > 0 ? openCount : '';
+    }
+    
+    /**
+     * Draw the list of reports
+     */
+    renderReports() {
+        const container = document.getElementById('report-list');
+        const reports = window.moderation.getReports(this.reportFilter);
+        
+        if (reports.length === 0) {
+            container.innerHTML = '<p class="admin-empty"><i class="fas fa-check-circle"></i> No reports to review.</p>';
+            return;
+        }
+        
+        container.innerHTML = reports.map(report => this.createReportHTML(report)).join('');
+    }
+    
+    /**
+     * Build the card for one report
+     * @param {Object} report - Report
+     * @returns {string} Card HTML
+     */
+    createReportHTML(report) {
+        const handler = window.moderation.targets[report.targetType];
+        const content = window.moderation.describeTarget(report.targetType, report.target);
+        const isOpen = report.status === 'open';
+        const ownerId = content ? content.ownerId : report.ownerId;
+        
+        let actions = '';
+        if (isOpen && content) {
+            actions += content.hidden
+                ? `<button class="admin-btn" data-action="unhide" data-report-id="${report.id}"><i class="fas fa-eye"></i> Unhide</button>`
+                : `<button class="admin-btn" data-action="hide" data-report-id="${report.id}"><i class="fas fa-eye-slash"></i> Hide</button>`;
+            actions += `<button class="admin-btn danger" data-action="delete" data-report-id="${report.id}"><i class="far fa-trash-alt"></i> Delete</button>`;
+        }
+        if (isOpen && ownerId && window.permissions.can('users.warn')) {
+            actions += `<button class="admin-btn" data-action="warn" data-report-id="${report.id}" data-user-id="${escapeHtml(ownerId)}"><i class="fas fa-exclamation-triangle"></i> Warn author</button>`;
+        }
+        if (isOpen) {
+            actions += `<button class="admin-btn secondary" data-action="dismiss" data-report-id="${report.id}">Dismiss</button>`;
+        }
+        
+        return `
+            <article class="report-card ${report.status}">
+                <div class="report-meta">
+                    <span class="report-type">${handler ? handler.label : report.targetType}</span>
+                    <span class="report-status">${report.resolution || report.status}</span>
+                    ${report.automatic ? '<span class="report-automatic">Flagged automatically</span>' : ''}
+                    ${content && content.hidden ? '<span class="report-hidden">Hidden</span>' : ''}
+                </div>
+                ${content ? `
+                    <h3>${escapeHtml(content.title)}</h3>
+                    <p class="report-excerpt">${escapeHtml(this.truncate(content.excerpt, 240))}</p>
+                    <p class="report-detail">By ${escapeHtml(content.ownerName || 'Unknown')}</p>
+                ` : '<p class="report-excerpt"><em>This content has been deleted.</em></p>'}
+                <p class="report-detail">
+                    Reported by ${escapeHtml(report.reporterName || 'Unknown')} on ${new Date(report.createdAt).toLocaleString()}:
+                    <strong>${escapeHtml(report.reason)}</strong>
+                </p>
+                ${actions ? `<div class="report-actions">${actions}</div>` : ''}
+            </article>
+        `;
+    }
+    
+    /**
+     * Draw the users table
+     */
+    renderUsers() {
+        const tbody = document.getElementById('user-rows');
+        const users = window.moderation.searchUsers(this.userQuery)
+            .sort((a, b) => (a.name || a.email).localeCompare(b.name || b.email));
+        
+        if (users.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="admin-empty">No users found.</td></tr>';
+            return;
+        }
+        
+        const canAssignRole = window.permissions.canAssignRoles();
+        const canSuspend = window.permissions.can('users.suspend');
+        const canWarn = window.permissions.can('users.warn');
+        
+        tbody.innerHTML = users.map(user => {
+            const role = window.permissions.getRole(user);
+            const isSelf = user.id === this.currentUser.id;
+            
+            const roleCell = canAssignRole && !isSelf
+                ? `<select class="role-select" data-user-id="${escapeHtml(user.id)}">
+                        ${Object.keys(BOOKSWAP_ROLES).map(name => `<option value="${name}" ${name === role ? 'selected' : ''}>${window.permissions.getRoleLabel(name)}</option>`).join('')}
+                   </select>`
+                : window.permissions.getRoleLabel(role);
+            
+            let actions = '';
+            if (canWarn && !isSelf) {
+                actions += `<button class="admin-btn" data-action="warn" data-user-id="${escapeHtml(user.id)}">Warn</button>`;
+            }
+            if (canSuspend && !isSelf) {
+                actions += user.suspended
+                    ? `<button class="admin-btn" data-action="unsuspend" data-user-id="${escapeHtml(user.id)}">Unsuspend</button>`
+                    : `<button class="admin-btn danger" data-action="suspend" data-user-id="${escapeHtml(user.id)}">Suspend</button>`;
+            }
+            
+            return `
+                <tr class="${user.suspended ? 'suspended' : ''}">
+                    <td>${escapeHtml(user.name || '')}<br><small>${escapeHtml(user.email)}</small></td>
+                    <td>${escapeHtml(user.university || '')}</td>
+                    <td>${roleCell}</td>
+                    <td>${user.suspended ? `<span class="user-suspended" title="${escapeHtml(user.suspensionReason || '')}">Suspended</span>` : 'Active'}</td>
+                    <td>${user.warnings || 0}</td>
+                    <td class="admin-actions">${actions}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Draw the audit log
+     */
+    renderAuditLog() {
+        const tbody = document.getElementById('audit-rows');
+        if (!tbody || !window.permissions.can('audit.view')) return;
+        
+        const entries = window.moderation.getAuditLog(this.auditQuery);
+        if (entries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="admin-empty">No moderator actions yet.</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = entries.map(entry => `
+            <tr>
+                <td>${new Date(entry.createdAt).toLocaleString()}</td>
+                <td>${escapeHtml(entry.actorName)}<br><small>${window.permissions.getRoleLabel(entry.actorRole)}</small></td>
+                <td>${this.actionLabels[entry.action] || escapeHtml(entry.action)}</td>
+                <td>${escapeHtml(entry.summary || entry.targetKey || '')}</td>
+                <td>${escapeHtml(entry.reason || '')}</td>
+            </tr>
+        `).join('');
+    }
+    
+    /**
+     * Shorten text for the report list
+     * @param {string} text - Text
+     * @param {number} length - Maximum length
+     * @returns {string} Shortened text
+     */
+    truncate(text, length) {
+        text = text || '';
+        return text.length > length ? text.slice(0, length) + '…' : text;
+    }
+}
+
+// Start the console once the data is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.dataStore.ready.then(() => {
+        window.adminConsole = new AdminConsole();
+    });
+});
@@ -9,37 +9,34 @@ class UserAnalyticsDashboard {
     constructor() {
         this.currentUser = this.getCurrentUser();
         this.userAnalytics = this.loadUserAnalytics() || this.createDefaultAnalytics();
-        this.marketRates = this.getMarketRates();
         
         // Initialize the dashboard
         this.initDashboard();
     }
     
     /**
-     * Get current user from localStorage
+     * Get current user from the session
      */
     getCurrentUser() {
-        const userJson = localStorage.getItem('currentUser');
-        return userJson ? JSON.parse(userJson) : null;
+        return window.sessionManager.getCurrentUser();
     }
     
     /**
-     * Load user analytics from localStorage
+     * Load user analytics from the data store
      */
     loadUserAnalytics() {
         if (!this.currentUser) return null;
         
-        const analyticsJson = localStorage.getItem(`bookswap_analytics_${this.currentUser.id}`);
-        return analyticsJson ? JSON.parse(analyticsJson) : null;
+        return window.dataStore.getDocument('analytics', this.currentUser.id);
     }
     
     /**
-     * Save user analytics to localStorage
+     * Save user analytics to the data store
      */
     saveUserAnalytics() {
         if (!this.currentUser) return;
         
-        localStorage.setItem(`bookswap_analytics_${this.currentUser.id}`, JSON.stringify(this.userAnalytics));
+        window.dataStore.setDocument('analytics', this.userAnalytics, this.currentUser.id);
     }
     
     /**
@@ -57,20 +54,13 @@ class UserAnalyticsDashboard {
     }
     
     /**
-     * Get market rates for books (in a real app, this would come from an API)
+     * Get the market rate for a book from BookSwap's own sales and listings
+     * (the same source as the sell form's price suggestions)
+     * @param {Object} bookData - Book data ({ isbn, title, edition })
+     * @returns {Object} { newPrice, usedPrice }
      */
-    getMarketRates() {
-        // Sample market rates for demonstration
-        return {
-            // Format: ISBN: { newPrice: X, usedPrice: Y }
-            '9780136019701': { newPrice: 150.00, usedPrice: 95.00 },
-            '9780133970777': { newPrice: 180.00, usedPrice: 120.00 },
-            '9780134093413': { newPrice: 200.00, usedPrice: 140.00 },
-            '9780321982384': { newPrice: 160.00, usedPrice: 100.00 },
-            '9780134472119': { newPrice: 175.00, usedPrice: 115.00 },
-            // Default values for books not in the database
-            'default': { newPrice: 150.00, usedPrice: 100.00 }
-        };
+    getMarketRate(bookData) {
+        return window.listingPricing.getMarketRate(bookData || {});
     }
     
     /**
@@ -132,8 +122,7 @@ class UserAnalyticsDashboard {
         if (!this.currentUser) return;
         
         // Get market rate for comparison
-        const isbn = bookData.isbn || 'default';
-        const marketRate = this.marketRates[isbn] || this.marketRates['default'];
+        const marketRate = this.getMarketRate(bookData);
         const moneySaved = marketRate.newPrice - price;
         
         // Update analytics
@@ -200,8 +189,7 @@ class UserAnalyticsDashboard {
         if (!this.currentUser) return;
         
         // Get market rate for comparison
-        const isbnReceived = bookReceived.isbn || 'default';
-        const marketRate = this.marketRates[isbnReceived] || this.marketRates['default'];
+        const marketRate = this.getMarketRate(bookReceived);
         const moneySaved = marketRate.newPrice;
         
         // Update analytics
@@ -10,6 +10,28 @@ class AuthSystem {
         this.initGoogleAuth();
         this.setupEventListeners();
         this.checkLastLoggedInUser();
+        this.showSessionMessage();
+    }
+
+    /**
+     * Explain on the login page why the user was sent there (?session=expired etc.)
+     */
+    showSessionMessage() {
+        const errorElement = document.getElementById('login-error');
+        if (!errorElement) return;
+        
+        const messages = {
+            expired: 'Your session has expired. Please log in again.',
+            idle: 'You were logged out after a period of inactivity. Please log in again.',
+            logout: 'You were logged out in another tab.',
+            suspended: 'Your account has been suspended by the moderators.',
+            required: 'Please log in to continue.'
+        };
+        
+        const reason = new URLSearchParams(window.location.search).get('session');
+        if (messages[reason]) {
+            this.showFormError(errorElement, messages[reason]);
+        }
     }
 
     /**
@@ -98,12 +120,23 @@ class AuthSystem {
                 email: payload.email,
                 profilePicture: payload.picture,
                 university: university,
-                department: ''
+                department: '',
+                // Google has already confirmed the address
+                emailVerified: payload.email_verified !== false
             };
             
-            // Save user to localStorage
-            localStorage.setItem('currentUser', JSON.stringify(user));
-            localStorage.setItem('authProvider', 'google');
+            // Record the profile so other students can see who they're trading with
+            Object.assign(user, this.saveUserProfile(user));
+            
+            if (user.suspended === true) {
+                alert('Your account has been suspended by the moderators.');
+                return;
+            }
+            
+            // Start a session for the user
+            window.sessionManager.start(user, 'google', {
+                rememberMe: localStorage.getItem('rememberMe') === 'true'
+            });
             
             // Also update the lastLoggedInUser to ensure consistency
             localStorage.setItem('lastLoggedInUser', JSON.stringify({
@@ -141,53 +174,7 @@ class AuthSystem {
      */
     extractUniversityFromEmail(email) {
         if (!email) return '';
-        
-        // Extract domain from email
-        const domain = email.split('@')[1];
-        if (!domain) return '';
-        
-        // Map of common university domains to university names
-        const universityDomains = {
-            'vit.ac.in': 'Vellore Institute of Technology',
-            'mit.edu': 'Massachusetts Institute of Technology',
-            'stanford.edu': 'Stanford University',
-            'harvard.edu': 'Harvard University',
-            'berkeley.edu': 'University of California, Berkeley',
-            'yale.edu': 'Yale University',
-            'princeton.edu': 'Princeton University',
-            'columbia.edu': 'Columbia University',
-            'cornell.edu': 'Cornell University',
-            'nyu.edu': 'New York University',
-            'umich.edu': 'University of Michigan',
-            'utexas.edu': 'University of Texas',
-            'ucla.edu': 'University of California, Los Angeles',
-            'uchicago.edu': 'University of Chicago',
-            'ox.ac.uk': 'University of Oxford',
-            'cam.ac.uk': 'University of Cambridge',
-            'iit.ac.in': 'Indian Institute of Technology',
-            'iisc.ac.in': 'Indian Institute of Science'
-        };
-        
-        // Check if domain is in our map
-        if (universityDomains[domain]) {
-            return universityDomains[domain];
-        }
-        
-        // Check if it's an edu domain
-        if (domain.endsWith('.edu')) {
-            // Convert domain to university name format
-            // e.g., 'harvard.edu' -> 'Harvard University'
-            const universityPart = domain.split('.')[0];
-            return universityPart.charAt(0).toUpperCase() + universityPart.slice(1) + ' University';
-        }
-        
-        // Check if it's an ac.in domain (Indian academic institutions)
-        if (domain.endsWith('.ac.in')) {
-            const universityPart = domain.split('.')[0];
-            return universityPart.toUpperCase();
-        }
-        
-        return '';
+        return window.universityRegistry.getUniversityName(email);
     }
 
     /**
@@ -227,12 +214,12 @@ class AuthSystem {
      * Handle login form submission
      * @param {Event} e - Form submit event
      */
-    handleLoginSubmit(e) {
+    async handleLoginSubmit(e) {
         e.preventDefault();
         
         // Get form elements
-        const emailInput = document.getElementById('email') || document.getElementById('login-email');
-        const passwordInput = document.getElementById('password') || document.getElementById('login-password');
+        const emailInput = document.getElementById('login-email') || document.getElementById('email');
+        const passwordInput = document.getElementById('login-password') || document.getElementById('password');
         const rememberMeCheckbox = document.getElementById('remember-me');
         const errorElement = document.getElementById('login-error');
         const successElement = document.getElementById('login-success');
@@ -261,7 +248,8 @@ class AuthSystem {
             return;
         }
         
-        // Validate university email
+        // Validate university email against the registry
+        await window.universityRegistry.ready;
         if (!this.isUniversityEmail(email)) {
             if (errorElement) {
                 errorElement.textContent = 'Please use a university email address';
@@ -278,54 +266,74 @@ class AuthSystem {
             loginButton.textContent = 'Logging in...';
         }
         
-        // Simulate server delay
-        setTimeout(() => {
-            // In a real app, this would send a request to the server
-            // For demo purposes, we'll simulate a successful login
-            console.log('Login:', { email, password: '********' });
-            
-            // Extract university name from email domain
-            const university = this.extractUniversityFromEmail(email);
-            
-            // Check if this user has logged in before
-            let lastLoggedInUser = null;
-            try {
-                lastLoggedInUser = JSON.parse(localStorage.getItem('lastLoggedInUser'));
-            } catch (e) {
-                console.error('Error parsing lastLoggedInUser:', e);
+        // Check the password against the stored credential
+        let result;
+        try {
+            result = await window.credentialStore.verify(email, password);
+        } catch (error) {
+            console.error('Error verifying password:', error);
+            result = { ok: false, message: 'Something went wrong while logging in. Please try again.' };
+        }
+        
+        // Passwords stay in the browser they were set in, even when profiles are shared through the server
+        if (result.reason === 'not_found') {
+            await window.dataStore.ready;
+            if (window.dataStore.findBy('users', 'email', window.credentialStore.normalizeEmail(email)).length > 0) {
+                result.message = 'This account has no password in this browser. Log in from the browser you registered in, or sign in with Google.';
             }
-            
-            // Create a user object, preserving the ID if this user has logged in before
-            const user = {
-                id: (lastLoggedInUser && lastLoggedInUser.email === email) ? lastLoggedInUser.id : 'user' + Date.now(),
-                name: email.split('@')[0],
-                email: email,
-                university: university,
-                department: ''
-            };
-            
-            // Save user to localStorage
-            localStorage.setItem('currentUser', JSON.stringify(user));
-            localStorage.setItem('authProvider', 'email');
-            
-            // Update lastLoggedInUser if remember me is checked
-            if (rememberMe) {
-                localStorage.setItem('lastLoggedInUser', JSON.stringify({
-                    id: user.id,
-                    email: user.email
-                }));
+        }
+        
+        if (!result.ok) {
+            this.showFormError(errorElement, result.message);
+            if (loginButton) {
+                loginButton.disabled = false;
+                loginButton.textContent = 'Login';
             }
-            
-            // Show success message
-            if (successElement) {
-                successElement.textContent = 'Login successful! Redirecting to dashboard...';
-                successElement.style.display = 'block';
+            return;
+        }
+        
+        // Build the user from their stored profile
+        const profile = window.dataStore.getById('users', result.userId) || {};
+        if (profile.suspended === true) {
+            this.showFormError(errorElement, 'Your account has been suspended by the moderators.');
+            if (loginButton) {
+                loginButton.disabled = false;
+                loginButton.textContent = 'Login';
             }
-            
-            // Redirect to dashboard after a short delay
-            setTimeout(() => {
-                window.location.href = 'dashboard.html';
-            }, 1000);
+            return;
+        }
+        
+        const user = {
+            id: result.userId,
+            name: profile.name || email.split('@')[0],
+            email: window.credentialStore.normalizeEmail(email),
+            university: profile.university || this.extractUniversityFromEmail(email),
+            department: profile.department || ''
+        };
+        
+        // Record the profile so other students can see who they're trading with
+        Object.assign(user, this.saveUserProfile(user));
+        
+        // Start a session for the user
+        window.sessionManager.start(user, 'email', { rememberMe });
+        
+        // Update lastLoggedInUser if remember me is checked
+        if (rememberMe) {
+            localStorage.setItem('lastLoggedInUser', JSON.stringify({
+                id: user.id,
+                email: user.email
+            }));
+        }
+        
+        // Show success message
+        if (successElement) {
+            successElement.textContent = 'Login successful! Redirecting to dashboard...';
+            successElement.style.display = 'block';
+        }
+        
+        // Redirect to dashboard after a short delay
+        setTimeout(() => {
+            window.location.href = 'dashboard.html';
         }, 1000);
     }
 
@@ -333,7 +341,7 @@ class AuthSystem {
      * Handle registration form submission
      * @param {Event} e - Form submit event
      */
-    handleRegisterSubmit(e) {
+    async handleRegisterSubmit(e) {
         e.preventDefault();
         
         // Get form elements - check for both possible ID formats
@@ -381,7 +389,8 @@ class AuthSystem {
             return;
         }
         
-        // Validate university email
+        // Validate university email against the registry
+        await window.universityRegistry.ready;
         if (!this.isUniversityEmail(email)) {
             if (errorElement) {
                 errorElement.textContent = 'Please use a university email address';
@@ -403,56 +412,130 @@ class AuthSystem {
             return;
         }
         
+        // Reject emails that already have an account, here or (with the shared server) in another browser
+        await window.dataStore.ready;
+        const normalizedEmail = window.credentialStore.normalizeEmail(email);
+        if (window.credentialStore.hasAccount(normalizedEmail) || window.dataStore.findBy('users', 'email', normalizedEmail).length > 0) {
+            this.showFormError(errorElement, 'An account with this email already exists. Please log in instead.');
+            return;
+        }
+        
         // Disable register button and show loading state
         if (registerButton) {
             registerButton.disabled = true;
             registerButton.textContent = 'Creating Account...';
         }
         
-        // Simulate server delay
-        setTimeout(() => {
-            // In a real app, this would send a request to the server
-            // For demo purposes, we'll simulate a successful registration
-            console.log('Registration:', { name, email, university, department });
-            
-            // Check if this user has logged in before
-            let lastLoggedInUser = null;
+        // Check if this user has logged in before
+        let lastLoggedInUser = null;
+        try {
+            lastLoggedInUser = JSON.parse(localStorage.getItem('lastLoggedInUser'));
+        } catch (e) {
+            console.error('Error parsing lastLoggedInUser:', e);
+        }
+        
+        // Keep the ID of a previous login from this browser
+        const user = {
+            id: (lastLoggedInUser && lastLoggedInUser.email === normalizedEmail) ? lastLoggedInUser.id : 'user' + Date.now(),
+            name: name,
+            email: normalizedEmail,
+            university: university,
+            department: department,
+            // New accounts must confirm their email before listing books
+            emailVerified: false
+        };
+        
+        // Store the salted password hash
+        let result;
+        try {
+            result = await window.credentialStore.register(user.id, normalizedEmail, password);
+        } catch (error) {
+            console.error('Error storing credentials:', error);
+            result = { ok: false, message: 'Something went wrong while creating your account. Please try again.' };
+        }
+        
+        if (!result.ok) {
+            this.showFormError(errorElement, result.message);
+            if (registerButton) {
+                registerButton.disabled = false;
+                registerButton.textContent = 'Create Account';
+            }
+            return;
+        }
+        
+        // Record the profile so other students can see who they're trading with
+        Object.assign(user, this.saveUserProfile(user, true));
+        
+        // Start a session for the user
+        window.sessionManager.start(user, 'email');
+        
+        // Also update the lastLoggedInUser to ensure consistency
+        localStorage.setItem('lastLoggedInUser', JSON.stringify({
+            id: user.id,
+            email: user.email
+        }));
+        
+        // Send the one-time verification link
+        let successMessage = 'Account created successfully! Redirecting to dashboard...';
+        if (!user.emailVerified) {
             try {
-                lastLoggedInUser = JSON.parse(localStorage.getItem('lastLoggedInUser'));
-            } catch (e) {
-                console.error('Error parsing lastLoggedInUser:', e);
+                await window.accountVerification.sendVerificationEmail(user);
+                successMessage = `Account created! We sent a verification link to ${user.email}. Redirecting to dashboard...`;
+            } catch (error) {
+                console.error('Error sending verification email:', error);
             }
-            
-            // Create a user object, preserving the ID if this user has logged in before
-            const user = {
-                id: (lastLoggedInUser && lastLoggedInUser.email === email) ? lastLoggedInUser.id : 'user' + Date.now(),
-                name: name,
-                email: email,
-                university: university,
-                department: department
-            };
-            
-            // Save user to localStorage
-            localStorage.setItem('currentUser', JSON.stringify(user));
-            localStorage.setItem('authProvider', 'email');
-            
-            // Also update the lastLoggedInUser to ensure consistency
-            localStorage.setItem('lastLoggedInUser', JSON.stringify({
-                id: user.id,
-                email: user.email
-            }));
-            
-            // Show success message
-            if (successElement) {
-                successElement.textContent = 'Account created successfully! Redirecting to dashboard...';
-                successElement.style.display = 'block';
+        }
+        
+        // Show success message
+        if (successElement) {
+            successElement.textContent = successMessage;
+            successElement.style.display = 'block';
+        }
+        
+        // Redirect to dashboard after a short delay
+        setTimeout(() => {
+            window.location.href = 'dashboard.html';
+        }, 1500);
+    }
+
+    /**
+     * Show an error on a login/registration form
+     * @param {HTMLElement} errorElement - Error message element
+     * @param {string} message - Error message
+     */
+    showFormError(errorElement, message) {
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+        } else {
+            alert(message);
+        }
+    }
+
+    /**
+     * Create or update the user's profile in the users collection.
+     * A profile that already exists for the email keeps its id, so the same
+     * student gets the same account on every device.
+     * @param {Object} user - User data
+     * @param {boolean} overwrite - Replace stored details (registration) rather than only filling gaps (login)
+     * @returns {Object} Stored profile
+     */
+    saveUserProfile(user, overwrite = false) {
+        const existing = window.dataStore.findBy('users', 'email', user.email)[0];
+        const lastLoginAt = new Date().toISOString();
+        
+        if (!existing) {
+            return window.dataStore.create('users', { role: 'student', ...user, createdAt: lastLoginAt, lastLoginAt });
+        }
+        
+        const changes = { lastLoginAt };
+        Object.keys(user).forEach(field => {
+            if (field !== 'id' && user[field] && (overwrite || !existing[field])) {
+                changes[field] = user[field];
             }
-            
-            // Redirect to dashboard after a short delay
-            setTimeout(() => {
-                window.location.href = 'dashboard.html';
-            }, 1500);
-        }, 1000);
+        });
+        
+        return window.dataStore.update('users', existing.id, changes);
     }
 
     /**
@@ -472,9 +555,8 @@ class AuthSystem {
             }));
         }
         
-        // Clear current user data from localStorage
-        localStorage.removeItem('currentUser');
-        localStorage.removeItem('authProvider');
+        // End the session here and in any other open tabs
+        window.sessionManager.end('logout');
         
         // Redirect to home page
         window.location.href = 'index.html';
@@ -485,7 +567,7 @@ class AuthSystem {
      * @returns {boolean} True if user is logged in
      */
     isLoggedIn() {
-        return localStorage.getItem('currentUser') !== null;
+        return window.sessionManager.isLoggedIn();
     }
 
     /**
@@ -493,8 +575,7 @@ class AuthSystem {
      * @returns {Object|null} User data or null if not logged in
      */
     getCurrentUser() {
-        const userJson = localStorage.getItem('currentUser');
-        return userJson ? JSON.parse(userJson) : null;
+        return window.sessionManager.getCurrentUser();
     }
 
     /**
@@ -502,7 +583,7 @@ class AuthSystem {
      * @returns {string|null} Authentication provider or null if not logged in
      */
     getAuthProvider() {
-        return localStorage.getItem('authProvider');
+        return window.sessionManager.getAuthProvider();
     }
 
     /**
@@ -511,32 +592,7 @@ class AuthSystem {
      * @returns {boolean} True if university email
      */
     isUniversityEmail(email) {
-        if (!email || !email.includes('@')) return false;
-        
-        const domain = email.split('@')[1];
-        if (!domain) return false;
-        
-        // Common personal email domains
-        const personalDomains = [
-            'gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 
-            'aol.com', 'icloud.com', 'mail.com', 'protonmail.com'
-        ];
-        
-        // If it's a common personal domain, it's not a university email
-        if (personalDomains.includes(domain)) return false;
-        
-        // Check for common university domain patterns
-        if (domain.endsWith('.edu') || 
-            domain.endsWith('.ac.in') || 
-            domain.endsWith('.ac.uk') || 
-            domain.endsWith('.edu.au') || 
-            domain.includes('university') || 
-            domain.includes('college')) {
-            return true;
-        }
-        
-        // For demo purposes, accept all other domains as university emails
-        return true;
+        return window.universityRegistry.isUniversityEmail(email);
     }
 }
 
@@ -571,12 +627,12 @@ AuthSystem.prototype.checkLastLoggedInUser = function() {
     
     // If we have a lastLoggedInUser, pre-fill the email field
     if (lastLoggedInUser && lastLoggedInUser.email) {
-        const emailInput = document.getElementById('email') || document.getElementById('login-email');
+        const emailInput = document.getElementById('login-email') || document.getElementById('email');
         if (emailInput) {
             emailInput.value = lastLoggedInUser.email;
             
             // Focus on the password field for better UX
-            const passwordInput = document.getElementById('password') || document.getElementById('login-password');
+            const passwordInput = document.getElementById('login-password') || document.getElementById('password');
             if (passwordInput) {
                 passwordInput.focus();
             }
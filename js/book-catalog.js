@@ -0,0 +1,266 @@
+/**
+ * Book Catalog Module for Campus BookSwap
+ * Handles ISBN validation and conversion, and looks up book details (title, author,
+ * edition, publisher, department, cover) in the bundled catalog, imported catalogs
+ * and, when enabled, Open Library
+ */
+
+/**
+ * Looks books up in the Open Library books API.
+ * Only used when localStorage 'bookswap_isbn_lookup' is 'openlibrary', because it
+ * sends the ISBN to a third-party service.
+ */
+class OpenLibraryAdapter {
+    constructor(baseUrl = 'https://openlibrary.org') {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+    }
+    
+    /**
+     * Look up a book by ISBN-13
+     * @param {string} isbn13 - Normalized ISBN-13
+     * @returns {Promise<Object|null>} Catalog entry, or null if Open Library doesn't know the book
+     */
+    async lookup(isbn13) {
+        const key = `ISBN:${isbn13}`;
+        const response = await fetch(`${this.baseUrl}/api/books?bibkeys=${key}&format=json&jscmd=data`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const book = (await response.json())[key];
+        if (!book) return null;
+        
+        const year = (book.publish_date || '').match(/\d{4}/);
+        
+        return {
+            isbn13: isbn13,
+            title: book.subtitle ? `${book.title}: ${book.subtitle}` : book.title,
+            authors: (book.authors || []).map(author => author.name),
+            edition: book.edition_name || '',
+            publisher: book.publishers && book.publishers[0] ? book.publishers[0].name : '',
+            year: year ? Number(year[0]) : null,
+            department: '',
+            coverUrl: book.cover ? (book.cover.large || book.cover.medium) : null
+        };
+    }
+}
+
+class BookCatalog {
+    constructor(url = 'data/book-catalog.json', store = window.dataStore) {
+        this.url = url;
+        this.store = store;
+        this.books = new Map();
+        this.onlineAdapter = localStorage.getItem('bookswap_isbn_lookup') === 'openlibrary' ? new OpenLibraryAdapter() : null;
+        this.onlineCache = new Map();
+        this.ready = this.load();
+    }
+    
+    /**
+     * Fetch the bundled catalog file
+     * @returns {Promise<BookCatalog>} Resolves once lookups can run, even if the fetch failed
+     */
+    async load() {
+        try {
+            const response = await fetch(this.url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            this.addBooks((await response.json()).books);
+        } catch (error) {
+            console.warn('Could not load the book catalog, only imported books can be looked up:', error.message);
+        }
+        
+        return this;
+    }
+    
+    /**
+     * Strip spaces and hyphens from an ISBN
+     * @param {string} isbn - ISBN as typed (e.g. "978-0-262-03384-8")
+     * @returns {string} Digits, with a trailing X kept for ISBN-10
+     */
+    normalize(isbn) {
+        return String(isbn || '').replace(/[\s-]/g, '').toUpperCase();
+    }
+    
+    /**
+     * Check an ISBN-10 checksum
+     * @param {string} isbn - Normalized ISBN
+     * @returns {boolean} True if valid
+     */
+    isValidIsbn10(isbn) {
+        if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+        
+        const sum = isbn.split('').reduce((total, char, i) => total + (char === 'X' ? 10 : Number(char)) * (10 - i), 0);
+        return sum % 11 === 0;
+    }
+    
+    /**
+     * Check an ISBN-13 checksum
+     * @param {string} isbn - Normalized ISBN
+     * @returns {boolean} True if valid
+     */
+    isValidIsbn13(isbn) {
+        if (!/^97[89]\d{10}$/.test(isbn)) return false;
+        
+        const sum = isbn.split('').reduce((total, char, i) => total + Number(char) * (i % 2 === 0 ? 1 : 3), 0);
+        return sum % 10 === 0;
+    }
+    
+    /**
+     * Check whether an ISBN-10 or ISBN-13 is valid
+     * @param {string} isbn - ISBN, with or without hyphens
+     * @returns {boolean} True if valid
+     */
+    isValid(isbn) {
+        const normalized = this.normalize(isbn);
+        return this.isValidIsbn10(normalized) || this.isValidIsbn13(normalized);
+    }
+    
+    /**
+     * Convert an ISBN to ISBN-13
+     * @param {string} isbn - ISBN-10 or ISBN-13
+     * @returns {string|null} ISBN-13, or null if the ISBN isn't valid
+     */
+    toIsbn13(isbn) {
+        const normalized = this.normalize(isbn);
+        if (this.isValidIsbn13(normalized)) return normalized;
+        if (!this.isValidIsbn10(normalized)) return null;
+        
+        const body = '978' + normalized.slice(0, 9);
+        const sum = body.split('').reduce((total, char, i) => total + Number(char) * (i % 2 === 0 ? 1 : 3), 0);
+        return body + ((10 - (sum % 10)) % 10);
+    }
+    
+    /**
+     * Convert an ISBN to ISBN-10. Only 978-prefixed ISBN-13s have an ISBN-10.
+     * @param {string} isbn - ISBN-10 or ISBN-13
+     * @returns {string|null} ISBN-10, or null if there isn't one
+     */
+    toIsbn10(isbn) {
+        const normalized = this.normalize(isbn);
+        if (this.isValidIsbn10(normalized)) return normalized;
+        if (!this.isValidIsbn13(normalized) || !normalized.startsWith('978')) return null;
+        
+        const body = normalized.slice(3, 12);
+        const sum = body.split('').reduce((total, char, i) => total + Number(char) * (10 - i), 0);
+        const check = (11 - (sum % 11)) % 11;
+        return body + (check === 10 ? 'X' : String(check));
+    }
+    
+    /**
+     * Look up a book
+     * @param {string} isbn - ISBN-10 or ISBN-13
+     * @returns {Promise<Object>} { ok: true, book, source } or { ok: false, reason, message }
+     */
+    async lookup(isbn) {
+        const isbn13 = this.toIsbn13(isbn);
+        if (!isbn13) {
+            return { ok: false, reason: 'invalid', message: 'That ISBN isn\'t valid. Please check the digits and try again.' };
+        }
+        
+        await this.ready;
+        
+        // Imported books replace bundled entries for the same ISBN
+        const imported = (this.store.getDocument('bookCatalog') || {})[isbn13];
+        if (imported) return { ok: true, book: imported, source: 'imported' };
+        
+        if (this.books.has(isbn13)) return { ok: true, book: this.books.get(isbn13), source: 'catalog' };
+        
+        if (this.onlineAdapter) {
+            try {
+                if (!this.onlineCache.has(isbn13)) {
+                    const found = await this.onlineAdapter.lookup(isbn13);
+                    this.onlineCache.set(isbn13, found ? this.toEntry(found) : null);
+                }
+                
+                const book = this.onlineCache.get(isbn13);
+                if (book) return { ok: true, book, source: 'openlibrary' };
+            } catch (error) {
+                console.warn('Open Library lookup failed:', error.message);
+            }
+        }
+        
+        return { ok: false, reason: 'not_found', message: 'We couldn\'t find that ISBN in the catalog. Please fill in the book details yourself.' };
+    }
+    
+    /**
+     * Import books from a catalog file (same format as data/book-catalog.json).
+     * Imported books are kept in the data store and survive reloads.
+     * @param {string|Object|Array} source - JSON text, { books: [...] } or an array of books
+     * @returns {Object} { ok: true, imported, skipped } or { ok: false, message }
+     */
+    importCatalog(source) {
+        let books;
+        try {
+            const parsed = typeof source === 'string' ? JSON.parse(source) : source;
+            books = Array.isArray(parsed) ? parsed : parsed.books;
+        } catch (error) {
+            return { ok: false, message: 'The catalog file is not valid JSON.' };
+        }
+        
+        if (!Array.isArray(books)) {
+            return { ok: false, message: 'The catalog file must contain a "books" list.' };
+        }
+        
+        const stored = this.store.getDocument('bookCatalog') || {};
+        let imported = 0;
+        
+        books.forEach(book => {
+            const entry = this.toEntry(book);
+            if (entry) {
+                stored[entry.isbn13] = entry;
+                imported++;
+            }
+        });
+        
+        this.store.setDocument('bookCatalog', stored);
+        return { ok: true, imported, skipped: books.length - imported };
+    }
+    
+    /**
+     * Add bundled books to the in-memory index
+     * @param {Array} books - Catalog entries
+     */
+    addBooks(books) {
+        (books || []).forEach(book => {
+            const entry = this.toEntry(book);
+            if (entry) {
+                this.books.set(entry.isbn13, entry);
+            } else {
+                console.warn('Skipping catalog entry with an invalid ISBN:', book && (book.isbn13 || book.isbn10 || book.isbn));
+            }
+        });
+    }
+    
+    /**
+     * Clean up a catalog entry and fill in both ISBN forms
+     * @param {Object} book - Raw entry ({ isbn13 | isbn10 | isbn, title, authors, ... })
+     * @returns {Object|null} Entry, or null if it has no valid ISBN or title
+     */
+    toEntry(book) {
+        if (!book || !book.title) return null;
+        
+        const isbn13 = this.toIsbn13(book.isbn13 || book.isbn10 || book.isbn);
+        if (!isbn13) return null;
+        
+        const authors = Array.isArray(book.authors) ? book.authors : String(book.authors || book.author || '').split(/\s*[,;]\s*/);
+        
+        return {
+            isbn13: isbn13,
+            isbn10: this.toIsbn10(isbn13),
+            title: String(book.title).trim(),
+            authors: authors.filter(Boolean),
+            edition: book.edition || '',
+            publisher: book.publisher || '',
+            year: book.year || null,
+            department: book.department || '',
+            coverUrl: book.coverUrl || null
+        };
+    }
+}
+
+// Create the shared catalog
+window.bookCatalog = new BookCatalog();
+window.BookCatalog = BookCatalog;
+window.OpenLibraryAdapter = OpenLibraryAdapter;
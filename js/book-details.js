@@ -0,0 +1,201 @@
+/**
+ * Book Details Module for Campus BookSwap
+ * Handles book-details.html?id=<listingId>: fills the page with the listing,
+ * including its photo gallery and the edited and price-change markers. Without an id the page keeps
+ * its sample content.
+ */
+
+class BookDetailsPage {
+    constructor() {
+        this.listingId = new URLSearchParams(window.location.search).get('id');
+        this.listingTypes = {
+            sale: 'For Sale',
+            swap: 'For Swap',
+            both: 'Sale or Swap'
+        };
+        
+        if (this.listingId) {
+            window.dataStore.ready.then(() => this.render());
+        }
+    }
+    
+    /**
+     * Fill the page with the listing
+     */
+    render() {
+        const listing = window.dataStore.getById('listings', this.listingId);
+        if (!listing || listing.hidden || listing.status === 'withdrawn') {
+            this.showUnavailable();
+            return;
+        }
+        
+        document.title = `${listing.title} - BookSwap`;
+        document.querySelector('.breadcrumbs span').textContent = listing.title;
+        document.querySelector('.book-info .book-title').textContent = listing.title;
+        document.querySelector('.book-info .book-author').textContent = `by ${listing.author}`;
+        
+        this.renderMeta(listing);
+        this.renderPrice(listing);
+        this.renderImages(listing);
+        this.renderSeller(listing);
+        this.renderDetailsTab(listing);
+        
+        document.querySelector('.book-description').innerHTML = `<p>${escapeHtml(listing.description || '')}</p>`;
+        
+        // Point the rating widgets at this listing and its seller
+        document.querySelectorAll('[data-type="book"]').forEach(element => {
+            element.dataset.id = listing.id;
+        });
+        document.querySelectorAll('[data-type="seller"]').forEach(element => {
+            element.dataset.id = listing.userId;
+        });
+    }
+    
+    /**
+     * Fill the edition, publisher, course, department, condition and format boxes
+     * @param {Object} listing - Listing
+     */
+    renderMeta(listing) {
+        const values = {
+            'Edition': listing.edition,
+            'Publisher': listing.publisher,
+            'Course Code': listing.courseCode,
+            'Department': this.formatOption(listing.department),
+            'Condition': this.formatOption(listing.condition),
+            'Format': this.formatOption(listing.format)
+        };
+        
+        document.querySelectorAll('.book-meta-item').forEach(item => {
+            const label = item.querySelector('.book-meta-label').textContent.trim();
+            if (label in values) {
+                item.querySelector('.book-meta-value').textContent = values[label] || 'N/A';
+            }
+        });
+    }
+    
+    /**
+     * Show the price, the earlier price if the seller changed it, and the listing type
+     * @param {Object} listing - Listing
+     */
+    renderPrice(listing) {
+        const markers = window.listingHistory.getMarkers(listing);
+        const priceElement = document.querySelector('.book-price');
+        const originalPriceElement = document.querySelector('.book-original-price');
+        
+        priceElement.textContent = listing.listingType === 'swap' ? 'For Swap' : `$${listing.price}`;
+        
+        if (markers.priceChange && listing.listingType !== 'swap') {
+            originalPriceElement.textContent = `$${markers.priceChange.from}`;
+            originalPriceElement.title = `Price changed on ${new Date(listing.priceChangedAt).toLocaleDateString()}`;
+        } else {
+            originalPriceElement.remove();
+        }
+        
+        document.querySelector('.book-price-container').insertAdjacentHTML('afterend',
+            window.listingHistory.getMarkersHTML(listing) + window.listingLifecycle.getAvailabilityHTML(listing));
+        
+        const type = listing.listingType || 'sale';
+        const typeElement = document.querySelector('.book-listing-type');
+        typeElement.className = `book-listing-type ${type}`;
+        typeElement.textContent = this.listingTypes[type] || this.listingTypes.sale;
+        
+        // Swaps are arranged by message, not paid for, and only active listings can be bought
+        if (type === 'swap' || window.listingLifecycle.getState(listing) !== 'active') {
+            const buyButton = document.getElementById('buy-now-btn');
+            if (buyButton) buyButton.remove();
+        }
+    }
+    
+    /**
+     * Show the listing photos in a gallery
+     * @param {Object} listing - Listing
+     */
+    renderImages(listing) {
+        let photos = window.listingPhotos.getPhotos(listing);
+        
+        // Listings without photos show the catalog cover
+        if (photos.length === 0 && listing.imageUrl) {
+            photos = [{ imageId: null, imageUrl: listing.imageUrl }];
+        }
+        
+        this.gallery = new ListingPhotoGallery(document.getElementById('book-gallery'), photos, listing.title);
+    }
+    
+    /**
+     * Show who is selling the book
+     * @param {Object} listing - Listing
+     */
+    renderSeller(listing) {
+        const seller = window.dataStore.getById('users', listing.userId) || {};
+        const sellerName = listing.userName || seller.name || 'Unknown Seller';
+        
+        document.querySelector('.seller-name').textContent = sellerName;
+        document.querySelector('.seller-department').textContent = seller.department || seller.university || '';
+        document.querySelector('.message-title').textContent = `Message to ${sellerName}`;
+        
+        const avatar = document.querySelector('.seller-avatar');
+        if (seller.profilePicture) {
+            avatar.src = seller.profilePicture;
+        }
+    }
+    
+    /**
+     * Fill the Details tab, including the price history
+     * @param {Object} listing - Listing
+     */
+    renderDetailsTab(listing) {
+        const items = [
+            ['ISBN', listing.isbn || 'N/A'],
+            ['Edition', listing.edition || 'N/A'],
+            ['Publisher', listing.publisher || 'N/A'],
+            ['Listed On', new Date(listing.dateAdded || Date.now()).toLocaleDateString()]
+        ];
+        
+        if (listing.editedAt) {
+            items.push(['Last Edited', new Date(listing.editedAt).toLocaleDateString()]);
+        }
+        
+        const priceChanges = window.listingHistory.getRevisions(listing)
+            .map(revision => ({ revision, change: revision.changes.find(change => change.field === 'price') }))
+            .filter(entry => entry.change);
+        
+        if (priceChanges.length > 0) {
+            items.push(['Price History', priceChanges
+                .map(({ revision, change }) => `${new Date(revision.revisedAt).toLocaleDateString()}: $${change.from} → $${change.to}`)]);
+        }
+        
+        document.querySelector('#details-tab .details-grid').innerHTML = items.map(([label, value]) => `
+            <div class="details-item">
+                <h3>${label}</h3>
+                <p>${Array.isArray(value) ? value.map(escapeHtml).join('<br>') : escapeHtml(value)}</p>
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * Tell the visitor the listing can't be shown
+     */
+    showUnavailable() {
+        document.querySelector('.book-details-container').innerHTML = `
+            <div class="book-unavailable">
+                <h2>This listing is no longer available</h2>
+                <p>It may have been sold or removed by the seller. <a href="browse.html">Browse other books</a></p>
+            </div>
+        `;
+        
+        const tabs = document.querySelector('.book-tabs');
+        if (tabs) tabs.remove();
+    }
+    
+    /**
+     * Turn a form option value into a label (e.g. "computer-science" → "Computer Science")
+     * @param {string} value - Option value
+     * @returns {string} Label
+     */
+    formatOption(value) {
+        return (value || '').split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    }
+}
+
+// Fill the page as soon as stored listings are available
+window.bookDetailsPage = new BookDetailsPage();
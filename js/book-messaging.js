@@ -10,12 +10,11 @@ class BookMessaging {
     }
     
     /**
-     * Get current user from localStorage
+     * Get current user from the session
      * @returns {Object|null} User data or null if not logged in
      */
     getCurrentUser() {
-        const userJson = localStorage.getItem('currentUser');
-        return userJson ? JSON.parse(userJson) : null;
+        return window.sessionManager.getCurrentUser();
     }
     
     /**
@@ -292,15 +291,12 @@ class BookMessaging {
      * @param {string} messageText - Message text
      */
     createOrUpdateConversation(bookId, bookTitle, sellerId, sellerName, messageText) {
-        // Load existing conversations
-        let conversations = JSON.parse(localStorage.getItem('bookswap_conversations')) || [];
-        
         // Check if a conversation already exists for this book and seller
-        let conversation = conversations.find(c => 
+        const conversation = window.dataStore.find('conversations', c => 
             c.bookId === bookId && 
             c.participants.some(p => p.id === sellerId) &&
             c.participants.some(p => p.id === this.currentUser.id)
-        );
+        )[0];
         
         if (conversation) {
             // Add message to existing conversation
@@ -311,6 +307,7 @@ class BookMessaging {
                 timestamp: new Date().toISOString(),
                 read: false
             });
+            window.dataStore.update('conversations', conversation.id, { messages: conversation.messages });
         } else {
             // Create new conversation
             const newConversation = {
@@ -339,12 +336,9 @@ class BookMessaging {
                 ]
             };
             
-            conversations.push(newConversation);
+            window.dataStore.create('conversations', newConversation);
         }
         
-        // Save conversations to localStorage
-        localStorage.setItem('bookswap_conversations', JSON.stringify(conversations));
-        
         // Redirect to dashboard messages tab
         window.location.href = 'dashboard.html#messages';
     }
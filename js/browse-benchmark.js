@@ -0,0 +1,307 @@
+/**
+ * Browse Benchmark Module for Campus BookSwap
+ * Handles the browse page benchmark: opening browse.html?benchmark=10000 swaps
+ * the data store for an in-memory one filled with generated listings, then
+ * times searching as you type, filtering, sorting and paging, and shows the
+ * results on the page. Nothing is written to the browser's real storage.
+ */
+
+/**
+ * Size of the generated fixture, how long one interaction may take and how
+ * long building the search index may take (it happens once, while the page is
+ * idle). The seed makes every run generate the same listings.
+ */
+const BOOKSWAP_BENCHMARK_SETTINGS = {
+    defaultCount: 10000,
+    maxCount: 50000,
+    seed: 20240101,
+    budgetMs: 100,
+    indexBudgetMs: 1000,
+    typedQueries: ['introduction to algorithms', 'organic chemistry', 'CS201'],
+    typoQueries: ['algoritms', 'calculsu', 'stewrt', 'phsyics']
+};
+
+/**
+ * Words the fixture's listings are made from
+ */
+const BOOKSWAP_BENCHMARK_WORDS = {
+    subjects: [
+        ['computer-science', 'CS', ['Algorithms', 'Data Structures', 'Operating Systems', 'Computer Networks', 'Databases', 'Compilers', 'Machine Learning', 'Programming in C']],
+        ['mathematics', 'MATH', ['Calculus', 'Linear Algebra', 'Discrete Mathematics', 'Probability', 'Statistics', 'Differential Equations', 'Number Theory']],
+        ['physics', 'PHYS', ['Physics', 'Classical Mechanics', 'Electromagnetism', 'Quantum Mechanics', 'Thermodynamics', 'Optics']],
+        ['chemistry', 'CHEM', ['Organic Chemistry', 'Inorganic Chemistry', 'Physical Chemistry', 'Biochemistry', 'Analytical Chemistry']],
+        ['biology', 'BIO', ['Biology', 'Cell Biology', 'Genetics', 'Ecology', 'Microbiology', 'Anatomy']],
+        ['business', 'BUS', ['Accounting', 'Marketing', 'Microeconomics', 'Macroeconomics', 'Corporate Finance', 'Management']],
+        ['engineering', 'ENG', ['Statics', 'Circuit Analysis', 'Fluid Mechanics', 'Signals and Systems', 'Materials Science']],
+        ['psychology', 'PSY', ['Psychology', 'Cognitive Psychology', 'Social Psychology', 'Developmental Psychology']],
+        ['literature', 'LIT', ['World Literature', 'Poetry', 'The Novel', 'Shakespeare', 'Literary Theory']],
+        ['history', 'HIST', ['World History', 'Modern Europe', 'American History', 'Ancient Civilizations']]
+    ],
+    prefixes: ['Introduction to', 'Fundamentals of', 'Principles of', 'Essentials of', 'Advanced', 'Applied', '', '', ''],
+    firstNames: ['James', 'Thomas', 'Maria', 'David', 'Linda', 'Robert', 'Susan', 'Michael', 'Karen', 'Paul', 'Ana', 'Wei', 'Priya', 'Kenji'],
+    lastNames: ['Stewart', 'Cormen', 'Halliday', 'Campbell', 'Kotler', 'Smith', 'Nguyen', 'Garcia', 'Patel', 'Mankiw', 'Griffiths', 'Strang', 'Rosen', 'Tanenbaum'],
+    publishers: ['Pearson', 'McGraw Hill', 'Wiley', 'Cengage', 'MIT Press', 'Oxford University Press', 'Springer', "O'Reilly"],
+    notes: ['Some highlighting in the first chapters.', 'Barely used, no notes.', 'Includes the access code.', 'Cover is a little worn.', 'Great for exam revision.', 'Spine is creased but all pages are intact.'],
+    conditions: ['new', 'like-new', 'excellent', 'good', 'good', 'fair', 'poor'],
+    formats: ['physical', 'physical', 'physical', 'digital'],
+    listingTypes: ['sale', 'sale', 'sale', 'swap', 'both'],
+    semesters: ['fall-2023', 'spring-2024', 'summer-2024', 'fall-2024']
+};
+
+/**
+ * Stores collections in memory, in place of localStorage
+ */
+class MemoryStorageAdapter {
+    constructor() {
+        this.values = new Map();
+    }
+    
+    /**
+     * Read a stored value
+     * @param {string} key - Storage key
+     * @returns {*} Stored value or null if missing
+     */
+    read(key) {
+        return this.values.has(key) ? JSON.parse(this.values.get(key)) : null;
+    }
+    
+    /**
+     * Store a value
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     */
+    write(key, value) {
+        this.values.set(key, JSON.stringify(value));
+    }
+    
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     */
+    remove(key) {
+        this.values.delete(key);
+    }
+}
+
+class BrowseBenchmark {
+    constructor(settings = BOOKSWAP_BENCHMARK_SETTINGS, words = BOOKSWAP_BENCHMARK_WORDS) {
+        this.settings = settings;
+        this.words = words;
+    }
+    
+    /**
+     * Make a random number generator that gives the same numbers for the same seed
+     * @param {number} seed - Seed
+     * @returns {Function} Returns a number from 0 (inclusive) to 1 (exclusive) on each call
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            // Mulberry32
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    /**
+     * Generate listings that look like real ones
+     * @param {number} count - Number of listings
+     * @returns {Array<Object>} Listings
+     */
+    generateListings(count) {
+        const random = this.createRandom(this.settings.seed);
+        const pick = list => list[Math.floor(random() * list.length)];
+        const words = this.words;
+        const now = Date.now();
+        const listings = [];
+        
+        for (let i = 0; i < count; i++) {
+            const [department, coursePrefix, topics] = pick(words.subjects);
+            const topic = pick(topics);
+            const prefix = pick(words.prefixes);
+            const edition = 1 + Math.floor(random() * 10);
+            const listingType = pick(words.listingTypes);
+            const statusRoll = random();
+            
+            // ISBN-13 with a valid check digit
+            const body = '978' + String(Math.floor(random() * 1e9)).padStart(9, '0');
+            const sum = body.split('').reduce((total, char, index) => total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+            
+            listings.push({
+                id: `bench_${i}`,
+                userId: `bench_user_${Math.floor(random() * 500)}`,
+                userName: `${pick(words.firstNames)} ${pick(words.lastNames)}`,
+                title: `${prefix ? `${prefix} ` : ''}${topic}`,
+                author: `${pick(words.firstNames)} ${pick(words.lastNames)}`,
+                isbn: body + ((10 - (sum % 10)) % 10),
+                edition: `${edition}${['st', 'nd', 'rd'][edition - 1] || 'th'} Edition`,
+                publisher: pick(words.publishers),
+                courseCode: `${coursePrefix} ${100 + Math.floor(random() * 400)}`,
+                department: department,
+                semester: random() < 0.5 ? pick(words.semesters) : '',
+                condition: pick(words.conditions),
+                format: pick(words.formats),
+                listingType: listingType,
+                price: listingType === 'swap' ? '' : String(5 + Math.floor(random() * 145)),
+                swapFor: listingType === 'sale' ? '' : `Any ${pick(topics)} book`,
+                description: `${pick(words.notes)} ${pick(words.notes)}`,
+                status: statusRoll < 0.9 ? 'active' : statusRoll < 0.95 ? 'reserved' : 'expired',
+                dateAdded: new Date(now - Math.floor(random() * 365 * 24 * 60 * 60 * 1000)).toISOString(),
+                expiresAt: new Date(now + 30 * 24 * 60 * 60 * 1000).toISOString()
+            });
+        }
+        
+        return listings;
+    }
+    
+    /**
+     * Create a data store that keeps everything in memory and holds the generated listings
+     * @param {number} count - Number of listings
+     * @returns {DataStore} Data store
+     */
+    createStore(count) {
+        const store = new DataStore(new MemoryStorageAdapter());
+        store.replaceAll('listings', this.generateListings(count));
+        return store;
+    }
+    
+    /**
+     * Time one interaction
+     * @param {Array} results - Results to add the timing to
+     * @param {string} name - What was done
+     * @param {Function} action - Does it
+     * @param {number} budgetMs - How long it may take
+     */
+    measure(results, name, action, budgetMs = this.settings.budgetMs) {
+        const start = performance.now();
+        action();
+        const ms = performance.now() - start;
+        results.push({ name, ms: Math.round(ms * 10) / 10, budgetMs, withinBudget: ms <= budgetMs });
+    }
+    
+    /**
+     * Run the benchmark against the browse page
+     * @param {BrowseManager} browse - Browse page with the fixture loaded
+     * @returns {Array} [{ name, ms, withinBudget }]
+     */
+    run(browse) {
+        const results = [];
+        const searchInput = document.querySelector('.search-bar input');
+        const search = text => {
+            if (searchInput) searchInput.value = text;
+            browse.currentSearchTerm = text.trim().toLowerCase();
+            browse.currentPage = 1;
+            browse.applySearchAndFilters({ history: 'none' });
+        };
+        
+        // The page may have built its index already, so time building another one
+        this.measure(results, 'Build the search index', () => {
+            new SearchIndex(BOOKSWAP_SEARCH_FIELDS.listings).sync(window.listingSearch.getRecords());
+        }, this.settings.indexBudgetMs);
+        window.listingSearch.getIndex();
+        this.measure(results, 'Show all listings', () => search(''));
+        
+        // Each keystroke of a query, as the debounced search would run it for a fast typist
+        this.settings.typedQueries.forEach(query => {
+            for (let length = 1; length <= query.length; length++) {
+                this.measure(results, `Type "${query.slice(0, length)}"`, () => search(query.slice(0, length)));
+            }
+        });
+        
+        this.settings.typoQueries.forEach(query => {
+            this.measure(results, `Search with a typo: "${query}"`, () => search(query));
+        });
+        
+        search('');
+        const setFilter = (id, value) => {
+            const element = document.getElementById(id);
+            if (element) element.value = value;
+            browse.currentPage = 1;
+            browse.applySearchAndFilters({ history: 'none' });
+        };
+        this.measure(results, 'Filter by department', () => setFilter('department', 'computer-science'));
+        this.measure(results, 'Filter by condition', () => setFilter('condition', 'good'));
+        this.measure(results, 'Filter by listing type', () => setFilter('listing-type', 'sale'));
+        
+        const sortSelect = document.getElementById('sort-by');
+        ['price-low', 'title', 'newest'].forEach(option => {
+            this.measure(results, `Sort by ${option}`, () => {
+                if (sortSelect) sortSelect.value = option;
+                browse.sortListings(option);
+            });
+        });
+        
+        [2, 3, browse.getPageCount()].forEach(page => {
+            this.measure(results, `Go to page ${page}`, () => {
+                browse.currentPage = page;
+                browse.displayListings();
+            });
+        });
+        
+        return results;
+    }
+    
+    /**
+     * Show the timings in a panel on the page and in the console
+     * @param {Array} results - Results from run()
+     * @param {number} count - Number of listings
+     */
+    showResults(results, count) {
+        console.table(results);
+        
+        const slowest = results.reduce((max, result) => result.ms > max.ms ? result : max, results[0]);
+        const failed = results.filter(result => !result.withinBudget);
+        
+        const panel = document.createElement('div');
+        panel.className = 'benchmark-results';
+        panel.innerHTML = `
+            <h3>Browse benchmark: ${count.toLocaleString()} listings</h3>
+            <p class="${failed.length === 0 ? 'benchmark-pass' : 'benchmark-fail'}">
+                ${failed.length === 0
+                    ? `Every step finished within its budget: ${this.settings.budgetMs} ms for an interaction, ${this.settings.indexBudgetMs} ms to build the search index.`
+                    : `${failed.length} of ${results.length} steps went over budget.`}
+                Slowest: ${slowest.name} (${slowest.ms} ms).
+            </p>
+            <details>
+                <summary>All timings</summary>
+                <table>
+                    ${results.map(result => `
+                        <tr class="${result.withinBudget ? '' : 'benchmark-fail'}">
+                            <td>${result.name.replace(/</g, '&lt;')}</td>
+                            <td>${result.ms} ms</td>
+                            <td>of ${result.budgetMs} ms</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </details>
+            <button type="button" class="btn">Close</button>
+        `;
+        
+        panel.querySelector('button').addEventListener('click', () => panel.remove());
+        document.body.appendChild(panel);
+    }
+}
+
+window.BrowseBenchmark = BrowseBenchmark;
+window.MemoryStorageAdapter = MemoryStorageAdapter;
+
+// browse.html?benchmark=<count> replaces the data store before any other module uses it
+(() => {
+    const requested = new URLSearchParams(window.location.search).get('benchmark');
+    if (requested === null) return;
+    
+    const benchmark = new BrowseBenchmark();
+    const count = Math.min(parseInt(requested, 10) || benchmark.settings.defaultCount, benchmark.settings.maxCount);
+    window.dataStore = benchmark.createStore(count);
+    
+    // Run once the browse page has shown the fixture
+    window.addEventListener('load', () => {
+        setTimeout(() => {
+            if (!window.browseManager) return;
+            benchmark.showResults(benchmark.run(window.browseManager), count);
+        }, 0);
+    });
+})();
@@ -3,13 +3,48 @@
  * Handles loading, displaying, filtering, and sorting book listings
  */
 
+/**
+ * Filters on the browse page: the form control each one is read from and the
+ * query string parameter that keeps it in the page address. Facet filters
+ * show how many books each of their options would find.
+ */
+const BOOKSWAP_BROWSE_FILTERS = {
+    department: { element: 'department', param: 'department', facet: true },
+    semester: { element: 'semester', param: 'semester', facet: true },
+    condition: { element: 'condition', param: 'condition', facet: true },
+    format: { element: 'format', param: 'format', facet: true },
+    listingType: { element: 'listing-type', param: 'type', facet: true },
+    priceMin: { element: 'price-min', param: 'min' },
+    priceMax: { element: 'price-max', param: 'max' },
+    showUnavailable: { element: 'show-unavailable', param: 'unavailable', checkbox: true }
+};
+
+/**
+ * Results per page, the sort used when none is chosen, how long typing has to
+ * pause before the search runs, and how many built cards are kept for reuse
+ */
+const BOOKSWAP_BROWSE_SETTINGS = {
+    pageSize: 24,
+    defaultSort: 'relevance',
+    searchDelay: 300,
+    cardCacheSize: 240
+};
+
 class BrowseManager {
-    constructor() {
+    constructor(filters = BOOKSWAP_BROWSE_FILTERS, settings = BOOKSWAP_BROWSE_SETTINGS) {
+        this.filters = filters;
+        this.settings = settings;
         this.allListings = [];
         this.filteredListings = [];
         this.currentSearchTerm = '';
+        this.searchScores = null;
+        this.currentPage = 1;
         this.booksGrid = document.querySelector('.books-grid');
         
+        // Cards already built, by listing id, and the listings the grid shows now
+        this.cards = new Map();
+        this.renderedPageKey = null;
+        
         // Initialize browse page
         this.initBrowsePage();
     }
@@ -18,8 +53,12 @@ class BrowseManager {
      * Initialize the browse page
      */
     initBrowsePage() {
-        // Load all book listings
-        this.loadAllListings();
+        // Load all book listings once storage is ready, then build the search
+        // index while the page is idle so the first search doesn't wait for it
+        window.dataStore.ready.then(() => {
+            this.loadAllListings();
+            this.prepareSearchIndex();
+        });
         
         // Set up search functionality
         this.setupSearch();
@@ -30,50 +69,114 @@ class BrowseManager {
         // Set up sort functionality
         this.setupSort();
         
+        // Let signed-in users save the current search
+        this.setupSaveSearch();
+        
+        // Restore the view from the page address, now and on Back and Forward
+        this.readUrlState();
+        window.addEventListener('popstate', () => {
+            this.readUrlState();
+            this.applySearchAndFilters({ history: 'none' });
+        });
+        
         // Check login status and update UI
         this.updateLoginStatus();
     }
     
     /**
-     * Load all book listings from localStorage
+     * Load book listings buyers may see from the data store, leaving out those hidden by a moderator.
+     * Reserved and expired listings are loaded but only shown when the filter asks for them.
+     * Bundles that can be bought are added as one entry each.
      */
     loadAllListings() {
-        // Get all listings from localStorage
-        this.allListings = JSON.parse(localStorage.getItem('bookListings')) || [];
+        const bundles = window.dataStore.findBy('bundles', 'status', 'active')
+            .filter(bundle => window.listingBundles.isAvailable(bundle))
+            .map(bundle => window.listingBundles.toBrowseItem(bundle));
         
-        // Filter out listings that are not active
-        this.allListings = this.allListings.filter(listing => listing.status === 'active');
+        this.allListings = ['active', 'reserved', 'expired']
+            .flatMap(status => window.dataStore.findBy('listings', 'status', status))
+            .filter(listing => !listing.hidden)
+            .concat(bundles);
         
-        // Set filtered listings to all listings initially
-        this.filteredListings = [...this.allListings];
+        // Cards show the data they were built from, so build them again
+        this.cards.clear();
+        this.renderedPageKey = null;
         
-        // Display the listings
-        this.displayListings();
+        // Apply the filters from the page address and display the listings
+        this.applySearchAndFilters({ history: 'replace' });
     }
     
     /**
-     * Display book listings in the grid
+     * Build the listing search index when the browser has nothing else to do
      */
-    displayListings() {
-        // Clear existing listings
-        if (this.booksGrid) {
-            this.booksGrid.innerHTML = '';
+    prepareSearchIndex() {
+        const build = () => window.listingSearch.getIndex();
+        if (window.requestIdleCallback) {
+            window.requestIdleCallback(build, { timeout: 2000 });
         } else {
+            setTimeout(build, 0);
+        }
+    }
+    
+    /**
+     * Display the current page of listings in the grid. Only that page is in
+     * the grid, however many listings match, and cards built earlier are reused.
+     */
+    displayListings() {
+        if (!this.booksGrid) {
             console.error('Books grid element not found');
             return;
         }
         
-        if (this.filteredListings.length === 0) {
+        // A page past the end (e.g. from an old link) shows the last page
+        this.currentPage = Math.min(this.currentPage, this.getPageCount());
+        this.renderPagination();
+        
+        const start = (this.currentPage - 1) * this.settings.pageSize;
+        const pageListings = this.filteredListings.slice(start, start + this.settings.pageSize);
+        
+        // Leave the grid alone when it already shows these listings in this order,
+        // e.g. when another letter typed doesn't change the first page
+        const pageKey = pageListings.map(listing => listing.id).join('|');
+        if (pageKey === this.renderedPageKey) return;
+        this.renderedPageKey = pageKey;
+        
+        // Clear existing listings
+        this.booksGrid.innerHTML = '';
+        
+        if (pageListings.length === 0) {
             // Show no results message
             this.showNoResultsMessage();
             return;
         }
         
-        // Create a card for each listing
-        this.filteredListings.forEach(listing => {
-            const bookCard = this.createBookCard(listing);
-            this.booksGrid.appendChild(bookCard);
+        // Add a card for each listing on the current page in one go
+        const fragment = document.createDocumentFragment();
+        pageListings.forEach(listing => {
+            fragment.appendChild(this.getBookCard(listing));
         });
+        this.booksGrid.appendChild(fragment);
+    }
+    
+    /**
+     * Get the card for a listing, building it the first time it is shown.
+     * Only the most recently built cards are kept.
+     * @param {Object} listing - Book listing data
+     * @returns {HTMLElement} Book card element
+     */
+    getBookCard(listing) {
+        let card = this.cards.get(listing.id);
+        if (card) return card;
+        
+        card = this.createBookCard(listing);
+        window.dataStore.loadImages(card);
+        
+        this.cards.set(listing.id, card);
+        if (this.cards.size > this.settings.cardCacheSize) {
+            this.cards.delete(this.cards.keys().next().value);
+        }
+        
+        return card;
     }
     
     /**
@@ -89,24 +192,30 @@ class BrowseManager {
         card.dataset.sellerName = listing.userName || 'Unknown Seller';
         card.dataset.sellerId = listing.userId || 'unknown';
         
+        if (listing.isBundle) {
+            return this.createBundleCard(card, listing);
+        }
+        
         // Format price
-        const price = listing['listing-type'] === 'swap' ? 'For Swap' : `$${listing.price}`;
+        const price = listing.listingType === 'swap' ? 'For Swap' : `$${escapeHtml(listing.price)}`;
         
         // Create card HTML
         card.innerHTML = `
             <div class="book-image">
-                <img src="${listing.imageUrl || 'https://via.placeholder.com/300x180?text=Book+Cover'}" alt="${listing.title}">
+                <img src="${escapeHtml(listing.imageUrl || 'https://via.placeholder.com/300x180?text=Book+Cover')}" alt="${escapeHtml(listing.title)}"${listing.imageId ? ` data-image-id="${escapeHtml(listing.imageId)}"` : ''}>
             </div>
             <div class="book-info">
-                <h3 class="book-title">${listing.title}</h3>
-                <p class="author">By ${listing.author}</p>
-                <p class="course">${listing['course-code'] || 'N/A'}</p>
+                <h3 class="book-title">${escapeHtml(listing.title)}</h3>
+                <p class="author">By ${escapeHtml(listing.author || 'Unknown author')}</p>
+                <p class="course">${escapeHtml(listing.courseCode || 'N/A')}</p>
                 <div class="book-meta">
                     <span class="price">${price}</span>
-                    <span class="condition">${listing.condition}</span>
+                    <span class="condition">${escapeHtml(listing.condition)}</span>
                 </div>
+                ${window.listingHistory.getMarkersHTML(listing)}
+                ${window.listingLifecycle.getAvailabilityHTML(listing)}
                 <div class="book-actions">
-                    <a href="#" class="btn view-btn" data-id="${listing.id}">View Details</a>
+                    <a href="#" class="btn view-btn" data-id="${escapeHtml(listing.id)}">View Details</a>
                     <a href="#" class="btn message-seller-btn">Message</a>
                 </div>
             </div>
@@ -122,6 +231,127 @@ class BrowseManager {
         return card;
     }
     
+    /**
+     * Fill in a card for a bundle of books sold together
+     * @param {HTMLElement} card - Card element
+     * @param {Object} item - Bundle entry from ListingBundles.toBrowseItem
+     * @returns {HTMLElement} Book card element
+     */
+    createBundleCard(card, item) {
+        card.classList.add('bundle-card');
+        const savings = item.separatePrice - parseFloat(item.price);
+        
+        card.innerHTML = `
+            <div class="book-image">
+                <span class="bundle-badge"><i class="fas fa-layer-group"></i> ${item.listings.length} books</span>
+                <img src="${escapeHtml(item.imageUrl || 'https://via.placeholder.com/300x180?text=Book+Bundle')}" alt="${escapeHtml(item.title)}"${item.imageId ? ` data-image-id="${escapeHtml(item.imageId)}"` : ''}>
+            </div>
+            <div class="book-info">
+                <h3 class="book-title">${escapeHtml(item.title)}</h3>
+                <p class="author">${escapeHtml(item.listings.map(listing => listing.title).join(', '))}</p>
+                <p class="course">${escapeHtml(item.courseCode || 'N/A')}</p>
+                <div class="book-meta">
+                    <span class="price">$${escapeHtml(item.price)}${savings > 0 ? ` <s class="previous-price">$${item.separatePrice.toFixed(2)}</s>` : ''}</span>
+                    <span class="condition">${escapeHtml(item.condition)} or better</span>
+                </div>
+                <div class="book-actions">
+                    <a href="#" class="btn view-btn" data-id="${escapeHtml(item.id)}">View Bundle</a>
+                    <a href="#" class="btn message-seller-btn">Message</a>
+                </div>
+            </div>
+        `;
+        
+        card.querySelector('.view-btn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showBundleDetails(item);
+        });
+        
+        return card;
+    }
+    
+    /**
+     * Show the books in a bundle in a modal, with a button to buy them all
+     * @param {Object} item - Bundle entry from ListingBundles.toBrowseItem
+     */
+    showBundleDetails(item) {
+        const currentUser = window.sessionManager.getCurrentUser();
+        const isSeller = currentUser && String(currentUser.id || currentUser.email) === String(item.userId);
+        
+        const modalContainer = document.createElement('div');
+        modalContainer.className = 'modal-container';
+        modalContainer.innerHTML = `
+            <div class="modal-content book-details" data-book-id="${escapeHtml(item.id)}" data-seller-name="${escapeHtml(item.userName || 'Unknown Seller')}" data-seller-id="${escapeHtml(item.userId)}">
+                <div class="modal-header">
+                    <h3 class="book-title">${escapeHtml(item.title)}</h3>
+                    <span class="close-modal">&times;</span>
+                </div>
+                <div class="modal-body">
+                    ${item.description ? `<p>${escapeHtml(item.description)}</p>` : ''}
+                    <table class="bundle-books">
+                        ${item.listings.map(listing => `
+                            <tr>
+                                <td><a href="book-details.html?id=${encodeURIComponent(listing.id)}">${escapeHtml(listing.title)}</a><br><small>By ${escapeHtml(listing.author)}${listing.courseCode ? ` &middot; ${escapeHtml(listing.courseCode)}` : ''}</small></td>
+                                <td>${escapeHtml(listing.condition)}</td>
+                                <td>$${escapeHtml(listing.price)}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                    <p><strong>Bundle price:</strong> $${escapeHtml(item.price)} <s class="previous-price">$${item.separatePrice.toFixed(2)}</s></p>
+                    <p><strong>Listed by:</strong> ${escapeHtml(item.userName || 'Unknown Seller')}</p>
+                </div>
+                <div class="modal-footer">
+                    ${isSeller ? '' : '<button class="btn buy-bundle-btn primary-button"><i class="fas fa-shopping-cart"></i> Buy Bundle</button>'}
+                    <button class="btn message-seller-btn secondary-button">Message Seller</button>
+                    <button class="btn close-details-btn secondary-button">Close</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modalContainer);
+        
+        const closeModal = () => {
+            document.body.removeChild(modalContainer);
+        };
+        
+        modalContainer.querySelector('.close-modal').addEventListener('click', closeModal);
+        modalContainer.querySelector('.close-details-btn').addEventListener('click', closeModal);
+        
+        const buyButton = modalContainer.querySelector('.buy-bundle-btn');
+        if (buyButton) {
+            buyButton.addEventListener('click', () => {
+                if (this.buyBundle(item)) closeModal();
+            });
+        }
+        
+        this.addModalStyles();
+    }
+    
+    /**
+     * Buy every book in a bundle for the current user
+     * @param {Object} item - Bundle entry from ListingBundles.toBrowseItem
+     * @returns {boolean} True if the bundle was bought
+     */
+    buyBundle(item) {
+        const currentUser = window.sessionManager.getCurrentUser();
+        if (!currentUser) {
+            alert('Please log in to buy this bundle.');
+            window.location.href = 'login.html';
+            return false;
+        }
+        
+        if (!confirm(`Buy all ${item.listings.length} books in "${item.title}" for $${item.price}?`)) return false;
+        
+        const result = window.listingBundles.purchase(item.id, currentUser);
+        if (!result.ok) {
+            alert(result.message);
+            this.loadAllListings();
+            return false;
+        }
+        
+        alert(`You bought "${item.title}". The seller will be in touch to arrange the handover, and the purchase is in your transactions.`);
+        this.loadAllListings();
+        return true;
+    }
+    
     /**
      * Show book details in a modal
      * @param {Object} listing - Book listing data
@@ -132,7 +362,15 @@ class BrowseManager {
         modalContainer.className = 'modal-container';
         
         // Format price
-        const price = listing['listing-type'] === 'swap' ? 'For Swap' : `$${listing.price}`;
+        const price = listing.listingType === 'swap' ? 'For Swap' : `$${escapeHtml(listing.price)}`;
+        
+        // Show buyers the earlier price if the seller changed it
+        const markers = window.listingHistory.getMarkers(listing);
+        const previousPrice = markers.priceChange && listing.listingType !== 'swap' ? ` <s class="previous-price">$${escapeHtml(markers.priceChange.from)}</s>` : '';
+        
+        // Signed-in users can report someone else's listing
+        const currentUser = window.sessionManager.getCurrentUser();
+        const canReport = currentUser && currentUser.id !== listing.userId && window.permissions.can('content.report');
         
         // Create modal content
         const modalContent = document.createElement('div');
@@ -144,29 +382,34 @@ class BrowseManager {
         // Create modal HTML
         modalContent.innerHTML = `
             <div class="modal-header">
-                <h3 class="book-title">${listing.title}</h3>
+                <h3 class="book-title">${escapeHtml(listing.title)}</h3>
                 <span class="close-modal">&times;</span>
             </div>
             <div class="modal-body">
+                ${window.listingHistory.getMarkersHTML(listing)}
+                ${window.listingLifecycle.getAvailabilityHTML(listing)}
                 <div class="book-details-grid">
                     <div class="book-image-large">
-                        <img src="${listing.imageUrl || 'https://via.placeholder.com/300x400?text=Book+Cover'}" alt="${listing.title}">
+                        <img src="${escapeHtml(listing.imageUrl || 'https://via.placeholder.com/300x400?text=Book+Cover')}" alt="${escapeHtml(listing.title)}"${listing.imageId ? ` data-image-id="${escapeHtml(listing.imageId)}"` : ''}>
                     </div>
                     <div class="book-details-info">
-                        <p><strong>Author:</strong> ${listing.author}</p>
-                        <p><strong>Course:</strong> ${listing['course-code'] || 'N/A'}</p>
-                        <p><strong>Department:</strong> ${listing.department || 'N/A'}</p>
-                        <p><strong>Condition:</strong> ${listing.condition}</p>
-                        <p><strong>Format:</strong> ${listing.format || 'N/A'}</p>
-                        <p><strong>Price:</strong> ${price}</p>
-                        <p><strong>Listed by:</strong> ${listing.userName || 'Unknown Seller'}</p>
+                        <p><strong>Author:</strong> ${escapeHtml(listing.author)}</p>
+                        <p><strong>Course:</strong> ${escapeHtml(listing.courseCode || 'N/A')}</p>
+                        <p><strong>Department:</strong> ${escapeHtml(listing.department || 'N/A')}</p>
+                        <p><strong>Condition:</strong> ${escapeHtml(listing.condition)}</p>
+                        <p><strong>Format:</strong> ${escapeHtml(listing.format || 'N/A')}</p>
+                        <p><strong>Price:</strong> ${price}${previousPrice}</p>
+                        <p><strong>Listed by:</strong> ${escapeHtml(listing.userName || 'Unknown Seller')}</p>
                         <p><strong>Date Listed:</strong> ${new Date(listing.dateAdded || Date.now()).toLocaleDateString()}</p>
-                        ${listing.description ? `<p><strong>Description:</strong> ${listing.description}</p>` : ''}
+                        ${markers.edited ? `<p><strong>Last Edited:</strong> ${new Date(markers.editedAt).toLocaleDateString()}</p>` : ''}
+                        ${listing.description ? `<p><strong>Description:</strong> ${escapeHtml(listing.description)}</p>` : ''}
                     </div>
                 </div>
             </div>
             <div class="modal-footer">
                 <button class="btn message-seller-btn primary-button">Message Seller</button>
+                <a href="book-details.html?id=${encodeURIComponent(listing.id)}" class="btn secondary-button">Full Details</a>
+                ${canReport ? '<button class="btn report-listing-btn secondary-button"><i class="far fa-flag"></i> Report</button>' : ''}
                 <button class="btn close-details-btn secondary-button">Close</button>
             </div>
         `;
@@ -186,112 +429,151 @@ class BrowseManager {
         // Close button in footer
         modalContainer.querySelector('.close-details-btn').addEventListener('click', closeModal);
         
+        // Report button
+        const reportButton = modalContainer.querySelector('.report-listing-btn');
+        if (reportButton) {
+            reportButton.addEventListener('click', () => {
+                window.moderation.promptReport('listing', { id: listing.id });
+            });
+        }
+        
         // Add modal styles if not already present
-        if (!document.getElementById('book-details-modal-styles')) {
-            const modalStyles = document.createElement('style');
-            modalStyles.id = 'book-details-modal-styles';
-            modalStyles.textContent = `
-                .modal-container {
-                    position: fixed;
-                    top: 0;
-                    left: 0;
-                    width: 100%;
-                    height: 100%;
-                    background-color: rgba(0, 0, 0, 0.5);
-                    display: flex;
-                    justify-content: center;
-                    align-items: center;
-                    z-index: 1000;
-                }
-                
-                .modal-content {
-                    background-color: white;
-                    border-radius: 10px;
-                    width: 90%;
-                    max-width: 800px;
-                    max-height: 90vh;
-                    overflow-y: auto;
-                    box-shadow: 0 5px 15px rgba(0, 0, 0, 0.3);
-                }
-                
-                .modal-header {
-                    padding: 15px 20px;
-                    border-bottom: 1px solid #ecf0f1;
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: center;
-                }
-                
-                .modal-header h3 {
-                    margin: 0;
-                    color: #2c3e50;
-                }
-                
-                .close-modal {
-                    font-size: 1.5rem;
-                    cursor: pointer;
-                    color: #7f8c8d;
-                }
-                
-                .modal-body {
-                    padding: 20px;
-                }
-                
+        this.addModalStyles();
+    }
+    
+    /**
+     * Add the styles shared by the listing and bundle modals
+     */
+    addModalStyles() {
+        if (document.getElementById('book-details-modal-styles')) return;
+        
+        const modalStyles = document.createElement('style');
+        modalStyles.id = 'book-details-modal-styles';
+        modalStyles.textContent = `
+            .modal-container {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background-color: rgba(0, 0, 0, 0.5);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 1000;
+            }
+            
+            .modal-content {
+                background-color: white;
+                border-radius: 10px;
+                width: 90%;
+                max-width: 800px;
+                max-height: 90vh;
+                overflow-y: auto;
+                box-shadow: 0 5px 15px rgba(0, 0, 0, 0.3);
+            }
+            
+            .modal-header {
+                padding: 15px 20px;
+                border-bottom: 1px solid #ecf0f1;
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+            }
+            
+            .modal-header h3 {
+                margin: 0;
+                color: #2c3e50;
+            }
+            
+            .close-modal {
+                font-size: 1.5rem;
+                cursor: pointer;
+                color: #7f8c8d;
+            }
+            
+            .modal-body {
+                padding: 20px;
+            }
+            
+            .book-details-grid {
+                display: grid;
+                grid-template-columns: 1fr 2fr;
+                gap: 20px;
+            }
+            
+            .book-image-large img {
+                width: 100%;
+                max-width: 300px;
+                border-radius: 5px;
+                box-shadow: 0 2px 5px rgba(0, 0, 0, 0.1);
+            }
+            
+            .book-details-info p {
+                margin: 10px 0;
+                line-height: 1.5;
+            }
+            
+            .previous-price {
+                color: #7f8c8d;
+                margin-left: 5px;
+            }
+            
+        .bundle-books {
+            width: 100%;
+            border-collapse: collapse;
+            margin-bottom: 15px;
+        }
+        
+        .bundle-books td {
+            padding: 8px;
+            border-bottom: 1px solid #ecf0f1;
+            vertical-align: top;
+        }
+        
+        .bundle-books a {
+            color: #3498db;
+            text-decoration: none;
+        }
+        
+            .modal-footer {
+                padding: 15px 20px;
+                border-top: 1px solid #ecf0f1;
+                display: flex;
+                justify-content: flex-end;
+                gap: 10px;
+            }
+            
+            .modal-footer button,
+            .modal-footer a {
+                padding: 8px 15px;
+                border: none;
+                border-radius: 5px;
+                cursor: pointer;
+                text-decoration: none;
+            }
+            
+            .primary-button {
+                background-color: #3498db;
+                color: white;
+            }
+            
+            .secondary-button {
+                background-color: #ecf0f1;
+                color: #2c3e50;
+            }
+            
+            @media (max-width: 768px) {
                 .book-details-grid {
-                    display: grid;
-                    grid-template-columns: 1fr 2fr;
-                    gap: 20px;
-                }
-                
-                .book-image-large img {
-                    width: 100%;
-                    max-width: 300px;
-                    border-radius: 5px;
-                    box-shadow: 0 2px 5px rgba(0, 0, 0, 0.1);
-                }
-                
-                .book-details-info p {
-                    margin: 10px 0;
-                    line-height: 1.5;
-                }
-                
-                .modal-footer {
-                    padding: 15px 20px;
-                    border-top: 1px solid #ecf0f1;
-                    display: flex;
-                    justify-content: flex-end;
-                    gap: 10px;
-                }
-                
-                .modal-footer button {
-                    padding: 8px 15px;
-                    border: none;
-                    border-radius: 5px;
-                    cursor: pointer;
-                }
-                
-                .primary-button {
-                    background-color: #3498db;
-                    color: white;
+                    grid-template-columns: 1fr;
                 }
                 
-                .secondary-button {
-                    background-color: #ecf0f1;
-                    color: #2c3e50;
+                .book-image-large {
+                    text-align: center;
                 }
-                
-                @media (max-width: 768px) {
-                    .book-details-grid {
-                        grid-template-columns: 1fr;
-                    }
-                    
-                    .book-image-large {
-                        text-align: center;
-                    }
-                }
-            `;
-            document.head.appendChild(modalStyles);
-        }
+            }
+        `;
+        document.head.appendChild(modalStyles);
     }
     
     /**
@@ -310,20 +592,7 @@ class BrowseManager {
         
         // Add event listener to clear filters button
         noResults.querySelector('button').addEventListener('click', () => {
-            // Reset search input
-            const searchInput = document.querySelector('.search-bar input');
-            if (searchInput) {
-                searchInput.value = '';
-                this.currentSearchTerm = '';
-            }
-            
-            // Reset filter form
-            const filterForm = document.querySelector('.filter-form');
-            if (filterForm) {
-                filterForm.reset();
-            }
-            
-            // Reset filters and display all listings
+            // Reset search, filters and sort, and display all listings
             this.resetFilters();
         });
     }
@@ -338,13 +607,15 @@ class BrowseManager {
         // Debounce function to limit how often the search is performed
         let debounceTimeout;
         
-        // Search on input change with debounce
+        // Search on input change with debounce. The address is replaced rather
+        // than added to the history for every keystroke.
         searchInput.addEventListener('input', () => {
             clearTimeout(debounceTimeout);
             debounceTimeout = setTimeout(() => {
                 this.currentSearchTerm = searchInput.value.trim().toLowerCase();
-                this.applySearchAndFilters();
-            }, 300); // 300ms debounce delay
+                this.currentPage = 1;
+                this.applySearchAndFilters({ history: 'replace' });
+            }, this.settings.searchDelay);
         });
         
         // Search on Enter key press (immediate)
@@ -353,6 +624,7 @@ class BrowseManager {
                 e.preventDefault();
                 clearTimeout(debounceTimeout);
                 this.currentSearchTerm = searchInput.value.trim().toLowerCase();
+                this.currentPage = 1;
                 this.applySearchAndFilters();
             }
         });
@@ -368,98 +640,233 @@ class BrowseManager {
         // Filter form submission
         filterForm.addEventListener('submit', (e) => {
             e.preventDefault();
+            this.currentPage = 1;
             this.applySearchAndFilters();
         });
         
+        // Lists and the checkbox apply as soon as they change, so the counts stay current
+        filterForm.querySelectorAll('select, input[type="checkbox"]').forEach(control => {
+            control.addEventListener('change', () => {
+                this.currentPage = 1;
+                this.applySearchAndFilters();
+            });
+        });
+        
         // Reset filters button
         const resetBtn = document.querySelector('.reset-btn');
         if (resetBtn) {
             resetBtn.addEventListener('click', () => {
-                filterForm.reset();
                 this.resetFilters();
             });
         }
     }
     
     /**
-     * Apply search and filters to listings
+     * Read the filter values from the filter form
+     * @returns {Object} Filter name -> value ('' when not set; true/false for checkboxes)
      */
-    applySearchAndFilters() {
-        // Get all filter values
-        const department = document.getElementById('department')?.value || '';
-        const semester = document.getElementById('semester')?.value || '';
-        const condition = document.getElementById('condition')?.value || '';
-        const format = document.getElementById('format')?.value || '';
-        const priceMin = document.getElementById('price-min')?.value ? parseFloat(document.getElementById('price-min').value) : 0;
-        const priceMax = document.getElementById('price-max')?.value ? parseFloat(document.getElementById('price-max').value) : Infinity;
-        const listingType = document.getElementById('listing-type')?.value || '';
-        
-        // Filter listings based on search term and filters
-        this.filteredListings = this.allListings.filter(listing => {
-            // Check search term match
-            const matchesSearch = this.currentSearchTerm === '' || 
-                listing.title.toLowerCase().includes(this.currentSearchTerm) || 
-                listing.author.toLowerCase().includes(this.currentSearchTerm) || 
-                (listing['course-code'] && listing['course-code'].toLowerCase().includes(this.currentSearchTerm));
-            
-            // Check department filter
-            let matchesDepartment = true;
-            if (department) {
-                matchesDepartment = listing.department === department;
-            }
-            
-            // Check semester filter (if implemented)
-            let matchesSemester = true;
-            if (semester && listing.semester) {
-                matchesSemester = listing.semester === semester;
-            }
-            
-            // Check condition filter
-            let matchesCondition = true;
-            if (condition) {
-                matchesCondition = listing.condition && listing.condition.toLowerCase().includes(condition.replace('-', ' ').toLowerCase());
+    getFilters() {
+        const filters = {};
+        Object.keys(this.filters).forEach(name => {
+            const filter = this.filters[name];
+            const element = document.getElementById(filter.element);
+            if (filter.checkbox) {
+                filters[name] = element ? element.checked : false;
+            } else {
+                filters[name] = element ? element.value.trim() : '';
             }
+        });
+        return filters;
+    }
+    
+    /**
+     * Put filter values into the filter form
+     * @param {Object} filters - Filter name -> value
+     */
+    setFilters(filters) {
+        Object.keys(this.filters).forEach(name => {
+            const filter = this.filters[name];
+            const element = document.getElementById(filter.element);
+            if (!element) return;
             
-            // Check format filter
-            let matchesFormat = true;
-            if (format) {
-                matchesFormat = listing.format === format;
+            if (filter.checkbox) {
+                element.checked = !!filters[name];
+            } else {
+                element.value = filters[name] || '';
             }
+        });
+    }
+    
+    /**
+     * Check a listing against one filter
+     * @param {Object} listing - Listing or bundle entry
+     * @param {string} name - Filter name
+     * @param {*} value - Filter value (not empty)
+     * @returns {boolean} True if the listing passes
+     */
+    matchesFilter(listing, name, value) {
+        const price = listing.listingType === 'swap' ? NaN : parseFloat(listing.price);
+        
+        switch (name) {
+            case 'semester':
+                // Listings without a semester are shown for every semester
+                return !listing.semester || listing.semester === value;
+            case 'priceMin':
+                return isNaN(price) || price >= parseFloat(value);
+            case 'priceMax':
+                return isNaN(price) || price <= parseFloat(value);
+            case 'showUnavailable':
+                return true;
+            default:
+                return listing[name] === value;
+        }
+    }
+    
+    /**
+     * Check a listing against the search term and every filter
+     * @param {Object} listing - Listing or bundle entry
+     * @param {Object} filters - Filter values from getFilters()
+     * @returns {boolean} True if the listing should be shown
+     */
+    matchesFilters(listing, filters) {
+        // Check search term match
+        if (this.searchScores && !this.searchScores.has(String(listing.id))) return false;
+        
+        // Reserved and expired listings are hidden unless asked for
+        if (!filters.showUnavailable && listing.status !== 'active') return false;
+        
+        return Object.keys(filters).every(name =>
+            filters[name] === '' || this.matchesFilter(listing, name, filters[name]));
+    }
+    
+    /**
+     * List the filters a listing fails. Status counts as the showUnavailable filter.
+     * @param {Object} listing - Listing or bundle entry
+     * @param {Object} filters - Filter values from getFilters()
+     * @returns {Array<string>|null} Filter names, or null if the listing doesn't match the search term
+     */
+    getFailedFilters(listing, filters) {
+        if (this.searchScores && !this.searchScores.has(String(listing.id))) return null;
+        
+        const failed = Object.keys(filters).filter(name =>
+            filters[name] !== '' && !this.matchesFilter(listing, name, filters[name]));
+        if (!filters.showUnavailable && listing.status !== 'active') {
+            failed.push('showUnavailable');
+        }
+        
+        return failed;
+    }
+    
+    /**
+     * Apply search and filters to listings, then sort, count and display them
+     * @param {Object} options - { history: 'push' | 'replace' | 'none' } for how the page address is updated
+     */
+    applySearchAndFilters(options = {}) {
+        const filters = this.getFilters();
+        
+        // Relevance of each listing to the search term, from the shared search index
+        this.searchScores = this.currentSearchTerm === ''
+            ? null
+            : new Map(window.listingSearch.search(this.currentSearchTerm).map(result => [result.id, result.score]));
+        
+        // Filter listings based on search term and filters
+        this.filteredListings = this.allListings.filter(listing => this.matchesFilters(listing, filters));
+        
+        this.updateFacetCounts(filters);
+        this.currentPage = Math.min(this.currentPage, this.getPageCount());
+        this.updateUrl(options.history || 'push');
+        
+        // Sort and display the current page
+        this.sortListings(this.getSortOption());
+    }
+    
+    /**
+     * Show how many books each filter option would find, given the search and
+     * the other filters. Options that would find nothing are disabled.
+     * @param {Object} filters - Filter values from getFilters()
+     */
+    updateFacetCounts(filters) {
+        const facets = Object.keys(this.filters).filter(name => this.filters[name].facet);
+        
+        // Sort the listings in one pass: a listing that passes every filter counts
+        // for every facet, one that fails a single facet only for that facet's
+        // options, and one held back only by its status for the checkbox
+        const candidates = {};
+        facets.forEach(name => {
+            candidates[name] = [];
+        });
+        let hiddenCount = 0;
+        
+        this.allListings.forEach(listing => {
+            const failed = this.getFailedFilters(listing, filters);
+            if (failed === null || failed.length > 1) return;
             
-            // Check price range filter
-            let matchesPrice = true;
-            if (listing.price) {
-                const price = parseFloat(listing.price);
-                matchesPrice = price >= priceMin && (priceMax === Infinity || price <= priceMax);
+            if (failed.length === 0) {
+                facets.forEach(name => candidates[name].push(listing));
+            } else if (candidates[failed[0]]) {
+                candidates[failed[0]].push(listing);
             }
             
-            // Check listing type filter
-            let matchesListingType = true;
-            if (listingType) {
-                matchesListingType = listing['listing-type'] === listingType;
+            if (listing.status !== 'active' && (failed.length === 0 || failed[0] === 'showUnavailable')) {
+                hiddenCount++;
             }
+        });
+        
+        facets.forEach(name => {
+            const select = document.getElementById(this.filters[name].element);
+            if (!select) return;
             
-            // Return true if listing matches all criteria
-            return matchesSearch && matchesDepartment && matchesSemester && 
-                   matchesCondition && matchesFormat && matchesPrice && matchesListingType;
+            [...select.options].forEach(option => {
+                if (option.dataset.label === undefined) {
+                    option.dataset.label = option.textContent;
+                }
+                
+                const count = option.value === ''
+                    ? candidates[name].length
+                    : candidates[name].filter(listing => this.matchesFilter(listing, name, option.value)).length;
+                
+                option.textContent = `${option.dataset.label} (${count})`;
+                option.disabled = count === 0 && option.value !== select.value;
+            });
         });
         
-        // Display filtered listings
-        this.displayListings();
+        // Reserved and expired listings that showing them would add
+        const unavailableCount = document.querySelector('#show-unavailable ~ .facet-count');
+        if (unavailableCount) {
+            unavailableCount.textContent = `(${hiddenCount})`;
+        }
+        
+        const resultsCount = document.querySelector('.results-count');
+        if (resultsCount) {
+            resultsCount.textContent = `(${this.filteredListings.length})`;
+        }
     }
     
     /**
-     * Reset filters and display all listings
+     * Reset search, filters and sort, and display all listings buyers can act on
      */
     resetFilters() {
         // Clear the current search term
         this.currentSearchTerm = '';
+        this.searchScores = null;
+        this.currentPage = 1;
         
-        // Reset filtered listings to all listings
-        this.filteredListings = [...this.allListings];
+        const searchInput = document.querySelector('.search-bar input');
+        if (searchInput) {
+            searchInput.value = '';
+        }
         
-        // Display all listings
-        this.displayListings();
+        const filterForm = document.querySelector('.filter-form');
+        if (filterForm) {
+            filterForm.reset();
+        }
+        
+        const sortSelect = document.getElementById('sort-by');
+        if (sortSelect) {
+            sortSelect.value = this.settings.defaultSort;
+        }
+        
+        this.applySearchAndFilters();
     }
     
     /**
@@ -470,53 +877,271 @@ class BrowseManager {
         if (!sortSelect) return;
         
         sortSelect.addEventListener('change', () => {
-            const sortOption = sortSelect.value;
-            this.sortListings(sortOption);
+            this.currentPage = 1;
+            this.updateUrl('push');
+            this.sortListings(sortSelect.value);
         });
     }
     
+    /**
+     * Set up the "Save Search" button
+     */
+    setupSaveSearch() {
+        const saveBtn = document.querySelector('.save-search-btn');
+        if (!saveBtn || !window.savedSearches) return;
+        
+        saveBtn.addEventListener('click', () => this.saveCurrentSearch());
+    }
+    
+    /**
+     * Save the current search and filters under a name the user chooses.
+     * New matches are sent as a daily digest until the user changes it on the dashboard.
+     */
+    async saveCurrentSearch() {
+        const currentUser = window.sessionManager.getCurrentUser();
+        if (!currentUser) {
+            alert('Please log in to save searches.');
+            window.location.href = 'login.html';
+            return;
+        }
+        
+        const searchInput = document.querySelector('.search-bar input');
+        const name = prompt('Name this search:', (searchInput && searchInput.value.trim()) || '');
+        if (name === null) return;
+        
+        const result = window.savedSearches.saveSearch(currentUser, { name, query: this.getQueryString(1) });
+        if (!result.ok) {
+            alert(result.message);
+            return;
+        }
+        
+        try {
+            await window.dataStore.flush();
+        } catch (error) {
+            console.error('Error saving search:', error);
+            window.dataStore.remove('savedSearches', result.search.id);
+            
+            // Quota errors are already reported through the bookswap:storagefull event
+            if (!DataStore.isQuotaError(error)) {
+                alert('Sorry, the search could not be saved. Please try again.');
+            }
+            return;
+        }
+        
+        const alerts = window.savedSearches.settings.alerts[result.search.alerts];
+        alert(`Saved "${result.search.name}". Alerts for new matches: ${alerts}. You can change this under Saved Searches on your dashboard.`);
+    }
+    
+    /**
+     * Get the selected sort option
+     * @returns {string} Sort option
+     */
+    getSortOption() {
+        return document.getElementById('sort-by')?.value || this.settings.defaultSort;
+    }
+    
     /**
      * Sort listings based on selected option
-     * @param {string} sortOption - Sort option
+     * @param {string} sortOption - Sort option. 'relevance' sorts search results best match first, and other listings newest first.
      */
     sortListings(sortOption) {
-        // Sort filtered listings based on selected option
-        this.filteredListings.sort((a, b) => {
-            if (sortOption === 'price-low') {
-                const priceA = a['listing-type'] === 'swap' ? 0 : parseFloat(a.price || 0);
-                const priceB = b['listing-type'] === 'swap' ? 0 : parseFloat(b.price || 0);
-                return priceA - priceB;
-            } else if (sortOption === 'price-high') {
-                const priceA = a['listing-type'] === 'swap' ? 0 : parseFloat(a.price || 0);
-                const priceB = b['listing-type'] === 'swap' ? 0 : parseFloat(b.price || 0);
-                return priceB - priceA;
-            } else if (sortOption === 'title') {
-                return a.title.localeCompare(b.title);
-            } else {
-                // Default: newest first (based on dateAdded)
-                const dateA = new Date(a.dateAdded || 0);
-                const dateB = new Date(b.dateAdded || 0);
-                return dateB - dateA;
+        const getPrice = listing => listing.listingType === 'swap' ? 0 : parseFloat(listing.price || 0);
+        let getKey;
+        let compare;
+        
+        if (sortOption === 'price-low') {
+            getKey = getPrice;
+            compare = (a, b) => a - b;
+        } else if (sortOption === 'price-high') {
+            getKey = getPrice;
+            compare = (a, b) => b - a;
+        } else if (sortOption === 'title') {
+            getKey = listing => listing.title;
+            compare = new Intl.Collator().compare;
+        } else if (sortOption === 'relevance' && this.searchScores) {
+            getKey = listing => this.searchScores.get(String(listing.id));
+            compare = (a, b) => b - a;
+        } else {
+            // Default: newest first (based on dateAdded)
+            getKey = listing => Date.parse(listing.dateAdded) || 0;
+            compare = (a, b) => b - a;
+        }
+        
+        // Work out each listing's sort value once rather than on every comparison
+        const keys = new Map(this.filteredListings.map(listing => [listing, getKey(listing)]));
+        this.filteredListings.sort((a, b) => compare(keys.get(a), keys.get(b)));
+        
+        // Display sorted listings
+        this.displayListings();
+    }
+    
+    /**
+     * Build the query string for the current search, filters, sort and page
+     * @param {number} page - Page to link to (defaults to the current page)
+     * @returns {string} Query string without the leading "?"
+     */
+    getQueryString(page = this.currentPage) {
+        // Keep parameters the browse page doesn't own, e.g. benchmark
+        const params = new URLSearchParams(window.location.search);
+        ['search', 'sort', 'page'].concat(Object.keys(this.filters).map(name => this.filters[name].param))
+            .forEach(param => params.delete(param));
+        
+        const searchInput = document.querySelector('.search-bar input');
+        if (this.currentSearchTerm && searchInput) {
+            params.set('search', searchInput.value.trim());
+        }
+        
+        const filters = this.getFilters();
+        Object.keys(this.filters).forEach(name => {
+            if (filters[name] === true) {
+                params.set(this.filters[name].param, '1');
+            } else if (filters[name]) {
+                params.set(this.filters[name].param, filters[name]);
             }
         });
         
-        // Display sorted listings
+        const sortOption = this.getSortOption();
+        if (sortOption !== this.settings.defaultSort) {
+            params.set('sort', sortOption);
+        }
+        
+        if (page > 1) {
+            params.set('page', page);
+        }
+        
+        return params.toString();
+    }
+    
+    /**
+     * Keep the page address in step with what is shown, so the view survives a
+     * reload, can be shared, and Back and Forward return to earlier views
+     * @param {string} mode - 'push' adds a history entry, 'replace' changes the current one, 'none' leaves it
+     */
+    updateUrl(mode = 'push') {
+        if (mode === 'none') return;
+        
+        const query = this.getQueryString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}`;
+        if (url === `${window.location.pathname}${window.location.search}`) return;
+        
+        if (mode === 'replace') {
+            window.history.replaceState(null, '', url);
+        } else {
+            window.history.pushState(null, '', url);
+        }
+    }
+    
+    /**
+     * Restore the search, filters, sort and page from the page address
+     */
+    readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        
+        const search = params.get('search') || '';
+        const searchInput = document.querySelector('.search-bar input');
+        if (searchInput) {
+            searchInput.value = search;
+        }
+        this.currentSearchTerm = search.trim().toLowerCase();
+        
+        const filters = {};
+        Object.keys(this.filters).forEach(name => {
+            const value = params.get(this.filters[name].param);
+            filters[name] = this.filters[name].checkbox ? value === '1' : value || '';
+        });
+        this.setFilters(filters);
+        
+        const sortSelect = document.getElementById('sort-by');
+        if (sortSelect) {
+            sortSelect.value = params.get('sort') || this.settings.defaultSort;
+            
+            // Unknown values leave nothing selected
+            if (!sortSelect.value) {
+                sortSelect.value = this.settings.defaultSort;
+            }
+        }
+        
+        this.currentPage = Math.max(1, parseInt(params.get('page'), 10) || 1);
+    }
+    
+    /**
+     * Get the number of result pages
+     * @returns {number} Page count (at least 1)
+     */
+    getPageCount() {
+        return Math.max(1, Math.ceil(this.filteredListings.length / this.settings.pageSize));
+    }
+    
+    /**
+     * Show another page of results
+     * @param {number} page - Page number
+     */
+    goToPage(page) {
+        this.currentPage = Math.min(Math.max(1, page), this.getPageCount());
+        this.updateUrl('push');
         this.displayListings();
+        
+        const header = document.querySelector('.books-header');
+        if (header) {
+            header.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+    
+    /**
+     * Draw the page links under the grid: previous, next, the first and last
+     * pages and the pages around the current one
+     */
+    renderPagination() {
+        const pagination = document.querySelector('.pagination');
+        if (!pagination) return;
+        
+        const pageCount = this.getPageCount();
+        if (pageCount <= 1) {
+            pagination.innerHTML = '';
+            pagination.style.display = 'none';
+            return;
+        }
+        
+        const pages = [...new Set([1, this.currentPage - 2, this.currentPage - 1, this.currentPage,
+            this.currentPage + 1, this.currentPage + 2, pageCount])]
+            .filter(page => page >= 1 && page <= pageCount)
+            .sort((a, b) => a - b);
+        
+        const link = (page, content, className = '') =>
+            `<a href="?${this.getQueryString(page)}" data-page="${page}"${className ? ` class="${className}"` : ''}>${content}</a>`;
+        
+        let html = this.currentPage > 1 ? link(this.currentPage - 1, '<i class="fas fa-chevron-left"></i>') : '';
+        pages.forEach((page, index) => {
+            if (index > 0 && page - pages[index - 1] > 1) {
+                html += '<span class="pagination-gap">&hellip;</span>';
+            }
+            html += link(page, page, page === this.currentPage ? 'active' : '');
+        });
+        html += this.currentPage < pageCount ? link(this.currentPage + 1, '<i class="fas fa-chevron-right"></i>') : '';
+        
+        pagination.innerHTML = html;
+        pagination.style.display = 'flex';
+        
+        pagination.querySelectorAll('a[data-page]').forEach(pageLink => {
+            pageLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.goToPage(Number(pageLink.dataset.page));
+            });
+        });
     }
     
     /**
      * Update login status and UI
      */
     updateLoginStatus() {
-        const currentUser = JSON.parse(localStorage.getItem('currentUser'));
+        const currentUser = window.sessionManager.getCurrentUser();
         const loginBtn = document.querySelector('.login-btn');
         
         if (currentUser && loginBtn) {
             loginBtn.textContent = 'Logout';
             loginBtn.addEventListener('click', (e) => {
                 e.preventDefault();
-                localStorage.removeItem('currentUser');
-                localStorage.removeItem('authProvider');
+                window.sessionManager.end('logout');
                 window.location.href = 'index.html';
             });
         }
@@ -15,9 +15,8 @@ class CampusMapDashboard {
      * Get current user information
      */
     getCurrentUser() {
-        // In a real application, this would get the logged-in user
-        // For demo purposes, we'll return a dummy user
-        return {
+        // Use the signed-in user, or a dummy user for demo purposes
+        return window.sessionManager.getCurrentUser() || {
             id: 'user123',
             name: 'John Smith',
             email: 'john.smith@university.edu'
@@ -25,11 +24,10 @@ class CampusMapDashboard {
     }
     
     /**
-     * Load saved locations from localStorage
+     * Load saved locations from the data store
      */
     loadSavedLocations() {
-        const savedLocationsJson = localStorage.getItem('bookswap_saved_locations');
-        return savedLocationsJson ? JSON.parse(savedLocationsJson) : this.getDefaultSavedLocations();
+        return window.dataStore.exists('savedLocations') ? window.dataStore.getAll('savedLocations') : this.getDefaultSavedLocations();
     }
     
     /**
@@ -62,18 +60,17 @@ class CampusMapDashboard {
     }
     
     /**
-     * Save locations to localStorage
+     * Save locations to the data store
      */
     saveSavedLocations() {
-        localStorage.setItem('bookswap_saved_locations', JSON.stringify(this.savedLocations));
+        window.dataStore.replaceAll('savedLocations', this.savedLocations);
     }
     
     /**
-     * Load meeting history from localStorage
+     * Load meeting history from the data store
      */
     loadMeetingHistory() {
-        const meetingHistoryJson = localStorage.getItem('bookswap_meeting_history');
-        return meetingHistoryJson ? JSON.parse(meetingHistoryJson) : this.getDefaultMeetingHistory();
+        return window.dataStore.exists('meetingHistory') ? window.dataStore.getAll('meetingHistory') : this.getDefaultMeetingHistory();
     }
     
     /**
@@ -119,10 +116,10 @@ class CampusMapDashboard {
     }
     
     /**
-     * Save meeting history to localStorage
+     * Save meeting history to the data store
      */
     saveMeetingHistory() {
-        localStorage.setItem('bookswap_meeting_history', JSON.stringify(this.meetingHistory));
+        window.dataStore.replaceAll('meetingHistory', this.meetingHistory);
     }
     
     /**
@@ -164,14 +161,25 @@ class CampusMapDashboard {
             const script = document.createElement('script');
             script.src = 'js/leaflet-map.js';
             script.onload = () => {
-                this.setupMapInDashboard();
+                this.setupMapWhenRegistryReady();
             };
             document.head.appendChild(script);
         } else {
-            this.setupMapInDashboard();
+            this.setupMapWhenRegistryReady();
         }
     }
     
+    /**
+     * Setup the map once the university registry has loaded, so it opens on the user's campus
+     */
+    setupMapWhenRegistryReady() {
+        window.universityRegistry.ready.then(() => {
+            if (!this.mapInstance) {
+                this.setupMapInDashboard();
+            }
+        });
+    }
+    
     /**
      * Setup map in dashboard
      */
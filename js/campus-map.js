@@ -11,9 +11,16 @@ class CampusMap {
             return;
         }
         
+        // Campus to show, from the registry unless the caller passes one
+        this.university = options.university ||
+            (window.universityRegistry ? window.universityRegistry.getCurrentUniversity() : null);
+        const campus = this.university ? this.university.campus : null;
+        
         this.options = {
-            center: options.center || { lat: 12.9692, lng: 79.1559 }, // Default to VIT Vellore coordinates
-            zoom: options.zoom || 16,
+            center: options.center ||
+                (campus && { lat: campus.center[0], lng: campus.center[1] }) ||
+                { lat: 12.9692, lng: 79.1559 }, // Default to VIT Vellore coordinates
+            zoom: options.zoom || (campus && campus.zoom) || 16,
             mapTypeId: options.mapTypeId || 'roadmap',
             styles: options.styles || this.getDefaultMapStyles()
         };
@@ -96,54 +103,12 @@ class CampusMap {
      * Add default book exchange points to the map
      */
     addDefaultExchangePoints() {
-        // Example exchange points for VIT Vellore
-        const defaultPoints = [
-            {
-                id: 'lib1',
-                name: 'Main Library',
-                position: { lat: 12.9698, lng: 79.1559 },
-                type: 'library',
-                description: 'Official book exchange point at the main library entrance. Available during library hours.',
-                hours: 'Mon-Sat: 8:00 AM - 8:00 PM',
-                popularity: 'High'
-            },
-            {
-                id: 'cafe1',
-                name: 'Campus Café',
-                position: { lat: 12.9690, lng: 79.1570 },
-                type: 'cafe',
-                description: 'Popular meeting spot for book exchanges. Free WiFi available.',
-                hours: 'Mon-Sun: 7:30 AM - 10:00 PM',
-                popularity: 'Medium'
-            },
-            {
-                id: 'hub1',
-                name: 'Student Hub',
-                position: { lat: 12.9685, lng: 79.1550 },
-                type: 'hub',
-                description: 'Student activity center with dedicated book exchange area.',
-                hours: 'Mon-Fri: 9:00 AM - 6:00 PM',
-                popularity: 'High'
-            },
-            {
-                id: 'dorm1',
-                name: 'Men\'s Hostel Common Area',
-                position: { lat: 12.9710, lng: 79.1545 },
-                type: 'dorm',
-                description: 'Convenient exchange point for hostel residents.',
-                hours: 'Always open for residents',
-                popularity: 'Medium'
-            },
-            {
-                id: 'dorm2',
-                name: 'Women\'s Hostel Common Area',
-                position: { lat: 12.9675, lng: 79.1540 },
-                type: 'dorm',
-                description: 'Convenient exchange point for hostel residents.',
-                hours: 'Always open for residents',
-                popularity: 'Medium'
-            }
-        ];
+        // Exchange points for the campus come from the university registry
+        const registryPoints = this.university ? (this.university.exchangePoints || []) : [];
+        const defaultPoints = registryPoints.map(point => ({
+            ...point,
+            position: { lat: point.position[0], lng: point.position[1] }
+        }));
         
         // Add each point to the map
         defaultPoints.forEach(point => {
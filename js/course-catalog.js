@@ -0,0 +1,282 @@
+/**
+ * Course Catalog Module for Campus BookSwap
+ * Handles courses and their reading lists: the bundled course catalog and
+ * imported ones, the copies on sale of each book a course needs with their
+ * prices, and the cheapest way to get every book for a student's schedule
+ */
+
+/**
+ * Limits for course pages and schedules. Bundles are only worth trying when
+ * they cover a book on the schedule, and at most maxBundleCandidates of them
+ * are tried in every combination.
+ */
+const BOOKSWAP_COURSE_SETTINGS = {
+    maxScheduleCourses: 8,
+    maxBundleCandidates: 8
+};
+
+class CourseCatalog {
+    constructor(url = 'data/course-catalog.json', store = window.dataStore, settings = BOOKSWAP_COURSE_SETTINGS) {
+        this.url = url;
+        this.store = store;
+        this.settings = settings;
+        this.courses = new Map();
+        this.ready = this.load();
+    }
+    
+    /**
+     * Fetch the bundled course catalog file
+     * @returns {Promise<CourseCatalog>} Resolves once courses can be read, even if the fetch failed
+     */
+    async load() {
+        try {
+            const response = await fetch(this.url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            this.addCourses((await response.json()).courses);
+        } catch (error) {
+            console.warn('Could not load the course catalog, only imported courses are available:', error.message);
+        }
+        
+        return this;
+    }
+    
+    /**
+     * Put a course code in the form courses are compared in, e.g. "cs 201" to "CS201"
+     * @param {string} code - Course code
+     * @returns {string} Comparable code
+     */
+    normalizeCode(code) {
+        return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+    
+    /**
+     * Clean up a catalog entry. ISBNs are stored as ISBN-13s; invalid ones are left out.
+     * @param {Object} course - Raw entry ({ code, name, department, semester, requiredIsbns, optionalIsbns })
+     * @returns {Object|null} Entry, or null if it has no code or name
+     */
+    toEntry(course) {
+        if (!course || !this.normalizeCode(course.code) || !course.name) return null;
+        
+        const toIsbns = isbns => {
+            const list = Array.isArray(isbns) ? isbns : String(isbns || '').split(/[\s,;]+/);
+            return [...new Set(list.map(isbn => window.bookCatalog.toIsbn13(isbn)).filter(Boolean))];
+        };
+        const requiredIsbns = toIsbns(course.requiredIsbns);
+        
+        return {
+            code: String(course.code).trim().toUpperCase().replace(/\s+/g, ' '),
+            name: String(course.name).trim(),
+            department: course.department || '',
+            semester: course.semester || '',
+            requiredIsbns: requiredIsbns,
+            optionalIsbns: toIsbns(course.optionalIsbns).filter(isbn => !requiredIsbns.includes(isbn))
+        };
+    }
+    
+    /**
+     * Add bundled courses to the in-memory catalog
+     * @param {Array} courses - Catalog entries
+     */
+    addCourses(courses) {
+        (courses || []).forEach(course => {
+            const entry = this.toEntry(course);
+            if (entry) {
+                this.courses.set(this.normalizeCode(entry.code), entry);
+            } else {
+                console.warn('Skipping course catalog entry without a code or name:', course && course.code);
+            }
+        });
+    }
+    
+    /**
+     * Import courses from a catalog file (same format as data/course-catalog.json).
+     * Imported courses are kept in the data store and survive reloads.
+     * @param {string|Object|Array} source - JSON text, { courses: [...] } or an array of courses
+     * @returns {Object} { ok: true, imported, skipped } or { ok: false, message }
+     */
+    importCatalog(source) {
+        let courses;
+        try {
+            const parsed = typeof source === 'string' ? JSON.parse(source) : source;
+            courses = Array.isArray(parsed) ? parsed : parsed.courses;
+        } catch (error) {
+            return { ok: false, message: 'The course catalog file is not valid JSON.' };
+        }
+        
+        if (!Array.isArray(courses)) {
+            return { ok: false, message: 'The course catalog file must contain a "courses" list.' };
+        }
+        
+        const stored = this.store.getDocument('courseCatalog') || {};
+        let imported = 0;
+        
+        courses.forEach(course => {
+            const entry = this.toEntry(course);
+            if (entry) {
+                stored[this.normalizeCode(entry.code)] = entry;
+                imported++;
+            }
+        });
+        
+        this.store.setDocument('courseCatalog', stored);
+        return { ok: true, imported, skipped: courses.length - imported };
+    }
+    
+    /**
+     * Get every course, imported courses replacing bundled ones with the same code
+     * @returns {Array} Courses sorted by code
+     */
+    getCourses() {
+        const courses = new Map(this.courses);
+        Object.entries(this.store.getDocument('courseCatalog') || {}).forEach(([key, course]) => courses.set(key, course));
+        
+        return [...courses.values()].sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }));
+    }
+    
+    /**
+     * Find a course by code
+     * @param {string} code - Course code, in any spacing or case
+     * @returns {Object|null} Course, or null if it isn't in the catalog
+     */
+    getCourse(code) {
+        const key = this.normalizeCode(code);
+        return this.getCourses().find(course => this.normalizeCode(course.code) === key) || null;
+    }
+    
+    /**
+     * Get the copies of a book that can be had right now, cheapest first.
+     * Swap-only copies come after the priced ones.
+     * @param {string} isbn - ISBN-13
+     * @param {Object} options - { excludeUserId } to leave out a student's own listings
+     * @returns {Array} Listings
+     */
+    getCopies(isbn, options = {}) {
+        return this.store.findBy('listings', 'status', 'active')
+            .filter(listing => !listing.hidden &&
+                window.listingLifecycle.getState(listing) === 'active' &&
+                String(listing.userId) !== String(options.excludeUserId) &&
+                window.bookCatalog.toIsbn13(listing.isbn) === isbn)
+            .sort((a, b) => this.getPrice(a) === this.getPrice(b) ? 0 : this.getPrice(a) - this.getPrice(b));
+    }
+    
+    /**
+     * Get what a copy costs
+     * @param {Object} listing - Listing
+     * @returns {number} Price, or Infinity for swap-only copies
+     */
+    getPrice(listing) {
+        const price = listing.listingType === 'swap' ? NaN : parseFloat(listing.price);
+        return isNaN(price) ? Infinity : price;
+    }
+    
+    /**
+     * Sum up the asking prices of a book's copies
+     * @param {Array} copies - Listings from getCopies()
+     * @returns {Object} { count, swapCount, lowest, median, highest }; prices are null when nothing is for sale
+     */
+    getPriceStats(copies) {
+        const prices = copies.map(copy => this.getPrice(copy)).filter(price => price !== Infinity).sort((a, b) => a - b);
+        const middle = Math.floor(prices.length / 2);
+        
+        return {
+            count: copies.length,
+            swapCount: copies.length - prices.length,
+            lowest: prices.length ? prices[0] : null,
+            median: prices.length === 0 ? null : prices.length % 2 ? prices[middle] : (prices[middle - 1] + prices[middle]) / 2,
+            highest: prices.length ? prices[prices.length - 1] : null
+        };
+    }
+    
+    /**
+     * Work out the cheapest way to buy every required book for a schedule.
+     * Each book is bought once even when several courses need it. Bundles are
+     * used when they come out cheaper than buying their books one by one.
+     * @param {Array<string>} codes - Course codes
+     * @param {Object} options - { excludeUserId } to leave out the student's own listings
+     * @returns {Object} { courses, unknownCodes, books: [{ isbn, courses, copy, bundle, swapCopies }], bundles, total, missing }
+     */
+    planSchedule(codes, options = {}) {
+        const courses = [];
+        const unknownCodes = [];
+        [...new Set(codes.map(code => this.normalizeCode(code)).filter(Boolean))].forEach(code => {
+            const course = this.getCourse(code);
+            if (course) {
+                courses.push(course);
+            } else {
+                unknownCodes.push(code);
+            }
+        });
+        
+        // The courses that need each book
+        const needed = new Map();
+        courses.forEach(course => course.requiredIsbns.forEach(isbn => {
+            needed.set(isbn, (needed.get(isbn) || []).concat(course.code));
+        }));
+        
+        const copies = new Map([...needed.keys()].map(isbn => [isbn, this.getCopies(isbn, options)]));
+        const cheapest = isbn => copies.get(isbn).find(copy => this.getPrice(copy) !== Infinity) || null;
+        
+        // Bundles that contain a book on the schedule, those covering the most books first
+        const candidates = this.store.findBy('bundles', 'status', 'active')
+            .filter(bundle => String(bundle.userId) !== String(options.excludeUserId) && window.listingBundles.isAvailable(bundle))
+            .map(bundle => ({
+                bundle,
+                isbns: [...new Set(window.listingBundles.getListings(bundle)
+                    .map(listing => window.bookCatalog.toIsbn13(listing.isbn))
+                    .filter(isbn => needed.has(isbn)))]
+            }))
+            .filter(candidate => candidate.isbns.length > 0)
+            .sort((a, b) => b.isbns.length - a.isbns.length)
+            .slice(0, this.settings.maxBundleCandidates);
+        
+        // Try every combination of bundles, buying the remaining books one by one.
+        // The best plan gets the most books, then costs the least.
+        let best = null;
+        for (let mask = 0; mask < (1 << candidates.length); mask++) {
+            const chosen = candidates.filter((candidate, index) => mask & (1 << index));
+            const covered = new Map();
+            chosen.forEach(candidate => candidate.isbns.forEach(isbn => covered.set(isbn, candidate.bundle)));
+            
+            let total = chosen.reduce((sum, candidate) => sum + parseFloat(candidate.bundle.price), 0);
+            let missing = 0;
+            needed.forEach((courseCodes, isbn) => {
+                if (covered.has(isbn)) return;
+                
+                const copy = cheapest(isbn);
+                if (copy) {
+                    total += this.getPrice(copy);
+                } else {
+                    missing++;
+                }
+            });
+            
+            if (!best || missing < best.missing || (missing === best.missing && total < best.total - 0.005)) {
+                best = { chosen, covered, total, missing };
+            }
+        }
+        
+        const books = [...needed].map(([isbn, courseCodes]) => ({
+            isbn,
+            courses: courseCodes,
+            bundle: best.covered.get(isbn) || null,
+            copy: best.covered.has(isbn) ? null : cheapest(isbn),
+            swapCopies: copies.get(isbn).filter(copy => this.getPrice(copy) === Infinity)
+        }));
+        
+        return {
+            courses,
+            unknownCodes,
+            books,
+            bundles: best.chosen.map(candidate => candidate.bundle),
+            total: Math.round(best.total * 100) / 100,
+            missing: books.filter(book => !book.bundle && !book.copy).map(book => book.isbn)
+        };
+    }
+}
+
+// Create the shared course catalog
+window.courseCatalog = new CourseCatalog();
+window.CourseCatalog = CourseCatalog;
@@ -0,0 +1,282 @@
+/**
+ * Course Page Module for Campus BookSwap
+ * Handles courses.html: the course catalog, a page for each course with every
+ * copy on sale of the books it needs, and "Shop my schedule", which finds the
+ * cheapest way to get every book for a student's courses
+ */
+
+class CoursePage {
+    constructor(catalog = window.courseCatalog) {
+        this.catalog = catalog;
+        this.container = document.querySelector('.courses-container');
+        this.currentUser = window.sessionManager.getCurrentUser();
+        
+        // Show the view the page address asks for once courses and listings can be read
+        Promise.all([this.catalog.ready, window.dataStore.ready, window.bookCatalog.ready])
+            .then(() => this.render())
+            .catch(error => console.error('Error loading courses:', error));
+    }
+    
+    /**
+     * Show a course (?code=CS201), a schedule (?schedule=CS201,MATH221) or the catalog
+     */
+    async render() {
+        if (!this.container) return;
+        
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('code')) {
+            await this.renderCourse(params.get('code'));
+        } else if (params.get('schedule')) {
+            await this.renderSchedule(params.get('schedule').split(','));
+        } else {
+            this.renderCatalog();
+        }
+    }
+    
+    /**
+     * Show the "Shop my schedule" form and every course, by department
+     */
+    renderCatalog() {
+        const courses = this.catalog.getCourses();
+        // Courses without a department come last, under "Other"
+        const departments = [...new Set(courses.map(course => course.department))]
+            .sort((a, b) => (a === '') - (b === '') || a.localeCompare(b));
+        
+        this.container.innerHTML = `
+            ${this.getScheduleFormHTML('')}
+            <h2>Course Catalog</h2>
+            ${courses.length === 0 ? '<p class="course-empty">No courses have been added yet.</p>' : departments.map(department => `
+                <section class="course-department">
+                    <h3>${this.formatLabel(department)}</h3>
+                    <div class="course-list">
+                        ${courses.filter(course => course.department === department).map(course => `
+                            <a class="course-item" href="courses.html?code=${encodeURIComponent(course.code)}">
+                                <strong>${escapeHtml(course.code)}</strong> ${escapeHtml(course.name)}
+                                <span>${course.requiredIsbns.length} required ${course.requiredIsbns.length === 1 ? 'book' : 'books'}${course.semester ? ` &middot; ${this.formatLabel(course.semester)}` : ''}</span>
+                            </a>
+                        `).join('')}
+                    </div>
+                </section>
+            `).join('')}
+        `;
+        
+        this.setupScheduleForm();
+    }
+    
+    /**
+     * Show a course and every copy on sale of each book it needs
+     * @param {string} code - Course code
+     */
+    async renderCourse(code) {
+        const course = this.catalog.getCourse(code);
+        if (!course) {
+            this.container.innerHTML = `
+                <p class="course-empty">We couldn't find the course "${escapeHtml(code)}". <a href="courses.html">See all courses</a></p>
+            `;
+            return;
+        }
+        
+        document.title = `${course.code} ${course.name} - Campus BookSwap`;
+        const required = await Promise.all(course.requiredIsbns.map(isbn => this.getBookSectionHTML(isbn)));
+        const optional = await Promise.all(course.optionalIsbns.map(isbn => this.getBookSectionHTML(isbn)));
+        
+        this.container.innerHTML = `
+            <a href="courses.html" class="course-back"><i class="fas fa-arrow-left"></i> All courses</a>
+            <h2>${escapeHtml(course.code)}: ${escapeHtml(course.name)}</h2>
+            <p class="course-meta">${this.formatLabel(course.department)}${course.semester ? ` &middot; ${this.formatLabel(course.semester)}` : ''}</p>
+            <h3>Required books</h3>
+            ${required.join('') || '<p class="course-empty">This course has no required books.</p>'}
+            ${optional.length ? `<h3>Optional books</h3>${optional.join('')}` : ''}
+            <p class="course-more">Looking for something else? <a href="browse.html?search=${encodeURIComponent(course.code)}">Browse every listing for ${escapeHtml(course.code)}</a>.</p>
+        `;
+    }
+    
+    /**
+     * Build the part of a course page for one book: what it is, what it costs
+     * and every copy on sale
+     * @param {string} isbn - ISBN-13
+     * @returns {Promise<string>} HTML
+     */
+    async getBookSectionHTML(isbn) {
+        const copies = this.catalog.getCopies(isbn);
+        const book = await this.getBook(isbn, copies);
+        const stats = this.catalog.getPriceStats(copies);
+        
+        const summary = stats.count === 0
+            ? 'No copies available right now. Add it to your wishlist on the <a href="dashboard.html">dashboard</a> to hear when one is listed.'
+            : [
+                `${stats.count} ${stats.count === 1 ? 'copy' : 'copies'} available`,
+                stats.lowest !== null ? `from ${this.formatPrice(stats.lowest)}` : '',
+                stats.median !== null && stats.count - stats.swapCount > 1 ? `median ${this.formatPrice(stats.median)}` : '',
+                stats.highest !== null && stats.highest !== stats.lowest ? `up to ${this.formatPrice(stats.highest)}` : '',
+                stats.swapCount > 0 ? `${stats.swapCount} for swap` : ''
+            ].filter(Boolean).join(' &middot; ');
+        
+        return `
+            <div class="course-book">
+                <div class="course-book-info">
+                    <h4>${escapeHtml(book.title)}</h4>
+                    <p>${escapeHtml(book.authors.join(', '))}${book.edition ? ` &middot; ${escapeHtml(book.edition)}` : ''} &middot; ISBN ${isbn}</p>
+                    <p class="course-price-stats">${summary}</p>
+                </div>
+                ${copies.length === 0 ? '' : `
+                    <table class="course-copies">
+                        <thead>
+                            <tr><th>Price</th><th>Condition</th><th>Format</th><th>Seller</th><th></th></tr>
+                        </thead>
+                        <tbody>
+                            ${copies.map(copy => `
+                                <tr>
+                                    <td>${this.getPriceLabel(copy)}</td>
+                                    <td>${escapeHtml(copy.condition)}</td>
+                                    <td>${escapeHtml(copy.format || '')}</td>
+                                    <td>${escapeHtml(copy.userName || 'Unknown Seller')}</td>
+                                    <td><a href="book-details.html?id=${encodeURIComponent(copy.id)}">View</a></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </div>
+        `;
+    }
+    
+    /**
+     * Show the cheapest way to get every required book for a list of courses
+     * @param {Array<string>} codes - Course codes
+     */
+    async renderSchedule(codes) {
+        const limited = codes.map(code => code.trim()).filter(Boolean).slice(0, this.catalog.settings.maxScheduleCourses);
+        const plan = this.catalog.planSchedule(limited, { excludeUserId: this.currentUser ? this.currentUser.id || this.currentUser.email : null });
+        const books = await Promise.all(plan.books.map(async item => ({
+            ...item,
+            book: await this.getBook(item.isbn, item.copy ? [item.copy] : item.swapCopies)
+        })));
+        
+        this.container.innerHTML = `
+            <a href="courses.html" class="course-back"><i class="fas fa-arrow-left"></i> All courses</a>
+            ${this.getScheduleFormHTML(limited.join(', '))}
+            ${plan.unknownCodes.length ? `<p class="course-warning">Not in the course catalog: ${plan.unknownCodes.map(code => escapeHtml(code)).join(', ')}</p>` : ''}
+            ${plan.courses.length === 0 ? '' : `
+                <h2>Your books for ${plan.courses.map(course => escapeHtml(course.code)).join(', ')}</h2>
+                <p class="schedule-total">
+                    ${plan.books.length - plan.missing.length} of ${plan.books.length} books for ${this.formatPrice(plan.total)}
+                    ${plan.missing.length ? `&middot; ${plan.missing.length} not for sale right now` : ''}
+                </p>
+                ${plan.bundles.map(bundle => `
+                    <div class="course-book schedule-bundle">
+                        <div class="course-book-info">
+                            <h4><i class="fas fa-layer-group"></i> Bundle: ${escapeHtml(bundle.title)}</h4>
+                            <p>${this.formatPrice(parseFloat(bundle.price))} from ${escapeHtml(bundle.userName || 'Unknown Seller')}. It covers ${books.filter(item => item.bundle === bundle).map(item => `"${escapeHtml(item.book.title)}"`).join(', ')}.</p>
+                        </div>
+                        <a href="browse.html?search=${encodeURIComponent(bundle.title)}" class="btn">View Bundle</a>
+                    </div>
+                `).join('')}
+                ${books.filter(item => !item.bundle).map(item => `
+                    <div class="course-book${item.copy ? '' : ' schedule-missing'}">
+                        <div class="course-book-info">
+                            <h4>${escapeHtml(item.book.title)}</h4>
+                            <p>For ${item.courses.map(code => escapeHtml(code)).join(', ')}</p>
+                            <p>${item.copy
+                                ? `${this.getPriceLabel(item.copy)} &middot; ${escapeHtml(item.copy.condition)} &middot; ${escapeHtml(item.copy.userName || 'Unknown Seller')}`
+                                : item.swapCopies.length
+                                    ? `No copies for sale. ${item.swapCopies.length} ${item.swapCopies.length === 1 ? 'is' : 'are'} offered for swap.`
+                                    : 'No copies available right now.'}</p>
+                        </div>
+                        ${item.copy
+                            ? `<a href="book-details.html?id=${encodeURIComponent(item.copy.id)}" class="btn">View Copy</a>`
+                            : item.swapCopies.length ? `<a href="book-details.html?id=${encodeURIComponent(item.swapCopies[0].id)}" class="btn">View Swap</a>` : ''}
+                    </div>
+                `).join('')}
+            `}
+        `;
+        
+        this.setupScheduleForm();
+    }
+    
+    /**
+     * Build the "Shop my schedule" form
+     * @param {string} value - Courses to fill in
+     * @returns {string} HTML
+     */
+    getScheduleFormHTML(value) {
+        return `
+            <form class="schedule-form">
+                <h3>Shop my schedule</h3>
+                <p>Enter your courses and we'll find the cheapest way to get every required book.</p>
+                <div class="schedule-form-row">
+                    <input type="text" name="courses" value="${escapeHtml(value)}" placeholder="e.g. CS201, MATH221" aria-label="Your courses" required>
+                    <button type="submit" class="btn">Find My Books</button>
+                </div>
+            </form>
+        `;
+    }
+    
+    /**
+     * Open the schedule view for the courses entered in the form
+     */
+    setupScheduleForm() {
+        const form = this.container.querySelector('.schedule-form');
+        if (!form) return;
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const codes = form.courses.value.split(/[,;\n]+/).map(code => code.trim()).filter(Boolean);
+            if (codes.length === 0) return;
+            
+            window.location.href = `courses.html?schedule=${encodeURIComponent(codes.join(','))}`;
+        });
+    }
+    
+    /**
+     * Get a book's title, authors and edition from the book catalog, or from a
+     * listing of it when the catalog doesn't have it
+     * @param {string} isbn - ISBN-13
+     * @param {Array} copies - Listings of the book
+     * @returns {Promise<Object>} { title, authors, edition }
+     */
+    async getBook(isbn, copies) {
+        const result = await window.bookCatalog.lookup(isbn);
+        if (result.ok) return result.book;
+        
+        const copy = copies[0];
+        return {
+            title: copy ? copy.title : `ISBN ${isbn}`,
+            authors: copy && copy.author ? [copy.author] : [],
+            edition: copy ? copy.edition || '' : ''
+        };
+    }
+    
+    /**
+     * Describe what a copy costs
+     * @param {Object} listing - Listing
+     * @returns {string} e.g. "$42.00" or "For Swap"
+     */
+    getPriceLabel(listing) {
+        const price = this.catalog.getPrice(listing);
+        return price === Infinity ? 'For Swap' : this.formatPrice(price);
+    }
+    
+    /**
+     * Format a price
+     * @param {number} price - Price
+     * @returns {string} e.g. "$42.00"
+     */
+    formatPrice(price) {
+        return `$${price.toFixed(2)}`;
+    }
+    
+    /**
+     * Turn a value such as "computer-science" or "fall-2024" into "Computer Science" or "Fall 2024"
+     * @param {string} value - Value
+     * @returns {string} Label
+     */
+    formatLabel(value) {
+        return escapeHtml(String(value || 'Other').split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '));
+    }
+}
+
+// Initialize the course page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.coursePage = new CoursePage();
+});
@@ -0,0 +1,181 @@
+/**
+ * Credential Store Module for Campus BookSwap
+ * Handles password hashing (PBKDF2 via WebCrypto) and account lookup for email sign-in
+ */
+
+class CredentialStore {
+    constructor(store = window.dataStore) {
+        this.store = store;
+        this.iterations = 310000;
+        this.saltBytes = 16;
+        this.hashBits = 256;
+        this.minPasswordLength = 8;
+    }
+    
+    /**
+     * Normalize an email so "Name@Uni.edu " and "name@uni.edu" are the same account
+     * @param {string} email - Email address
+     * @returns {string} Normalized email
+     */
+    normalizeEmail(email) {
+        return (email || '').trim().toLowerCase();
+    }
+    
+    /**
+     * Get the stored credential for an email
+     * @param {string} email - Email address
+     * @returns {Object|null} Credential record or null if none
+     */
+    getCredential(email) {
+        return this.store.findBy('credentials', 'email', this.normalizeEmail(email))[0] || null;
+    }
+    
+    /**
+     * Check whether an email already has a password account
+     * @param {string} email - Email address
+     * @returns {boolean} True if registered
+     */
+    hasAccount(email) {
+        return this.getCredential(email) !== null;
+    }
+    
+    /**
+     * Store a password for a user
+     * @param {string} userId - User id
+     * @param {string} email - Email address
+     * @param {string} password - Plain-text password
+     * @returns {Promise<Object>} { ok: true } or { ok: false, reason, message }
+     */
+    async register(userId, email, password) {
+        const normalizedEmail = this.normalizeEmail(email);
+        
+        if (this.hasAccount(normalizedEmail)) {
+            return { ok: false, reason: 'duplicate_email', message: 'An account with this email already exists. Please log in instead.' };
+        }
+        
+        if (!password || password.length < this.minPasswordLength) {
+            return { ok: false, reason: 'weak_password', message: `Password must be at least ${this.minPasswordLength} characters long` };
+        }
+        
+        const salt = crypto.getRandomValues(new Uint8Array(this.saltBytes));
+        const hash = await this.hashPassword(password, salt, this.iterations);
+        const now = new Date().toISOString();
+        
+        this.store.create('credentials', {
+            id: userId,
+            email: normalizedEmail,
+            algorithm: 'PBKDF2-SHA-256',
+            iterations: this.iterations,
+            salt: this.toBase64(salt),
+            hash: this.toBase64(hash),
+            createdAt: now,
+            updatedAt: now
+        });
+        
+        return { ok: true };
+    }
+    
+    /**
+     * Check an email and password
+     * @param {string} email - Email address
+     * @param {string} password - Plain-text password
+     * @returns {Promise<Object>} { ok: true, userId } or { ok: false, reason, message }
+     */
+    async verify(email, password) {
+        const credential = this.getCredential(email);
+        if (!credential) {
+            return { ok: false, reason: 'not_found', message: 'No account found with this email. Please register first.' };
+        }
+        
+        const hash = await this.hashPassword(password || '', this.fromBase64(credential.salt), credential.iterations);
+        if (!this.constantTimeEqual(hash, this.fromBase64(credential.hash))) {
+            return { ok: false, reason: 'wrong_password', message: 'Incorrect password. Please try again.' };
+        }
+        
+        return { ok: true, userId: credential.id };
+    }
+    
+    /**
+     * Replace the password of an existing account (used by password reset)
+     * @param {string} email - Email address
+     * @param {string} password - New plain-text password
+     * @returns {Promise<Object>} { ok: true } or { ok: false, reason, message }
+     */
+    async setPassword(email, password) {
+        const credential = this.getCredential(email);
+        if (!credential) {
+            return { ok: false, reason: 'not_found', message: 'No account found with this email. Please register first.' };
+        }
+        
+        if (!password || password.length < this.minPasswordLength) {
+            return { ok: false, reason: 'weak_password', message: `Password must be at least ${this.minPasswordLength} characters long` };
+        }
+        
+        const salt = crypto.getRandomValues(new Uint8Array(this.saltBytes));
+        const hash = await this.hashPassword(password, salt, this.iterations);
+        
+        this.store.update('credentials', credential.id, {
+            algorithm: 'PBKDF2-SHA-256',
+            iterations: this.iterations,
+            salt: this.toBase64(salt),
+            hash: this.toBase64(hash),
+            updatedAt: new Date().toISOString()
+        });
+        
+        return { ok: true };
+    }
+    
+    /**
+     * Derive a password hash with PBKDF2
+     * @param {string} password - Plain-text password
+     * @param {Uint8Array} salt - Random salt
+     * @param {number} iterations - PBKDF2 iteration count
+     * @returns {Promise<Uint8Array>} Derived hash
+     */
+    async hashPassword(password, salt, iterations) {
+        const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+            key,
+            this.hashBits
+        );
+        return new Uint8Array(bits);
+    }
+    
+    /**
+     * Compare two byte arrays without stopping at the first difference
+     * @param {Uint8Array} a - First array
+     * @param {Uint8Array} b - Second array
+     * @returns {boolean} True if equal
+     */
+    constantTimeEqual(a, b) {
+        if (a.length !== b.length) return false;
+        
+        let difference = 0;
+        for (let i = 0; i < a.length; i++) {
+            difference |= a[i] ^ b[i];
+        }
+        return difference === 0;
+    }
+    
+    /**
+     * Encode bytes as base64
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Base64 string
+     */
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+    
+    /**
+     * Decode base64 to bytes
+     * @param {string} base64 - Base64 string
+     * @returns {Uint8Array} Bytes
+     */
+    fromBase64(base64) {
+        return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    }
+}
+
+// Create the shared credential store
+window.credentialStore = new CredentialStore();
@@ -7,6 +7,13 @@ class DashboardManager {
     constructor() {
         this.currentUser = this.getCurrentUser();
         this.authProvider = this.getAuthProvider();
+        
+        // The dashboard needs a signed-in user
+        if (!this.currentUser) {
+            window.location.href = 'login.html?session=required';
+            return;
+        }
+        
         this.bookListingManager = new BookListingManager(this.currentUser);
         
         // Initialize dashboard
@@ -21,7 +28,126 @@ class DashboardManager {
         this.updateProfileTab();
         this.setupLogoutButton();
         this.setupTabNavigation();
-        this.bookListingManager.loadUserListings();
+        window.dataStore.ready.then(() => {
+            this.bookListingManager.loadUserListings();
+            this.showVerificationNotice();
+            this.showRoleBadge();
+            this.showModerationLink();
+            this.setupListingImport();
+            this.setupListingBundles();
+            this.setupWishlist();
+            this.setupSavedSearches();
+        });
+    }
+    
+    /**
+     * Draw the wishlist tab
+     */
+    setupWishlist() {
+        const panel = document.getElementById('wishlist-panel');
+        if (!panel) return;
+        
+        new ListingWishlistPanel(panel, this.currentUser).render();
+    }
+    
+    /**
+     * Draw the saved searches tab
+     */
+    setupSavedSearches() {
+        const panel = document.getElementById('saved-searches-panel');
+        if (!panel) return;
+        
+        new SavedSearchPanel(panel, this.currentUser).render();
+    }
+    
+    /**
+     * Open the "Create Bundle" panel from the listings tab
+     */
+    setupListingBundles() {
+        const button = document.getElementById('create-bundle-btn');
+        const panel = document.getElementById('bundle-panel');
+        if (!button || !panel) return;
+        
+        const bundlePanel = new ListingBundlePanel(panel, this.bookListingManager);
+        button.addEventListener('click', () => {
+            if (panel.style.display !== 'none') {
+                panel.style.display = 'none';
+                return;
+            }
+            
+            // Redraw so the list of books is current
+            bundlePanel.render();
+            panel.style.display = 'block';
+        });
+    }
+    
+    /**
+     * Open the CSV import panel from the listings tab
+     */
+    setupListingImport() {
+        const button = document.getElementById('import-listings-btn');
+        const panel = document.getElementById('import-panel');
+        if (!button || !panel) return;
+        
+        let importPanel = null;
+        button.addEventListener('click', () => {
+            if (!importPanel) importPanel = new ListingImportPanel(panel, this.bookListingManager);
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        });
+    }
+    
+    /**
+     * Show moderators and admins their role next to the welcome message
+     */
+    showRoleBadge() {
+        const role = window.permissions.getRole(this.currentUser);
+        const userNameElement = document.querySelector('.user-info h2');
+        if (!userNameElement || role === 'student') return;
+        
+        const badge = document.createElement('span');
+        badge.className = `role-badge role-${role}`;
+        badge.textContent = window.permissions.getRoleLabel(role);
+        userNameElement.appendChild(badge);
+    }
+    
+    /**
+     * Give moderators and admins a link to the moderation console
+     */
+    showModerationLink() {
+        const userInfo = document.querySelector('.user-info');
+        if (!userInfo || !window.permissions.can('moderation.access')) return;
+        
+        const link = document.createElement('a');
+        link.href = 'admin.html';
+        link.className = 'moderation-link';
+        link.innerHTML = '<i class="fas fa-shield-alt"></i> Moderation console';
+        userInfo.appendChild(link);
+    }
+    
+    /**
+     * Remind unverified users to confirm their email before listing books
+     */
+    showVerificationNotice() {
+        const notice = document.getElementById('verification-notice');
+        if (!notice || window.accountVerification.isEmailVerified(this.currentUser)) return;
+        
+        notice.hidden = false;
+        
+        const resendButton = document.getElementById('resend-verification');
+        if (resendButton) {
+            resendButton.addEventListener('click', () => {
+                resendButton.disabled = true;
+                window.accountVerification.sendVerificationEmail(this.currentUser)
+                    .then(() => {
+                        resendButton.textContent = 'Link sent';
+                    })
+                    .catch(error => {
+                        console.error('Error sending verification email:', error);
+                        alert('Sorry, the verification email could not be sent. Please try again.');
+                        resendButton.disabled = false;
+                    });
+            });
+        }
     }
     
     /**
@@ -53,12 +179,11 @@ class DashboardManager {
     }
 
     /**
-     * Get current user from localStorage
+     * Get current user from the session
      * @returns {Object|null} User data or null if not logged in
      */
     getCurrentUser() {
-        const userJson = localStorage.getItem('currentUser');
-        return userJson ? JSON.parse(userJson) : null;
+        return window.sessionManager.getCurrentUser();
     }
 
     /**
@@ -66,7 +191,7 @@ class DashboardManager {
      * @returns {string|null} Authentication provider or null if not logged in
      */
     getAuthProvider() {
-        return localStorage.getItem('authProvider');
+        return window.sessionManager.getAuthProvider();
     }
 
     /**
@@ -80,7 +205,7 @@ class DashboardManager {
         if (userAvatar) {
             // If user has a picture (from Google auth), use it
             if (this.currentUser.picture) {
-                userAvatar.innerHTML = `<img src="${this.currentUser.picture}" alt="${this.currentUser.name}">`;
+                userAvatar.innerHTML = `<img src="${escapeHtml(this.currentUser.picture)}" alt="${escapeHtml(this.currentUser.name)}">`;
                 userAvatar.classList.add('has-image');
             } else {
                 // Otherwise use initials
@@ -176,7 +301,7 @@ class DashboardManager {
         }
 
         // Add authentication provider information
-        const authProvider = localStorage.getItem('authProvider');
+        const authProvider = this.authProvider;
         if (authProvider) {
             const profileInfoContainer = profileContainer.querySelector('.profile-info');
             if (profileInfoContainer) {
@@ -215,9 +340,8 @@ class DashboardManager {
                     }));
                 }
                 
-                // Clear user data from localStorage
-                localStorage.removeItem('currentUser');
-                localStorage.removeItem('authProvider');
+                // End the session here and in any other open tabs
+                window.sessionManager.end('logout');
                 
                 // Redirect to home page
                 window.location.href = 'index.html';
@@ -255,8 +379,8 @@ class DashboardManager {
                 department: department
             };
             
-            // Save to localStorage
-            localStorage.setItem('currentUser', JSON.stringify(updatedUser));
+            // Save to the session
+            window.sessionManager.updateUser(updatedUser);
             
             // Update current user
             this.currentUser = updatedUser;
@@ -295,6 +419,15 @@ class BookListingManager {
     constructor(currentUser) {
         this.currentUser = currentUser;
         this.listings = [];
+        
+        const params = new URLSearchParams(window.location.search);
+        // sell.html?edit=<id> re-opens a published listing for editing
+        this.editingListingId = params.get('edit');
+        // sell.html?draft=<id> continues a saved draft
+        this.draftId = params.get('draft');
+        this.autosaveTimer = null;
+        this.listingPublished = false;
+        
         this.setupListingForm();
     }
     
@@ -306,6 +439,20 @@ class BookListingManager {
         const listingForm = document.getElementById('book-listing-form');
         if (!listingForm) return;
         
+        const imageInput = document.getElementById('book-image');
+        if (imageInput) {
+            this.photoPicker = new ListingPhotoPicker(imageInput, listingForm.querySelector('.image-preview'));
+        }
+        
+        if (this.editingListingId) {
+            window.dataStore.ready.then(() => this.loadListingForEdit(listingForm, this.editingListingId));
+        } else {
+            this.setupDraftAutosave(listingForm);
+            if (this.draftId) {
+                window.dataStore.ready.then(() => this.loadDraft(listingForm, this.draftId));
+            }
+        }
+        
         // Override the form submission
         listingForm.addEventListener('submit', (e) => {
             e.preventDefault();
@@ -316,92 +463,641 @@ class BookListingManager {
                 return;
             }
             
-            // Collect form data
-            const formData = new FormData(listingForm);
-            const listingData = {};
+            if (!this.ensureEmailVerified()) return;
             
-            formData.forEach((value, key) => {
-                // Skip file inputs for now
-                if (key !== 'book-image') {
-                    listingData[key] = value;
-                }
-            });
+            // The draft is removed once the listing is published
+            clearTimeout(this.autosaveTimer);
             
-            // Handle image upload
-            const imageInput = document.getElementById('book-image');
-            if (imageInput && imageInput.files.length > 0) {
-                const file = imageInput.files[0];
-                const reader = new FileReader();
-                
-                reader.onload = (e) => {
-                    // Store the image as a data URL
-                    listingData.imageUrl = e.target.result;
+            // Collect form data
+            const listingData = this.getListingFormData(listingForm);
+            
+            // Store the compressed photos as blobs (or data URLs if IndexedDB is unavailable)
+            const savePhotos = this.photoPicker ? this.photoPicker.save() : Promise.resolve([]);
+            savePhotos
+                .then(photos => {
+                    // Without photos the catalog cover or a placeholder is shown
+                    Object.assign(listingData, window.listingPhotos.toListingFields(photos, listingData.coverUrl));
                     
                     // Complete the listing process
-                    this.completeListingProcess(listingData);
-                };
-                
-                reader.readAsDataURL(file);
-            } else {
-                // No image uploaded, use placeholder
-                listingData.imageUrl = 'https://via.placeholder.com/300x180?text=No+Image';
-                this.completeListingProcess(listingData);
+                    this.finishListing(listingData);
+                })
+                .catch(error => {
+                    console.error('Error saving book photos:', error);
+                    
+                    // Quota errors are already reported through the bookswap:storagefull event
+                    if (!DataStore.isQuotaError(error)) {
+                        alert('Sorry, your photos could not be saved. Please try again.');
+                    }
+                });
+        });
+    }
+    
+    /**
+     * Read the listing fields from the sell form
+     * @param {HTMLFormElement} form - Listing form
+     * @returns {Object} Listing data keyed by field name (e.g. courseCode)
+     */
+    getListingFormData(form) {
+        const formData = new FormData(form);
+        const listingData = {};
+        
+        formData.forEach((value, key) => {
+            // Photos are handled by the photo picker
+            if (key !== 'book-image') {
+                listingData[DataStore.toFieldName(key)] = value;
+            }
+        });
+        
+        return listingData;
+    }
+    
+    /**
+     * Fill the sell form with saved listing data
+     * @param {HTMLFormElement} form - Listing form
+     * @param {Object} values - Listing or draft fields keyed by field name
+     */
+    fillListingForm(form, values) {
+        // Selecting the listing type also shows the matching price/swap fields
+        const option = document.querySelector(`.listing-option[data-value="${values.listingType || 'sale'}"]`);
+        if (option) option.click();
+        
+        Array.from(form.elements).forEach(element => {
+            if (!element.name || element.type === 'file' || element.name === 'listing-type') return;
+            
+            const value = values[DataStore.toFieldName(element.name)];
+            if (element.type === 'checkbox') {
+                element.checked = !!value;
+                element.dispatchEvent(new Event('change'));
+            } else if (value !== undefined && value !== null) {
+                element.value = value;
+            }
+        });
+    }
+    
+    /**
+     * Autosave the sell form as a draft a moment after the seller stops typing,
+     * and straight away when they leave the page
+     * @param {HTMLFormElement} form - Listing form
+     */
+    setupDraftAutosave(form) {
+        const scheduleSave = (e) => {
+            // Ignore changes made while a draft is being filled in
+            if (!e.isTrusted) return;
+            
+            clearTimeout(this.autosaveTimer);
+            this.autosaveTimer = setTimeout(() => this.saveDraft(form), 1000);
+        };
+        
+        form.addEventListener('input', scheduleSave);
+        form.addEventListener('change', scheduleSave);
+        
+        const saveNow = () => {
+            if (this.autosaveTimer) {
+                clearTimeout(this.autosaveTimer);
+                this.autosaveTimer = null;
+                this.saveDraft(form);
             }
+        };
+        
+        window.addEventListener('pagehide', saveNow);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') saveNow();
         });
     }
     
+    /**
+     * Save the sell form as the current user's draft
+     * @param {HTMLFormElement} form - Listing form
+     * @returns {Promise} Resolves once the draft is stored
+     */
+    async saveDraft(form) {
+        this.autosaveTimer = null;
+        if (!this.currentUser || this.editingListingId || this.listingPublished) return;
+        
+        const fields = this.getListingFormData(form);
+        const pickedPhotos = this.photoPicker ? this.photoPicker.items : [];
+        if (!this.draftId && window.listingDrafts.isEmpty(fields, pickedPhotos)) return;
+        
+        try {
+            const photos = this.photoPicker ? await this.photoPicker.save() : [];
+            
+            // The listing may have been published while the photos were stored
+            if (this.listingPublished) return;
+            
+            const userId = this.currentUser.id || this.currentUser.email;
+            const draft = window.listingDrafts.saveDraft(userId, this.draftId, fields, photos);
+            if (draft.id !== this.draftId) {
+                this.draftId = draft.id;
+                // Reloading the page continues the same draft
+                window.history.replaceState(null, '', `sell.html?draft=${draft.id}`);
+            }
+            
+            await window.dataStore.flush();
+            this.showDraftStatus(`Draft saved at ${new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+        } catch (error) {
+            console.error('Error saving draft:', error);
+            this.showDraftStatus('Your draft could not be saved', true);
+        }
+    }
+    
+    /**
+     * Fill the sell form with a saved draft
+     * @param {HTMLFormElement} form - Listing form
+     * @param {string} draftId - Draft id
+     */
+    loadDraft(form, draftId) {
+        const draft = window.listingDrafts.getDraft(draftId, this.currentUser.id || this.currentUser.email);
+        if (!draft) {
+            alert('This draft no longer exists.');
+            this.draftId = null;
+            window.history.replaceState(null, '', 'sell.html');
+            return;
+        }
+        
+        this.fillListingForm(form, draft.fields || {});
+        if (this.photoPicker) {
+            this.photoPicker.setPhotos(draft.photos || []);
+        }
+        
+        this.showDraftStatus(`Continuing your draft from ${new Date(draft.updatedAt).toLocaleString()}`);
+    }
+    
+    /**
+     * Show the autosave status under the sell form buttons
+     * @param {string} message - Status text
+     * @param {boolean} isError - Whether saving failed
+     */
+    showDraftStatus(message, isError = false) {
+        const status = document.querySelector('.draft-status');
+        if (!status) return;
+        
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+    
+    /**
+     * Stop autosaving and delete the draft being written (used by the sell form's Cancel button)
+     */
+    discardDraft() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+        
+        if (this.draftId) {
+            window.listingDrafts.deleteDraft(this.draftId);
+            this.draftId = null;
+        }
+    }
+    
+    /**
+     * Publish a draft from the dashboard, or open it in the sell form if it isn't finished
+     * @param {string} draftId - Draft id
+     */
+    publishDraft(draftId) {
+        const draft = window.listingDrafts.getDraft(draftId, this.currentUser.id || this.currentUser.email);
+        if (!draft) return;
+        
+        const missing = window.listingDrafts.getMissingFields(draft);
+        if (missing.length > 0) {
+            if (confirm(`This draft is missing: ${missing.join(', ')}.\n\nOpen it in the sell form to finish it?`)) {
+                window.location.href = `sell.html?draft=${draft.id}`;
+            }
+            return;
+        }
+        
+        this.draftId = draft.id;
+        this.completeListingProcess(window.listingDrafts.toListingData(draft));
+    }
+    
+    /**
+     * Delete a draft after confirming
+     * @param {string} draftId - Draft id
+     */
+    deleteDraft(draftId) {
+        if (!confirm('Delete this draft? This cannot be undone.')) return;
+        
+        window.listingDrafts.deleteDraft(draftId);
+        this.displayDrafts();
+    }
+    
+    /**
+     * Publish a new listing or save changes to the one being edited
+     * @param {Object} listingData - Book listing data from the form
+     * @returns {Promise} Resolves once the listing is handled
+     */
+    finishListing(listingData) {
+        return this.editingListingId
+            ? this.completeListingEdit(listingData)
+            : this.completeListingProcess(listingData);
+    }
+    
+    /**
+     * Check that the current user may edit a listing, telling them if not
+     * @param {Object|null} listing - Listing
+     * @returns {boolean} True if the user owns the listing
+     */
+    canEditListing(listing) {
+        if (!listing) {
+            alert('This listing no longer exists.');
+            return false;
+        }
+        
+        if (String(listing.userId) !== String(this.currentUser.id || this.currentUser.email)) {
+            alert('You can only edit your own listings.');
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Fill the sell form with a published listing so it can be edited
+     * @param {HTMLFormElement} form - Listing form
+     * @param {string} listingId - Listing id
+     */
+    loadListingForEdit(form, listingId) {
+        const listing = window.dataStore.getById('listings', listingId);
+        if (!this.canEditListing(listing)) {
+            window.location.href = 'dashboard.html';
+            return;
+        }
+        
+        const header = document.querySelector('.sell-header');
+        if (header) {
+            header.querySelector('h1').textContent = 'Edit Your Listing';
+            header.querySelector('p').textContent = 'Change any details below. Buyers will see that the listing was edited.';
+        }
+        form.querySelector('.submit-btn').textContent = 'Save Changes';
+        
+        this.fillListingForm(form, listing);
+        
+        // The seller can reorder or remove the current photos and add more
+        if (this.photoPicker) {
+            this.photoPicker.setPhotos(window.listingPhotos.getPhotos(listing));
+        }
+    }
+    
+    /**
+     * Save changes to the listing being edited and record them in its history
+     * @param {Object} listingData - Book listing data from the form
+     */
+    async completeListingEdit(listingData) {
+        const listing = window.dataStore.getById('listings', this.editingListingId);
+        if (!this.canEditListing(listing)) return;
+        
+        // Edits are checked like new listings, so a price or banned word added later is still caught
+        const flags = window.listingChecks.checkEdit(listing, listingData, window.listingHistory.diff(listing, listingData));
+        if (flags.length > 0 && !confirm(`Your changes have been flagged for review:\n\n${window.listingChecks.describe(flags)}\n\nA moderator will check the listing after it is saved. Save anyway?`)) {
+            return;
+        }
+        
+        const result = window.listingHistory.applyEdit(listing.id, listingData, this.currentUser);
+        if (!result.ok) {
+            alert(result.message);
+            return;
+        }
+        
+        try {
+            await window.dataStore.flush();
+        } catch (error) {
+            console.error('Error saving listing changes:', error);
+            
+            // Quota errors are already reported through the bookswap:storagefull event
+            if (!DataStore.isQuotaError(error)) {
+                alert('Sorry, your changes could not be saved. Please try again.');
+            }
+            return;
+        }
+        
+        if (window.listingChecks.flagListing(result.listing, flags)) {
+            await window.dataStore.flush().catch(error => console.error('Error sending listing for review:', error));
+        }
+        
+        if (result.changes.length === 0) {
+            alert('No changes to save.');
+        } else {
+            alert(flags.length > 0
+                ? 'Your listing has been updated and sent to a moderator for review.'
+                : 'Your listing has been updated.');
+        }
+        window.location.href = 'dashboard.html';
+    }
+    
+    /**
+     * Only verified accounts can list books. Offers to resend the link otherwise.
+     * @returns {boolean} True if the user may list books
+     */
+    ensureEmailVerified() {
+        if (window.accountVerification.isEmailVerified(this.currentUser)) return true;
+        
+        const resend = confirm(`Please verify your email address (${this.currentUser.email}) before listing books.\n\nSend a new verification link?`);
+        if (resend) {
+            window.accountVerification.sendVerificationEmail(this.currentUser)
+                .then(() => alert('A new verification link has been sent. Check the outbox for your email.'))
+                .catch(error => {
+                    console.error('Error sending verification email:', error);
+                    alert('Sorry, the verification email could not be sent. Please try again.');
+                });
+        }
+        return false;
+    }
+    
     /**
      * Complete the listing process after handling image upload
      * @param {Object} listingData - Book listing data
      */
-    completeListingProcess(listingData) {
+    async completeListingProcess(listingData) {
+        if (!this.ensureEmailVerified()) return;
+        
         // Add additional metadata
-        listingData.id = Date.now().toString();
-        listingData.userId = this.currentUser.id || this.currentUser.email;
-        listingData.userName = this.currentUser.name;
-        listingData.dateAdded = new Date().toISOString();
-        listingData.status = 'active';
+        this.prepareListing(listingData);
+        
+        // Duplicates, implausible prices and banned words are sent to the moderators
+        const flags = window.listingChecks.check(listingData);
+        if (flags.length > 0 && !confirm(`Your listing has been flagged for review:\n\n${window.listingChecks.describe(flags)}\n\nA moderator will check it after it is published. Publish anyway?`)) {
+            return;
+        }
         
         // Save the listing
-        this.saveBookListing(listingData);
+        const saved = await this.saveBookListing(listingData, flags);
+        if (!saved) return;
+        
+        // A published draft is removed, but its photos now belong to the listing
+        this.listingPublished = true;
+        if (this.draftId) {
+            window.listingDrafts.markPublished(this.draftId);
+            await window.dataStore.flush().catch(error => console.error('Error removing published draft:', error));
+        }
         
         // Show success message
-        alert('Your book has been listed successfully!');
+        alert(flags.length > 0
+            ? 'Your book has been listed and sent to a moderator for review.'
+            : 'Your book has been listed successfully!');
         
         // Redirect to dashboard
         window.location.href = 'dashboard.html';
     }
     
     /**
-     * Save a book listing to localStorage
+     * Add the seller, dates and status to new listing data
+     * @param {Object} listingData - Book listing data
+     * @param {string} idSuffix - Keeps ids unique when several listings are created at once
+     * @returns {Object} The same listing data
+     */
+    prepareListing(listingData, idSuffix = '') {
+        listingData.id = Date.now().toString() + idSuffix;
+        listingData.userId = this.currentUser.id || this.currentUser.email;
+        listingData.userName = this.currentUser.name;
+        listingData.dateAdded = new Date().toISOString();
+        listingData.status = 'active';
+        listingData.expiresAt = window.listingLifecycle.getExpiryDate();
+        return listingData;
+    }
+    
+    /**
+     * Create several listings at once, e.g. from a CSV import. Either all of them
+     * are saved or none are. Listings flagged by the listing checks are sent to
+     * the moderators.
+     * @param {Array<Object>} listings - Listing data for each book
+     * @returns {Promise<Object>} { ok: true, count, flagged: [{ listing, flags }] } or { ok: false }
+     */
+    async importListings(listings) {
+        if (!this.ensureEmailVerified()) return { ok: false };
+        
+        const created = listings.map((listingData, index) => this.prepareListing({
+            ...listingData,
+            ...window.listingPhotos.toListingFields([], listingData.coverUrl)
+        }, `_${index}`));
+        
+        // Each listing is checked against the ones imported before it, so the
+        // same book twice in one file is caught too. Flagged listings are sent
+        // to the moderators before anyone is alerted about the import.
+        const flagged = [];
+        const reports = [];
+        
+        try {
+            created.forEach(listing => {
+                const flags = window.listingChecks.check(listing);
+                window.dataStore.create('listings', listing);
+                if (flags.length > 0) {
+                    flagged.push({ listing, flags });
+                    reports.push(window.listingChecks.flagListing(listing, flags));
+                }
+            });
+            await window.dataStore.flush();
+        } catch (error) {
+            console.error('Error importing listings:', error);
+            
+            // Don't leave part of the import in memory when it never reached storage
+            created.forEach(listing => window.dataStore.remove('listings', listing.id));
+            reports.forEach(report => window.dataStore.remove('reports', report.id));
+            
+            // Quota errors are already reported through the bookswap:storagefull event
+            if (!DataStore.isQuotaError(error)) {
+                alert('Sorry, your listings could not be imported. Please try again.');
+            }
+            return { ok: false };
+        }
+        
+        await this.notifyListingMatches(created);
+        
+        this.loadUserListings();
+        return { ok: true, count: created.length, flagged };
+    }
+    
+    /**
+     * Save a book listing to the data store. A flagged listing is sent to the
+     * moderators before anyone is alerted about it.
      * @param {Object} listingData - Book listing data
+     * @param {Array} flags - Flags from the listing checks
+     * @returns {Promise<boolean>} True once the listing is stored
+     */
+    async saveBookListing(listingData, flags = []) {
+        let report = null;
+        
+        try {
+            window.dataStore.create('listings', listingData);
+            report = window.listingChecks.flagListing(listingData, flags);
+            await window.dataStore.flush();
+        } catch (error) {
+            console.error('Error saving book listing:', error);
+            
+            // Don't leave a listing in memory that never reached storage
+            window.dataStore.remove('listings', listingData.id);
+            if (report) window.dataStore.remove('reports', report.id);
+            
+            // Quota errors are already reported through the bookswap:storagefull event
+            if (!DataStore.isQuotaError(error)) {
+                alert('Sorry, your listing could not be saved. Please try again.');
+            }
+            return false;
+        }
+        
+        await this.notifyListingMatches([listingData]);
+        return true;
+    }
+    
+    /**
+     * Send a NEW_LISTING notification to every student whose wishlist one of
+     * the new listings matches, and alert the owners of matching saved
+     * searches. Hidden listings and listings waiting for a moderator are
+     * skipped. The listings stay saved if this fails.
+     * @param {Array<Object>} listings - Saved listings
      */
-    saveBookListing(listingData) {
-        // Get existing listings from localStorage
-        const existingListings = JSON.parse(localStorage.getItem('bookListings')) || [];
+    async notifyListingMatches(listings) {
+        if (!window.notificationSystem) return;
         
-        // Add the new listing
-        existingListings.push(listingData);
+        let notified = 0;
+        listings.forEach(listing => {
+            if (window.listingWishlist) {
+                notified += window.listingWishlist.notifyMatches(listing, window.notificationSystem);
+            }
+            if (window.savedSearches) {
+                notified += window.savedSearches.recordMatches(listing, window.notificationSystem);
+            }
+        });
         
-        // Save back to localStorage
-        localStorage.setItem('bookListings', JSON.stringify(existingListings));
+        if (notified > 0) {
+            await window.dataStore.flush().catch(error => console.error('Error saving listing alerts:', error));
+        }
     }
     
     /**
-     * Load user's book listings from localStorage
+     * Load user's book listings from the data store
      */
     loadUserListings() {
         if (!this.currentUser) return;
         
-        // Get all listings from localStorage
-        const allListings = JSON.parse(localStorage.getItem('bookListings')) || [];
-        
-        // Filter for current user's listings
+        // Get the current user's listings
         const userId = this.currentUser.id || this.currentUser.email;
-        this.listings = allListings.filter(listing => listing.userId === userId);
+        this.listings = window.dataStore.findBy('listings', 'userId', userId);
         
         // Display the listings
         this.displayUserListings();
+        this.displayDrafts();
+        this.displayBundles();
+    }
+    
+    /**
+     * Display the user's unfinished listings in the "My Drafts" section
+     */
+    displayDrafts() {
+        const section = document.querySelector('.drafts-section');
+        if (!section) return;
+        
+        const drafts = window.listingDrafts.getDrafts(this.currentUser.id || this.currentUser.email);
+        section.style.display = drafts.length > 0 ? 'block' : 'none';
+        
+        const list = section.querySelector('.drafts-list');
+        list.innerHTML = drafts.map(draft => {
+            const fields = draft.fields || {};
+            const missing = window.listingDrafts.getMissingFields(draft);
+            
+            return `
+                <div class="draft-item" data-id="${escapeHtml(draft.id)}">
+                    <div class="draft-info">
+                        <h4>${escapeHtml(fields.title || 'Untitled draft')}</h4>
+                        <p>Saved ${new Date(draft.updatedAt).toLocaleString()} &middot; ${missing.length > 0 ? `${missing.length} required ${missing.length === 1 ? 'field' : 'fields'} left` : 'Ready to publish'}</p>
+                    </div>
+                    <div class="draft-actions">
+                        <a href="sell.html?draft=${encodeURIComponent(draft.id)}" class="listing-action-btn edit-btn">Continue</a>
+                        <button class="listing-action-btn mark-sold-btn publish-draft-btn">Publish</button>
+                        <button class="listing-action-btn delete-btn delete-draft-btn">Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        list.querySelectorAll('.draft-item').forEach(item => {
+            item.querySelector('.publish-draft-btn').addEventListener('click', () => this.publishDraft(item.dataset.id));
+            item.querySelector('.delete-draft-btn').addEventListener('click', () => this.deleteDraft(item.dataset.id));
+        });
+    }
+    
+    /**
+     * Display the user's bundles in the "My Bundles" section
+     */
+    displayBundles() {
+        const section = document.querySelector('.bundles-section');
+        if (!section) return;
+        
+        const bundles = window.listingBundles.getBundles(this.currentUser.id || this.currentUser.email);
+        section.style.display = bundles.length > 0 ? 'block' : 'none';
+        
+        const list = section.querySelector('.bundles-list');
+        list.innerHTML = bundles.map(bundle => {
+            const titles = window.listingBundles.getListings(bundle).map(listing => listing.title);
+            let status = 'Active';
+            if (bundle.status === 'sold') {
+                status = `Sold ${new Date(bundle.soldAt).toLocaleDateString()}`;
+            } else if (bundle.status === 'unavailable') {
+                status = `Unavailable: ${escapeHtml(bundle.unavailableReason)}`;
+            } else if (!window.listingBundles.isAvailable(bundle)) {
+                status = 'Hidden until every book is active again';
+            }
+            
+            return `
+                <div class="bundle-item status-${bundle.status}" data-id="${escapeHtml(bundle.id)}">
+                    <div class="bundle-info">
+                        <h4>${escapeHtml(bundle.title)}</h4>
+                        <p>${escapeHtml(titles.join(', '))}</p>
+                        <p>$${bundle.price.toFixed(2)} <s>$${bundle.separatePrice.toFixed(2)}</s> &middot; ${status}${bundle.priceHistory.length > 1 ? ' &middot; Repriced' : ''}</p>
+                    </div>
+                    <div class="bundle-actions">
+                        ${bundle.status === 'sold' ? '' : '<button class="listing-action-btn delete-btn delete-bundle-btn">Delete</button>'}
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        list.querySelectorAll('.delete-bundle-btn').forEach(button => {
+            button.addEventListener('click', () => this.deleteBundle(button.closest('.bundle-item').dataset.id));
+        });
+    }
+    
+    /**
+     * Create a bundle from some of the user's listings
+     * @param {Object} data - { title, description, listingIds, price, onComponentSold }
+     * @returns {Promise<Object>} Result of ListingBundles.createBundle
+     */
+    async saveBundle(data) {
+        const result = window.listingBundles.createBundle(this.currentUser, data);
+        if (!result.ok) {
+            alert(result.message);
+            return result;
+        }
+        
+        try {
+            await window.dataStore.flush();
+        } catch (error) {
+            console.error('Error saving bundle:', error);
+            window.dataStore.remove('bundles', result.bundle.id);
+            
+            // Quota errors are already reported through the bookswap:storagefull event
+            if (!DataStore.isQuotaError(error)) {
+                alert('Sorry, your bundle could not be saved. Please try again.');
+            }
+            return { ok: false };
+        }
+        
+        this.loadUserListings();
+        this.showSuccessMessage(`Bundle "${result.bundle.title}" is now on the browse page.`);
+        return result;
+    }
+    
+    /**
+     * Delete a bundle after confirming. Its books stay listed.
+     * @param {string} bundleId - Bundle id
+     */
+    deleteBundle(bundleId) {
+        if (!confirm('Delete this bundle? Its books stay listed on their own.')) return;
+        
+        const result = window.listingBundles.deleteBundle(bundleId, this.currentUser);
+        if (!result.ok) {
+            alert(result.message);
+            return;
+        }
+        
+        this.loadUserListings();
     }
     
     /**
@@ -434,6 +1130,8 @@ class BookListingManager {
             const listingCard = this.createListingCard(listing);
             listingsGrid.appendChild(listingCard);
         });
+        
+        window.dataStore.loadImages(listingsGrid);
     }
     
     /**
@@ -447,40 +1145,35 @@ class BookListingManager {
         card.dataset.id = listing.id;
         
         // Format price
-        const price = listing['listing-type'] === 'swap' ? 'For Swap' : `$${listing.price}`;
-        
-        // Status badge class
-        const statusClass = {
-            'active': 'status-active',
-            'pending': 'status-pending',
-            'sold': 'status-sold'
-        }[listing.status] || 'status-active';
-        
-        // Status text
-        const statusText = {
-            'active': 'Active',
-            'pending': 'Pending',
-            'sold': 'Sold'
-        }[listing.status] || 'Active';
+        const price = listing.listingType === 'swap' ? 'For Swap' : `$${escapeHtml(listing.price)}`;
+        
+        // Status badge
+        const state = window.listingLifecycle.getState(listing);
+        const statusText = window.listingLifecycle.getLabel(state);
         
         // Create card HTML
         card.innerHTML = `
-            <div class="listing-status ${statusClass}">${statusText}</div>
+            <div class="listing-status status-${state}">${statusText}</div>
             <div class="listing-image">
-                <img src="${listing.imageUrl || 'https://via.placeholder.com/300x180?text=Book+Cover'}" alt="${listing.title}">
+                <img src="${escapeHtml(listing.imageUrl || 'https://via.placeholder.com/300x180?text=Book+Cover')}" alt="${escapeHtml(listing.title)}"${listing.imageId ? ` data-image-id="${escapeHtml(listing.imageId)}"` : ''}>
             </div>
             <div class="listing-details">
-                <h3 class="listing-title">${listing.title}</h3>
-                <p class="listing-author">By ${listing.author}</p>
+                <h3 class="listing-title">${escapeHtml(listing.title)}</h3>
+                <p class="listing-author">By ${escapeHtml(listing.author)}</p>
                 <div class="listing-meta">
                     <span class="listing-price">${price}</span>
-                    <span class="listing-type">${listing['listing-type'] || 'Sale'}</span>
+                    <span class="listing-type">${escapeHtml(listing.listingType || 'Sale')}</span>
                 </div>
+                ${listing.hidden ? '<p class="listing-hidden-note"><i class="fas fa-eye-slash"></i> Hidden by a moderator</p>' : ''}
+                ${window.listingHistory.getMarkersHTML(listing)}
+                ${this.getLifecycleNoteHTML(listing)}
+                ${this.getBundleNoteHTML(listing)}
                 <div class="listing-actions">
                     <button class="listing-action-btn edit-btn">Edit</button>
                     <button class="listing-action-btn delete-btn">Delete</button>
-                    ${listing.status !== 'sold' ? `<button class="listing-action-btn mark-sold-btn">Mark as Sold</button>` : ''}
                 </div>
+                ${this.getLifecycleActionsHTML(listing)}
+                ${this.getRevisionHistoryHTML(listing)}
             </div>
         `;
         
@@ -490,6 +1183,90 @@ class BookListingManager {
         return card;
     }
     
+    /**
+     * Show which of the seller's bundles a listing is part of
+     * @param {Object} listing - Book listing data
+     * @returns {string} Note HTML, or an empty string if it isn't in an active bundle
+     */
+    getBundleNoteHTML(listing) {
+        const bundle = window.listingBundles.getActiveBundleFor(listing.id);
+        return bundle ? `<p class="listing-bundle-note"><i class="fas fa-layer-group"></i> In bundle "${escapeHtml(bundle.title)}"</p>` : '';
+    }
+    
+    /**
+     * Describe where a listing is in its lifecycle (expiry date, reservation)
+     * @param {Object} listing - Book listing data
+     * @returns {string} Note HTML, or an empty string for finished listings
+     */
+    getLifecycleNoteHTML(listing) {
+        const lifecycle = window.listingLifecycle;
+        const formatDate = value => new Date(value).toLocaleDateString();
+        
+        switch (lifecycle.getState(listing)) {
+            case 'active': {
+                if (!listing.expiresAt) return '';
+                const expiringSoon = lifecycle.getDaysLeft(listing) <= lifecycle.settings.reminderDays;
+                return `<p class="listing-lifecycle-note${expiringSoon ? ' warning' : ''}"><i class="far fa-clock"></i> Expires ${formatDate(listing.expiresAt)}</p>`;
+            }
+            case 'reserved':
+                return `<p class="listing-lifecycle-note"><i class="fas fa-lock"></i> Reserved for ${listing.reservedFor ? escapeHtml(listing.reservedFor.name) : 'a buyer'} until ${new Date(listing.reservedUntil).toLocaleString()}</p>`;
+            case 'expired':
+                return `<p class="listing-lifecycle-note warning"><i class="far fa-clock"></i> Expired ${listing.expiresAt ? formatDate(listing.expiresAt) : ''}. Buyers can't see it.</p>`;
+            case 'withdrawn':
+                return '<p class="listing-lifecycle-note">Withdrawn. Buyers can\'t see it.</p>';
+            default:
+                return '';
+        }
+    }
+    
+    /**
+     * Build the buttons for the lifecycle moves a listing allows
+     * @param {Object} listing - Book listing data
+     * @returns {string} Buttons HTML, or an empty string for sold and swapped listings
+     */
+    getLifecycleActionsHTML(listing) {
+        const lifecycle = window.listingLifecycle;
+        const state = lifecycle.getState(listing);
+        const buttons = [];
+        
+        const canRenew = state === 'expired' || (state === 'active' && lifecycle.getDaysLeft(listing) !== null && lifecycle.getDaysLeft(listing) <= lifecycle.settings.reminderDays);
+        if (canRenew) buttons.push('<button class="listing-action-btn mark-sold-btn" data-transition="renew">Renew</button>');
+        if (state === 'withdrawn') buttons.push('<button class="listing-action-btn mark-sold-btn" data-transition="active">Relist</button>');
+        if (state === 'reserved') buttons.push('<button class="listing-action-btn" data-transition="active">Release</button>');
+        if (lifecycle.canTransition(listing, 'reserved')) buttons.push('<button class="listing-action-btn" data-transition="reserved">Reserve</button>');
+        if (lifecycle.canTransition(listing, 'sold') && listing.listingType !== 'swap') buttons.push('<button class="listing-action-btn mark-sold-btn" data-transition="sold">Mark as Sold</button>');
+        if (lifecycle.canTransition(listing, 'swapped') && listing.listingType !== 'sale') buttons.push('<button class="listing-action-btn mark-sold-btn" data-transition="swapped">Mark as Swapped</button>');
+        if (lifecycle.canTransition(listing, 'withdrawn')) buttons.push('<button class="listing-action-btn" data-transition="withdrawn">Withdraw</button>');
+        
+        return buttons.length > 0 ? `<div class="listing-actions lifecycle-actions">${buttons.join('')}</div>` : '';
+    }
+    
+    /**
+     * Build the collapsible revision history for a listing card
+     * @param {Object} listing - Book listing data
+     * @returns {string} History HTML, or an empty string if the listing was never edited
+     */
+    getRevisionHistoryHTML(listing) {
+        const revisions = window.listingHistory.getRevisions(listing);
+        if (revisions.length === 0) return '';
+        
+        const items = revisions.map(revision => `
+            <li>
+                <span class="revision-date">${new Date(revision.revisedAt).toLocaleString()}</span>
+                <ul>
+                    ${revision.changes.map(change => `<li>${escapeHtml(window.listingHistory.describeChange(change))}</li>`).join('')}
+                </ul>
+            </li>
+        `).join('');
+        
+        return `
+            <details class="listing-history">
+                <summary>Edited ${revisions.length} ${revisions.length === 1 ? 'time' : 'times'}</summary>
+                <ul class="revision-list">${items}</ul>
+            </details>
+        `;
+    }
+    
     /**
      * Set up event listeners for listing card action buttons
      * @param {HTMLElement} card - Listing card element
@@ -500,9 +1277,7 @@ class BookListingManager {
         const editBtn = card.querySelector('.edit-btn');
         if (editBtn) {
             editBtn.addEventListener('click', () => {
-                // In a real app, this would redirect to an edit page
-                // For demo, we'll just show an alert
-                alert('Edit functionality would be implemented in a real app');
+                window.location.href = `sell.html?edit=${encodeURIComponent(listing.id)}`;
             });
         }
         
@@ -516,76 +1291,128 @@ class BookListingManager {
             });
         }
         
-        // Mark as sold button
-        const markSoldBtn = card.querySelector('.mark-sold-btn');
-        if (markSoldBtn) {
-            markSoldBtn.addEventListener('click', () => {
-                if (confirm('Mark this book as sold?')) {
-                    this.updateListingStatus(listing.id, 'sold');
-                }
-            });
+        // Lifecycle buttons (reserve, mark as sold, renew, ...)
+        card.querySelectorAll('[data-transition]').forEach(button => {
+            button.addEventListener('click', () => this.changeListingState(listing, button.dataset.transition));
+        });
+    }
+    
+    /**
+     * Confirm a lifecycle move with the seller and apply it
+     * @param {Object} listing - Book listing data
+     * @param {string} to - Target state, or 'renew'
+     */
+    changeListingState(listing, to) {
+        if (to === 'renew') {
+            const result = window.listingLifecycle.renew(listing.id, this.currentUser);
+            if (!result.ok) {
+                alert(result.message);
+                return;
+            }
+            
+            this.listings = this.listings.map(item => item.id === listing.id ? result.listing : item);
+            this.displayUserListings();
+            this.showSuccessMessage(`"${listing.title}" has been renewed until ${new Date(result.listing.expiresAt).toLocaleDateString()}.`);
+            return;
+        }
+        
+        if (to === 'reserved') {
+            const reservation = this.promptReservation();
+            if (reservation) {
+                this.updateListingStatus(listing.id, 'reserved', reservation);
+            }
+            return;
+        }
+        
+        const questions = {
+            active: listing.status === 'reserved' ? 'Release the reservation and show this book to buyers again?' : 'Relist this book?',
+            sold: 'Mark this book as sold?',
+            swapped: 'Mark this book as swapped?',
+            withdrawn: 'Withdraw this listing? Buyers won\'t see it until you relist it.'
+        };
+        
+        if (confirm(questions[to])) {
+            this.updateListingStatus(listing.id, to);
         }
     }
     
     /**
-     * Delete a book listing
+     * Ask the seller who a book is held for and for how long
+     * @returns {Object|null} { buyer: { id, name }, until } or null if cancelled
+     */
+    promptReservation() {
+        const buyerText = prompt('Who are you holding this book for? Enter their name or email.');
+        if (!buyerText || !buyerText.trim()) return null;
+        
+        const search = buyerText.trim().toLowerCase();
+        const user = window.dataStore.getAll('users').find(user =>
+            (user.email || '').toLowerCase() === search || (user.name || '').toLowerCase() === search
+        );
+        
+        const defaultHours = window.listingLifecycle.settings.reservationHours;
+        const hoursText = prompt('How many hours should it be held for?', String(defaultHours));
+        if (hoursText === null) return null;
+        
+        const hours = parseFloat(hoursText);
+        if (isNaN(hours) || hours <= 0) {
+            alert('Please enter a number of hours greater than 0.');
+            return null;
+        }
+        
+        return {
+            buyer: user ? { id: user.id, name: user.name || user.email } : { id: null, name: buyerText.trim() },
+            until: new Date(Date.now() + hours * 60 * 60 * 1000)
+        };
+    }
+    
+    /**
+     * Delete a book listing. Owners can delete their own listings; moderators and admins can delete any.
      * @param {string} listingId - ID of the listing to delete
+     * @returns {boolean} True if the listing was deleted
      */
     deleteBookListing(listingId) {
-        // Get all listings from localStorage
-        const allListings = JSON.parse(localStorage.getItem('bookListings')) || [];
+        const listing = window.dataStore.getById('listings', listingId);
+        if (!listing) return false;
         
-        // Filter out the listing to delete
-        const updatedListings = allListings.filter(listing => listing.id !== listingId);
+        if (!window.permissions.enforce('listings.delete', listing.userId)) return false;
         
-        // Save back to localStorage
-        localStorage.setItem('bookListings', JSON.stringify(updatedListings));
+        window.dataStore.remove('listings', listingId);
         
         // Update local listings array
         this.listings = this.listings.filter(listing => listing.id !== listingId);
         
         // Refresh the display
         this.displayUserListings();
+        return true;
     }
     
     /**
-     * Update a listing's status
+     * Move a listing to another lifecycle state (see BOOKSWAP_LISTING_STATES)
      * @param {string} listingId - ID of the listing to update
-     * @param {string} status - New status ('active', 'pending', or 'sold')
+     * @param {string} status - New state, e.g. 'reserved', 'sold' or 'withdrawn'
+     * @param {Object} options - Reservation details ({ buyer, until }) for 'reserved'
+     * @returns {boolean} True if the listing was updated
      */
-    updateListingStatus(listingId, status) {
-        // Get all listings from localStorage
-        const allListings = JSON.parse(localStorage.getItem('bookListings')) || [];
-        
-        // Find the listing being updated
-        const listingToUpdate = allListings.find(listing => listing.id === listingId);
-        
-        // Find and update the listing
-        const updatedListings = allListings.map(listing => {
-            if (listing.id === listingId) {
-                return { ...listing, status };
-            }
-            return listing;
-        });
+    updateListingStatus(listingId, status, options = {}) {
+        if (!this.canEditListing(window.dataStore.getById('listings', listingId))) return false;
         
-        // Save back to localStorage
-        localStorage.setItem('bookListings', JSON.stringify(updatedListings));
+        const result = window.listingLifecycle.transition(listingId, status, { ...options, user: this.currentUser });
+        if (!result.ok) {
+            alert(result.message);
+            return false;
+        }
         
         // Update local listings array
-        this.listings = this.listings.map(listing => {
-            if (listing.id === listingId) {
-                return { ...listing, status };
-            }
-            return listing;
-        });
+        this.listings = this.listings.map(listing => listing.id === listingId ? result.listing : listing);
         
-        // If book is marked as sold, trigger transaction creation
-        if (status === 'sold' && listingToUpdate) {
-            this.handleBookSold(listingToUpdate);
+        // If book is sold or swapped, trigger transaction creation
+        if (status === 'sold' || status === 'swapped') {
+            this.handleBookSold(result.listing);
         }
         
         // Refresh the display
         this.displayUserListings();
+        return true;
     }
 
     /**
@@ -603,7 +1430,7 @@ class BookListingManager {
                 condition: listing.condition,
                 department: listing.department
             },
-            type: listing['listing-type'] === 'swap' ? 'Swap' : 'Sale',
+            type: listing.status === 'swapped' || listing.listingType === 'swap' ? 'Swap' : 'Sale',
             price: parseFloat(listing.price) || 0,
             status: 'Completed',
             buyerId: 'pending', // In a real app, this would come from the actual buyer
@@ -620,7 +1447,7 @@ class BookListingManager {
         document.dispatchEvent(event);
 
         // Show success message
-        this.showSuccessMessage(`"${listing.title}" has been marked as sold and added to your transactions.`);
+        this.showSuccessMessage(`"${listing.title}" has been marked as ${listing.status === 'swapped' ? 'swapped' : 'sold'} and added to your transactions.`);
     }
 
     /**
@@ -660,7 +1487,7 @@ class BookListingManager {
         toast.innerHTML = `
             <div style="display: flex; align-items: center; gap: 8px;">
                 <i class="fas fa-check-circle"></i>
-                <span>${message}</span>
+                <span>${escapeHtml(message)}</span>
             </div>
         `;
 
@@ -0,0 +1,253 @@
+/**
+ * Data Migrations Module for Campus BookSwap
+ * Versions the stored data schema and upgrades older browser data at startup
+ */
+
+/**
+ * Current schema version. Bump this and append to BOOKSWAP_MIGRATIONS
+ * whenever the shape of stored records changes.
+ */
+const BOOKSWAP_SCHEMA_VERSION = 6;
+
+/**
+ * Ordered migrations. Each one upgrades data from `version - 1` to `version`
+ * and must be safe to re-run if a previous attempt failed part way through.
+ */
+const BOOKSWAP_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Rename hyphenated listing fields to camelCase',
+        migrate(store) {
+            const legacyKeys = ['listing-type', 'course-code', 'swap-for', 'contact-platform', 'contact-email', 'contact-whatsapp'];
+            
+            const listings = store.getAll('listings').map(listing => {
+                legacyKeys.forEach(key => {
+                    if (key in listing) {
+                        const field = DataStore.toFieldName(key);
+                        if (listing[field] === undefined) {
+                            listing[field] = listing[key];
+                        }
+                        delete listing[key];
+                    }
+                });
+                return listing;
+            });
+            
+            store.replaceAll('listings', listings);
+        }
+    },
+    {
+        version: 2,
+        description: 'Key ratings and reviews by user id instead of email',
+        migrate(store) {
+            const ratings = store.getDocument('ratings');
+            if (!ratings) return;
+            
+            const userIdsByEmail = getKnownUserIdsByEmail(store);
+            
+            ['books', 'sellers'].forEach(type => {
+                Object.values(ratings[type] || {}).forEach(item => {
+                    item.ratings = rekeyByUserId(item.ratings || {}, userIdsByEmail);
+                    item.reviews = rekeyByUserId(item.reviews || {}, userIdsByEmail);
+                });
+            });
+            
+            store.setDocument('ratings', ratings);
+        }
+    },
+    {
+        version: 3,
+        description: 'Merge legacy "messages" threads into the conversations collection',
+        migrate(store) {
+            const legacyMessages = store.adapter.read('messages');
+            if (!legacyMessages) return;
+            
+            const currentUser = window.sessionManager ? window.sessionManager.getCurrentUser() : null;
+            const conversations = store.getAll('conversations');
+            
+            Object.keys(legacyMessages).forEach(conversationId => {
+                const thread = legacyMessages[conversationId] || [];
+                if (!thread.length || conversations.some(c => c.id === conversationId)) return;
+                
+                // Old ids were "<userId>-<userId>", built from both participants' ids
+                const participantIds = [...new Set(thread.flatMap(m => [m.senderId, m.recipientId]))]
+                    .filter(id => id !== undefined && id !== null)
+                    .map(String);
+                
+                conversations.push({
+                    id: conversationId,
+                    participants: participantIds.map(id => ({
+                        id: id,
+                        name: currentUser && currentUser.id === id ? currentUser.name : `User ${id}`
+                    })),
+                    bookId: null,
+                    bookTitle: '',
+                    messages: thread.map(m => ({
+                        id: m.id.toString(),
+                        senderId: String(m.senderId),
+                        text: m.text,
+                        timestamp: m.timestamp,
+                        read: m.read
+                    }))
+                });
+            });
+            
+            store.replaceAll('conversations', conversations);
+            store.adapter.remove('messages');
+        }
+    },
+    {
+        version: 4,
+        description: 'Treat accounts created before email verification as verified',
+        migrate(store) {
+            const users = store.getAll('users').map(user => ({
+                ...user,
+                emailVerified: user.emailVerified === undefined ? true : user.emailVerified
+            }));
+            
+            store.replaceAll('users', users);
+        }
+    },
+    {
+        version: 5,
+        description: 'Give every existing account the student role',
+        migrate(store) {
+            const users = store.getAll('users').map(user => ({
+                ...user,
+                role: user.role || 'student'
+            }));
+            
+            store.replaceAll('users', users);
+        }
+    },
+    {
+        version: 6,
+        description: 'Move pending listings back to active, since the listing lifecycle has no pending state',
+        migrate(store) {
+            const listings = store.getAll('listings').map(listing => ({
+                ...listing,
+                status: listing.status === 'pending' ? 'active' : listing.status
+            }));
+            
+            store.replaceAll('listings', listings);
+        }
+    }
+];
+
+/**
+ * Collect every email -> user id pairing we can find in browser storage
+ * @param {DataStore} store - Data store
+ * @returns {Object} Map of lowercase email to user id
+ */
+function getKnownUserIdsByEmail(store) {
+    const userIdsByEmail = {};
+    const addUser = (email, id) => {
+        if (email && id && !userIdsByEmail[email.toLowerCase()]) {
+            userIdsByEmail[email.toLowerCase()] = id;
+        }
+    };
+    
+    const currentUser = window.sessionManager ? window.sessionManager.getCurrentUser() : null;
+    if (currentUser) addUser(currentUser.email, currentUser.id);
+    
+    try {
+        const lastLoggedInUser = JSON.parse(localStorage.getItem('lastLoggedInUser'));
+        if (lastLoggedInUser) addUser(lastLoggedInUser.email, lastLoggedInUser.id);
+    } catch (error) {
+        // Not a stored user object
+    }
+    
+    store.getAll('listings').forEach(listing => addUser(listing.contactEmail, listing.userId));
+    
+    return userIdsByEmail;
+}
+
+/**
+ * Re-key a map of per-user entries from email to user id.
+ * Emails with no known account keep their key and are flagged with legacyEmail.
+ * @param {Object} entries - Entries keyed by email
+ * @param {Object} userIdsByEmail - Email to user id map
+ * @returns {Object} Entries keyed by user id
+ */
+function rekeyByUserId(entries, userIdsByEmail) {
+    const rekeyed = {};
+    
+    Object.keys(entries).forEach(key => {
+        const entry = entries[key];
+        if (!key.includes('@')) {
+            rekeyed[key] = entry;
+            return;
+        }
+        
+        const userId = userIdsByEmail[key.toLowerCase()];
+        if (userId) {
+            rekeyed[userId] = { ...entry, userId: userId };
+        } else {
+            rekeyed[key] = { ...entry, legacyEmail: key };
+        }
+    });
+    
+    return rekeyed;
+}
+
+/**
+ * Migration Runner
+ * Applies pending migrations in order and records the applied version
+ */
+class MigrationRunner {
+    constructor(store, migrations = BOOKSWAP_MIGRATIONS, targetVersion = BOOKSWAP_SCHEMA_VERSION) {
+        this.store = store;
+        this.migrations = migrations.slice().sort((a, b) => a.version - b.version);
+        this.targetVersion = targetVersion;
+    }
+    
+    /**
+     * Get the schema version the stored data is at
+     * @returns {number} Applied version (0 for data that predates versioning)
+     */
+    getAppliedVersion() {
+        const info = this.store.getDocument('schemaInfo');
+        return info ? info.version : 0;
+    }
+    
+    /**
+     * Run all pending migrations
+     * @returns {number} Schema version after running
+     */
+    run() {
+        const info = this.store.getDocument('schemaInfo') || { version: 0, history: [] };
+        
+        if (info.version > this.targetVersion) {
+            console.warn(`Stored data is at schema version ${info.version}, newer than this app (${this.targetVersion}). Skipping migrations.`);
+            return info.version;
+        }
+        
+        const pending = this.migrations.filter(m => m.version > info.version && m.version <= this.targetVersion);
+        
+        for (const migration of pending) {
+            try {
+                migration.migrate(this.store);
+            } catch (error) {
+                // Stop here so the failed migration is retried on the next page load
+                console.error(`Migration ${migration.version} (${migration.description}) failed:`, error);
+                break;
+            }
+            
+            info.version = migration.version;
+            info.history.push({
+                version: migration.version,
+                description: migration.description,
+                appliedAt: new Date().toISOString()
+            });
+            this.store.setDocument('schemaInfo', info);
+        }
+        
+        return info.version;
+    }
+}
+
+// Upgrade stored data before any manager reads it. Listings may still be loading
+// from IndexedDB, so the run is chained onto dataStore.ready, which pages wait for.
+window.migrationRunner = new MigrationRunner(window.dataStore);
+window.dataStore.ready = window.dataStore.ready.then(() => window.migrationRunner.run());
+window.MigrationRunner = MigrationRunner;
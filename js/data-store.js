@@ -0,0 +1,1336 @@
+/**
+ * Data Store Module for Campus BookSwap
+ * Central data-access layer: every manager reads and writes its records through here
+ * instead of parsing localStorage keys itself
+ */
+
+/**
+ * Collection definitions.
+ * `list` collections hold arrays of records addressed by `idField`;
+ * `document` collections hold a single JSON value (object or array) under one key.
+ * `scoped` documents get a suffix per owner, e.g. bookswap_analytics_<userId>.
+ * `images` collections reference image blobs by `imageId` (see DataStore.saveImage).
+ */
+const BOOKSWAP_COLLECTIONS = {
+    listings: {
+        key: 'bookListings',
+        type: 'list',
+        idField: 'id',
+        required: ['title', 'userId'],
+        indexes: ['userId', 'status'],
+        images: true
+    },
+    users: {
+        key: 'bookswap_users',
+        type: 'list',
+        idField: 'id',
+        required: ['email'],
+        indexes: ['email', 'role']
+    },
+    credentials: {
+        key: 'bookswap_credentials',
+        type: 'list',
+        idField: 'id',
+        required: ['email', 'salt', 'hash'],
+        indexes: ['email']
+    },
+    accountTokens: {
+        key: 'bookswap_account_tokens',
+        type: 'list',
+        idField: 'id',
+        required: ['purpose', 'email', 'expiresAt'],
+        indexes: ['email']
+    },
+    accountTokenKey: {
+        key: 'bookswap_account_token_key',
+        type: 'document'
+    },
+    outbox: {
+        key: 'bookswap_outbox',
+        type: 'list',
+        idField: 'id',
+        required: ['to', 'subject'],
+        indexes: ['to']
+    },
+    transactions: {
+        key: 'bookswap_transactions',
+        type: 'list',
+        idField: 'id',
+        required: ['bookId'],
+        indexes: ['sellerId', 'buyerId']
+    },
+    notifications: {
+        key: 'bookswap_notifications',
+        type: 'list',
+        idField: 'id',
+        required: ['type', 'message']
+    },
+    forumPosts: {
+        key: 'bookswap_forum_posts',
+        type: 'list',
+        idField: 'id',
+        required: ['title', 'content']
+    },
+    drafts: {
+        key: 'bookswap_listing_drafts',
+        type: 'list',
+        idField: 'id',
+        required: ['userId'],
+        indexes: ['userId']
+    },
+    bundles: {
+        key: 'bookswap_bundles',
+        type: 'list',
+        idField: 'id',
+        required: ['userId', 'listingIds'],
+        indexes: ['userId', 'status']
+    },
+    wishlist: {
+        key: 'bookswap_wishlist',
+        type: 'list',
+        idField: 'id',
+        required: ['userId', 'kind', 'query'],
+        indexes: ['userId']
+    },
+    savedSearches: {
+        key: 'bookswap_saved_searches',
+        type: 'list',
+        idField: 'id',
+        required: ['userId', 'name', 'query'],
+        indexes: ['userId']
+    },
+    reports: {
+        key: 'bookswap_reports',
+        type: 'list',
+        idField: 'id',
+        required: ['targetType', 'targetKey', 'reporterId'],
+        indexes: ['status', 'targetKey']
+    },
+    auditLog: {
+        key: 'bookswap_audit_log',
+        type: 'list',
+        idField: 'id',
+        required: ['action']
+    },
+    forumChat: {
+        key: 'bookswap_forum_chat',
+        type: 'list',
+        idField: 'id'
+    },
+    forumChatUsers: {
+        key: 'bookswap_forum_chat_users',
+        type: 'list',
+        idField: 'id'
+    },
+    conversations: {
+        key: 'bookswap_conversations',
+        type: 'list',
+        idField: 'id'
+    },
+    savedLocations: {
+        key: 'bookswap_saved_locations',
+        type: 'list',
+        idField: 'id'
+    },
+    meetingHistory: {
+        key: 'bookswap_meeting_history',
+        type: 'list',
+        idField: 'id'
+    },
+    paymentHistory: {
+        key: 'bookswap_payment_history',
+        type: 'list',
+        idField: 'id'
+    },
+    ratings: {
+        key: 'bookswap_ratings',
+        type: 'document'
+    },
+    bookCatalog: {
+        key: 'bookswap_book_catalog',
+        type: 'document'
+    },
+    courseCatalog: {
+        key: 'bookswap_course_catalog',
+        type: 'document'
+    },
+    schemaInfo: {
+        key: 'bookswap_schema_version',
+        type: 'document'
+    },
+    sustainabilityMetrics: {
+        key: 'bookswap_sustainability_metrics',
+        type: 'document'
+    },
+    analytics: {
+        key: 'bookswap_analytics',
+        type: 'document',
+        scoped: true
+    }
+};
+
+/**
+ * Collections shared through the REST server when one is running
+ */
+const BOOKSWAP_SERVER_COLLECTIONS = ['listings', 'bundles', 'wishlist', 'savedSearches', 'users', 'conversations', 'transactions', 'ratings', 'notifications', 'forumPosts', 'reports', 'auditLog', 'bookCatalog', 'courseCatalog'];
+
+/**
+ * Base URL of the REST server's API
+ */
+const BOOKSWAP_API_URL = '/api';
+
+/**
+ * Storage adapter backed by window.localStorage.
+ * Any object with the same read/write/remove methods can be swapped in.
+ */
+class LocalStorageAdapter {
+    /**
+     * Read and parse a stored value
+     * @param {string} key - Storage key
+     * @returns {*} Parsed value or null if missing/unreadable
+     */
+    read(key) {
+        const json = localStorage.getItem(key);
+        if (json === null) return null;
+        
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            console.error(`Error parsing stored data for "${key}":`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Serialize and store a value
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     */
+    write(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+    
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     */
+    remove(key) {
+        localStorage.removeItem(key);
+    }
+}
+
+/**
+ * Storage adapter backed by IndexedDB.
+ * open() loads every stored value into memory so reads stay synchronous like
+ * localStorage; writes update memory straight away and are persisted in the
+ * background. Image blobs are kept in their own object store instead of being
+ * inlined into records as data URLs.
+ */
+class IndexedDBAdapter {
+    constructor(dbName = 'bookswap', version = 1) {
+        this.dbName = dbName;
+        this.version = version;
+        this.db = null;
+        this.values = {};
+        this.pendingWrites = new Set();
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(`${dbName}-changes`) : null;
+        
+        // Set by the data store
+        this.onError = null;
+        this.onExternalChange = null;
+        
+        if (this.channel) {
+            this.channel.onmessage = (event) => this.handleExternalChange(event.data);
+        }
+    }
+    
+    /**
+     * Check whether the browser supports IndexedDB
+     * @returns {boolean} True if IndexedDB is available
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+    
+    /**
+     * Open the database and load stored values into memory
+     * @returns {Promise} Resolves once values are loaded
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('records')) {
+                    db.createObjectStore('records');
+                }
+                if (!db.objectStoreNames.contains('images')) {
+                    db.createObjectStore('images', { keyPath: 'id' });
+                }
+            };
+            
+            request.onsuccess = () => {
+                this.db = request.result;
+                
+                const cursorRequest = this.db.transaction('records', 'readonly').objectStore('records').openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (cursor) {
+                        this.values[cursor.key] = cursor.value;
+                        cursor.continue();
+                    } else {
+                        resolve();
+                    }
+                };
+                cursorRequest.onerror = () => reject(cursorRequest.error);
+            };
+            
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB is blocked by another open tab'));
+        });
+    }
+    
+    /**
+     * Read a stored value
+     * @param {string} key - Storage key
+     * @returns {*} Stored value or null if missing
+     */
+    read(key) {
+        return key in this.values ? this.values[key] : null;
+    }
+    
+    /**
+     * Store a value
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @returns {Promise} Resolves once the value is on disk
+     */
+    write(key, value) {
+        this.values[key] = value;
+        return this.persist('records', store => store.put(value, key), key, { key, value });
+    }
+    
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     * @returns {Promise} Resolves once the value is deleted
+     */
+    remove(key) {
+        delete this.values[key];
+        return this.persist('records', store => store.delete(key), key, { key, value: null });
+    }
+    
+    /**
+     * Wait for every write started so far
+     * @returns {Promise} Rejects if any of them failed
+     */
+    flush() {
+        return Promise.all([...this.pendingWrites]);
+    }
+    
+    /**
+     * Store an image blob
+     * @param {Blob} blob - Image data
+     * @returns {Promise<string>} Image id
+     */
+    saveImage(blob) {
+        const id = 'img_' + Date.now().toString() + Math.random().toString(36).substr(2, 5);
+        const image = { id, blob, type: blob.type, size: blob.size, createdAt: new Date().toISOString() };
+        return this.persist('images', store => store.put(image), id, null).then(() => id);
+    }
+    
+    /**
+     * Load an image blob
+     * @param {string} id - Image id
+     * @returns {Promise<Blob|null>} Image data or null if missing
+     */
+    getImage(id) {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction('images', 'readonly').objectStore('images').get(id);
+            request.onsuccess = () => resolve(request.result ? request.result.blob : null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Delete an image blob
+     * @param {string} id - Image id
+     * @returns {Promise} Resolves once the image is deleted
+     */
+    removeImage(id) {
+        return this.persist('images', store => store.delete(id), id, null);
+    }
+    
+    /**
+     * Run a write transaction and track it until it finishes
+     * @param {string} storeName - Object store name
+     * @param {Function} operation - Called with the object store
+     * @param {string} key - Key being written, for error reporting
+     * @param {Object|null} broadcast - Change to announce to other tabs once written
+     * @returns {Promise} Resolves when the transaction completes
+     */
+    persist(storeName, operation, key, broadcast) {
+        const write = new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, 'readwrite');
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+            operation(transaction.objectStore(storeName));
+        });
+        
+        this.pendingWrites.add(write);
+        write.then(() => {
+            if (broadcast && this.channel) {
+                this.channel.postMessage(broadcast);
+            }
+        }).catch(error => {
+            if (this.onError) {
+                this.onError(key, error);
+            } else {
+                console.error(`Error writing "${key}" to IndexedDB:`, error);
+            }
+        }).finally(() => this.pendingWrites.delete(write));
+        
+        return write;
+    }
+    
+    /**
+     * Apply a change written by another tab
+     * @param {Object} change - { key, value }
+     */
+    handleExternalChange(change) {
+        if (change.value === null) {
+            delete this.values[change.key];
+        } else {
+            this.values[change.key] = change.value;
+        }
+        
+        if (this.onExternalChange) {
+            this.onExternalChange(change.key);
+        }
+    }
+}
+
+/**
+ * Storage adapter backed by the BookSwap REST server (server/server.js).
+ * Like IndexedDBAdapter it keeps collections in memory after open(); each write
+ * is compared with the previous value and sent as per-record create/update/delete
+ * requests, so changes from other students aren't overwritten.
+ */
+class RestAdapter {
+    constructor(baseUrl = BOOKSWAP_API_URL, collections = BOOKSWAP_COLLECTIONS) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.collections = collections;
+        this.values = {};
+        this.queue = Promise.resolve();
+        this.pendingWrites = new Set();
+        
+        // Set by the data store
+        this.onError = null;
+        this.onExternalChange = null;
+    }
+    
+    /**
+     * Check whether the server is reachable
+     * @param {number} timeout - Milliseconds to wait
+     * @returns {Promise<boolean>} True if the server answered
+     */
+    async isAvailable(timeout = 1500) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        
+        try {
+            const response = await fetch(`${this.baseUrl}/health`, { signal: controller.signal });
+            return response.ok;
+        } catch (error) {
+            return false;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    
+    /**
+     * Load collections from the server
+     * @param {Array} names - Collection names to load
+     * @returns {Promise} Resolves once values are loaded
+     */
+    async open(names) {
+        await Promise.all(names.map(async name => {
+            this.values[this.collections[name].key] = await this.request('GET', `/${name}`);
+        }));
+    }
+    
+    /**
+     * Read a loaded value
+     * @param {string} key - Storage key
+     * @returns {*} Value or null if missing
+     */
+    read(key) {
+        return key in this.values ? this.values[key] : null;
+    }
+    
+    /**
+     * Store a value, sending only what changed
+     * @param {string} key - Storage key
+     * @param {*} value - New value
+     * @returns {Promise} Resolves once the server has accepted every change
+     */
+    write(key, value) {
+        const name = this.getCollectionName(key);
+        const previous = this.values[key];
+        this.values[key] = value;
+        
+        if (this.collections[name].type !== 'list') {
+            return this.enqueue(key, [{ method: 'PUT', path: `/${name}`, body: value }]);
+        }
+        
+        return this.enqueue(key, this.diffRecords(name, previous || [], value));
+    }
+    
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     * @returns {Promise} Resolves once the server has cleared it
+     */
+    remove(key) {
+        delete this.values[key];
+        return this.enqueue(key, [{ method: 'DELETE', path: `/${this.getCollectionName(key)}` }]);
+    }
+    
+    /**
+     * Wait for every write started so far
+     * @returns {Promise} Rejects if any of them failed
+     */
+    flush() {
+        return Promise.all([...this.pendingWrites]);
+    }
+    
+    /**
+     * Upload an image
+     * @param {Blob} blob - Image data
+     * @returns {Promise<string>} Image id
+     */
+    async saveImage(blob) {
+        const result = await this.request('POST', '/images', blob, blob.type || 'application/octet-stream');
+        return result.id;
+    }
+    
+    /**
+     * Download an image
+     * @param {string} id - Image id
+     * @returns {Promise<Blob|null>} Image data or null if missing
+     */
+    async getImage(id) {
+        const response = await fetch(`${this.baseUrl}/images/${encodeURIComponent(id)}`);
+        return response.ok ? response.blob() : null;
+    }
+    
+    /**
+     * Delete an image
+     * @param {string} id - Image id
+     * @returns {Promise} Resolves once deleted
+     */
+    removeImage(id) {
+        return this.enqueue(id, [{ method: 'DELETE', path: `/images/${encodeURIComponent(id)}` }]);
+    }
+    
+    /**
+     * Work out the requests that turn one list of records into another
+     * @param {string} name - Collection name
+     * @param {Array} previous - Records before the write
+     * @param {Array} next - Records after the write
+     * @returns {Array} Requests as { method, path, body }
+     */
+    diffRecords(name, previous, next) {
+        const idField = this.collections[name].idField;
+        const previousById = new Map(previous.map(record => [record[idField], record]));
+        const nextIds = new Set(next.map(record => record[idField]));
+        const requests = [];
+        
+        next.forEach((record, index) => {
+            const id = record[idField];
+            const old = previousById.get(id);
+            
+            if (!old) {
+                // Keep newest-first collections (e.g. notifications) in order on the server
+                const prepend = index === 0 && next.length > 1;
+                requests.push({ method: 'POST', path: `/${name}${prepend ? '?prepend=1' : ''}`, body: record });
+            } else if (JSON.stringify(old) !== JSON.stringify(record)) {
+                requests.push({ method: 'PUT', path: `/${name}/${encodeURIComponent(id)}`, body: record });
+            }
+        });
+        
+        previous.forEach(record => {
+            if (!nextIds.has(record[idField])) {
+                requests.push({ method: 'DELETE', path: `/${name}/${encodeURIComponent(record[idField])}` });
+            }
+        });
+        
+        return requests;
+    }
+    
+    /**
+     * Send requests after every earlier write, so changes reach the server in order
+     * @param {string} key - Key being written, for error reporting
+     * @param {Array} requests - Requests as { method, path, body }
+     * @returns {Promise} Resolves when all requests succeed
+     */
+    enqueue(key, requests) {
+        const write = this.queue.then(() => Promise.all(
+            requests.map(({ method, path, body }) => this.request(method, path, body))
+        ));
+        
+        this.queue = write.catch(() => {});
+        this.pendingWrites.add(write);
+        write.catch(error => {
+            if (this.onError) {
+                this.onError(key, error);
+            } else {
+                console.error(`Error writing "${key}" to the server:`, error);
+            }
+        }).finally(() => this.pendingWrites.delete(write));
+        
+        return write;
+    }
+    
+    /**
+     * Send a request to the API
+     * @param {string} method - HTTP method
+     * @param {string} path - Path under the API base URL
+     * @param {*} body - JSON value or Blob
+     * @param {string} contentType - Content type for the body
+     * @returns {Promise<*>} Parsed response, or null for empty responses
+     */
+    async request(method, path, body = undefined, contentType = 'application/json') {
+        const options = { method, headers: {} };
+        if (body !== undefined) {
+            options.headers['Content-Type'] = contentType;
+            options.body = contentType === 'application/json' ? JSON.stringify(body) : body;
+        }
+        
+        const response = await fetch(this.baseUrl + path, options);
+        if (!response.ok) {
+            let message = `Server responded with ${response.status}`;
+            try {
+                message = (await response.json()).error || message;
+            } catch (error) {
+                // Response had no JSON body
+            }
+            
+            const error = new Error(message);
+            error.status = response.status;
+            throw error;
+        }
+        
+        return response.status === 204 ? null : response.json();
+    }
+    
+    /**
+     * Find the collection a storage key belongs to
+     * @param {string} key - Storage key
+     * @returns {string} Collection name
+     */
+    getCollectionName(key) {
+        return Object.keys(this.collections).find(name => this.collections[name].key === key);
+    }
+}
+
+/**
+ * Data Store
+ * Typed collections with create/read/update/delete by id and change events
+ */
+class DataStore {
+    constructor(adapter = new LocalStorageAdapter(), collections = BOOKSWAP_COLLECTIONS) {
+        this.adapter = adapter;
+        this.collections = collections;
+        this.collectionAdapters = {};
+        this.imageAdapter = null;
+        this.imageUrls = {};
+        this.backend = 'local';
+        this.cache = {};
+        this.indexes = {};
+        this.listeners = {};
+        
+        // Resolves once every collection's backing store is loaded
+        this.ready = Promise.resolve();
+        
+        this.listenForExternalChanges();
+    }
+    
+    /**
+     * Move collections onto another adapter (e.g. IndexedDB or the REST server).
+     * Unless importLegacy is false, data already saved under the default adapter is
+     * copied across once and inline data-URL images are moved into the adapter's image store.
+     * @param {Object} adapter - Adapter with open/read/write/remove methods
+     * @param {Array} names - Collection names to move
+     * @param {Object} options - { importLegacy: false } to leave local data where it is
+     * @returns {Promise<boolean>} True once the collections are readable, false if the adapter failed to open
+     */
+    async useAdapter(adapter, names, options = {}) {
+        const importLegacy = options.importLegacy !== false;
+        
+        try {
+            await adapter.open(names);
+        } catch (error) {
+            console.warn('Could not open storage backend, keeping data in localStorage:', error);
+            return false;
+        }
+        
+        adapter.onError = (key, error) => this.reportStorageError(this.getCollectionForKey(key), error);
+        adapter.onExternalChange = (key) => this.handleExternalChange(key);
+        if (adapter.saveImage) {
+            this.imageAdapter = adapter;
+        }
+        
+        for (const name of names) {
+            const key = this.getStorageKey(name);
+            const legacyValue = importLegacy ? this.adapter.read(key) : null;
+            
+            if (adapter.read(key) === null && legacyValue !== null) {
+                try {
+                    const value = this.getDefinition(name).images
+                        ? await this.moveInlineImages(legacyValue)
+                        : legacyValue;
+                    await adapter.write(key, value);
+                } catch (error) {
+                    console.error(`Could not move ${name} to the new storage backend:`, error);
+                    continue;
+                }
+            }
+            
+            this.collectionAdapters[name] = adapter;
+            if (legacyValue !== null) {
+                this.adapter.remove(key);
+            }
+            delete this.cache[key];
+            delete this.indexes[key];
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Move data-URL images out of records and into the image store
+     * @param {Array} records - Records with an imageUrl field (and listings' photos)
+     * @returns {Promise<Array>} Records referencing images by imageId
+     */
+    async moveInlineImages(records) {
+        if (!Array.isArray(records) || !this.imageAdapter) return records;
+        
+        const moveImage = async (item) => {
+            if (typeof item.imageUrl === 'string' && item.imageUrl.startsWith('data:')) {
+                const blob = await (await fetch(item.imageUrl)).blob();
+                item.imageId = await this.imageAdapter.saveImage(blob);
+                item.imageUrl = null;
+            }
+        };
+        
+        for (const record of records) {
+            for (const photo of record.photos || []) {
+                await moveImage(photo);
+            }
+            
+            // The primary photo is the first in photos, so reuse its new id
+            const primary = (record.photos || [])[0];
+            if (primary && primary.imageId && record.imageUrl && record.imageUrl.startsWith('data:')) {
+                record.imageId = primary.imageId;
+                record.imageUrl = null;
+            } else {
+                await moveImage(record);
+            }
+        }
+        
+        return records;
+    }
+    
+    /**
+     * Get the adapter that stores a collection
+     * @param {string} name - Collection name
+     * @returns {Object} Storage adapter
+     */
+    getAdapter(name) {
+        return this.collectionAdapters[name] || this.adapter;
+    }
+    
+    /**
+     * Find which collection a storage key belongs to
+     * @param {string} key - Storage key
+     * @returns {string|undefined} Collection name
+     */
+    getCollectionForKey(key) {
+        return Object.keys(this.collections).find(collectionName => {
+            const collectionKey = this.collections[collectionName].key;
+            return key === collectionKey || key.startsWith(collectionKey + '_');
+        });
+    }
+    
+    /**
+     * Look up a collection definition
+     * @param {string} name - Collection name
+     * @returns {Object} Collection definition
+     */
+    getDefinition(name) {
+        const definition = this.collections[name];
+        if (!definition) {
+            throw new Error(`Unknown data collection: ${name}`);
+        }
+        return definition;
+    }
+    
+    /**
+     * Resolve the storage key for a collection
+     * @param {string} name - Collection name
+     * @param {string} scope - Owner suffix for scoped documents
+     * @returns {string} Storage key
+     */
+    getStorageKey(name, scope = null) {
+        const definition = this.getDefinition(name);
+        return definition.scoped && scope ? `${definition.key}_${scope}` : definition.key;
+    }
+    
+    /**
+     * Check whether anything has been stored for a collection yet
+     * @param {string} name - Collection name
+     * @param {string} scope - Owner suffix for scoped documents
+     * @returns {boolean} True if the collection has stored data
+     */
+    exists(name, scope = null) {
+        return this.readRaw(name, scope) !== null;
+    }
+    
+    /**
+     * Read a collection's stored value, going through the cache
+     * @param {string} name - Collection name
+     * @param {string} scope - Owner suffix for scoped documents
+     * @returns {*} Stored value or null
+     */
+    readRaw(name, scope = null) {
+        const key = this.getStorageKey(name, scope);
+        if (!(key in this.cache)) {
+            this.cache[key] = this.getAdapter(name).read(key);
+        }
+        return this.cache[key];
+    }
+    
+    /**
+     * Write a collection's value through to the adapter
+     * @param {string} name - Collection name
+     * @param {*} value - Value to store
+     * @param {string} scope - Owner suffix for scoped documents
+     */
+    writeRaw(name, value, scope = null) {
+        const key = this.getStorageKey(name, scope);
+        try {
+            this.getAdapter(name).write(key, value);
+        } catch (error) {
+            this.reportStorageError(name, error);
+            throw error;
+        }
+        this.cache[key] = value;
+        delete this.indexes[key];
+    }
+    
+    /**
+     * Get a copy of every record in a list collection
+     * @param {string} name - Collection name
+     * @returns {Array} Records
+     */
+    getAll(name) {
+        this.assertType(name, 'list');
+        const records = this.readRaw(name);
+        return Array.isArray(records) ? this.clone(records) : [];
+    }
+    
+    /**
+     * Get a single record by id
+     * @param {string} name - Collection name
+     * @param {string} id - Record id
+     * @returns {Object|null} Record copy or null if not found
+     */
+    getById(name, id) {
+        const idField = this.getDefinition(name).idField;
+        const record = this.getRecords(name).find(item => item[idField] === id);
+        return record ? this.clone(record) : null;
+    }
+    
+    /**
+     * Find records matching a predicate
+     * @param {string} name - Collection name
+     * @param {Function} predicate - Filter function
+     * @returns {Array} Matching records
+     */
+    find(name, predicate) {
+        return this.getAll(name).filter(predicate);
+    }
+    
+    /**
+     * Find records by an indexed field value
+     * @param {string} name - Collection name
+     * @param {string} field - Field name (should be listed in the definition's indexes)
+     * @param {*} value - Value to match
+     * @returns {Array} Matching records
+     */
+    findBy(name, field, value) {
+        const definition = this.getDefinition(name);
+        if (!(definition.indexes || []).includes(field)) {
+            return this.find(name, record => record[field] === value);
+        }
+        
+        const index = this.getIndex(name, field);
+        const positions = index.get(value) || [];
+        const records = this.getRecords(name);
+        return positions.map(position => this.clone(records[position]));
+    }
+    
+    /**
+     * Create a new record
+     * @param {string} name - Collection name
+     * @param {Object} record - Record data
+     * @param {Object} options - { prepend: true } to insert at the start
+     * @returns {Object} The stored record
+     */
+    create(name, record, options = {}) {
+        const definition = this.getDefinition(name);
+        this.assertType(name, 'list');
+        
+        const newRecord = { ...record };
+        if (!newRecord[definition.idField]) {
+            newRecord[definition.idField] = this.generateId();
+        }
+        
+        this.validate(name, newRecord);
+        
+        const records = this.getAll(name);
+        if (records.some(item => item[definition.idField] === newRecord[definition.idField])) {
+            throw new Error(`A ${name} record with id "${newRecord[definition.idField]}" already exists`);
+        }
+        
+        if (options.prepend) {
+            records.unshift(newRecord);
+        } else {
+            records.push(newRecord);
+        }
+        
+        this.writeRaw(name, records);
+        this.emitChange(name, 'create', newRecord[definition.idField], newRecord);
+        
+        return this.clone(newRecord);
+    }
+    
+    /**
+     * Update an existing record
+     * @param {string} name - Collection name
+     * @param {string} id - Record id
+     * @param {Object} changes - Fields to merge into the record
+     * @returns {Object|null} Updated record or null if not found
+     */
+    update(name, id, changes) {
+        const idField = this.getDefinition(name).idField;
+        const records = this.getAll(name);
+        const index = records.findIndex(item => item[idField] === id);
+        if (index === -1) return null;
+        
+        const updatedRecord = { ...records[index], ...changes, [idField]: id };
+        this.validate(name, updatedRecord);
+        
+        records[index] = updatedRecord;
+        this.writeRaw(name, records);
+        this.emitChange(name, 'update', id, updatedRecord);
+        
+        return this.clone(updatedRecord);
+    }
+    
+    /**
+     * Remove a record
+     * @param {string} name - Collection name
+     * @param {string} id - Record id
+     * @returns {boolean} True if a record was removed
+     */
+    remove(name, id) {
+        const definition = this.getDefinition(name);
+        const records = this.getAll(name);
+        const removed = records.find(item => item[definition.idField] === id);
+        if (!removed) return false;
+        
+        this.writeRaw(name, records.filter(item => item !== removed));
+        this.emitChange(name, 'remove', id, null);
+        
+        if (definition.images) {
+            // Listings keep their primary photo in imageId and every photo in photos
+            const imageIds = new Set([removed.imageId, ...(removed.photos || []).map(photo => photo.imageId)]);
+            imageIds.forEach(imageId => {
+                if (imageId) this.removeImage(imageId);
+            });
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Replace every record in a list collection.
+     * Records are not re-validated here so legacy data can still be saved back;
+     * new data should go through create/update.
+     * @param {string} name - Collection name
+     * @param {Array} records - New records
+     */
+    replaceAll(name, records) {
+        this.assertType(name, 'list');
+        if (!Array.isArray(records)) {
+            throw new Error(`Invalid ${name} data: expected an array`);
+        }
+        
+        this.writeRaw(name, this.clone(records));
+        this.emitChange(name, 'replace', null, null);
+    }
+    
+    /**
+     * Remove every record in a collection
+     * @param {string} name - Collection name
+     * @param {string} scope - Owner suffix for scoped documents
+     */
+    clear(name, scope = null) {
+        const key = this.getStorageKey(name, scope);
+        this.getAdapter(name).remove(key);
+        delete this.cache[key];
+        delete this.indexes[key];
+        this.emitChange(name, 'clear', null, null);
+    }
+    
+    /**
+     * Wait until every pending write has reached storage
+     * @returns {Promise} Rejects if a write failed (e.g. quota exceeded)
+     */
+    flush() {
+        const adapters = [...new Set(Object.values(this.collectionAdapters))];
+        return Promise.all(adapters.map(adapter => adapter.flush ? adapter.flush() : null));
+    }
+    
+    /**
+     * Forget cached data so the next read goes back to the adapter
+     * (e.g. after storage was cleared outside the data store)
+     */
+    clearCache() {
+        this.cache = {};
+        this.indexes = {};
+    }
+    
+    /**
+     * Get a document collection's value
+     * @param {string} name - Collection name
+     * @param {string} scope - Owner suffix for scoped documents
+     * @returns {*} Document copy or null if nothing stored
+     */
+    getDocument(name, scope = null) {
+        this.assertType(name, 'document');
+        const value = this.readRaw(name, scope);
+        return value === null ? null : this.clone(value);
+    }
+    
+    /**
+     * Store a document collection's value
+     * @param {string} name - Collection name
+     * @param {*} value - Document value
+     * @param {string} scope - Owner suffix for scoped documents
+     */
+    setDocument(name, value, scope = null) {
+        this.assertType(name, 'document');
+        this.writeRaw(name, this.clone(value), scope);
+        this.emitChange(name, 'replace', scope, null);
+    }
+    
+    /**
+     * Subscribe to changes in a collection
+     * @param {string} name - Collection name, or '*' for every collection
+     * @param {Function} callback - Called with { collection, action, id, record }
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(name, callback) {
+        if (!this.listeners[name]) {
+            this.listeners[name] = [];
+        }
+        this.listeners[name].push(callback);
+        
+        return () => {
+            this.listeners[name] = this.listeners[name].filter(listener => listener !== callback);
+        };
+    }
+    
+    /**
+     * Notify subscribers and the page that a collection changed
+     * @param {string} name - Collection name
+     * @param {string} action - create, update, remove, replace, clear or external
+     * @param {string|null} id - Affected record id
+     * @param {Object|null} record - Affected record
+     */
+    emitChange(name, action, id, record) {
+        const detail = { collection: name, action, id, record: record ? this.clone(record) : null };
+        
+        [...(this.listeners[name] || []), ...(this.listeners['*'] || [])].forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in ${name} change listener:`, error);
+            }
+        });
+        
+        document.dispatchEvent(new CustomEvent('bookswap:datachange', { detail }));
+    }
+    
+    /**
+     * Drop cached data when another tab writes to the same keys
+     */
+    listenForExternalChanges() {
+        window.addEventListener('storage', (event) => {
+            if (!event.key) {
+                this.clearCache();
+                return;
+            }
+            
+            this.handleExternalChange(event.key);
+        });
+    }
+    
+    /**
+     * Drop a cached key that another tab changed and notify subscribers
+     * @param {string} key - Storage key
+     */
+    handleExternalChange(key) {
+        const name = this.getCollectionForKey(key);
+        if (!name) return;
+            
+        delete this.cache[key];
+        delete this.indexes[key];
+        this.emitChange(name, 'external', null, null);
+    }
+    
+    /**
+     * Store an uploaded image.
+     * Uses the image store when one is available, otherwise falls back to a data URL.
+     * @param {Blob} blob - Image file
+     * @returns {Promise<Object>} Fields to merge into the record: { imageId, imageUrl }
+     */
+    saveImage(blob) {
+        if (this.imageAdapter) {
+            return this.imageAdapter.saveImage(blob).then(imageId => ({ imageId, imageUrl: null }));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve({ imageId: null, imageUrl: e.target.result });
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+    
+    /**
+     * Get a displayable URL for a stored image
+     * @param {string} imageId - Image id
+     * @returns {Promise<string|null>} Object URL or null if the image is missing
+     */
+    async getImageUrl(imageId) {
+        if (!this.imageAdapter) return null;
+        
+        if (!this.imageUrls[imageId]) {
+            const blob = await this.imageAdapter.getImage(imageId);
+            if (!blob) return null;
+            this.imageUrls[imageId] = URL.createObjectURL(blob);
+        }
+        
+        return this.imageUrls[imageId];
+    }
+    
+    /**
+     * Fill in the src of every <img data-image-id> inside an element
+     * @param {HTMLElement} root - Element containing the images
+     */
+    loadImages(root) {
+        if (!root) return;
+        
+        root.querySelectorAll('img[data-image-id]').forEach(img => {
+            this.getImageUrl(img.dataset.imageId)
+                .then(url => {
+                    if (url) img.src = url;
+                })
+                .catch(error => console.error('Error loading image:', error));
+        });
+    }
+    
+    /**
+     * Delete a stored image
+     * @param {string} imageId - Image id
+     */
+    removeImage(imageId) {
+        if (!this.imageAdapter) return;
+        
+        if (this.imageUrls[imageId]) {
+            URL.revokeObjectURL(this.imageUrls[imageId]);
+            delete this.imageUrls[imageId];
+        }
+        this.imageAdapter.removeImage(imageId);
+    }
+    
+    /**
+     * Check whether an error means browser storage is full
+     * @param {Error} error - Error thrown by a storage write
+     * @returns {boolean} True for quota errors
+     */
+    static isQuotaError(error) {
+        return !!error && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014
+        );
+    }
+    
+    /**
+     * Log a failed write and let the page tell the user when storage is full
+     * @param {string} name - Collection name
+     * @param {Error} error - Write error
+     */
+    reportStorageError(name, error) {
+        console.error(`Error saving ${name || 'data'}:`, error);
+        
+        if (DataStore.isQuotaError(error)) {
+            document.dispatchEvent(new CustomEvent('bookswap:storagefull', { detail: { collection: name, error } }));
+        }
+    }
+    
+    /**
+     * Validate a record against its collection definition
+     * @param {string} name - Collection name
+     * @param {Object} record - Record to validate
+     */
+    validate(name, record) {
+        const definition = this.getDefinition(name);
+        
+        if (!record || typeof record !== 'object') {
+            throw new Error(`Invalid ${name} record`);
+        }
+        
+        const missing = (definition.required || []).filter(field =>
+            record[field] === undefined || record[field] === null || record[field] === ''
+        );
+        if (missing.length > 0) {
+            throw new Error(`Invalid ${name} record: missing ${missing.join(', ')}`);
+        }
+        
+        if (typeof definition.validate === 'function') {
+            definition.validate(record);
+        }
+    }
+    
+    /**
+     * Get the live (uncloned) records of a list collection
+     * @param {string} name - Collection name
+     * @returns {Array} Records
+     */
+    getRecords(name) {
+        this.assertType(name, 'list');
+        const records = this.readRaw(name);
+        return Array.isArray(records) ? records : [];
+    }
+    
+    /**
+     * Build (or reuse) a value -> positions index for a field
+     * @param {string} name - Collection name
+     * @param {string} field - Indexed field
+     * @returns {Map} Index
+     */
+    getIndex(name, field) {
+        const key = this.getStorageKey(name);
+        if (!this.indexes[key]) {
+            this.indexes[key] = {};
+        }
+        
+        if (!this.indexes[key][field]) {
+            const index = new Map();
+            this.getRecords(name).forEach((record, position) => {
+                const value = record[field];
+                if (!index.has(value)) {
+                    index.set(value, []);
+                }
+                index.get(value).push(position);
+            });
+            this.indexes[key][field] = index;
+        }
+        
+        return this.indexes[key][field];
+    }
+    
+    /**
+     * Make sure a collection is of the expected type
+     * @param {string} name - Collection name
+     * @param {string} type - 'list' or 'document'
+     */
+    assertType(name, type) {
+        if (this.getDefinition(name).type !== type) {
+            throw new Error(`Data collection "${name}" is not a ${type} collection`);
+        }
+    }
+    
+    /**
+     * Generate a unique record id
+     * @returns {string} Record id
+     */
+    generateId() {
+        return Date.now().toString() + Math.random().toString(36).substr(2, 5);
+    }
+    
+    /**
+     * Deep-copy a JSON value so callers can't mutate the cache
+     * @param {*} value - Value to copy
+     * @returns {*} Copy
+     */
+    clone(value) {
+        return value === null || value === undefined ? value : JSON.parse(JSON.stringify(value));
+    }
+    
+    /**
+     * Convert a legacy hyphenated form key to the camelCase field name used in records
+     * @param {string} key - Key such as 'listing-type'
+     * @returns {string} Field name such as 'listingType'
+     */
+    static toFieldName(key) {
+        return key.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    }
+}
+
+// Create the shared data store as soon as the script loads so other modules can use it
+window.dataStore = new DataStore();
+
+/**
+ * Pick the storage backend for this page.
+ * localStorage 'bookswap_backend' can be 'server', 'local' (demo mode, nothing leaves
+ * the browser) or unset to use the server when one answers and local storage otherwise.
+ * @param {DataStore} store - Data store to connect
+ * @returns {Promise} Resolves once stored data can be read
+ */
+async function connectDataStore(store) {
+    const mode = localStorage.getItem('bookswap_backend') || 'auto';
+    
+    if (mode !== 'local') {
+        const restAdapter = new RestAdapter();
+        if (mode === 'server' || await restAdapter.isAvailable()) {
+            // Local demo data stays in this browser rather than being pushed to the shared server
+            if (await store.useAdapter(restAdapter, BOOKSWAP_SERVER_COLLECTIONS, { importLegacy: false })) {
+                store.backend = 'server';
+                return;
+            }
+        }
+    }
+    
+    // Listings and their images live in IndexedDB when the browser supports it
+    if (IndexedDBAdapter.isSupported()) {
+        await store.useAdapter(new IndexedDBAdapter(), ['listings']);
+    }
+    store.backend = 'local';
+}
+
+// Wait for dataStore.ready before reading listings or other shared collections
+window.dataStore.ready = connectDataStore(window.dataStore);
+window.DataStore = DataStore;
+window.LocalStorageAdapter = LocalStorageAdapter;
+window.IndexedDBAdapter = IndexedDBAdapter;
+window.RestAdapter = RestAdapter;
@@ -109,12 +109,12 @@ class DemoTransactionGenerator {
     }
 
     /**
-     * Get current user from localStorage
+     * Get current user from the session
      */
     getCurrentUser() {
-        const userJson = localStorage.getItem('currentUser');
-        if (userJson) {
-            return JSON.parse(userJson);
+        const currentUser = window.sessionManager.getCurrentUser();
+        if (currentUser) {
+            return currentUser;
         }
         
         // Return a default user for demo purposes
@@ -202,29 +202,29 @@ class DemoTransactionGenerator {
      * Initialize demo transactions if none exist
      */
     initializeDemoTransactions() {
-        const existingTransactions = localStorage.getItem('bookswap_transactions');
+        const existingTransactions = window.dataStore.getAll('transactions');
         
-        if (!existingTransactions || JSON.parse(existingTransactions).length === 0) {
+        if (existingTransactions.length === 0) {
             const demoTransactions = this.generateSampleTransactions(8);
-            localStorage.setItem('bookswap_transactions', JSON.stringify(demoTransactions));
+            window.dataStore.replaceAll('transactions', demoTransactions);
             console.log('Demo transactions initialized:', demoTransactions.length, 'transactions created');
             return demoTransactions;
         }
         
-        return JSON.parse(existingTransactions);
+        return existingTransactions;
     }
 
     /**
      * Add a few more demo transactions
      */
     addMoreDemoTransactions(count = 3) {
-        const existingTransactions = JSON.parse(localStorage.getItem('bookswap_transactions') || '[]');
+        const existingTransactions = window.dataStore.getAll('transactions');
         const newTransactions = this.generateSampleTransactions(count);
         
         const allTransactions = [...newTransactions, ...existingTransactions]
             .sort((a, b) => new Date(b.date) - new Date(a.date));
         
-        localStorage.setItem('bookswap_transactions', JSON.stringify(allTransactions));
+        window.dataStore.replaceAll('transactions', allTransactions);
         
         // Trigger transaction manager to refresh if it exists
         if (window.transactionManager) {
@@ -240,7 +240,7 @@ class DemoTransactionGenerator {
      * Clear all demo transactions
      */
     clearDemoTransactions() {
-        localStorage.removeItem('bookswap_transactions');
+        window.dataStore.clear('transactions');
         
         // Trigger transaction manager to refresh if it exists
         if (window.transactionManager) {
@@ -258,9 +258,11 @@ window.demoTransactionGenerator = new DemoTransactionGenerator();
 // Auto-initialize demo transactions when the page loads
 document.addEventListener('DOMContentLoaded', () => {
     // Wait a bit for other systems to initialize
-    setTimeout(() => {
-        window.demoTransactionGenerator.initializeDemoTransactions();
-    }, 1000);
+    window.dataStore.ready.then(() => {
+        setTimeout(() => {
+            window.demoTransactionGenerator.initializeDemoTransactions();
+        }, 1000);
+    });
 });
 
 // Export for use in other modules
@@ -3,6 +3,11 @@
  * Initializes and integrates all new features into the application
  */
 
+/**
+ * Currency listing prices are entered, shown and charged in
+ */
+const BOOKSWAP_LISTING_CURRENCY = 'USD';
+
 /**
  * Dynamically load a script
  * @param {string} url - Script URL to load
@@ -26,8 +31,8 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
-    // Initialize all features
-    initializeFeatures();
+    // Initialize all features once stored data and the university registry are loaded
+    Promise.all([window.dataStore.ready, window.universityRegistry.ready]).then(initializeFeatures);
     
     // Load Tailwind CSS for mobile compatibility
     loadTailwindCSS();
@@ -313,14 +318,20 @@ function setupPaymentGateway() {
     // Get book details from the page
     const bookDetails = getBookDetailsFromPage();
     
+    // Charge in the currency the seller priced the book in; the preferred gateway comes from the user's university
+    const university = window.universityRegistry.getCurrentUniversity();
+    
     // Initialize payment gateway
     window.paymentGateway = new PaymentGateway();
+    if (university && university.paymentGateway) {
+        window.paymentGateway.setGateway(university.paymentGateway);
+    }
     
     // Generate payment form
     window.paymentGateway.generatePaymentForm(
         'payment-container',
         bookDetails.price,
-        'USD', // or get from page
+        BOOKSWAP_LISTING_CURRENCY,
         bookDetails
     );
 }
@@ -348,7 +359,7 @@ function initializePaymentHistory() {
     const paymentHistoryContainer = document.getElementById('payment-history-container');
     if (!paymentHistoryContainer) return;
     
-    // Get payment history from localStorage or use dummy data
+    // Get payment history from the data store or use dummy data
     const paymentHistory = getPaymentHistoryFromStorage() || getDummyPaymentHistory();
     
     // Generate payment history HTML
@@ -359,11 +370,10 @@ function initializePaymentHistory() {
 }
 
 /**
- * Get payment history from localStorage
+ * Get payment history from the data store
  */
 function getPaymentHistoryFromStorage() {
-    const historyJson = localStorage.getItem('bookswap_payment_history');
-    return historyJson ? JSON.parse(historyJson) : null;
+    return window.dataStore.exists('paymentHistory') ? window.dataStore.getAll('paymentHistory') : null;
 }
 
 /**
@@ -16,44 +16,41 @@ class ForumChatSystem {
     }
     
     /**
-     * Get current user from localStorage
+     * Get current user from the session
      * @returns {Object|null} User data or null if not logged in
      */
     getCurrentUser() {
-        const userJson = localStorage.getItem('currentUser');
-        return userJson ? JSON.parse(userJson) : null;
+        return window.sessionManager.getCurrentUser();
     }
     
     /**
-     * Load chat messages from localStorage
+     * Load chat messages from the data store
      * @returns {Array|null} Chat messages or null if none exist
      */
     loadChatMessagesFromStorage() {
-        const chatMessagesJson = localStorage.getItem('bookswap_forum_chat');
-        return chatMessagesJson ? JSON.parse(chatMessagesJson) : null;
+        return window.dataStore.exists('forumChat') ? window.dataStore.getAll('forumChat') : null;
     }
     
     /**
-     * Save chat messages to localStorage
+     * Save chat messages to the data store
      */
     saveChatMessagesToStorage() {
-        localStorage.setItem('bookswap_forum_chat', JSON.stringify(this.chatMessages));
+        window.dataStore.replaceAll('forumChat', this.chatMessages);
     }
     
     /**
-     * Load chat users from localStorage
+     * Load chat users from the data store
      * @returns {Array|null} Chat users or null if none exist
      */
     loadChatUsersFromStorage() {
-        const chatUsersJson = localStorage.getItem('bookswap_forum_chat_users');
-        return chatUsersJson ? JSON.parse(chatUsersJson) : null;
+        return window.dataStore.exists('forumChatUsers') ? window.dataStore.getAll('forumChatUsers') : null;
     }
     
     /**
-     * Save chat users to localStorage
+     * Save chat users to the data store
      */
     saveChatUsersToStorage() {
-        localStorage.setItem('bookswap_forum_chat_users', JSON.stringify(this.chatUsers));
+        window.dataStore.replaceAll('forumChatUsers', this.chatUsers);
     }
     
     /**
@@ -381,6 +378,20 @@ class ForumChatSystem {
                 margin-top: 5px;
             }
             
+            .forum-chat-report-btn {
+                background: none;
+                border: none;
+                color: #bbb;
+                cursor: pointer;
+                font-size: 11px;
+                margin-left: 6px;
+                padding: 0;
+            }
+            
+            .forum-chat-report-btn:hover {
+                color: #e67e22;
+            }
+            
             .forum-chat-input-container {
                 display: flex;
                 padding: 15px;
@@ -467,8 +478,8 @@ class ForumChatSystem {
         // Clear existing messages
         chatMessagesContainer.innerHTML = '';
         
-        // Add each message
-        this.chatMessages.forEach(message => {
+        // Add each message, leaving out those hidden by a moderator
+        this.chatMessages.filter(message => !message.hidden).forEach(message => {
             const messageElement = this.createMessageElement(message);
             chatMessagesContainer.appendChild(messageElement);
         });
@@ -503,6 +514,18 @@ class ForumChatSystem {
             </div>
         `;
         
+        // Let people report messages from others to the moderators
+        if (!isSent && window.permissions.can('content.report')) {
+            const reportButton = document.createElement('button');
+            reportButton.className = 'forum-chat-report-btn';
+            reportButton.title = 'Report message';
+            reportButton.innerHTML = '<i class="far fa-flag"></i>';
+            reportButton.addEventListener('click', () => {
+                window.moderation.promptReport('chatMessage', { id: message.id });
+            });
+            messageElement.querySelector('.forum-chat-message-time').appendChild(reportButton);
+        }
+        
         return messageElement;
     }
     
@@ -14,32 +14,37 @@ class ForumSystem {
         
         this.posts = this.loadPostsFromStorage() || this.getDummyPosts();
         this.currentUser = this.getCurrentUser();
+        this.currentCategory = 'all';
+        this.currentSearchTerm = '';
+        
+        // Full-text index of the posts, updated whenever they are saved
+        this.searchIndex = new SearchIndex(BOOKSWAP_SEARCH_FIELDS.forumPosts);
+        this.searchIndex.sync(this.posts);
         
         // Initialize the forum system
         this.initForumSystem();
     }
     
     /**
-     * Get current user from localStorage
+     * Get current user from the session
      */
     getCurrentUser() {
-        const userJson = localStorage.getItem('currentUser');
-        return userJson ? JSON.parse(userJson) : null;
+        return window.sessionManager.getCurrentUser();
     }
     
     /**
-     * Load posts from localStorage
+     * Load posts from the data store
      */
     loadPostsFromStorage() {
-        const postsJson = localStorage.getItem('bookswap_forum_posts');
-        return postsJson ? JSON.parse(postsJson) : null;
+        return window.dataStore.exists('forumPosts') ? window.dataStore.getAll('forumPosts') : null;
     }
     
     /**
-     * Save posts to localStorage
+     * Save posts to the data store
      */
     savePostsToStorage() {
-        localStorage.setItem('bookswap_forum_posts', JSON.stringify(this.posts));
+        window.dataStore.replaceAll('forumPosts', this.posts);
+        this.searchIndex.sync(this.posts);
     }
     
     /**
@@ -71,6 +76,16 @@ class ForumSystem {
                 this.filterPostsByCategory(categoryId);
             });
         });
+        
+        // Search posts as the user types
+        const searchInput = document.getElementById('forum-search');
+        if (searchInput) {
+            let debounceTimeout;
+            searchInput.addEventListener('input', () => {
+                clearTimeout(debounceTimeout);
+                debounceTimeout = setTimeout(() => this.searchPosts(searchInput.value), 300);
+            });
+        }
     }
     
     /**
@@ -110,14 +125,14 @@ class ForumSystem {
         // Add the new post to the posts array
         this.posts.unshift(newPost);
         
-        // Save to localStorage
+        // Save to the data store
         this.savePostsToStorage();
         
         // Reset the form
         form.reset();
         
         // Refresh the posts display
-        this.displayPosts();
+        this.showFilteredPosts();
         
         // Show success message
         alert('Your post has been created successfully!');
@@ -159,7 +174,7 @@ class ForumSystem {
         // Update the post's updatedAt timestamp
         this.posts[postIndex].updatedAt = new Date().toISOString();
         
-        // Save to localStorage
+        // Save to the data store
         this.savePostsToStorage();
         
         // Refresh the post display
@@ -182,7 +197,7 @@ class ForumSystem {
         // Increment the likes count
         this.posts[postIndex].likes += 1;
         
-        // Save to localStorage
+        // Save to the data store
         this.savePostsToStorage();
         
         // Update the likes display
@@ -192,6 +207,76 @@ class ForumSystem {
         }
     }
     
+    /**
+     * Delete a post. Authors can delete their own posts; moderators and admins can delete any.
+     * @param {string} postId - Post id
+     * @returns {boolean} True if the post was deleted
+     */
+    deletePost(postId) {
+        const post = this.posts.find(p => p.id === postId);
+        if (!post) return false;
+        
+        if (!window.permissions.enforce('forum.delete', post.author.id)) return false;
+        
+        if (!confirm('Delete this post and all of its comments?')) return false;
+        
+        this.posts = this.posts.filter(p => p.id !== postId);
+        this.savePostsToStorage();
+        
+        // Return to the list if the deleted post was open
+        this.backToPostsList();
+        this.showFilteredPosts();
+        return true;
+    }
+    
+    /**
+     * Delete a comment. Authors can delete their own comments; moderators and admins can delete any.
+     * @param {string} postId - Post id
+     * @param {string} commentId - Comment id
+     * @returns {boolean} True if the comment was deleted
+     */
+    deleteComment(postId, commentId) {
+        const post = this.posts.find(p => p.id === postId);
+        const comment = post ? post.comments.find(c => c.id === commentId) : null;
+        if (!comment) return false;
+        
+        if (!window.permissions.enforce('forum.delete', comment.author.id)) return false;
+        
+        if (!confirm('Delete this comment?')) return false;
+        
+        post.comments = post.comments.filter(c => c.id !== commentId);
+        this.savePostsToStorage();
+        
+        this.displayPostDetails(postId);
+        return true;
+    }
+    
+    /**
+     * Report a post to the moderators
+     * @param {string} postId - Post id
+     */
+    reportPost(postId) {
+        window.moderation.promptReport('forumPost', { postId });
+    }
+    
+    /**
+     * Report a comment to the moderators
+     * @param {string} postId - Post id
+     * @param {string} commentId - Comment id
+     */
+    reportComment(postId, commentId) {
+        window.moderation.promptReport('forumComment', { postId, commentId });
+    }
+    
+    /**
+     * Get a post's comments, leaving out those hidden by a moderator
+     * @param {Object} post - Post
+     * @returns {Array} Comments
+     */
+    getVisibleComments(post) {
+        return post.comments.filter(comment => !comment.hidden);
+    }
+    
     /**
      * Filter posts by category
      */
@@ -210,33 +295,61 @@ class ForumSystem {
         });
         
         // Filter and display posts
-        if (categoryId === 'all') {
-            this.displayPosts();
-        } else {
-            const filteredPosts = this.posts.filter(post => post.category === categoryId);
-            this.displayPosts(filteredPosts);
+        this.currentCategory = categoryId;
+        this.showFilteredPosts();
+    }
+    
+    /**
+     * Search posts by title, content, author and comments
+     * @param {string} query - Search text
+     */
+    searchPosts(query) {
+        this.currentSearchTerm = query.trim();
+        this.showFilteredPosts();
+    }
+    
+    /**
+     * Display the posts in the current category that match the current search,
+     * best match first
+     */
+    showFilteredPosts() {
+        const inCategory = post => this.currentCategory === 'all' || post.category === this.currentCategory;
+        
+        if (!this.currentSearchTerm) {
+            this.displayPosts(this.posts.filter(inCategory));
+            return;
         }
+        
+        const posts = this.searchIndex.search(this.currentSearchTerm)
+            .map(result => this.posts.find(post => String(post.id) === result.id))
+            .filter(post => post && inCategory(post));
+        this.displayPosts(posts, { keepOrder: true });
     }
     
     /**
      * Display all forum posts or filtered posts
+     * @param {Array} postsToDisplay - Posts to show
+     * @param {Object} options - { keepOrder } to keep search results in relevance order instead of newest first
      */
-    displayPosts(postsToDisplay = this.posts) {
+    displayPosts(postsToDisplay = this.posts, options = {}) {
         const postsContainer = document.getElementById('forum-posts');
         if (!postsContainer) return;
         
+        // Posts hidden by a moderator are only reviewed in the admin console
+        postsToDisplay = postsToDisplay.filter(post => !post.hidden);
+        
         if (postsToDisplay.length === 0) {
             postsContainer.innerHTML = `
                 <div class="empty-posts">
                     <i class="fas fa-comments"></i>
-                    <p>No posts yet. Be the first to start a discussion!</p>
+                    <p>${this.currentSearchTerm ? 'No posts match your search.' : 'No posts yet. Be the first to start a discussion!'}</p>
                 </div>
             `;
             return;
         }
         
         // Sort posts by date (newest first)
-        const sortedPosts = [...postsToDisplay].sort((a, b) => {
+        const sortedPosts = options.keepOrder ? postsToDisplay : [...postsToDisplay].sort((a, b) => {
             return new Date(b.updatedAt) - new Date(a.updatedAt);
         });
         
@@ -279,8 +392,10 @@ class ForumSystem {
                         </button>
                         <button class="post-comment-btn" onclick="forumSystem.displayPostDetails('${post.id}')">
                             <i class="far fa-comment"></i>
-                            <span>${post.comments.length}</span>
+                            <span>${this.getVisibleComments(post).length}</span>
                         </button>
+                        ${this.getReportButtonHTML(post.author.id, `forumSystem.reportPost('${post.id}')`)}
+                        ${this.getDeleteButtonHTML(post.author.id, `forumSystem.deletePost('${post.id}')`)}
                     </div>
                 </div>
             `;
@@ -294,7 +409,9 @@ class ForumSystem {
      */
     displayPostDetails(postId) {
         const post = this.posts.find(p => p.id === postId);
-        if (!post) return;
+        if (!post || post.hidden) return;
+        
+        const comments = this.getVisibleComments(post);
         
         const postDetailsContainer = document.getElementById('post-details-container');
         if (!postDetailsContainer) return;
@@ -338,8 +455,10 @@ class ForumSystem {
                     </button>
                     <span class="comments-count">
                         <i class="far fa-comment"></i>
-                        <span>${post.comments.length} Comments</span>
+                        <span>${comments.length} Comments</span>
                     </span>
+                    ${this.getReportButtonHTML(post.author.id, `forumSystem.reportPost('${post.id}')`)}
+                    ${this.getDeleteButtonHTML(post.author.id, `forumSystem.deletePost('${post.id}')`)}
                 </div>
                 
                 <div class="comments-section">
@@ -347,7 +466,7 @@ class ForumSystem {
                     <div class="comments-list">
         `;
         
-        if (post.comments.length === 0) {
+        if (comments.length === 0) {
             html += `
                 <div class="empty-comments">
                     <p>No comments yet. Be the first to comment!</p>
@@ -355,7 +474,7 @@ class ForumSystem {
             `;
         } else {
             // Sort comments by date (newest first)
-            const sortedComments = [...post.comments].sort((a, b) => {
+            const sortedComments = [...comments].sort((a, b) => {
                 return new Date(b.createdAt) - new Date(a.createdAt);
             });
             
@@ -383,6 +502,8 @@ class ForumSystem {
                                 <i class="far fa-heart"></i>
                                 <span>${comment.likes}</span>
                             </button>
+                            ${this.getReportButtonHTML(comment.author.id, `forumSystem.reportComment('${post.id}', '${comment.id}')`)}
+                            ${this.getDeleteButtonHTML(comment.author.id, `forumSystem.deleteComment('${post.id}', '${comment.id}')`)}
                         </div>
                     </div>
                 `;
@@ -455,7 +576,7 @@ class ForumSystem {
         // Increment the likes count
         this.posts[postIndex].comments[commentIndex].likes += 1;
         
-        // Save to localStorage
+        // Save to the data store
         this.savePostsToStorage();
         
         // Update the likes display
@@ -465,6 +586,40 @@ class ForumSystem {
         }
     }
     
+    /**
+     * Get a delete button for a post or comment, or nothing if the user may not delete it
+     * @param {string} authorId - Id of the post or comment author
+     * @param {string} onclick - Handler to run
+     * @returns {string} Button HTML
+     */
+    getDeleteButtonHTML(authorId, onclick) {
+        if (!window.permissions.can('forum.delete', authorId)) return '';
+        
+        const isOwn = this.currentUser && String(this.currentUser.id) === String(authorId);
+        return `
+            <button class="delete-content-btn ${isOwn ? '' : 'moderator-action'}" onclick="${onclick}" title="${isOwn ? 'Delete' : 'Remove as moderator'}">
+                <i class="far fa-trash-alt"></i>
+            </button>
+        `;
+    }
+    
+    /**
+     * Get a report button for someone else's post or comment
+     * @param {string} authorId - Id of the post or comment author
+     * @param {string} onclick - Handler to run
+     * @returns {string} Button HTML
+     */
+    getReportButtonHTML(authorId, onclick) {
+        const isOwn = this.currentUser && String(this.currentUser.id) === String(authorId);
+        if (isOwn || !window.permissions.can('content.report')) return '';
+        
+        return `
+            <button class="report-content-btn" onclick="${onclick}" title="Report">
+                <i class="far fa-flag"></i>
+            </button>
+        `;
+    }
+    
     /**
      * Generate forum categories HTML
      */
@@ -554,6 +709,7 @@ class ForumSystem {
                         <div id="forum-posts-container">
                             <div class="posts-header">
                                 <h3>Recent Discussions</h3>
+                                <input type="search" id="forum-search" class="forum-search" placeholder="Search posts" aria-label="Search posts">
                                 <div class="posts-filter">
                                     <label for="posts-sort">Sort by:</label>
                                     <select id="posts-sort">
@@ -16,22 +16,18 @@ class HomeManager {
      * Initialize the home page
      */
     initHomePage() {
-        // Load recent book listings
-        this.loadRecentListings();
+        // Load recent book listings once storage is ready
+        window.dataStore.ready.then(() => this.loadRecentListings());
         
         // Update login status in UI
         this.updateLoginStatus();
     }
     
     /**
-     * Load recent book listings from localStorage
+     * Load recent book listings from the data store
      */
     loadRecentListings() {
-        // Get all listings from localStorage
-        const allListings = JSON.parse(localStorage.getItem('bookListings')) || [];
-        
-        // Filter out listings that are not active
-        const activeListings = allListings.filter(listing => listing.status === 'active');
+        const activeListings = window.dataStore.findBy('listings', 'status', 'active').filter(listing => !listing.hidden);
         
         // Sort by date added (newest first)
         activeListings.sort((a, b) => {
@@ -83,22 +79,22 @@ class HomeManager {
         card.dataset.id = listing.id;
         
         // Format price
-        const price = listing['listing-type'] === 'swap' ? 'For Swap' : `$${listing.price}`;
+        const price = listing.listingType === 'swap' ? 'For Swap' : `$${escapeHtml(listing.price)}`;
         
         // Create card HTML
         card.innerHTML = `
             <div class="book-image">
-                <img src="${listing.imageUrl || 'https://via.placeholder.com/300x180?text=Book+Cover'}" alt="${listing.title}">
+                <img src="${escapeHtml(listing.imageUrl || 'https://via.placeholder.com/300x180?text=Book+Cover')}" alt="${escapeHtml(listing.title)}"${listing.imageId ? ` data-image-id="${escapeHtml(listing.imageId)}"` : ''}>
             </div>
             <div class="book-info">
-                <h3>${listing.title}</h3>
-                <p class="author">By ${listing.author}</p>
-                <p class="course">${listing['course-code'] || 'N/A'}</p>
+                <h3>${escapeHtml(listing.title)}</h3>
+                <p class="author">By ${escapeHtml(listing.author)}</p>
+                <p class="course">${escapeHtml(listing.courseCode || 'N/A')}</p>
                 <div class="book-meta">
                     <span class="price">${price}</span>
-                    <span class="condition">${listing.condition}</span>
+                    <span class="condition">${escapeHtml(listing.condition)}</span>
                 </div>
-                <a href="#" class="btn view-btn" data-id="${listing.id}">View Details</a>
+                <a href="#" class="btn view-btn" data-id="${escapeHtml(listing.id)}">View Details</a>
             </div>
         `;
         
@@ -171,7 +167,7 @@ class HomeManager {
      */
     showBookDetails(listing) {
         // For now, just show an alert with the book details
-        alert(`Book Details:\n\nTitle: ${listing.title}\nAuthor: ${listing.author}\nPrice: ${listing['listing-type'] === 'swap' ? 'For Swap' : `$${listing.price}`}\nCondition: ${listing.condition}\nListed by: ${listing.userName}`);
+        alert(`Book Details:\n\nTitle: ${listing.title}\nAuthor: ${listing.author}\nPrice: ${listing.listingType === 'swap' ? 'For Swap' : `$${listing.price}`}\nCondition: ${listing.condition}\nListed by: ${listing.userName}`);
         
         // In a real app, this would open a modal or navigate to a details page
     }
@@ -180,15 +176,14 @@ class HomeManager {
      * Update login status and UI
      */
     updateLoginStatus() {
-        const currentUser = JSON.parse(localStorage.getItem('currentUser'));
+        const currentUser = window.sessionManager.getCurrentUser();
         const loginBtn = document.querySelector('.login-btn');
         
         if (currentUser && loginBtn) {
             loginBtn.textContent = 'Logout';
             loginBtn.addEventListener('click', (e) => {
                 e.preventDefault();
-                localStorage.removeItem('currentUser');
-                localStorage.removeItem('authProvider');
+                window.sessionManager.end('logout');
                 window.location.href = 'index.html';
             });
         }
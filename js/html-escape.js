@@ -0,0 +1,21 @@
+/**
+ * HTML Escaping for Campus BookSwap
+ * Handles escaping text that students typed (titles, names, descriptions)
+ * before it is put into an HTML template
+ */
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {*} text - Text to escape; null and undefined become an empty string
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+window.escapeHtml = escapeHtml;
@@ -11,9 +11,14 @@ class LeafletCampusMap {
             return;
         }
         
+        // Campus to show, from the registry unless the caller passes one
+        this.university = options.university ||
+            (window.universityRegistry ? window.universityRegistry.getCurrentUniversity() : null);
+        const campus = this.university ? this.university.campus : null;
+        
         this.options = {
-            center: options.center || [12.9692, 79.1559], // Default to VIT Vellore coordinates
-            zoom: options.zoom || 16,
+            center: options.center || (campus && campus.center) || [12.9692, 79.1559], // Default to VIT Vellore coordinates
+            zoom: options.zoom || (campus && campus.zoom) || 16,
             mapType: options.mapType || 'streets'
         };
         
@@ -97,54 +102,8 @@ class LeafletCampusMap {
      * Add default book exchange points to the map
      */
     addDefaultExchangePoints() {
-        // Example exchange points for VIT Vellore
-        const defaultPoints = [
-            {
-                id: 'lib1',
-                name: 'Main Library',
-                position: [12.9698, 79.1559],
-                type: 'library',
-                description: 'Official book exchange point at the main library entrance. Available during library hours.',
-                hours: 'Mon-Sat: 8:00 AM - 8:00 PM',
-                popularity: 'High'
-            },
-            {
-                id: 'cafe1',
-                name: 'Campus Café',
-                position: [12.9690, 79.1570],
-                type: 'cafe',
-                description: 'Popular meeting spot for book exchanges. Free WiFi available.',
-                hours: 'Mon-Sun: 7:30 AM - 10:00 PM',
-                popularity: 'Medium'
-            },
-            {
-                id: 'hub1',
-                name: 'Student Hub',
-                position: [12.9685, 79.1550],
-                type: 'hub',
-                description: 'Student activity center with dedicated book exchange area.',
-                hours: 'Mon-Fri: 9:00 AM - 6:00 PM',
-                popularity: 'High'
-            },
-            {
-                id: 'dorm1',
-                name: 'Men\'s Hostel Common Area',
-                position: [12.9710, 79.1545],
-                type: 'dorm',
-                description: 'Convenient exchange point for hostel residents.',
-                hours: 'Always open for residents',
-                popularity: 'Medium'
-            },
-            {
-                id: 'dorm2',
-                name: 'Women\'s Hostel Common Area',
-                position: [12.9675, 79.1540],
-                type: 'dorm',
-                description: 'Convenient exchange point for hostel residents.',
-                hours: 'Always open for residents',
-                popularity: 'Medium'
-            }
-        ];
+        // Exchange points for the campus come from the university registry
+        const defaultPoints = this.university ? (this.university.exchangePoints || []) : [];
         
         // Add each point to the map
         defaultPoints.forEach(point => {
@@ -0,0 +1,446 @@
+/**
+ * Listing Bundles Module for Campus BookSwap
+ * Handles bundles: several of a seller's listings sold together for one price,
+ * such as all the books for a course. Bundles are bought as a single transaction
+ * and are repriced or taken down when one of their books sells on its own.
+ */
+
+/**
+ * Bundle limits. Conditions are listed from best to worst; a bundle is described
+ * by the condition of its most worn book.
+ */
+const BOOKSWAP_BUNDLE_SETTINGS = {
+    minListings: 2,
+    maxListings: 10,
+    conditionOrder: ['new', 'like-new', 'excellent', 'good', 'fair', 'poor']
+};
+
+/**
+ * What happens to a bundle when one of its books sells separately
+ */
+const BOOKSWAP_BUNDLE_POLICIES = {
+    unavailable: 'Take the bundle down',
+    reprice: 'Reprice the rest of the bundle'
+};
+
+class ListingBundles {
+    constructor(store = window.dataStore, lifecycle = window.listingLifecycle, settings = BOOKSWAP_BUNDLE_SETTINGS) {
+        this.store = store;
+        this.lifecycle = lifecycle;
+        this.settings = settings;
+        this.policies = BOOKSWAP_BUNDLE_POLICIES;
+    }
+    
+    /**
+     * Get a seller's bundles, newest first
+     * @param {string} userId - Seller's user id
+     * @returns {Array} Bundles
+     */
+    getBundles(userId) {
+        return this.store.findBy('bundles', 'userId', userId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+    
+    /**
+     * Get the listings in a bundle, leaving out any that were deleted
+     * @param {Object} bundle - Bundle
+     * @returns {Array} Listings
+     */
+    getListings(bundle) {
+        return bundle.listingIds
+            .map(id => this.store.getById('listings', id))
+            .filter(Boolean);
+    }
+    
+    /**
+     * Add up what a set of listings costs when bought one by one
+     * @param {Array} listings - Listings
+     * @returns {number} Total price
+     */
+    getSeparatePrice(listings) {
+        return this.roundPrice(listings.reduce((total, listing) => total + (parseFloat(listing.price) || 0), 0));
+    }
+    
+    /**
+     * Round a price to cents
+     * @param {number} price - Price
+     * @returns {number} Rounded price
+     */
+    roundPrice(price) {
+        return Math.round(price * 100) / 100;
+    }
+    
+    /**
+     * Find the active bundle a listing belongs to
+     * @param {string} listingId - Listing id
+     * @returns {Object|null} Bundle, or null if the listing isn't in one
+     */
+    getActiveBundleFor(listingId) {
+        return this.store.findBy('bundles', 'status', 'active')
+            .find(bundle => bundle.listingIds.includes(String(listingId))) || null;
+    }
+    
+    /**
+     * Check whether a listing can be added to a new bundle
+     * @param {Object} listing - Listing
+     * @returns {boolean} True if it is active, priced and not already bundled
+     */
+    canBundle(listing) {
+        return this.lifecycle.getState(listing) === 'active' &&
+            listing.listingType !== 'swap' &&
+            !listing.hidden &&
+            !this.getActiveBundleFor(listing.id);
+    }
+    
+    /**
+     * Check whether a bundle can be bought right now. A bundle whose book is
+     * reserved, expired or withdrawn comes back once the book is active again.
+     * @param {Object} bundle - Bundle
+     * @returns {boolean} True if every book in it is on sale
+     */
+    isAvailable(bundle) {
+        if (bundle.status !== 'active') return false;
+        
+        const listings = this.getListings(bundle);
+        return listings.length === bundle.listingIds.length &&
+            listings.every(listing => this.lifecycle.getState(listing) === 'active' && !listing.hidden);
+    }
+    
+    /**
+     * Create a bundle from some of a seller's listings
+     * @param {Object} user - Seller
+     * @param {Object} data - { title, description, listingIds, price, onComponentSold }
+     * @returns {Object} { ok: true, bundle } or { ok: false, reason, message }
+     */
+    createBundle(user, data) {
+        const userId = String(user.id || user.email);
+        const listingIds = [...new Set((data.listingIds || []).map(String))];
+        const listings = listingIds.map(id => this.store.getById('listings', id));
+        const price = this.roundPrice(parseFloat(data.price));
+        
+        if (!data.title || !data.title.trim()) {
+            return { ok: false, reason: 'title_required', message: 'Please give the bundle a title.' };
+        }
+        
+        if (listingIds.length < this.settings.minListings || listingIds.length > this.settings.maxListings) {
+            return {
+                ok: false,
+                reason: 'listing_count',
+                message: `A bundle needs between ${this.settings.minListings} and ${this.settings.maxListings} books.`
+            };
+        }
+        
+        if (listings.some(listing => !listing || String(listing.userId) !== userId)) {
+            return { ok: false, reason: 'not_owner', message: 'You can only bundle your own listings.' };
+        }
+        
+        const unavailable = listings.find(listing => !this.canBundle(listing));
+        if (unavailable) {
+            return {
+                ok: false,
+                reason: 'not_available',
+                message: `"${unavailable.title}" can't be bundled. Only active listings for sale that aren't already in a bundle can be added.`
+            };
+        }
+        
+        if (isNaN(price) || price < 0) {
+            return { ok: false, reason: 'price_required', message: 'Please enter a valid bundle price.' };
+        }
+        
+        const createdAt = new Date().toISOString();
+        const bundle = this.store.create('bundles', {
+            id: `bundle_${Date.now()}`,
+            userId: userId,
+            userName: user.name,
+            title: data.title.trim(),
+            description: (data.description || '').trim(),
+            listingIds: listingIds,
+            price: price,
+            separatePrice: this.getSeparatePrice(listings),
+            onComponentSold: this.policies[data.onComponentSold] ? data.onComponentSold : 'unavailable',
+            status: 'active',
+            priceHistory: [{ price, at: createdAt, reason: 'Created' }],
+            createdAt: createdAt
+        }, { prepend: true });
+        
+        return { ok: true, bundle };
+    }
+    
+    /**
+     * Delete a bundle. Its books stay listed on their own.
+     * @param {string} bundleId - Bundle id
+     * @param {Object} user - Seller
+     * @returns {Object} { ok: true } or { ok: false, reason, message }
+     */
+    deleteBundle(bundleId, user) {
+        const bundle = this.store.getById('bundles', bundleId);
+        if (!bundle) {
+            return { ok: false, reason: 'not_found', message: 'This bundle no longer exists.' };
+        }
+        
+        if (String(bundle.userId) !== String(user.id || user.email)) {
+            return { ok: false, reason: 'not_owner', message: 'You can only delete your own bundles.' };
+        }
+        
+        this.store.remove('bundles', bundleId);
+        return { ok: true };
+    }
+    
+    /**
+     * Buy every book in a bundle. The books are marked as sold and one
+     * transaction is recorded for the whole bundle.
+     * @param {string} bundleId - Bundle id
+     * @param {Object} buyer - Signed-in user
+     * @returns {Object} { ok: true, bundle, transaction } or { ok: false, reason, message }
+     */
+    purchase(bundleId, buyer) {
+        const bundle = this.store.getById('bundles', bundleId);
+        if (!bundle) {
+            return { ok: false, reason: 'not_found', message: 'This bundle no longer exists.' };
+        }
+        
+        if (!buyer) {
+            return { ok: false, reason: 'login_required', message: 'Please log in to buy this bundle.' };
+        }
+        
+        const buyerId = String(buyer.id || buyer.email);
+        if (buyerId === String(bundle.userId)) {
+            return { ok: false, reason: 'own_bundle', message: 'You can\'t buy your own bundle.' };
+        }
+        
+        if (!this.isAvailable(bundle)) {
+            return { ok: false, reason: 'not_available', message: 'Sorry, this bundle is no longer available.' };
+        }
+        
+        const listings = this.getListings(bundle);
+        const now = new Date().toISOString();
+        const transaction = {
+            id: `TXN-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            date: now,
+            bookId: bundle.id,
+            bundleId: bundle.id,
+            bookIds: bundle.listingIds,
+            bookTitle: `${bundle.title} (${listings.length} books)`,
+            bookAuthor: [...new Set(listings.map(listing => listing.author))].join(', '),
+            items: listings.map(listing => ({ id: listing.id, title: listing.title, author: listing.author, price: parseFloat(listing.price) || 0 })),
+            type: 'Sale',
+            sellerId: bundle.userId,
+            sellerName: bundle.userName || 'Unknown Seller',
+            buyerId: buyerId,
+            buyerName: buyer.name || 'Unknown User',
+            amount: bundle.price,
+            status: 'Completed',
+            paymentMethod: 'Cash',
+            meetingLocation: 'Campus',
+            notes: `Bundle of ${listings.length} books`
+        };
+        
+        // Close the bundle first so selling its books doesn't reprice it
+        const sold = this.store.update('bundles', bundle.id, {
+            status: 'sold',
+            soldAt: now,
+            buyerId: buyerId,
+            transactionId: transaction.id
+        });
+        
+        listings.forEach(listing => {
+            this.lifecycle.transition(listing.id, 'sold', { user: buyer, note: `Sold in bundle "${bundle.title}"` });
+        });
+        
+        this.store.create('transactions', transaction, { prepend: true });
+        
+        return { ok: true, bundle: sold, transaction };
+    }
+    
+    /**
+     * Apply each active bundle's policy once one of its books has sold or been
+     * deleted. Called whenever listings change, so this also covers books sold
+     * from the dashboard or in another tab.
+     * @returns {number} Number of bundles changed
+     */
+    reconcile() {
+        let changed = 0;
+        
+        this.store.findBy('bundles', 'status', 'active').forEach(bundle => {
+            const remaining = this.getListings(bundle)
+                .filter(listing => !['sold', 'swapped'].includes(this.lifecycle.getState(listing)));
+            if (remaining.length === bundle.listingIds.length) return;
+            
+            const now = new Date().toISOString();
+            
+            if (bundle.onComponentSold === 'reprice' && remaining.length >= this.settings.minListings) {
+                // Keep the same discount on the books that are left
+                const separatePrice = this.getSeparatePrice(remaining);
+                const price = bundle.separatePrice > 0
+                    ? this.roundPrice(bundle.price * separatePrice / bundle.separatePrice)
+                    : bundle.price;
+                
+                this.store.update('bundles', bundle.id, {
+                    listingIds: remaining.map(listing => String(listing.id)),
+                    price: price,
+                    separatePrice: separatePrice,
+                    priceHistory: [...(bundle.priceHistory || []), { price, at: now, reason: 'A book sold separately' }]
+                });
+            } else {
+                this.store.update('bundles', bundle.id, {
+                    status: 'unavailable',
+                    unavailableAt: now,
+                    unavailableReason: 'A book in this bundle sold separately'
+                });
+            }
+            
+            changed++;
+        });
+        
+        return changed;
+    }
+    
+    /**
+     * Describe a bundle in the shape browse.js uses for listings, so it can be
+     * searched, filtered and sorted alongside them
+     * @param {Object} bundle - Bundle
+     * @returns {Object} Listing-like entry with isBundle set
+     */
+    toBrowseItem(bundle) {
+        const listings = this.getListings(bundle);
+        const unique = values => [...new Set(values.filter(Boolean))];
+        const departments = unique(listings.map(listing => listing.department));
+        const formats = unique(listings.map(listing => listing.format));
+        const order = this.settings.conditionOrder;
+        const worst = listings.reduce((condition, listing) =>
+            order.indexOf(listing.condition) > order.indexOf(condition) ? listing.condition : condition, order[0]);
+        const cover = listings.find(listing => listing.imageId || listing.imageUrl) || {};
+        
+        return {
+            id: bundle.id,
+            isBundle: true,
+            bundle: bundle,
+            listings: listings,
+            title: bundle.title,
+            author: unique(listings.map(listing => listing.author)).join(', '),
+            courseCode: unique(listings.map(listing => listing.courseCode)).join(', '),
+            department: departments.length === 1 ? departments[0] : '',
+            format: formats.length === 1 ? formats[0] : '',
+            condition: worst,
+            listingType: 'sale',
+            price: String(bundle.price),
+            separatePrice: bundle.separatePrice,
+            description: bundle.description,
+            status: 'active',
+            userId: bundle.userId,
+            userName: bundle.userName,
+            dateAdded: bundle.createdAt,
+            imageId: cover.imageId || null,
+            imageUrl: cover.imageUrl || null
+        };
+    }
+}
+
+/**
+ * "Create Bundle" panel on the dashboard listings tab
+ */
+class ListingBundlePanel {
+    /**
+     * @param {HTMLElement} container - Panel element
+     * @param {BookListingManager} manager - Saves the bundle
+     * @param {ListingBundles} bundles - Bundle rules
+     */
+    constructor(container, manager, bundles = window.listingBundles) {
+        this.container = container;
+        this.manager = manager;
+        this.bundles = bundles;
+    }
+    
+    /**
+     * Draw the form with the seller's listings that can be bundled
+     */
+    render() {
+        const listings = this.manager.listings.filter(listing => this.bundles.canBundle(listing));
+        const settings = this.bundles.settings;
+        
+        if (listings.length < settings.minListings) {
+            this.container.innerHTML = `
+                <h3>Create a bundle</h3>
+                <p class="bundle-message">You need at least ${settings.minListings} active listings for sale that aren't already in a bundle.</p>
+            `;
+            return;
+        }
+        
+        this.container.innerHTML = `
+            <h3>Create a bundle</h3>
+            <p class="bundle-message">Sell several books together for one price, e.g. everything for a course. Each book stays listed on its own too.</p>
+            <form class="bundle-form">
+                <div class="form-group">
+                    <label for="bundle-title">Bundle title</label>
+                    <input type="text" id="bundle-title" name="title" placeholder="e.g. All CS201 books" required>
+                </div>
+                <div class="bundle-listings">
+                    ${listings.map(listing => `
+                        <label class="bundle-listing">
+                            <input type="checkbox" name="listingIds" value="${escapeHtml(listing.id)}" data-price="${parseFloat(listing.price) || 0}">
+                            <span>${escapeHtml(listing.title)}${listing.courseCode ? ` (${escapeHtml(listing.courseCode)})` : ''}</span>
+                            <span class="bundle-listing-price">$${escapeHtml(listing.price)}</span>
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="form-group">
+                    <label for="bundle-price">Bundle price ($)</label>
+                    <input type="number" id="bundle-price" name="price" min="0" step="0.01" required>
+                    <p class="bundle-separate-price">Select at least ${settings.minListings} books.</p>
+                </div>
+                <div class="form-group">
+                    <label>If one of these books sells on its own</label>
+                    ${Object.keys(this.bundles.policies).map((policy, index) => `
+                        <label class="bundle-policy">
+                            <input type="radio" name="onComponentSold" value="${policy}"${index === 0 ? ' checked' : ''}>
+                            ${this.bundles.policies[policy]}
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="form-group">
+                    <label for="bundle-description">Description (optional)</label>
+                    <textarea id="bundle-description" name="description" rows="2"></textarea>
+                </div>
+                <button type="submit" class="action-button primary-button"><i class="fas fa-layer-group"></i> Create Bundle</button>
+            </form>
+        `;
+        
+        const form = this.container.querySelector('.bundle-form');
+        const total = form.querySelector('.bundle-separate-price');
+        
+        form.querySelectorAll('input[name="listingIds"]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const selected = [...form.querySelectorAll('input[name="listingIds"]:checked')];
+                const separate = selected.reduce((sum, input) => sum + Number(input.dataset.price), 0);
+                total.textContent = selected.length >= settings.minListings
+                    ? `${selected.length} books, $${separate.toFixed(2)} if bought separately.`
+                    : `Select at least ${settings.minListings} books.`;
+            });
+        });
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const result = await this.manager.saveBundle({
+                title: form.title.value,
+                description: form.description.value,
+                price: form.price.value,
+                onComponentSold: form.querySelector('input[name="onComponentSold"]:checked').value,
+                listingIds: [...form.querySelectorAll('input[name="listingIds"]:checked')].map(input => input.value)
+            });
+            
+            if (result.ok) {
+                this.container.style.display = 'none';
+            }
+        });
+    }
+}
+
+// Create the shared bundles helper and keep bundles in step with their books
+window.listingBundles = new ListingBundles();
+window.ListingBundles = ListingBundles;
+window.ListingBundlePanel = ListingBundlePanel;
+window.dataStore.ready.then(() => {
+    window.listingBundles.reconcile();
+    window.dataStore.subscribe('listings', () => window.listingBundles.reconcile());
+});
@@ -0,0 +1,223 @@
+/**
+ * Listing Checks Module for Campus BookSwap
+ * Handles the checks run on new and edited listings: the same book posted twice
+ * by one seller, prices far from what the book usually goes for, and banned words.
+ * Flagged listings are explained to the seller and sent to the moderation queue.
+ */
+
+/**
+ * Thresholds for the checks. Prices are compared with the suggested range from
+ * js/listing-pricing.js once enough comparable books are known. Editing one of
+ * the editFields of a published listing runs the checks again.
+ */
+const BOOKSWAP_LISTING_CHECK_SETTINGS = {
+    minimumPrice: 1,
+    lowPriceShare: 0.25,
+    highPriceShare: 3,
+    minPriceSamples: 2,
+    titleSimilarity: 0.85,
+    authorSimilarity: 0.8,
+    editFields: ['listingType', 'isbn', 'title', 'author', 'edition', 'courseCode', 'condition', 'price', 'swapFor', 'description']
+};
+
+/**
+ * Words and phrases that aren't allowed in listings. WhatsApp isn't one of them,
+ * since the sell form offers it as a contact option. Set localStorage
+ * 'bookswap_banned_words' to a comma-separated list to add more.
+ */
+const BOOKSWAP_BANNED_WORDS = [
+    'counterfeit',
+    'pirated',
+    'bootleg',
+    'replica',
+    'pdf download',
+    'free download',
+    'western union',
+    'wire transfer',
+    'gift card',
+    'bitcoin',
+    'telegram'
+].concat((localStorage.getItem('bookswap_banned_words') || '').split(',').map(word => word.trim().toLowerCase()).filter(Boolean));
+
+class ListingChecks {
+    constructor(store = window.dataStore, settings = BOOKSWAP_LISTING_CHECK_SETTINGS, bannedWords = BOOKSWAP_BANNED_WORDS) {
+        this.store = store;
+        this.settings = settings;
+        this.bannedWords = bannedWords;
+    }
+    
+    /**
+     * Run every check on a listing before it is created
+     * @param {Object} listing - New listing data
+     * @param {Object} options - { excludeListingId } to leave a listing out of the comparisons
+     * @returns {Array} Flags ({ type, message }); empty if the listing looks fine
+     */
+    check(listing, options = {}) {
+        return [
+            ...this.checkDuplicates(listing, options),
+            ...this.checkPrice(listing, options),
+            ...this.checkBannedWords(listing)
+        ];
+    }
+    
+    /**
+     * Run the checks again on an edited listing, if the edit changed a field they look at
+     * @param {Object} listing - Stored listing
+     * @param {Object} edited - New values from the edit form
+     * @param {Array} changes - Changes from ListingHistory.diff()
+     * @returns {Array} Flags; empty if the listing looks fine or nothing checked was changed
+     */
+    checkEdit(listing, edited, changes) {
+        if (!changes.some(change => this.settings.editFields.includes(change.field))) return [];
+        
+        // The listing's own stored values don't count as a duplicate or towards the usual price
+        return this.check({ ...listing, ...edited, id: listing.id }, { excludeListingId: listing.id });
+    }
+    
+    /**
+     * Look for the same book among the seller's other listings that are still up
+     * @param {Object} listing - New listing data
+     * @param {Object} options - { excludeListingId }
+     * @returns {Array} Flags
+     */
+    checkDuplicates(listing, options = {}) {
+        const pricing = window.listingPricing;
+        const isbn = pricing.normalizeIsbn(listing.isbn);
+        const title = pricing.normalizeTitle(listing.title);
+        const author = this.normalizeText(listing.author);
+        
+        const duplicate = this.store.findBy('listings', 'userId', listing.userId)
+            .filter(other => other.id !== listing.id && other.id !== options.excludeListingId)
+            .filter(other => ['active', 'reserved', 'expired'].includes(window.listingLifecycle.getState(other)))
+            .find(other => (isbn && pricing.normalizeIsbn(other.isbn) === isbn) ||
+                (this.getSimilarity(title, pricing.normalizeTitle(other.title)) >= this.settings.titleSimilarity &&
+                    this.getSimilarity(author, this.normalizeText(other.author)) >= this.settings.authorSimilarity));
+        
+        if (!duplicate) return [];
+        
+        return [{
+            type: 'duplicate',
+            listingId: duplicate.id,
+            message: `You already have a listing for this book ("${duplicate.title}", listed ${new Date(duplicate.dateAdded).toLocaleDateString()}). Please edit or renew that listing instead of posting it again.`
+        }];
+    }
+    
+    /**
+     * Flag prices that are implausibly low or high for the book
+     * @param {Object} listing - New listing data
+     * @param {Object} options - { excludeListingId }
+     * @returns {Array} Flags
+     */
+    checkPrice(listing, options = {}) {
+        if (listing.listingType === 'swap') return [];
+        
+        const price = parseFloat(listing.price);
+        if (isNaN(price)) return [];
+        
+        if (price > 0 && price < this.settings.minimumPrice) {
+            return [{
+                type: 'price',
+                message: `A price of $${price.toFixed(2)} looks like a placeholder. List the book for free ($0) or at a real price.`
+            }];
+        }
+        
+        const suggestion = window.listingPricing.suggest(listing, options);
+        if (!suggestion || suggestion.sales + suggestion.listings < this.settings.minPriceSamples) return [];
+        
+        if (price > 0 && price < suggestion.low * this.settings.lowPriceShare) {
+            return [{
+                type: 'price',
+                message: `$${price.toFixed(2)} is far below what this book usually goes for ($${suggestion.low}–$${suggestion.high}).`
+            }];
+        }
+        
+        if (price > suggestion.high * this.settings.highPriceShare) {
+            return [{
+                type: 'price',
+                message: `$${price.toFixed(2)} is far above what this book usually goes for ($${suggestion.low}–$${suggestion.high}).`
+            }];
+        }
+        
+        return [];
+    }
+    
+    /**
+     * Look for banned words in the text buyers see
+     * @param {Object} listing - New listing data
+     * @returns {Array} Flags
+     */
+    checkBannedWords(listing) {
+        const text = ` ${this.normalizeText([listing.title, listing.author, listing.courseCode, listing.description, listing.swapFor].join(' '))} `;
+        const found = this.bannedWords.filter(word => text.includes(` ${this.normalizeText(word)} `));
+        
+        if (found.length === 0) return [];
+        
+        return [{
+            type: 'banned_words',
+            words: found,
+            message: `Listings can't mention ${found.map(word => `"${word}"`).join(', ')}.`
+        }];
+    }
+    
+    /**
+     * Lowercase text and reduce it to words separated by single spaces
+     * @param {string} text - Text
+     * @returns {string} Normalized text
+     */
+    normalizeText(text) {
+        return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+    
+    /**
+     * Compare two strings by the letter pairs they share (Dice coefficient)
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Similarity from 0 (nothing in common) to 1 (the same)
+     */
+    getSimilarity(a, b) {
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+        
+        const pairs = text => {
+            const result = new Map();
+            for (let i = 0; i < text.length - 1; i++) {
+                const pair = text.substr(i, 2);
+                result.set(pair, (result.get(pair) || 0) + 1);
+            }
+            return result;
+        };
+        
+        const pairsA = pairs(a);
+        const pairsB = pairs(b);
+        let shared = 0;
+        pairsA.forEach((count, pair) => {
+            shared += Math.min(count, pairsB.get(pair) || 0);
+        });
+        
+        return (2 * shared) / (a.length - 1 + b.length - 1);
+    }
+    
+    /**
+     * Send a flagged listing to the moderation queue
+     * @param {Object} listing - Saved listing
+     * @param {Array} flags - Flags from check()
+     * @returns {Object|null} Report, or null if there was nothing to flag
+     */
+    flagListing(listing, flags) {
+        if (flags.length === 0) return null;
+        return window.moderation.flag('listing', { id: listing.id }, flags);
+    }
+    
+    /**
+     * Explain a listing's flags to the seller
+     * @param {Array} flags - Flags from check()
+     * @returns {string} Message text
+     */
+    describe(flags) {
+        return flags.map(flag => `- ${flag.message}`).join('\n');
+    }
+}
+
+// Create the shared listing checks
+window.listingChecks = new ListingChecks();
+window.ListingChecks = ListingChecks;
@@ -0,0 +1,140 @@
+/**
+ * Listing Drafts Module for Campus BookSwap
+ * Handles sell form drafts: each user's half-finished listings are autosaved so
+ * they can be finished and published later
+ */
+
+/**
+ * Fields a listing needs before it can be published, with the labels shown when
+ * one is missing. Price and wanted books depend on the listing type.
+ */
+const BOOKSWAP_DRAFT_REQUIRED_FIELDS = {
+    isbn: 'ISBN',
+    title: 'Title',
+    author: 'Author',
+    department: 'Department',
+    condition: 'Condition',
+    format: 'Format',
+    description: 'Description'
+};
+
+class ListingDrafts {
+    constructor(store = window.dataStore, requiredFields = BOOKSWAP_DRAFT_REQUIRED_FIELDS) {
+        this.store = store;
+        this.requiredFields = requiredFields;
+    }
+    
+    /**
+     * Get a user's drafts, most recently saved first
+     * @param {string} userId - User id
+     * @returns {Array} Drafts
+     */
+    getDrafts(userId) {
+        return this.store.findBy('drafts', 'userId', userId)
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    }
+    
+    /**
+     * Get one of a user's drafts
+     * @param {string} draftId - Draft id
+     * @param {string} userId - User id
+     * @returns {Object|null} Draft, or null if it doesn't exist or belongs to someone else
+     */
+    getDraft(draftId, userId) {
+        const draft = this.store.getById('drafts', draftId);
+        return draft && String(draft.userId) === String(userId) ? draft : null;
+    }
+    
+    /**
+     * Check whether the sell form has anything worth keeping
+     * @param {Object} fields - Listing fields from the form
+     * @param {Array} photos - Photos added so far
+     * @returns {boolean} True if nothing has been filled in
+     */
+    isEmpty(fields, photos = []) {
+        const typed = ['isbn', 'title', 'author', 'edition', 'publisher', 'courseCode', 'price', 'swapFor', 'description']
+            .some(field => fields[field] && String(fields[field]).trim());
+        
+        return !typed && photos.length === 0;
+    }
+    
+    /**
+     * Create or update a draft
+     * @param {string} userId - Owner's user id
+     * @param {string|null} draftId - Draft to update, or null to start a new one
+     * @param {Object} fields - Listing fields from the form
+     * @param {Array} photos - Stored photos ({ imageId, imageUrl })
+     * @returns {Object} Saved draft
+     */
+    saveDraft(userId, draftId, fields, photos = []) {
+        const existing = draftId ? this.getDraft(draftId, userId) : null;
+        const updatedAt = new Date().toISOString();
+        
+        if (existing) {
+            // Photos removed from the form since the last save aren't used anywhere else
+            window.listingPhotos.removeUnused(existing.photos || [], photos);
+            return this.store.update('drafts', existing.id, { fields, photos, updatedAt });
+        }
+        
+        return this.store.create('drafts', {
+            id: `draft_${Date.now()}`,
+            userId: userId,
+            fields: fields,
+            photos: photos,
+            createdAt: updatedAt,
+            updatedAt: updatedAt
+        }, { prepend: true });
+    }
+    
+    /**
+     * Delete a draft and its photos
+     * @param {string} draftId - Draft id
+     */
+    deleteDraft(draftId) {
+        const draft = this.store.getById('drafts', draftId);
+        if (!draft) return;
+        
+        window.listingPhotos.removeUnused(draft.photos || [], []);
+        this.store.remove('drafts', draftId);
+    }
+    
+    /**
+     * Remove a draft that was published. Its photos now belong to the listing.
+     * @param {string} draftId - Draft id
+     */
+    markPublished(draftId) {
+        this.store.remove('drafts', draftId);
+    }
+    
+    /**
+     * List the required fields a draft hasn't filled in yet
+     * @param {Object} draft - Draft
+     * @returns {Array<string>} Labels of the missing fields
+     */
+    getMissingFields(draft) {
+        const fields = draft.fields || {};
+        const required = { ...this.requiredFields };
+        const type = fields.listingType || 'sale';
+        
+        if (type === 'sale' || type === 'both') required.price = 'Price';
+        if (type === 'swap' || type === 'both') required.swapFor = 'Books wanted in exchange';
+        
+        return Object.keys(required)
+            .filter(field => !fields[field] || !String(fields[field]).trim())
+            .map(field => required[field]);
+    }
+    
+    /**
+     * Turn a draft into listing data for BookListingManager.completeListingProcess
+     * @param {Object} draft - Draft
+     * @returns {Object} Listing data
+     */
+    toListingData(draft) {
+        const fields = draft.fields || {};
+        return { ...fields, ...window.listingPhotos.toListingFields(draft.photos || [], fields.coverUrl) };
+    }
+}
+
+// Create the shared drafts helper
+window.listingDrafts = new ListingDrafts();
+window.ListingDrafts = ListingDrafts;
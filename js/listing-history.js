@@ -0,0 +1,198 @@
+/**
+ * Listing History Module for Campus BookSwap
+ * Handles edits to published listings: records a timestamped revision for each
+ * change and works out the "edited" and price-change markers shown to buyers
+ */
+
+/**
+ * Listing fields sellers can edit, with the labels used in the revision history
+ */
+const BOOKSWAP_LISTING_FIELDS = {
+    listingType: 'Listing type',
+    isbn: 'ISBN',
+    title: 'Title',
+    author: 'Author',
+    edition: 'Edition',
+    publisher: 'Publisher',
+    courseCode: 'Course code',
+    department: 'Department',
+    condition: 'Condition',
+    format: 'Format',
+    price: 'Price',
+    swapFor: 'Wanted in exchange',
+    description: 'Description',
+    contactPlatform: 'Platform messaging',
+    contactEmail: 'Email contact',
+    contactWhatsapp: 'WhatsApp contact',
+    whatsapp: 'WhatsApp number'
+};
+
+class ListingHistory {
+    constructor(store = window.dataStore, fields = BOOKSWAP_LISTING_FIELDS) {
+        this.store = store;
+        this.fields = fields;
+    }
+    
+    /**
+     * List the fields that differ between a listing and the edited values
+     * @param {Object} listing - Stored listing
+     * @param {Object} edited - Values from the edit form
+     * @returns {Array} Changes ({ field, from, to }); changed photos are { field: 'photos' }
+     */
+    diff(listing, edited) {
+        const changes = [];
+        
+        Object.keys(this.fields).forEach(field => {
+            const from = listing[field] === undefined || listing[field] === null ? '' : String(listing[field]);
+            const to = edited[field] === undefined || edited[field] === null ? '' : String(edited[field]);
+            if (from.trim() !== to.trim()) {
+                changes.push({ field, from, to });
+            }
+        });
+        
+        // Photos aren't copied into the history, only the fact that they changed
+        if (edited.photos !== undefined && this.getPhotoKeys(edited.photos) !== this.getPhotoKeys(window.listingPhotos.getPhotos(listing))) {
+            changes.push({ field: 'photos' });
+        }
+        
+        return changes;
+    }
+    
+    /**
+     * Save an edit to a listing and add it to the listing's revision history
+     * @param {string} listingId - Listing id
+     * @param {Object} edited - New values from the edit form
+     * @param {Object} user - User making the edit
+     * @returns {Object} { ok: true, listing, changes } or { ok: false, message }
+     */
+    applyEdit(listingId, edited, user) {
+        const listing = this.store.getById('listings', listingId);
+        if (!listing) {
+            return { ok: false, message: 'This listing no longer exists.' };
+        }
+        
+        const changes = this.diff(listing, edited);
+        if (changes.length === 0) {
+            return { ok: true, listing, changes };
+        }
+        
+        const now = new Date().toISOString();
+        const updates = { editedAt: now };
+        
+        changes.forEach(change => {
+            if (change.field === 'photos') {
+                updates.photos = edited.photos;
+                updates.imageId = edited.imageId || null;
+                updates.imageUrl = edited.imageUrl || null;
+            } else {
+                updates[change.field] = change.to;
+            }
+        });
+        
+        // Keep the earlier price so buyers can see it went up or down
+        const priceChange = changes.find(change => change.field === 'price');
+        if (priceChange) {
+            updates.previousPrice = priceChange.from;
+            updates.priceChangedAt = now;
+        }
+        
+        updates.revisions = [
+            ...(listing.revisions || []),
+            {
+                revisedAt: now,
+                revisedBy: user ? user.id : null,
+                revisedByName: user ? user.name : null,
+                changes: changes
+            }
+        ];
+        
+        const updated = this.store.update('listings', listingId, updates);
+        
+        // Removed photos aren't referenced anywhere else
+        if (updates.photos) {
+            window.listingPhotos.removeUnused(window.listingPhotos.getPhotos(listing), updates.photos);
+        }
+        
+        return { ok: true, listing: updated, changes };
+    }
+    
+    /**
+     * Identify a set of photos and their order
+     * @param {Array} photos - Photos ({ imageId, imageUrl })
+     * @returns {string} Key that changes when photos are added, removed or reordered
+     */
+    getPhotoKeys(photos) {
+        return photos.map(photo => photo.imageId || photo.imageUrl).join('|');
+    }
+    
+    /**
+     * Get a listing's revisions, newest first
+     * @param {Object} listing - Listing
+     * @returns {Array} Revisions
+     */
+    getRevisions(listing) {
+        return [...(listing.revisions || [])].reverse();
+    }
+    
+    /**
+     * Describe one change for the revision history
+     * @param {Object} change - { field, from, to }
+     * @returns {string} Text such as "Price: 20 → 15"
+     */
+    describeChange(change) {
+        if (change.field === 'photos') return 'Photos updated';
+        
+        const label = this.fields[change.field] || change.field;
+        if (change.field === 'description' || change.field === 'swapFor') {
+            return `${label} updated`;
+        }
+        
+        return `${label}: ${change.from || '(empty)'} → ${change.to || '(empty)'}`;
+    }
+    
+    /**
+     * Work out the markers buyers see on a listing
+     * @param {Object} listing - Listing
+     * @returns {Object} { edited, editedAt, priceChange } where priceChange is { from, to, direction } or null
+     */
+    getMarkers(listing) {
+        const from = parseFloat(listing.previousPrice);
+        const to = parseFloat(listing.price);
+        const priceChange = listing.priceChangedAt && !isNaN(from) && !isNaN(to) && from !== to
+            ? { from, to, direction: to < from ? 'down' : 'up' }
+            : null;
+        
+        return {
+            edited: !!listing.editedAt,
+            editedAt: listing.editedAt || null,
+            priceChange: priceChange
+        };
+    }
+    
+    /**
+     * Build the marker badges for a listing card or details view
+     * @param {Object} listing - Listing
+     * @returns {string} Badge HTML, or an empty string for unedited listings
+     */
+    getMarkersHTML(listing) {
+        const markers = this.getMarkers(listing);
+        let html = '';
+        
+        if (markers.priceChange) {
+            const { from, direction } = markers.priceChange;
+            html += `<span class="listing-marker price-${direction}" title="Was $${escapeHtml(from)}">
+                <i class="fas fa-arrow-${direction}"></i> Price ${direction === 'down' ? 'dropped' : 'raised'}
+            </span>`;
+        }
+        
+        if (markers.edited) {
+            html += `<span class="listing-marker edited" title="Edited on ${new Date(markers.editedAt).toLocaleString()}">Edited</span>`;
+        }
+        
+        return html ? `<div class="listing-markers">${html}</div>` : '';
+    }
+}
+
+// Create the shared listing history helper
+window.listingHistory = new ListingHistory();
+window.ListingHistory = ListingHistory;
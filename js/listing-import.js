@@ -0,0 +1,463 @@
+/**
+ * Listing Import Module for Campus BookSwap
+ * Handles bulk listing imports on the dashboard: reads CSV files or rows pasted
+ * from a spreadsheet, maps the columns to listing fields, checks every row and
+ * previews the result before BookListingManager creates the listings
+ */
+
+/**
+ * Listing fields a column can be mapped to. Column names are matched against the
+ * aliases after lowercasing and dropping anything but letters and digits, so
+ * "Course Code", "course_code" and "COURSE-CODE" all map to courseCode.
+ */
+const BOOKSWAP_IMPORT_COLUMNS = {
+    isbn: { label: 'ISBN', aliases: ['isbn', 'isbn13', 'isbn10'] },
+    title: { label: 'Title', aliases: ['title', 'booktitle'] },
+    author: { label: 'Author', aliases: ['author', 'authors'] },
+    edition: { label: 'Edition', aliases: ['edition'] },
+    publisher: { label: 'Publisher', aliases: ['publisher'] },
+    courseCode: { label: 'Course code', aliases: ['coursecode', 'course'] },
+    department: { label: 'Department', aliases: ['department', 'dept', 'subject'] },
+    condition: { label: 'Condition', aliases: ['condition'] },
+    format: { label: 'Format', aliases: ['format'] },
+    listingType: { label: 'Listing type', aliases: ['listingtype', 'type'] },
+    price: { label: 'Price', aliases: ['price', 'askingprice'] },
+    swapFor: { label: 'Wanted in exchange', aliases: ['swapfor', 'wanted', 'inexchangefor'] },
+    description: { label: 'Description', aliases: ['description', 'notes', 'comments'] }
+};
+
+/**
+ * Values the sell form offers for its dropdowns
+ */
+const BOOKSWAP_LISTING_OPTIONS = {
+    condition: ['new', 'like-new', 'excellent', 'good', 'fair', 'poor'],
+    format: ['physical', 'digital'],
+    listingType: ['sale', 'swap', 'both'],
+    department: ['computer-science', 'business', 'engineering', 'mathematics', 'physics', 'chemistry', 'biology', 'psychology', 'literature', 'history', 'other']
+};
+
+class ListingImporter {
+    constructor(columns = BOOKSWAP_IMPORT_COLUMNS, options = BOOKSWAP_LISTING_OPTIONS) {
+        this.columns = columns;
+        this.options = options;
+        this.maxRows = 200;
+        // Rows checked at the same time, so a large file doesn't send every catalog look-up at once
+        this.concurrentRows = 4;
+        this.listingTypeAliases = {
+            'for-sale': 'sale',
+            'sell': 'sale',
+            'for-swap': 'swap',
+            'trade': 'swap',
+            'sale-or-swap': 'both',
+            'sale/swap': 'both'
+        };
+    }
+    
+    /**
+     * Split CSV or tab-separated text into rows of cells.
+     * Handles quoted cells with commas, line breaks and doubled quotes.
+     * @param {string} text - File contents or pasted spreadsheet rows
+     * @returns {Array<Array<string>>} Rows, without blank lines
+     */
+    parse(text) {
+        const input = String(text || '').replace(/^﻿/, '');
+        const delimiter = this.detectDelimiter(input);
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    }
+    
+    /**
+     * Guess the separator from the header row. Spreadsheets paste tab-separated
+     * rows, and some locales export CSV with semicolons.
+     * @param {string} text - Input text
+     * @returns {string} Separator
+     */
+    detectDelimiter(text) {
+        const header = text.split(/\r?\n/, 1)[0];
+        const count = separator => header.split(separator).length - 1;
+        
+        return ['\t', ';'].reduce((best, separator) => count(separator) > count(best) ? separator : best, ',');
+    }
+    
+    /**
+     * Map column names to listing fields
+     * @param {Array<string>} headers - Header row
+     * @returns {Array<string>} Field for each column, or '' for columns that are ignored
+     */
+    autoMap(headers) {
+        const used = new Set();
+        
+        return headers.map(header => {
+            const name = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+            const field = Object.keys(this.columns).find(key => !used.has(key) && this.columns[key].aliases.includes(name));
+            if (!field) return '';
+            
+            used.add(field);
+            return field;
+        });
+    }
+    
+    /**
+     * Turn a dropdown value as typed in a spreadsheet into the sell form's value
+     * @param {string} value - Cell value, e.g. "Like New"
+     * @returns {string} Normalized value, e.g. "like-new"
+     */
+    normalizeOption(value) {
+        return String(value || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+    }
+    
+    /**
+     * Check every row and build the listing data for the valid ones
+     * @param {Array<Array<string>>} records - Data rows (without the header)
+     * @param {Array<string>} mapping - Field for each column
+     * @returns {Promise<Array>} Rows ({ rowNumber, cells, listing, errors, warnings })
+     */
+    async validateRows(records, mapping) {
+        const rows = new Array(records.length);
+        let next = 0;
+        
+        const checkNextRows = async () => {
+            while (next < records.length) {
+                const index = next++;
+                const cells = records[index];
+                // Row 1 is the header, as in the spreadsheet
+                const rowNumber = index + 2;
+                
+                if (index >= this.maxRows) {
+                    rows[index] = { rowNumber, cells, listing: null, errors: [`Only ${this.maxRows} rows can be imported at once`], warnings: [] };
+                    continue;
+                }
+                
+                const values = {};
+                mapping.forEach((field, column) => {
+                    if (field) values[field] = (cells[column] || '').trim();
+                });
+                
+                rows[index] = { rowNumber, cells, ...(await this.validateRow(values)) };
+            }
+        };
+        
+        const workers = Array.from({ length: Math.min(this.concurrentRows, records.length) }, checkNextRows);
+        await Promise.all(workers);
+        return rows;
+    }
+    
+    /**
+     * Check one row
+     * @param {Object} values - Cell values keyed by listing field
+     * @returns {Promise<Object>} { listing, errors, warnings }; listing is null if there are errors
+     */
+    async validateRow(values) {
+        const errors = [];
+        const warnings = [];
+        const listing = {
+            ...values,
+            contactPlatform: 'platform-messaging'
+        };
+        
+        // ISBN
+        const catalog = window.bookCatalog;
+        if (!values.isbn) {
+            errors.push('ISBN is missing');
+        } else if (!catalog.isValid(values.isbn)) {
+            errors.push(`"${values.isbn}" is not a valid ISBN`);
+        } else {
+            listing.isbn = catalog.normalize(values.isbn);
+            
+            // Fill in anything left blank from the book catalog
+            const incomplete = ['title', 'author', 'edition', 'publisher', 'department'].some(field => !values[field]);
+            const result = incomplete ? await catalog.lookup(values.isbn) : { ok: false };
+            if (result.ok) {
+                const book = result.book;
+                listing.title = values.title || book.title;
+                listing.author = values.author || book.authors.join(', ');
+                listing.edition = values.edition || book.edition;
+                listing.publisher = values.publisher || book.publisher;
+                listing.department = values.department || book.department;
+                listing.coverUrl = book.coverUrl || '';
+            }
+        }
+        
+        if (!listing.title) errors.push('Title is missing');
+        if (!listing.author) errors.push('Author is missing');
+        
+        // Condition
+        listing.condition = this.normalizeOption(values.condition);
+        if (!listing.condition) {
+            errors.push('Condition is missing');
+        } else if (!this.options.condition.includes(listing.condition)) {
+            errors.push(`Condition must be one of: ${this.options.condition.join(', ')}`);
+        }
+        
+        // Listing type, price and wanted books
+        const type = this.normalizeOption(values.listingType) || 'sale';
+        listing.listingType = this.listingTypeAliases[type] || type;
+        if (!this.options.listingType.includes(listing.listingType)) {
+            errors.push('Listing type must be sale, swap or both');
+        }
+        
+        if (listing.listingType === 'swap') {
+            listing.price = '';
+        } else {
+            const price = String(values.price || '').replace(/[$\s]/g, '');
+            if (!price) {
+                errors.push('Price is missing');
+            } else if (isNaN(Number(price)) || Number(price) < 0) {
+                errors.push(`"${values.price}" is not a valid price`);
+            } else {
+                listing.price = String(Number(price));
+            }
+        }
+        
+        if ((listing.listingType === 'swap' || listing.listingType === 'both') && !values.swapFor) {
+            errors.push('Say which books you want in exchange');
+        }
+        
+        // Format and department have safe defaults
+        listing.format = this.normalizeOption(values.format) || 'physical';
+        if (!this.options.format.includes(listing.format)) {
+            errors.push('Format must be physical or digital');
+        }
+        
+        const department = this.normalizeOption(listing.department);
+        if (!this.options.department.includes(department)) {
+            if (department) warnings.push(`Unknown department "${listing.department}", listed under Other`);
+            listing.department = 'other';
+        } else {
+            listing.department = department;
+        }
+        
+        listing.description = values.description || '';
+        
+        return { listing: errors.length === 0 ? listing : null, errors, warnings };
+    }
+    
+    /**
+     * Build a CSV template with every column
+     * @returns {string} CSV text with a header and an example row
+     */
+    getTemplate() {
+        const header = ['isbn', 'title', 'author', 'edition', 'course_code', 'department', 'condition', 'format', 'listing_type', 'price', 'swap_for', 'description'];
+        const example = ['9780262033848', 'Introduction to Algorithms', 'Thomas H. Cormen', '3rd Edition', 'CS201', 'computer-science', 'good', 'physical', 'sale', '45', '', '"Some highlighting, no missing pages"'];
+        
+        return `${header.join(',')}\n${example.join(',')}\n`;
+    }
+}
+
+/**
+ * Import panel on the dashboard listings tab
+ */
+class ListingImportPanel {
+    /**
+     * @param {HTMLElement} container - Panel element
+     * @param {BookListingManager} manager - Creates the imported listings
+     * @param {ListingImporter} importer - Parser and validator
+     */
+    constructor(container, manager, importer = window.listingImporter) {
+        this.container = container;
+        this.manager = manager;
+        this.importer = importer;
+        this.headers = [];
+        this.records = [];
+        this.mapping = [];
+        this.rows = [];
+        
+        this.render();
+    }
+    
+    /**
+     * Draw the upload area
+     */
+    render() {
+        const template = `data:text/csv;charset=utf-8,${encodeURIComponent(this.importer.getTemplate())}`;
+        const fieldCount = Object.keys(this.importer.columns).length;
+        
+        this.container.innerHTML = `
+            <div class="import-intro">
+                <h3>Import listings from a spreadsheet</h3>
+                <p>Upload a CSV file, or copy the rows from Excel or Google Sheets and paste them below. The first row must contain the column names. ${fieldCount} columns are recognised, including ISBN, condition and price. Title and author are filled in from the book catalog when left blank.</p>
+                <a href="${template}" download="bookswap-listings.csv"><i class="fas fa-download"></i> Download a template</a>
+            </div>
+            <div class="import-source">
+                <input type="file" class="import-file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values">
+                <textarea class="import-paste" rows="4" placeholder="...or paste spreadsheet rows here"></textarea>
+                <button type="button" class="action-button secondary-button import-preview-btn"><i class="fas fa-table"></i> Preview</button>
+            </div>
+            <div class="import-preview"></div>
+        `;
+        
+        this.container.querySelector('.import-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => this.load(reader.result);
+            reader.onerror = () => alert('Sorry, that file could not be read.');
+            reader.readAsText(file);
+        });
+        
+        this.container.querySelector('.import-preview-btn').addEventListener('click', () => {
+            this.load(this.container.querySelector('.import-paste').value);
+        });
+    }
+    
+    /**
+     * Read an import and show its preview
+     * @param {string} text - CSV or tab-separated text
+     */
+    load(text) {
+        const table = this.importer.parse(text);
+        if (table.length < 2) {
+            this.container.querySelector('.import-preview').innerHTML = '<p class="import-message">Add a header row and at least one book.</p>';
+            return;
+        }
+        
+        this.headers = table[0];
+        this.records = table.slice(1);
+        this.mapping = this.importer.autoMap(this.headers);
+        this.refresh();
+    }
+    
+    /**
+     * Check the rows against the current column mapping and redraw the preview
+     */
+    async refresh() {
+        this.rows = await this.importer.validateRows(this.records, this.mapping);
+        this.renderPreview();
+    }
+    
+    /**
+     * Draw the column mapping and the checked rows
+     */
+    renderPreview() {
+        const preview = this.container.querySelector('.import-preview');
+        const valid = this.rows.filter(row => row.listing);
+        const invalid = this.rows.length - valid.length;
+        
+        const fieldOptions = selected => [
+            `<option value="">Ignore column</option>`,
+            ...Object.keys(this.importer.columns).map(field =>
+                `<option value="${field}"${field === selected ? ' selected' : ''}>${this.importer.columns[field].label}</option>`)
+        ].join('');
+        
+        preview.innerHTML = `
+            <p class="import-summary">
+                <strong>${valid.length}</strong> of ${this.rows.length} ${this.rows.length === 1 ? 'row is' : 'rows are'} ready to import.
+                ${invalid > 0 ? `<span class="import-error-count">${invalid} ${invalid === 1 ? 'row has' : 'rows have'} errors and will be skipped.</span>` : ''}
+            </p>
+            <div class="import-table-wrapper">
+                <table class="import-table">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            ${this.headers.map((header, column) => `
+                                <th>
+                                    <span class="import-column-name">${escapeHtml(header)}</span>
+                                    <select class="import-mapping" data-column="${column}">${fieldOptions(this.mapping[column])}</select>
+                                </th>
+                            `).join('')}
+                            <th>Problems</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.rows.map(row => `
+                            <tr class="${row.errors.length > 0 ? 'has-errors' : ''}">
+                                <td>${row.rowNumber}</td>
+                                ${this.headers.map((header, column) => `<td>${escapeHtml(row.cells[column] || '')}</td>`).join('')}
+                                <td class="import-problems">
+                                    ${row.errors.map(error => `<div class="import-row-error">${escapeHtml(error)}</div>`).join('')}
+                                    ${row.warnings.map(warning => `<div class="import-row-warning">${escapeHtml(warning)}</div>`).join('')}
+                                    ${row.errors.length === 0 && row.warnings.length === 0 ? '<i class="fas fa-check"></i>' : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="import-actions">
+                <button type="button" class="action-button primary-button import-submit-btn"${valid.length === 0 ? ' disabled' : ''}>
+                    <i class="fas fa-file-import"></i> Import ${valid.length} ${valid.length === 1 ? 'listing' : 'listings'}
+                </button>
+            </div>
+        `;
+        
+        preview.querySelectorAll('.import-mapping').forEach(select => {
+            select.addEventListener('change', () => {
+                const column = Number(select.dataset.column);
+                
+                // A field can only come from one column
+                this.mapping = this.mapping.map((field, i) => i !== column && field === select.value ? '' : field);
+                this.mapping[column] = select.value;
+                this.refresh();
+            });
+        });
+        
+        preview.querySelector('.import-submit-btn').addEventListener('click', () => this.submit());
+    }
+    
+    /**
+     * Create the valid rows as listings
+     */
+    async submit() {
+        const listings = this.rows.filter(row => row.listing).map(row => row.listing);
+        const skipped = this.rows.length - listings.length;
+        
+        if (!confirm(`Create ${listings.length} ${listings.length === 1 ? 'listing' : 'listings'}?${skipped > 0 ? ` ${skipped} ${skipped === 1 ? 'row' : 'rows'} with errors will be skipped.` : ''}`)) return;
+        
+        const result = await this.manager.importListings(listings);
+        if (!result.ok) return;
+        
+        this.headers = [];
+        this.records = [];
+        this.rows = [];
+        this.render();
+        this.container.style.display = 'none';
+        this.manager.showSuccessMessage(`${result.count} ${result.count === 1 ? 'listing has' : 'listings have'} been imported.`);
+        
+        if (result.flagged.length > 0) {
+            alert(`${result.flagged.length} of the imported listings ${result.flagged.length === 1 ? 'has' : 'have'} been sent to a moderator for review:\n\n${result.flagged.map(({ listing, flags }) => `${listing.title}\n${window.listingChecks.describe(flags)}`).join('\n\n')}`);
+        }
+    }
+}
+
+// Create the shared importer
+window.listingImporter = new ListingImporter();
+window.ListingImporter = ListingImporter;
+window.ListingImportPanel = ListingImportPanel;
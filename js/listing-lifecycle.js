@@ -0,0 +1,277 @@
+/**
+ * Listing Lifecycle Module for Campus BookSwap
+ * Handles listing states and the allowed moves between them, reservations for a
+ * buyer, automatic expiry and renewal reminders for sellers
+ */
+
+/**
+ * Listing states and the states each one may move to.
+ * Drafts live in the drafts collection until they are published.
+ */
+const BOOKSWAP_LISTING_STATES = {
+    draft: { label: 'Draft', transitions: ['active', 'withdrawn'] },
+    active: { label: 'Active', transitions: ['reserved', 'sold', 'swapped', 'expired', 'withdrawn'] },
+    reserved: { label: 'Reserved', transitions: ['active', 'sold', 'swapped', 'withdrawn'] },
+    sold: { label: 'Sold', transitions: [] },
+    swapped: { label: 'Swapped', transitions: [] },
+    expired: { label: 'Expired', transitions: ['active', 'withdrawn'] },
+    withdrawn: { label: 'Withdrawn', transitions: ['active'] }
+};
+
+/**
+ * How long listings and reservations last. Set localStorage
+ * 'bookswap_listing_expiry_days' to change how long a listing stays up.
+ */
+const BOOKSWAP_LISTING_SETTINGS = {
+    expiryDays: Number(localStorage.getItem('bookswap_listing_expiry_days')) || 30,
+    reminderDays: 3,
+    reservationHours: 48
+};
+
+class ListingLifecycle {
+    constructor(store = window.dataStore, states = BOOKSWAP_LISTING_STATES, settings = BOOKSWAP_LISTING_SETTINGS) {
+        this.store = store;
+        this.states = states;
+        this.settings = settings;
+        this.dayMs = 24 * 60 * 60 * 1000;
+    }
+    
+    /**
+     * Get a listing's state
+     * @param {Object} listing - Listing
+     * @returns {string} State name
+     */
+    getState(listing) {
+        return this.states[listing.status] ? listing.status : 'active';
+    }
+    
+    /**
+     * Get the label shown for a state
+     * @param {string} state - State name
+     * @returns {string} Label, e.g. "Reserved"
+     */
+    getLabel(state) {
+        return (this.states[state] || this.states.active).label;
+    }
+    
+    /**
+     * Check whether a listing may move to a state
+     * @param {Object} listing - Listing
+     * @param {string} to - Target state
+     * @returns {boolean} True if the move is allowed
+     */
+    canTransition(listing, to) {
+        return this.states[this.getState(listing)].transitions.includes(to);
+    }
+    
+    /**
+     * Work out when a listing published now should expire
+     * @param {Date} from - Start of the listing period
+     * @returns {string} ISO date
+     */
+    getExpiryDate(from = new Date()) {
+        return new Date(from.getTime() + this.settings.expiryDays * this.dayMs).toISOString();
+    }
+    
+    /**
+     * Count the whole days until a listing expires
+     * @param {Object} listing - Listing
+     * @returns {number|null} Days left (0 on the last day), or null if it has no expiry date
+     */
+    getDaysLeft(listing) {
+        if (!listing.expiresAt) return null;
+        return Math.max(0, Math.ceil((new Date(listing.expiresAt) - Date.now()) / this.dayMs));
+    }
+    
+    /**
+     * Build the badge buyers see on listings that can't be bought right now
+     * @param {Object} listing - Listing
+     * @returns {string} Badge HTML, or an empty string for active listings
+     */
+    getAvailabilityHTML(listing) {
+        const state = this.getState(listing);
+        if (state === 'active') return '';
+        
+        const text = state === 'reserved' && listing.reservedUntil
+            ? `Reserved until ${new Date(listing.reservedUntil).toLocaleDateString()}`
+            : this.getLabel(state);
+        
+        return `<div class="listing-markers"><span class="listing-marker unavailable ${state}">${text}</span></div>`;
+    }
+    
+    /**
+     * Move a listing to another state
+     * @param {string} listingId - Listing id
+     * @param {string} to - Target state
+     * @param {Object} options - { user, buyer: { id, name }, until, note }
+     * @returns {Object} { ok: true, listing } or { ok: false, reason, message }
+     */
+    transition(listingId, to, options = {}) {
+        const listing = this.store.getById('listings', listingId);
+        if (!listing) {
+            return { ok: false, reason: 'not_found', message: 'This listing no longer exists.' };
+        }
+        
+        const from = this.getState(listing);
+        if (!this.canTransition(listing, to)) {
+            return {
+                ok: false,
+                reason: 'not_allowed',
+                message: `A ${this.getLabel(from).toLowerCase()} listing can't be marked as ${this.getLabel(to).toLowerCase()}.`
+            };
+        }
+        
+        const now = new Date();
+        const updates = {
+            status: to,
+            statusChangedAt: now.toISOString(),
+            statusHistory: [
+                ...(listing.statusHistory || []),
+                {
+                    from,
+                    to,
+                    at: now.toISOString(),
+                    by: options.user ? options.user.id : null,
+                    note: options.note || null
+                }
+            ]
+        };
+        
+        if (to === 'reserved') {
+            if (!options.buyer || !options.buyer.name) {
+                return { ok: false, reason: 'buyer_required', message: 'Please say who the book is reserved for.' };
+            }
+            
+            updates.reservedFor = { id: options.buyer.id || null, name: options.buyer.name };
+            updates.reservedUntil = options.until
+                ? new Date(options.until).toISOString()
+                : new Date(now.getTime() + this.settings.reservationHours * 60 * 60 * 1000).toISOString();
+        } else {
+            updates.reservedFor = null;
+            updates.reservedUntil = null;
+        }
+        
+        // Renewing or relisting starts a new listing period
+        if (to === 'active' && from !== 'reserved') {
+            updates.expiresAt = this.getExpiryDate(now);
+            updates.renewalReminderSentAt = null;
+            updates.expiryNoticeSentAt = null;
+        }
+        
+        return { ok: true, listing: this.store.update('listings', listingId, updates) };
+    }
+    
+    /**
+     * Hold a listing for a buyer until a deadline
+     * @param {string} listingId - Listing id
+     * @param {Object} buyer - { id, name }
+     * @param {Date|string} until - Deadline (defaults to reservationHours from now)
+     * @param {Object} user - Seller making the reservation
+     * @returns {Object} Result of transition()
+     */
+    reserve(listingId, buyer, until, user) {
+        return this.transition(listingId, 'reserved', { buyer, until, user });
+    }
+    
+    /**
+     * Renew a listing for another listing period. Active listings get a later expiry
+     * date; expired and withdrawn listings go back up.
+     * @param {string} listingId - Listing id
+     * @param {Object} user - Seller renewing the listing
+     * @returns {Object} { ok: true, listing } or { ok: false, reason, message }
+     */
+    renew(listingId, user) {
+        const listing = this.store.getById('listings', listingId);
+        if (listing && this.getState(listing) === 'active') {
+            return {
+                ok: true,
+                listing: this.store.update('listings', listingId, {
+                    expiresAt: this.getExpiryDate(),
+                    renewalReminderSentAt: null
+                })
+            };
+        }
+        
+        return this.transition(listingId, 'active', { user, note: 'Renewed' });
+    }
+    
+    /**
+     * Release lapsed reservations and expire listings past their expiry date.
+     * Runs on every page load, so listings expire even if their seller is away.
+     * @param {Date} now - Current time
+     * @returns {number} Number of listings changed
+     */
+    sweep(now = new Date()) {
+        let changed = 0;
+        
+        this.store.getAll('listings').forEach(listing => {
+            const state = this.getState(listing);
+            if (state !== 'active' && state !== 'reserved') return;
+            
+            // Listings from before expiry existed get a full period, and at least
+            // enough time for their seller to see a reminder
+            if (!listing.expiresAt) {
+                const fromListingDate = new Date(listing.dateAdded || now).getTime() + this.settings.expiryDays * this.dayMs;
+                const earliest = now.getTime() + this.settings.reminderDays * this.dayMs;
+                listing = this.store.update('listings', listing.id, { expiresAt: new Date(Math.max(fromListingDate, earliest)).toISOString() });
+                changed++;
+            }
+            
+            // Reserved listings don't expire while they are held for a buyer
+            if (state === 'reserved') {
+                if (new Date(listing.reservedUntil) > now) return;
+                
+                listing = this.transition(listing.id, 'active', { note: 'Reservation lapsed' }).listing;
+                changed++;
+            }
+            
+            if (new Date(listing.expiresAt) <= now) {
+                this.transition(listing.id, 'expired', { note: 'Listing period ended' });
+                changed++;
+            }
+        });
+        
+        return changed;
+    }
+    
+    /**
+     * Remind the signed-in seller about listings that are about to expire or have expired
+     * @param {NotificationSystem} notificationSystem - Notification system for the current user
+     */
+    sendRenewalReminders(notificationSystem) {
+        const user = notificationSystem.currentUser;
+        if (!user) return;
+        
+        this.store.findBy('listings', 'userId', user.id || user.email).forEach(listing => {
+            const state = this.getState(listing);
+            const daysLeft = this.getDaysLeft(listing);
+            
+            if (state === 'active' && !listing.renewalReminderSentAt && daysLeft !== null && daysLeft <= this.settings.reminderDays) {
+                notificationSystem.addNotification({
+                    type: notificationSystem.notificationTypes.SYSTEM,
+                    userId: user.id,
+                    message: `Your listing "${listing.title}" expires ${daysLeft === 0 ? 'today' : `in ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'}`}. Renew it to keep it on the browse page.`,
+                    link: 'dashboard.html',
+                    data: { listingId: listing.id }
+                });
+                this.store.update('listings', listing.id, { renewalReminderSentAt: new Date().toISOString() });
+            }
+            
+            if (state === 'expired' && !listing.expiryNoticeSentAt) {
+                notificationSystem.addNotification({
+                    type: notificationSystem.notificationTypes.SYSTEM,
+                    userId: user.id,
+                    message: `Your listing "${listing.title}" has expired and is no longer shown to buyers. Renew it from your dashboard.`,
+                    link: 'dashboard.html',
+                    data: { listingId: listing.id }
+                });
+                this.store.update('listings', listing.id, { expiryNoticeSentAt: new Date().toISOString() });
+            }
+        });
+    }
+}
+
+// Create the shared lifecycle helper and expire old listings once storage is ready
+window.listingLifecycle = new ListingLifecycle();
+window.ListingLifecycle = ListingLifecycle;
+window.dataStore.ready.then(() => window.listingLifecycle.sweep());
@@ -0,0 +1,425 @@
+/**
+ * Listing Photos Module for Campus BookSwap
+ * Handles listing photos: resizes and compresses uploads on a canvas before they
+ * are stored, lets sellers reorder them and choose the primary photo, and shows
+ * them as a swipeable gallery
+ */
+
+/**
+ * Photo limits. The longest side is scaled down to maxDimension and the first
+ * output type the browser can encode is used.
+ */
+const BOOKSWAP_PHOTO_SETTINGS = {
+    maxPhotos: 6,
+    maxDimension: 1600,
+    quality: 0.8,
+    types: ['image/webp', 'image/jpeg']
+};
+
+class ListingPhotos {
+    constructor(store = window.dataStore, settings = BOOKSWAP_PHOTO_SETTINGS) {
+        this.store = store;
+        this.settings = settings;
+    }
+    
+    /**
+     * Get a listing's photos, primary photo first.
+     * Listings from before multiple photos only have imageId/imageUrl. Catalog covers
+     * and placeholders are plain URLs and don't count as photos.
+     * @param {Object} listing - Listing
+     * @returns {Array} Photos ({ imageId, imageUrl })
+     */
+    getPhotos(listing) {
+        if (Array.isArray(listing.photos)) return listing.photos;
+        
+        if (listing.imageId || (typeof listing.imageUrl === 'string' && listing.imageUrl.startsWith('data:'))) {
+            return [{ imageId: listing.imageId || null, imageUrl: listing.imageId ? null : listing.imageUrl }];
+        }
+        
+        return [];
+    }
+    
+    /**
+     * Get the listing fields for a set of photos. The primary photo is also stored
+     * as imageId/imageUrl, which is what listing cards show.
+     * @param {Array} photos - Photos, primary first
+     * @param {string} [coverUrl] - Catalog cover used when there are no photos
+     * @returns {Object} { photos, imageId, imageUrl }
+     */
+    toListingFields(photos, coverUrl) {
+        if (photos.length === 0) {
+            return { photos: [], imageId: null, imageUrl: coverUrl || 'https://via.placeholder.com/300x180?text=No+Image' };
+        }
+        
+        return {
+            photos: photos,
+            imageId: photos[0].imageId || null,
+            imageUrl: photos[0].imageUrl || null
+        };
+    }
+    
+    /**
+     * Resize and compress a photo
+     * @param {File|Blob} file - Uploaded image
+     * @returns {Promise<Blob>} Compressed image, or the original if it was already smaller
+     */
+    async compress(file) {
+        const image = await this.loadImage(file);
+        const scale = Math.min(1, this.settings.maxDimension / Math.max(image.width, image.height));
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        
+        const context = canvas.getContext('2d');
+        // JPEG has no transparency, so transparent areas would turn black
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        if (image.close) image.close();
+        
+        for (const type of this.settings.types) {
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, type, this.settings.quality));
+            
+            // Browsers that can't encode a type hand back a PNG instead
+            if (blob && blob.type === type) {
+                return scale === 1 && file.size <= blob.size ? file : blob;
+            }
+        }
+        
+        return file;
+    }
+    
+    /**
+     * Decode an image file so it can be drawn on a canvas
+     * @param {File|Blob} file - Image file
+     * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image
+     */
+    loadImage(file) {
+        if (window.createImageBitmap) {
+            return createImageBitmap(file);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`Could not read ${file.name || 'the image'}`));
+            };
+            img.src = url;
+        });
+    }
+    
+    /**
+     * Remove stored photos that a listing no longer uses
+     * @param {Array} before - Photos before the change
+     * @param {Array} after - Photos after the change
+     */
+    removeUnused(before, after) {
+        const kept = new Set(after.map(photo => photo.imageId).filter(Boolean));
+        
+        before.forEach(photo => {
+            if (photo.imageId && !kept.has(photo.imageId)) {
+                this.store.removeImage(photo.imageId);
+            }
+        });
+    }
+}
+
+/**
+ * Photo picker on the sell form: compresses new photos as they are chosen and
+ * lets the seller reorder, remove and pick the primary photo before saving
+ */
+class ListingPhotoPicker {
+    /**
+     * @param {HTMLInputElement} input - File input
+     * @param {HTMLElement} preview - Element the photos are shown in
+     * @param {ListingPhotos} photos - Photo helper
+     */
+    constructor(input, preview, photos = window.listingPhotos) {
+        this.input = input;
+        this.preview = preview;
+        this.photos = photos;
+        this.items = [];
+        this.queued = 0;
+        this.pending = Promise.resolve();
+        
+        this.input.addEventListener('change', () => {
+            this.addFiles(Array.from(this.input.files));
+            // Lets the same file be picked again after it was removed
+            this.input.value = '';
+        });
+        
+        this.preview.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-photo-action]');
+            if (!button) return;
+            
+            e.preventDefault();
+            const index = Number(button.closest('.photo-item').dataset.index);
+            
+            switch (button.dataset.photoAction) {
+                case 'left': this.move(index, -1); break;
+                case 'right': this.move(index, 1); break;
+                case 'primary': this.makePrimary(index); break;
+                case 'remove': this.remove(index); break;
+            }
+        });
+    }
+    
+    /**
+     * Compress and add newly chosen photos
+     * @param {Array<File>} files - Chosen files
+     */
+    addFiles(files) {
+        const images = files.filter(file => file.type.match('image.*'));
+        const room = this.photos.settings.maxPhotos - this.items.length - this.queued;
+        
+        if (images.length > room) {
+            alert(`A listing can have up to ${this.photos.settings.maxPhotos} photos. ${room > 0 ? `Only the first ${room} were added.` : 'Remove a photo to add another.'}`);
+        }
+        
+        const added = images.slice(0, Math.max(room, 0));
+        if (added.length === 0) return;
+        
+        this.queued += added.length;
+        this.preview.classList.add('processing');
+        
+        this.pending = this.pending
+            .then(() => Promise.all(added.map(file => this.photos.compress(file).catch(error => {
+                console.error('Error compressing photo:', error);
+                alert(`Sorry, ${file.name} could not be read. Please choose a different photo.`);
+                return null;
+            }))))
+            .then(blobs => {
+                this.queued -= added.length;
+                blobs.filter(Boolean).forEach(blob => {
+                    this.items.push({ blob, previewUrl: URL.createObjectURL(blob) });
+                });
+                this.preview.classList.remove('processing');
+                this.render();
+            });
+    }
+    
+    /**
+     * Show a listing's stored photos so they can be edited
+     * @param {Array} photos - Photos ({ imageId, imageUrl })
+     */
+    setPhotos(photos) {
+        this.items = photos.map(photo => ({ photo }));
+        this.render();
+    }
+    
+    /**
+     * Move a photo one place left or right
+     * @param {number} index - Photo position
+     * @param {number} offset - -1 or 1
+     */
+    move(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.items.length) return;
+        
+        [this.items[index], this.items[target]] = [this.items[target], this.items[index]];
+        this.render();
+    }
+    
+    /**
+     * Make a photo the primary one buyers see first
+     * @param {number} index - Photo position
+     */
+    makePrimary(index) {
+        this.items.unshift(...this.items.splice(index, 1));
+        this.render();
+    }
+    
+    /**
+     * Take a photo off the listing
+     * @param {number} index - Photo position
+     */
+    remove(index) {
+        const [item] = this.items.splice(index, 1);
+        if (item && item.previewUrl) {
+            URL.revokeObjectURL(item.previewUrl);
+        }
+        this.render();
+    }
+    
+    /**
+     * Show the photos with their reorder, primary and remove buttons
+     */
+    render() {
+        this.preview.classList.toggle('has-photos', this.items.length > 0);
+        
+        if (this.items.length === 0) {
+            // Fall back to the catalog cover, which is used when there are no photos
+            const coverInput = this.preview.closest('form') && this.preview.closest('form').querySelector('#cover-url');
+            this.preview.innerHTML = coverInput && coverInput.value
+                ? `<img src="${escapeHtml(coverInput.value)}" alt="Catalog cover" class="catalog-cover">`
+                : '';
+            return;
+        }
+        
+        this.preview.innerHTML = this.items.map((item, index) => {
+            const photo = item.photo || {};
+            const src = item.previewUrl || photo.imageUrl || '';
+            
+            return `
+                <div class="photo-item${index === 0 ? ' primary' : ''}" data-index="${index}">
+                    <img src="${escapeHtml(src)}" alt="Photo ${index + 1}"${photo.imageId ? ` data-image-id="${escapeHtml(photo.imageId)}"` : ''}>
+                    ${index === 0 ? '<span class="photo-badge">Primary</span>' : ''}
+                    <div class="photo-actions">
+                        <button type="button" data-photo-action="left" title="Move left"${index === 0 ? ' disabled' : ''}><i class="fas fa-arrow-left"></i></button>
+                        <button type="button" data-photo-action="primary" title="Make primary photo"${index === 0 ? ' disabled' : ''}><i class="fas fa-star"></i></button>
+                        <button type="button" data-photo-action="right" title="Move right"${index === this.items.length - 1 ? ' disabled' : ''}><i class="fas fa-arrow-right"></i></button>
+                        <button type="button" data-photo-action="remove" title="Remove photo"><i class="fas fa-times"></i></button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        this.photos.store.loadImages(this.preview);
+    }
+    
+    /**
+     * Store any new photos
+     * @returns {Promise<Array>} Photos in the chosen order ({ imageId, imageUrl }), primary first
+     */
+    async save() {
+        await this.pending;
+        
+        for (const item of this.items) {
+            if (!item.photo) {
+                // Kept on the item so a retry after a failed submit doesn't store it twice
+                item.photo = await this.photos.store.saveImage(item.blob);
+            }
+        }
+        
+        return this.items.map(item => item.photo);
+    }
+}
+
+/**
+ * Swipeable photo gallery with arrows, thumbnails and keyboard support
+ */
+class ListingPhotoGallery {
+    /**
+     * @param {HTMLElement} container - Element the gallery is drawn in
+     * @param {Array} photos - Photos ({ imageId, imageUrl })
+     * @param {string} alt - Alt text for the photos
+     */
+    constructor(container, photos, alt = 'Book photo') {
+        this.container = container;
+        // Listings without photos show a placeholder
+        this.photos = photos.length > 0 ? photos : [{}];
+        this.alt = alt;
+        this.index = 0;
+        
+        this.render();
+    }
+    
+    /**
+     * Draw the gallery and attach its controls
+     */
+    render() {
+        const multiple = this.photos.length > 1;
+        
+        this.container.innerHTML = `
+            <div class="gallery-viewport" tabindex="0">
+                <div class="gallery-track">
+                    ${this.photos.map((photo, i) => this.getImageHTML(photo, `${this.alt} (photo ${i + 1})`, 'gallery-slide')).join('')}
+                </div>
+                ${multiple ? `
+                    <button type="button" class="gallery-nav prev" aria-label="Previous photo"><i class="fas fa-chevron-left"></i></button>
+                    <button type="button" class="gallery-nav next" aria-label="Next photo"><i class="fas fa-chevron-right"></i></button>
+                    <span class="gallery-counter"></span>
+                ` : ''}
+            </div>
+            ${multiple ? `
+                <div class="book-thumbnails">
+                    ${this.photos.map((photo, i) => this.getImageHTML(photo, `Thumbnail ${i + 1}`, 'book-thumbnail', i)).join('')}
+                </div>
+            ` : ''}
+        `;
+        
+        this.track = this.container.querySelector('.gallery-track');
+        const viewport = this.container.querySelector('.gallery-viewport');
+        
+        if (multiple) {
+            this.container.querySelector('.gallery-nav.prev').addEventListener('click', () => this.show(this.index - 1));
+            this.container.querySelector('.gallery-nav.next').addEventListener('click', () => this.show(this.index + 1));
+            this.container.querySelectorAll('.book-thumbnail').forEach(thumb => {
+                thumb.addEventListener('click', () => this.show(Number(thumb.dataset.index)));
+            });
+            
+            viewport.addEventListener('keydown', (e) => {
+                if (e.key === 'ArrowLeft') this.show(this.index - 1);
+                if (e.key === 'ArrowRight') this.show(this.index + 1);
+            });
+            
+            // Swipe with a finger, pen or mouse drag
+            let startX = null;
+            viewport.addEventListener('pointerdown', (e) => {
+                startX = e.clientX;
+            });
+            viewport.addEventListener('pointerup', (e) => {
+                if (startX === null) return;
+                
+                const distance = e.clientX - startX;
+                startX = null;
+                if (Math.abs(distance) > 40) {
+                    this.show(this.index + (distance < 0 ? 1 : -1));
+                }
+            });
+            viewport.addEventListener('pointercancel', () => {
+                startX = null;
+            });
+        }
+        
+        window.dataStore.loadImages(this.container);
+        this.show(0);
+    }
+    
+    /**
+     * Build one photo's image tag
+     * @param {Object} photo - Photo ({ imageId, imageUrl })
+     * @param {string} alt - Alt text
+     * @param {string} className - Image class
+     * @param {number} [index] - Thumbnail position
+     * @returns {string} Image HTML
+     */
+    getImageHTML(photo, alt, className, index) {
+        const placeholder = 'https://via.placeholder.com/500x650?text=Book+Cover';
+        
+        return `<img src="${escapeHtml(photo.imageUrl || placeholder)}" alt="${escapeHtml(alt)}" class="${className}" draggable="false"${photo.imageId ? ` data-image-id="${escapeHtml(photo.imageId)}"` : ''}${index !== undefined ? ` data-index="${index}"` : ''}>`;
+    }
+    
+    /**
+     * Show a photo. Going past either end wraps around.
+     * @param {number} index - Photo position
+     */
+    show(index) {
+        const count = this.photos.length;
+        this.index = (index + count) % count;
+        
+        this.track.style.transform = `translateX(-${this.index * 100}%)`;
+        
+        this.container.querySelectorAll('.book-thumbnail').forEach(thumb => {
+            thumb.classList.toggle('active', Number(thumb.dataset.index) === this.index);
+        });
+        
+        const counter = this.container.querySelector('.gallery-counter');
+        if (counter) {
+            counter.textContent = `${this.index + 1} / ${count}`;
+        }
+    }
+}
+
+// Create the shared photo helper
+window.listingPhotos = new ListingPhotos();
+window.ListingPhotos = ListingPhotos;
+window.ListingPhotoPicker = ListingPhotoPicker;
+window.ListingPhotoGallery = ListingPhotoGallery;
@@ -0,0 +1,219 @@
+/**
+ * Listing Pricing Module for Campus BookSwap
+ * Handles price suggestions: what a book usually goes for on BookSwap, worked
+ * out from completed sales and the asking prices of active listings, and
+ * adjusted for the book's condition and edition
+ */
+
+/**
+ * How prices are compared across conditions and editions.
+ * Condition factors are relative to a new copy. Completed sales count for more
+ * than asking prices. The default rate is used when nothing comparable has sold.
+ */
+const BOOKSWAP_PRICING_SETTINGS = {
+    conditionFactors: {
+        'new': 1,
+        'like-new': 0.9,
+        'excellent': 0.85,
+        'good': 0.75,
+        'fair': 0.6,
+        'poor': 0.45
+    },
+    editionStep: 0.15,
+    maxEditionGap: 3,
+    saleWeight: 2,
+    listingWeight: 1,
+    defaultRate: { newPrice: 150, usedPrice: 100 }
+};
+
+class ListingPricing {
+    constructor(store = window.dataStore, settings = BOOKSWAP_PRICING_SETTINGS) {
+        this.store = store;
+        this.settings = settings;
+    }
+    
+    /**
+     * Put an ISBN in one form so ISBN-10 and ISBN-13 listings match
+     * @param {string} isbn - ISBN as entered
+     * @returns {string} ISBN-13, or an empty string if it isn't valid
+     */
+    normalizeIsbn(isbn) {
+        if (!isbn) return '';
+        return window.bookCatalog ? window.bookCatalog.toIsbn13(isbn) || '' : String(isbn).replace(/[\s-]/g, '');
+    }
+    
+    /**
+     * Simplify a title for matching, ignoring case, punctuation and edition wording
+     * @param {string} title - Title
+     * @returns {string} Simplified title
+     */
+    normalizeTitle(title) {
+        return String(title || '')
+            .toLowerCase()
+            .replace(/\(?\b\d+(st|nd|rd|th)?\s+(edition|ed\.?)\)?/g, ' ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+    
+    /**
+     * Read the edition number from text such as "3rd Edition"
+     * @param {string} edition - Edition
+     * @returns {number|null} Edition number, or null if there isn't one
+     */
+    parseEdition(edition) {
+        const match = String(edition || '').match(/\d+/);
+        return match ? Number(match[0]) : null;
+    }
+    
+    /**
+     * Get how much a copy in this condition is worth compared with a new one
+     * @param {string} condition - Condition value from the sell form
+     * @returns {number} Factor between 0 and 1 (books without a condition count as good)
+     */
+    getConditionFactor(condition) {
+        const factors = this.settings.conditionFactors;
+        return factors[condition] || factors.good;
+    }
+    
+    /**
+     * Collect the prices comparable books have sold or are listed for. Books with
+     * the same ISBN are used when there are any, otherwise books with the same title.
+     * @param {Object} book - { isbn, title }
+     * @param {Object} options - { excludeListingId } to leave out the listing being edited
+     * @returns {Object} { basis: 'isbn' | 'title', samples: [{ price, condition, edition, weight, source }] }
+     */
+    getSamples(book, options = {}) {
+        const isbn = this.normalizeIsbn(book.isbn);
+        const title = this.normalizeTitle(book.title);
+        const byIsbn = [];
+        const byTitle = [];
+        
+        const add = (listing, price, source) => {
+            if (!listing || !(price > 0)) return;
+            
+            const sample = {
+                price: price,
+                condition: listing.condition,
+                edition: listing.edition,
+                weight: source === 'sale' ? this.settings.saleWeight : this.settings.listingWeight,
+                source: source
+            };
+            
+            if (isbn && this.normalizeIsbn(listing.isbn) === isbn) {
+                byIsbn.push(sample);
+            } else if (title && this.normalizeTitle(listing.title) === title) {
+                byTitle.push(sample);
+            }
+        };
+        
+        // Completed sales. A bundle's price is shared between its books in
+        // proportion to their listed prices.
+        this.store.getAll('transactions')
+            .filter(transaction => transaction.status === 'Completed' && transaction.type === 'Sale' && transaction.amount > 0)
+            .forEach(transaction => {
+                const items = transaction.items || [{ id: transaction.bookId, price: transaction.amount, title: transaction.bookTitle }];
+                const listed = items.reduce((total, item) => total + (item.price || 0), 0);
+                
+                items.forEach(item => {
+                    const share = listed > 0 ? transaction.amount * (item.price || 0) / listed : transaction.amount / items.length;
+                    add(this.store.getById('listings', item.id) || { title: item.title }, share, 'sale');
+                });
+            });
+        
+        // Asking prices of books on sale now
+        this.store.findBy('listings', 'status', 'active')
+            .filter(listing => listing.id !== options.excludeListingId && listing.listingType !== 'swap')
+            .forEach(listing => add(listing, parseFloat(listing.price), 'listing'));
+        
+        return byIsbn.length > 0
+            ? { basis: 'isbn', samples: byIsbn }
+            : { basis: 'title', samples: byTitle };
+    }
+    
+    /**
+     * Suggest a price range for a book
+     * @param {Object} book - { isbn, title, condition, edition }
+     * @param {Object} options - { excludeListingId } to leave out the listing being edited
+     * @returns {Object|null} { low, high, suggested, sales, listings, basis }, or null if nothing comparable is known
+     */
+    suggest(book, options = {}) {
+        const { basis, samples } = this.getSamples(book, options);
+        if (samples.length === 0) return null;
+        
+        const targetFactor = this.getConditionFactor(book.condition);
+        const targetEdition = this.parseEdition(book.edition);
+        
+        // Convert every price to what it would be for this book's condition and edition
+        const values = samples.map(sample => {
+            let value = sample.price / this.getConditionFactor(sample.condition) * targetFactor;
+            
+            const edition = this.parseEdition(sample.edition);
+            if (targetEdition && edition) {
+                const gap = Math.max(-this.settings.maxEditionGap, Math.min(this.settings.maxEditionGap, targetEdition - edition));
+                value *= Math.pow(1 + this.settings.editionStep, gap);
+            }
+            
+            return { value, weight: sample.weight };
+        });
+        
+        let low = this.getPercentile(values, 0.25);
+        let high = this.getPercentile(values, 0.75);
+        const suggested = this.getPercentile(values, 0.5);
+        
+        // One price, or several close together, isn't much to go on, so widen the range
+        if (high - low < suggested * 0.1) {
+            low = suggested * 0.85;
+            high = suggested * 1.15;
+        }
+        
+        return {
+            low: Math.max(0, Math.floor(low)),
+            high: Math.ceil(high),
+            suggested: Math.round(suggested),
+            sales: samples.filter(sample => sample.source === 'sale').length,
+            listings: samples.filter(sample => sample.source === 'listing').length,
+            basis: basis
+        };
+    }
+    
+    /**
+     * Find the value below which a share of the weighted prices fall
+     * @param {Array} values - [{ value, weight }]
+     * @param {number} share - Between 0 and 1, e.g. 0.5 for the median
+     * @returns {number} Price
+     */
+    getPercentile(values, share) {
+        const sorted = [...values].sort((a, b) => a.value - b.value);
+        const total = sorted.reduce((sum, item) => sum + item.weight, 0);
+        
+        let seen = 0;
+        for (const item of sorted) {
+            seen += item.weight;
+            if (seen >= total * share) return item.value;
+        }
+        
+        return sorted[sorted.length - 1].value;
+    }
+    
+    /**
+     * Get what a book costs new and used, for working out how much buyers saved
+     * @param {Object} book - { isbn, title, edition }
+     * @returns {Object} { newPrice, usedPrice, samples }; the default rate if nothing comparable is known
+     */
+    getMarketRate(book) {
+        const suggestion = this.suggest({ ...book, condition: 'new' });
+        if (!suggestion) {
+            return { ...this.settings.defaultRate, samples: 0 };
+        }
+        
+        return {
+            newPrice: suggestion.suggested,
+            usedPrice: Math.round(suggestion.suggested * this.getConditionFactor('good')),
+            samples: suggestion.sales + suggestion.listings
+        };
+    }
+}
+
+// Create the shared pricing helper
+window.listingPricing = new ListingPricing();
+window.ListingPricing = ListingPricing;
@@ -0,0 +1,335 @@
+/**
+ * Listing Wishlist Module for Campus BookSwap
+ * Handles wishlists: students register a book they want by ISBN, title or
+ * course code, with the most they'll pay and the conditions they'll accept,
+ * and get a notification when a matching listing is saved
+ */
+
+/**
+ * Limits for wishlist entries and the conditions a student can choose from
+ */
+const BOOKSWAP_WISHLIST_SETTINGS = {
+    maxEntries: 50,
+    kinds: {
+        isbn: 'ISBN',
+        title: 'Title',
+        course: 'Course code'
+    },
+    conditions: {
+        'new': 'New',
+        'like-new': 'Like New',
+        'excellent': 'Excellent',
+        'good': 'Good',
+        'fair': 'Fair',
+        'poor': 'Poor'
+    }
+};
+
+class ListingWishlist {
+    constructor(store = window.dataStore, settings = BOOKSWAP_WISHLIST_SETTINGS) {
+        this.store = store;
+        this.settings = settings;
+    }
+    
+    /**
+     * Get a user's wishlist, newest first
+     * @param {string} userId - User id
+     * @returns {Array} Wishlist entries
+     */
+    getEntries(userId) {
+        return this.store.findBy('wishlist', 'userId', String(userId))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+    
+    /**
+     * Add a book to a user's wishlist
+     * @param {Object} user - Signed-in user
+     * @param {Object} data - { kind: 'isbn' | 'title' | 'course', query, maxPrice, conditions }
+     * @returns {Object} { ok: true, entry } or { ok: false, reason, message }
+     */
+    addEntry(user, data) {
+        const userId = window.sessionManager.getUserKey(user);
+        const kind = this.settings.kinds[data.kind] ? data.kind : null;
+        const query = String(data.query || '').trim();
+        const maxPrice = data.maxPrice === '' || data.maxPrice === null || data.maxPrice === undefined
+            ? null
+            : parseFloat(String(data.maxPrice).replace(/[$\s]/g, ''));
+        const conditions = (data.conditions || []).filter(condition => this.settings.conditions[condition]);
+        
+        if (!kind || !query) {
+            return { ok: false, reason: 'query_required', message: 'Please enter an ISBN, title or course code.' };
+        }
+        
+        if (kind === 'isbn' && !window.listingPricing.normalizeIsbn(query)) {
+            return { ok: false, reason: 'invalid_isbn', message: `"${query}" isn't a valid ISBN.` };
+        }
+        
+        if (maxPrice !== null && (isNaN(maxPrice) || maxPrice < 0)) {
+            return { ok: false, reason: 'invalid_price', message: 'Please enter a valid maximum price, or leave it empty.' };
+        }
+        
+        if (conditions.length === 0) {
+            return { ok: false, reason: 'conditions_required', message: 'Please choose at least one condition you would accept.' };
+        }
+        
+        const entries = this.getEntries(userId);
+        if (entries.length >= this.settings.maxEntries) {
+            return { ok: false, reason: 'too_many', message: `Your wishlist can hold up to ${this.settings.maxEntries} books.` };
+        }
+        
+        const key = this.getQueryKey(kind, query);
+        if (entries.some(entry => entry.kind === kind && this.getQueryKey(entry.kind, entry.query) === key)) {
+            return { ok: false, reason: 'duplicate', message: `"${query}" is already on your wishlist.` };
+        }
+        
+        const entry = this.store.create('wishlist', {
+            id: `wish_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            userId: userId,
+            userName: user.name,
+            kind: kind,
+            query: query,
+            maxPrice: maxPrice,
+            conditions: conditions,
+            createdAt: new Date().toISOString()
+        });
+        
+        return { ok: true, entry };
+    }
+    
+    /**
+     * Remove a book from a user's wishlist
+     * @param {string} entryId - Wishlist entry id
+     * @param {Object} user - Signed-in user
+     * @returns {Object} { ok: true } or { ok: false, reason, message }
+     */
+    removeEntry(entryId, user) {
+        const entry = this.store.getById('wishlist', entryId);
+        if (!entry) {
+            return { ok: false, reason: 'not_found', message: 'This book is no longer on your wishlist.' };
+        }
+        
+        if (String(entry.userId) !== window.sessionManager.getUserKey(user)) {
+            return { ok: false, reason: 'not_owner', message: 'You can only change your own wishlist.' };
+        }
+        
+        this.store.remove('wishlist', entryId);
+        return { ok: true };
+    }
+    
+    /**
+     * Put a wanted ISBN, title or course code in the form listings are compared in
+     * @param {string} kind - 'isbn', 'title' or 'course'
+     * @param {string} value - Value as entered
+     * @returns {string} Comparable value
+     */
+    getQueryKey(kind, value) {
+        if (kind === 'isbn') return window.listingPricing.normalizeIsbn(value);
+        if (kind === 'course') return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        return window.listingPricing.normalizeTitle(value);
+    }
+    
+    /**
+     * Check whether a listing is what a wishlist entry is looking for
+     * @param {Object} entry - Wishlist entry
+     * @param {Object} listing - Listing
+     * @returns {boolean} True if the listing matches
+     */
+    matches(entry, listing) {
+        if (String(entry.userId) === String(listing.userId)) return false;
+        if (listing.hidden || window.listingLifecycle.getState(listing) !== 'active') return false;
+        
+        // Listings waiting for a moderator because of the listing checks aren't announced
+        if (window.moderation && window.moderation.isFlagged('listing', { id: listing.id })) return false;
+        
+        const wanted = this.getQueryKey(entry.kind, entry.query);
+        const field = { isbn: listing.isbn, title: listing.title, course: listing.courseCode }[entry.kind];
+        const value = this.getQueryKey(entry.kind, field);
+        if (!wanted || !value) return false;
+        
+        // A title matches when the listing's title contains the wanted words,
+        // e.g. "Calculus" matches "Calculus: Early Transcendentals"
+        const found = entry.kind === 'title'
+            ? ` ${value} `.includes(` ${wanted} `)
+            : value === wanted;
+        if (!found) return false;
+        
+        if (!entry.conditions.includes(listing.condition)) return false;
+        
+        // Swap-only listings don't cost anything, so the maximum price doesn't apply
+        if (entry.maxPrice !== null && listing.listingType !== 'swap') {
+            const price = parseFloat(listing.price);
+            if (isNaN(price) || price > entry.maxPrice) return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Find the wishlist entries a listing matches, at most one per student
+     * @param {Object} listing - Listing
+     * @returns {Array} Wishlist entries
+     */
+    findMatches(listing) {
+        const seen = new Set();
+        return this.store.getAll('wishlist').filter(entry => {
+            if (seen.has(String(entry.userId)) || !this.matches(entry, listing)) return false;
+            seen.add(String(entry.userId));
+            return true;
+        });
+    }
+    
+    /**
+     * Tell every student whose wishlist a new listing matches
+     * @param {Object} listing - Saved listing
+     * @param {NotificationSystem} notificationSystem - Notification system for the seller's page
+     * @returns {number} Number of students notified
+     */
+    notifyMatches(listing, notificationSystem) {
+        const matches = this.findMatches(listing);
+        const price = listing.listingType === 'swap' ? 'for swap' : `for $${parseFloat(listing.price).toFixed(2)}`;
+        const condition = this.settings.conditions[listing.condition] || listing.condition;
+        
+        matches.forEach(entry => {
+            notificationSystem.addNotification({
+                type: notificationSystem.notificationTypes.NEW_LISTING,
+                userId: entry.userId,
+                message: `"${listing.title}" (${condition}) was just listed ${price}. It matches "${entry.query}" on your wishlist.`,
+                data: { bookId: listing.id, wishlistId: entry.id },
+                link: `book-details.html?id=${encodeURIComponent(listing.id)}`
+            });
+        });
+        
+        return matches.length;
+    }
+}
+
+/**
+ * The wishlist tab on the dashboard: a form to add a book and the list of
+ * books the student is waiting for
+ */
+class ListingWishlistPanel {
+    /**
+     * @param {HTMLElement} container - Panel element
+     * @param {Object} user - Signed-in user
+     * @param {ListingWishlist} wishlist - Wishlist rules
+     */
+    constructor(container, user, wishlist = window.listingWishlist) {
+        this.container = container;
+        this.user = user;
+        this.wishlist = wishlist;
+    }
+    
+    /**
+     * Draw the form and the user's wishlist
+     */
+    render() {
+        const settings = this.wishlist.settings;
+        const entries = this.wishlist.getEntries(window.sessionManager.getUserKey(this.user));
+        
+        this.container.innerHTML = `
+            <h3>Add a book to your wishlist</h3>
+            <p class="wishlist-message">We'll send you a notification as soon as a matching book is listed.</p>
+            <form class="wishlist-form">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="wishlist-kind">Look for</label>
+                        <select id="wishlist-kind" name="kind">
+                            ${Object.keys(settings.kinds).map(kind => `<option value="${kind}">${settings.kinds[kind]}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="wishlist-query">ISBN, title or course code</label>
+                        <input type="text" id="wishlist-query" name="query" placeholder="e.g. 978-0134685991 or CS201" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="wishlist-max-price">Maximum price ($, optional)</label>
+                        <input type="number" id="wishlist-max-price" name="maxPrice" min="0" step="0.01">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>Acceptable conditions</label>
+                    <div class="wishlist-conditions">
+                        ${Object.keys(settings.conditions).map(condition => `
+                            <label class="wishlist-condition">
+                                <input type="checkbox" name="conditions" value="${condition}" checked>
+                                ${settings.conditions[condition]}
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+                <button type="submit" class="action-button primary-button"><i class="fas fa-heart"></i> Add to Wishlist</button>
+            </form>
+            <div class="wishlist-list">
+                ${entries.length === 0 ? '<p class="wishlist-empty">Your wishlist is empty.</p>' : entries.map(entry => `
+                    <div class="wishlist-item" data-id="${entry.id}">
+                        <div class="wishlist-info">
+                            <h4>${settings.kinds[entry.kind]}: ${escapeHtml(entry.query)}</h4>
+                            <p>${entry.maxPrice !== null ? `Up to $${entry.maxPrice.toFixed(2)}` : 'Any price'} &middot; ${entry.conditions.map(condition => settings.conditions[condition]).join(', ')}</p>
+                        </div>
+                        <button class="listing-action-btn delete-btn remove-wishlist-btn">Remove</button>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        
+        const form = this.container.querySelector('.wishlist-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.add({
+                kind: form.kind.value,
+                query: form.query.value,
+                maxPrice: form.maxPrice.value,
+                conditions: [...form.querySelectorAll('input[name="conditions"]:checked')].map(input => input.value)
+            });
+        });
+        
+        this.container.querySelectorAll('.remove-wishlist-btn').forEach(button => {
+            button.addEventListener('click', () => this.remove(button.closest('.wishlist-item').dataset.id));
+        });
+    }
+    
+    /**
+     * Add a book to the wishlist and redraw
+     * @param {Object} data - Form values for ListingWishlist.addEntry
+     */
+    async add(data) {
+        const result = this.wishlist.addEntry(this.user, data);
+        if (!result.ok) {
+            alert(result.message);
+            return;
+        }
+        
+        try {
+            await window.dataStore.flush();
+        } catch (error) {
+            console.error('Error saving wishlist:', error);
+            window.dataStore.remove('wishlist', result.entry.id);
+            
+            // Quota errors are already reported through the bookswap:storagefull event
+            if (!DataStore.isQuotaError(error)) {
+                alert('Sorry, the book could not be added to your wishlist. Please try again.');
+            }
+            return;
+        }
+        
+        this.render();
+    }
+    
+    /**
+     * Remove a book from the wishlist and redraw
+     * @param {string} entryId - Wishlist entry id
+     */
+    remove(entryId) {
+        const result = this.wishlist.removeEntry(entryId, this.user);
+        if (!result.ok) {
+            alert(result.message);
+        }
+        
+        this.render();
+    }
+}
+
+// Create the shared wishlist helper
+window.listingWishlist = new ListingWishlist();
+window.ListingWishlist = ListingWishlist;
+window.ListingWishlistPanel = ListingWishlistPanel;
@@ -0,0 +1,71 @@
+/**
+ * Mail Outbox Module for Campus BookSwap
+ * Handles outgoing account emails. There is no mail server, so messages are kept
+ * in a local outbox that can be read on outbox.html.
+ */
+
+class MailOutbox {
+    constructor(store = window.dataStore) {
+        this.store = store;
+    }
+    
+    /**
+     * Send an email
+     * @param {Object} message - { to, subject, body, actionUrl, actionLabel }
+     * @returns {Object} Stored message
+     */
+    send(message) {
+        return this.store.create('outbox', {
+            to: (message.to || '').trim().toLowerCase(),
+            subject: message.subject,
+            body: message.body || '',
+            actionUrl: message.actionUrl || null,
+            actionLabel: message.actionLabel || null,
+            sentAt: new Date().toISOString(),
+            readAt: null
+        }, { prepend: true });
+    }
+    
+    /**
+     * Get sent messages, newest first
+     * @param {string} to - Only messages for this address (optional)
+     * @returns {Array} Messages
+     */
+    getMessages(to = null) {
+        const messages = to
+            ? this.store.findBy('outbox', 'to', to.trim().toLowerCase())
+            : this.store.getAll('outbox');
+        
+        return messages.sort((a, b) => new Date(b.sentAt) - new Date(a.sentAt));
+    }
+    
+    /**
+     * Mark a message as read
+     * @param {string} id - Message id
+     */
+    markRead(id) {
+        const message = this.store.getById('outbox', id);
+        if (message && !message.readAt) {
+            this.store.update('outbox', id, { readAt: new Date().toISOString() });
+        }
+    }
+    
+    /**
+     * Delete all messages
+     */
+    clear() {
+        this.store.replaceAll('outbox', []);
+    }
+    
+    /**
+     * Build an absolute link to a page of this site
+     * @param {string} page - Page and query string (e.g. 'verify-email.html?token=...')
+     * @returns {string} Absolute URL
+     */
+    buildLink(page) {
+        return new URL(page, window.location.href).href;
+    }
+}
+
+// Create the shared outbox
+window.mailOutbox = new MailOutbox();
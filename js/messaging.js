@@ -16,28 +16,26 @@ class MessagingSystem {
     }
     
     /**
-     * Get current user from localStorage
+     * Get current user from the session
      * @returns {Object|null} User data or null if not logged in
      */
     getCurrentUser() {
-        const userJson = localStorage.getItem('currentUser');
-        return userJson ? JSON.parse(userJson) : null;
+        return window.sessionManager.getCurrentUser();
     }
     
     /**
-     * Load conversations from localStorage
+     * Load conversations from the data store
      * @returns {Array|null} Conversations or null if none exist
      */
     loadConversationsFromStorage() {
-        const conversationsJson = localStorage.getItem('bookswap_conversations');
-        return conversationsJson ? JSON.parse(conversationsJson) : null;
+        return window.dataStore.exists('conversations') ? window.dataStore.getAll('conversations') : null;
     }
     
     /**
-     * Save conversations to localStorage
+     * Save conversations to the data store
      */
     saveConversationsToStorage() {
-        localStorage.setItem('bookswap_conversations', JSON.stringify(this.conversations));
+        window.dataStore.replaceAll('conversations', this.conversations);
     }
     
     /**
@@ -630,15 +628,17 @@ class MessagingSystem {
 
 // Initialize messaging system when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    window.messagingSystem = new MessagingSystem();
-    
-    // Create test conversations if on dashboard page
-    if (document.querySelector('.dashboard-container')) {
-        setTimeout(() => {
-            window.messagingSystem.createTestConversations();
-            window.messagingSystem.displayConversations();
-        }, 1000);
-    }
+    window.dataStore.ready.then(() => {
+        window.messagingSystem = new MessagingSystem();
+        
+        // Create test conversations if on dashboard page
+        if (document.querySelector('.dashboard-container')) {
+            setTimeout(() => {
+                window.messagingSystem.createTestConversations();
+                window.messagingSystem.displayConversations();
+            }, 1000);
+        }
+    });
 });
 
 } // Close the if (typeof MessagingSystem === 'undefined') block
\ No newline at end of file
@@ -0,0 +1,558 @@
+/**
+ * Moderation Module for Campus BookSwap
+ * Handles content reports, moderator actions (hide, delete, warn, suspend) and the audit log
+ */
+
+class ModerationService {
+    constructor(store = window.dataStore) {
+        this.store = store;
+        
+        // How to find, hide and delete each kind of reportable content
+        this.targets = {
+            listing: {
+                label: 'Listing',
+                describe: target => {
+                    const listing = this.store.getById('listings', target.id);
+                    if (!listing) return null;
+                    return {
+                        ownerId: listing.userId,
+                        ownerName: listing.userName,
+                        title: listing.title,
+                        excerpt: listing.description || '',
+                        hidden: !!listing.hidden
+                    };
+                },
+                setHidden: (target, changes) => this.store.update('listings', target.id, changes),
+                remove: target => this.store.remove('listings', target.id)
+            },
+            forumPost: {
+                label: 'Forum post',
+                describe: target => {
+                    const post = this.findForumPost(target.postId);
+                    if (!post) return null;
+                    return {
+                        ownerId: post.author.id,
+                        ownerName: post.author.name,
+                        title: post.title,
+                        excerpt: post.content,
+                        hidden: !!post.hidden
+                    };
+                },
+                setHidden: (target, changes) => this.updateForumPosts(posts => {
+                    const post = posts.find(p => p.id === target.postId);
+                    if (post) Object.assign(post, changes);
+                }),
+                remove: target => this.updateForumPosts(posts => {
+                    const index = posts.findIndex(p => p.id === target.postId);
+                    if (index !== -1) posts.splice(index, 1);
+                })
+            },
+            forumComment: {
+                label: 'Forum comment',
+                describe: target => {
+                    const post = this.findForumPost(target.postId);
+                    const comment = post ? post.comments.find(c => c.id === target.commentId) : null;
+                    if (!comment) return null;
+                    return {
+                        ownerId: comment.author.id,
+                        ownerName: comment.author.name,
+                        title: `Comment on "${post.title}"`,
+                        excerpt: comment.content,
+                        hidden: !!comment.hidden
+                    };
+                },
+                setHidden: (target, changes) => this.updateForumPosts(posts => {
+                    const post = posts.find(p => p.id === target.postId);
+                    const comment = post ? post.comments.find(c => c.id === target.commentId) : null;
+                    if (comment) Object.assign(comment, changes);
+                }),
+                remove: target => this.updateForumPosts(posts => {
+                    const post = posts.find(p => p.id === target.postId);
+                    if (post) post.comments = post.comments.filter(c => c.id !== target.commentId);
+                })
+            },
+            review: {
+                label: 'Review',
+                describe: target => {
+                    const review = this.findReview(target);
+                    if (!review) return null;
+                    return {
+                        ownerId: target.reviewerId,
+                        ownerName: review.userName,
+                        title: `Review of ${target.type} ${target.itemId}`,
+                        excerpt: review.review,
+                        hidden: !!review.hidden
+                    };
+                },
+                setHidden: (target, changes) => this.updateRatings(ratings => {
+                    const item = ratings[target.type + 's'][target.itemId];
+                    if (item && item.reviews[target.reviewerId]) Object.assign(item.reviews[target.reviewerId], changes);
+                }),
+                remove: target => this.updateRatings(ratings => {
+                    const item = ratings[target.type + 's'][target.itemId];
+                    if (!item) return;
+                    delete item.reviews[target.reviewerId];
+                    delete item.ratings[target.reviewerId];
+                })
+            },
+            chatMessage: {
+                label: 'Chat message',
+                describe: target => {
+                    const message = this.store.getById('forumChat', target.id);
+                    if (!message) return null;
+                    const sender = this.store.getById('forumChatUsers', message.senderId);
+                    return {
+                        ownerId: message.senderId,
+                        ownerName: sender ? sender.name : 'Unknown User',
+                        title: 'Community chat message',
+                        excerpt: message.text,
+                        hidden: !!message.hidden
+                    };
+                },
+                setHidden: (target, changes) => this.store.update('forumChat', target.id, changes),
+                remove: target => this.store.remove('forumChat', target.id)
+            }
+        };
+    }
+    
+    /**
+     * Get the signed-in user
+     * @returns {Object|null} User data
+     */
+    getCurrentUser() {
+        return window.sessionManager.getCurrentUser();
+    }
+    
+    /**
+     * Build a key that identifies a piece of content, so reports on it can be grouped
+     * @param {string} targetType - Content type (listing, forumPost, forumComment, review, chatMessage)
+     * @param {Object} target - Content reference (e.g. { postId, commentId })
+     * @returns {string} Target key
+     */
+    getTargetKey(targetType, target) {
+        const parts = {
+            listing: [target.id],
+            forumPost: [target.postId],
+            forumComment: [target.postId, target.commentId],
+            review: [target.type, target.itemId, target.reviewerId],
+            chatMessage: [target.id]
+        }[targetType] || [];
+        
+        return [targetType, ...parts].join(':');
+    }
+    
+    /**
+     * Look up reported content
+     * @param {string} targetType - Content type
+     * @param {Object} target - Content reference
+     * @returns {Object|null} { ownerId, ownerName, title, excerpt, hidden } or null if it no longer exists
+     */
+    describeTarget(targetType, target) {
+        const handler = this.targets[targetType];
+        return handler ? handler.describe(target) : null;
+    }
+    
+    /**
+     * Report content to the moderators
+     * @param {string} targetType - Content type
+     * @param {Object} target - Content reference
+     * @param {string} reason - Why it is being reported
+     * @returns {Object} { ok: true, report } or { ok: false, message }
+     */
+    report(targetType, target, reason) {
+        const user = this.getCurrentUser();
+        if (!user) {
+            return { ok: false, message: 'Please log in to report content.' };
+        }
+        
+        const content = this.describeTarget(targetType, target);
+        if (!content) {
+            return { ok: false, message: 'This content no longer exists.' };
+        }
+        
+        const targetKey = this.getTargetKey(targetType, target);
+        const existing = this.store.findBy('reports', 'targetKey', targetKey)
+            .find(report => report.status === 'open' && report.reporterId === user.id);
+        if (existing) {
+            return { ok: false, message: 'You have already reported this. A moderator will review it soon.' };
+        }
+        
+        const report = this.store.create('reports', {
+            targetType: targetType,
+            target: target,
+            targetKey: targetKey,
+            ownerId: content.ownerId,
+            reason: (reason || '').trim() || 'No reason given',
+            reporterId: user.id,
+            reporterName: user.name,
+            status: 'open',
+            createdAt: new Date().toISOString()
+        }, { prepend: true });
+        
+        return { ok: true, report };
+    }
+    
+    /**
+     * File a report from an automatic check, such as the checks on new listings.
+     * Adds to the open automatic report on the same content if there is one.
+     * @param {string} targetType - Content type
+     * @param {Object} target - Content reference
+     * @param {Array} flags - What the check found ({ type, message })
+     * @returns {Object} Report
+     */
+    flag(targetType, target, flags) {
+        const content = this.describeTarget(targetType, target);
+        const targetKey = this.getTargetKey(targetType, target);
+        const reason = flags.map(flag => flag.message).join(' ');
+        
+        const existing = this.store.findBy('reports', 'targetKey', targetKey)
+            .find(report => report.status === 'open' && report.automatic);
+        if (existing) {
+            return this.store.update('reports', existing.id, {
+                flags: [...(existing.flags || []), ...flags],
+                reason: `${existing.reason} ${reason}`
+            });
+        }
+        
+        return this.store.create('reports', {
+            targetType: targetType,
+            target: target,
+            targetKey: targetKey,
+            ownerId: content ? content.ownerId : null,
+            reason: reason,
+            flags: flags,
+            automatic: true,
+            reporterId: 'system',
+            reporterName: 'Automatic check',
+            status: 'open',
+            createdAt: new Date().toISOString()
+        }, { prepend: true });
+    }
+    
+    /**
+     * Check whether an automatic check has sent content to the moderators and
+     * they haven't dealt with it yet
+     * @param {string} targetType - Content type
+     * @param {Object} target - Content reference
+     * @returns {boolean} True if there is an open automatic report
+     */
+    isFlagged(targetType, target) {
+        return this.store.findBy('reports', 'targetKey', this.getTargetKey(targetType, target))
+            .some(report => report.status === 'open' && report.automatic);
+    }
+    
+    /**
+     * Ask the user why they are reporting something, then file the report
+     * @param {string} targetType - Content type
+     * @param {Object} target - Content reference
+     * @returns {boolean} True if a report was filed
+     */
+    promptReport(targetType, target) {
+        const label = this.targets[targetType] ? this.targets[targetType].label.toLowerCase() : 'content';
+        const reason = prompt(`Why are you reporting this ${label}? (e.g. scam, spam, abusive)`);
+        if (reason === null) return false;
+        
+        const result = this.report(targetType, target, reason);
+        alert(result.ok ? 'Thanks for letting us know. A moderator will review it.' : result.message);
+        return result.ok;
+    }
+    
+    /**
+     * Get reports, newest first
+     * @param {string} status - 'open', 'resolved', 'dismissed' or 'all'
+     * @returns {Array} Reports
+     */
+    getReports(status = 'open') {
+        const reports = status === 'all' ? this.store.getAll('reports') : this.store.findBy('reports', 'status', status);
+        return reports.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+    
+    /**
+     * Dismiss a report without acting on the content
+     * @param {string} reportId - Report id
+     * @returns {boolean} True if dismissed
+     */
+    dismissReport(reportId) {
+        const report = this.store.getById('reports', reportId);
+        if (!report || !window.permissions.enforce('reports.resolve')) return false;
+        
+        this.closeReports(report.targetKey, 'dismissed', 'Dismissed', reportId);
+        this.log('report.dismiss', { targetType: report.targetType, targetKey: report.targetKey, targetUserId: report.ownerId, reason: report.reason });
+        return true;
+    }
+    
+    /**
+     * Hide or unhide content. Hidden content stays in storage but is left out of public pages.
+     * @param {string} targetType - Content type
+     * @param {Object} target - Content reference
+     * @param {boolean} hidden - True to hide, false to show again
+     * @param {string} reason - Reason recorded in the audit log
+     * @returns {boolean} True if changed
+     */
+    setContentHidden(targetType, target, hidden, reason = '') {
+        const content = this.describeTarget(targetType, target);
+        if (!content || !window.permissions.enforce('content.hide')) return false;
+        
+        const user = this.getCurrentUser();
+        this.targets[targetType].setHidden(target, hidden
+            ? { hidden: true, hiddenAt: new Date().toISOString(), hiddenBy: user.id }
+            : { hidden: false, hiddenAt: null, hiddenBy: null });
+        
+        const targetKey = this.getTargetKey(targetType, target);
+        if (hidden) {
+            this.closeReports(targetKey, 'resolved', 'Hidden');
+        }
+        
+        this.log(hidden ? 'content.hide' : 'content.unhide', {
+            targetType, targetKey, targetUserId: content.ownerId, summary: content.title, reason
+        });
+        return true;
+    }
+    
+    /**
+     * Delete content permanently
+     * @param {string} targetType - Content type
+     * @param {Object} target - Content reference
+     * @param {string} reason - Reason recorded in the audit log
+     * @returns {boolean} True if deleted
+     */
+    deleteContent(targetType, target, reason = '') {
+        const content = this.describeTarget(targetType, target);
+        if (!content) return false;
+        
+        const permission = {
+            listing: 'listings.delete',
+            forumPost: 'forum.delete',
+            forumComment: 'forum.delete',
+            review: 'reviews.delete',
+            chatMessage: 'content.hide'
+        }[targetType];
+        if (!window.permissions.enforce(permission, content.ownerId)) return false;
+        
+        this.targets[targetType].remove(target);
+        
+        const targetKey = this.getTargetKey(targetType, target);
+        this.closeReports(targetKey, 'resolved', 'Deleted');
+        this.log('content.delete', { targetType, targetKey, targetUserId: content.ownerId, summary: content.title, reason });
+        return true;
+    }
+    
+    /**
+     * Send a user a warning notification and count it on their profile
+     * @param {string} userId - User to warn
+     * @param {string} message - Warning text
+     * @param {string} reportId - Report that led to the warning (optional)
+     * @returns {boolean} True if the warning was sent
+     */
+    warnUser(userId, message, reportId = null) {
+        if (!window.permissions.enforce('users.warn')) return false;
+        
+        const profile = this.store.getById('users', userId);
+        const text = (message || '').trim() || 'A moderator has reviewed your content and found that it breaks the community guidelines.';
+        
+        this.store.create('notifications', {
+            id: 'notification_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            userId: userId,
+            type: 'system',
+            message: `Warning from the moderators: ${text}`,
+            timestamp: new Date().toISOString(),
+            read: false,
+            seen: false,
+            data: { reportId },
+            link: null
+        }, { prepend: true });
+        
+        if (profile) {
+            this.store.update('users', userId, {
+                warnings: (profile.warnings || 0) + 1,
+                lastWarnedAt: new Date().toISOString()
+            });
+        }
+        
+        const report = reportId ? this.store.getById('reports', reportId) : null;
+        if (report) {
+            this.closeReports(report.targetKey, 'resolved', 'Warned');
+        }
+        
+        this.log('user.warn', {
+            targetType: 'user',
+            targetKey: `user:${userId}`,
+            targetUserId: userId,
+            summary: profile ? profile.email : userId,
+            reason: text
+        });
+        return true;
+    }
+    
+    /**
+     * Suspend or unsuspend an account. Suspended users are signed out and can't sign in.
+     * @param {string} userId - User id
+     * @param {boolean} suspended - True to suspend, false to lift the suspension
+     * @param {string} reason - Reason shown in the audit log
+     * @returns {boolean} True if changed
+     */
+    setUserSuspended(userId, suspended, reason = '') {
+        if (!window.permissions.enforce('users.suspend')) return false;
+        
+        const currentUser = this.getCurrentUser();
+        const profile = this.store.getById('users', userId);
+        if (!profile) return false;
+        
+        if (currentUser && currentUser.id === userId) {
+            alert('You can\'t suspend your own account.');
+            return false;
+        }
+        
+        this.store.update('users', userId, suspended
+            ? { suspended: true, suspendedAt: new Date().toISOString(), suspendedBy: currentUser.id, suspensionReason: reason }
+            : { suspended: false, suspendedAt: null, suspendedBy: null, suspensionReason: null });
+        
+        this.log(suspended ? 'user.suspend' : 'user.unsuspend', {
+            targetType: 'user',
+            targetKey: `user:${userId}`,
+            targetUserId: userId,
+            summary: profile.email,
+            reason
+        });
+        return true;
+    }
+    
+    /**
+     * Change a user's role and record it in the audit log
+     * @param {string} userId - User id
+     * @param {string} role - New role
+     * @returns {boolean} True if changed
+     */
+    setUserRole(userId, role) {
+        const profile = this.store.getById('users', userId);
+        if (!profile || !window.permissions.setRole(userId, role)) return false;
+        
+        this.log('user.role', {
+            targetType: 'user',
+            targetKey: `user:${userId}`,
+            targetUserId: userId,
+            summary: profile.email,
+            reason: `${profile.role || 'student'} → ${role}`
+        });
+        return true;
+    }
+    
+    /**
+     * Search accounts by name, email or university
+     * @param {string} query - Search text
+     * @returns {Array} Matching users
+     */
+    searchUsers(query = '') {
+        const text = query.trim().toLowerCase();
+        const users = this.store.getAll('users');
+        if (!text) return users;
+        
+        return users.filter(user =>
+            [user.name, user.email, user.university].some(value => (value || '').toLowerCase().includes(text))
+        );
+    }
+    
+    /**
+     * Close every open report about the same content
+     * @param {string} targetKey - Target key
+     * @param {string} status - 'resolved' or 'dismissed'
+     * @param {string} resolution - What was done
+     * @param {string} onlyReportId - Close just this report (optional)
+     */
+    closeReports(targetKey, status, resolution, onlyReportId = null) {
+        const user = this.getCurrentUser();
+        
+        this.store.findBy('reports', 'targetKey', targetKey)
+            .filter(report => report.status === 'open' && (!onlyReportId || report.id === onlyReportId))
+            .forEach(report => this.store.update('reports', report.id, {
+                status: status,
+                resolution: resolution,
+                resolvedBy: user ? user.id : null,
+                resolvedAt: new Date().toISOString()
+            }));
+    }
+    
+    /**
+     * Write an entry to the audit log
+     * @param {string} action - Action name (e.g. 'content.hide')
+     * @param {Object} details - { targetType, targetKey, targetUserId, summary, reason }
+     * @returns {Object} Log entry
+     */
+    log(action, details = {}) {
+        const user = this.getCurrentUser();
+        
+        return this.store.create('auditLog', {
+            action: action,
+            actorId: user ? user.id : null,
+            actorName: user ? user.name : 'System',
+            actorRole: window.permissions.getRole(user),
+            targetType: details.targetType || null,
+            targetKey: details.targetKey || null,
+            targetUserId: details.targetUserId || null,
+            summary: details.summary || '',
+            reason: details.reason || '',
+            createdAt: new Date().toISOString()
+        }, { prepend: true });
+    }
+    
+    /**
+     * Get audit log entries, newest first
+     * @param {string} query - Only entries mentioning this text (optional)
+     * @returns {Array} Log entries
+     */
+    getAuditLog(query = '') {
+        const text = query.trim().toLowerCase();
+        const entries = this.store.getAll('auditLog')
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        if (!text) return entries;
+        
+        return entries.filter(entry =>
+            [entry.action, entry.actorName, entry.summary, entry.reason, entry.targetKey]
+                .some(value => (value || '').toLowerCase().includes(text))
+        );
+    }
+    
+    /**
+     * Find a forum post by id
+     * @param {string} postId - Post id
+     * @returns {Object|null} Post
+     */
+    findForumPost(postId) {
+        return this.store.getById('forumPosts', postId);
+    }
+    
+    /**
+     * Find a review in the ratings document
+     * @param {Object} target - { type, itemId, reviewerId }
+     * @returns {Object|null} Review
+     */
+    findReview(target) {
+        const ratings = this.store.getDocument('ratings');
+        const item = ratings && ratings[target.type + 's'] ? ratings[target.type + 's'][target.itemId] : null;
+        return item && item.reviews ? item.reviews[target.reviewerId] || null : null;
+    }
+    
+    /**
+     * Change forum posts (comments are stored inside their post)
+     * @param {Function} change - Called with the posts array to modify in place
+     */
+    updateForumPosts(change) {
+        const posts = this.store.getAll('forumPosts');
+        change(posts);
+        this.store.replaceAll('forumPosts', posts);
+    }
+    
+    /**
+     * Change the ratings document
+     * @param {Function} change - Called with the ratings object to modify in place
+     */
+    updateRatings(change) {
+        const ratings = this.store.getDocument('ratings') || { books: {}, sellers: {} };
+        change(ratings);
+        this.store.setDocument('ratings', ratings);
+    }
+}
+
+// Create the shared moderation service
+window.moderation = new ModerationService();
+window.ModerationService = ModerationService;
@@ -20,26 +20,36 @@ class NotificationSystem {
     }
     
     /**
-     * Get current user from localStorage
+     * Get current user from the session
      */
     getCurrentUser() {
-        const userJson = localStorage.getItem('currentUser');
-        return userJson ? JSON.parse(userJson) : null;
+        return window.sessionManager.getCurrentUser();
     }
     
     /**
-     * Load notifications from localStorage
+     * Load notifications from the data store. Notifications addressed to
+     * another user (e.g. moderator warnings) are left out.
      */
     loadNotificationsFromStorage() {
-        const notificationsJson = localStorage.getItem('bookswap_notifications');
-        return notificationsJson ? JSON.parse(notificationsJson) : null;
+        return window.dataStore.getAll('notifications').filter(n => this.isForCurrentUser(n));
     }
     
     /**
-     * Save notifications to localStorage
+     * Save notifications to the data store, keeping other users' notifications
      */
     saveNotificationsToStorage() {
-        localStorage.setItem('bookswap_notifications', JSON.stringify(this.notifications));
+        const others = window.dataStore.getAll('notifications').filter(n => !this.isForCurrentUser(n));
+        window.dataStore.replaceAll('notifications', [...this.notifications, ...others]);
+    }
+    
+    /**
+     * Check whether a notification should be shown to the signed-in user
+     * @param {Object} notification - Notification
+     * @returns {boolean} True if it has no recipient or is addressed to this user
+     */
+    isForCurrentUser(notification) {
+        const userKey = window.sessionManager.getUserKey(this.getCurrentUser());
+        return !notification.userId || (userKey !== null && String(notification.userId) === userKey);
     }
     
     /**
@@ -55,6 +65,19 @@ class NotificationSystem {
         // Add event listeners
         this.addEventListeners();
         
+        // Remind sellers about listings that are about to expire
+        if (window.listingLifecycle && this.currentUser) {
+            window.dataStore.ready.then(() => window.listingLifecycle.sendRenewalReminders(this));
+        }
+        
+        // Group new matches for saved searches into the digests that are due
+        if (window.savedSearches && this.currentUser) {
+            window.dataStore.ready.then(() => window.savedSearches.sendDueDigests(this));
+        }
+        
+        // Show notifications other users create for this one, e.g. wishlist matches
+        window.dataStore.subscribe('notifications', () => this.checkForNewNotifications());
+        
         // Check for new notifications periodically (simulating server polling)
         this.startNotificationPolling();
     }
@@ -271,7 +294,7 @@ class NotificationSystem {
                     <i class="${icon}"></i>
                 </div>
                 <div class="notification-content">
-                    <div class="notification-text">${notification.message}</div>
+                    <div class="notification-text">${escapeHtml(notification.message)}</div>
                     <div class="notification-time">${timestamp}</div>
                 </div>
                 <div class="notification-actions">
@@ -376,7 +399,7 @@ class NotificationSystem {
             // Default actions based on type
             switch (notification.type) {
                 case this.notificationTypes.NEW_LISTING:
-                    window.location.href = `browse.html?book=${notification.data.bookId}`;
+                    window.location.href = `book-details.html?id=${encodeURIComponent(notification.data.bookId)}`;
                     break;
                 case this.notificationTypes.MESSAGE:
                     window.location.href = `messages.html?conversation=${notification.data.conversationId}`;
@@ -415,11 +438,23 @@ class NotificationSystem {
             link: notification.link || null
         };
         
+        // Notifications meant for one user only (e.g. renewal reminders) are hidden from others
+        if (notification.userId) {
+            newNotification.userId = notification.userId;
+        }
+        
+        // Notifications for someone else (e.g. a wishlist match for another student)
+        // are only stored. They see them the next time they load notifications.
+        if (!this.isForCurrentUser(newNotification)) {
+            window.dataStore.create('notifications', newNotification, { prepend: true });
+            return true;
+        }
+        
         // Add to notifications array
         this.notifications.unshift(newNotification);
         
         // Save to storage
-        this.saveNotificationsToStorage();
+        window.dataStore.create('notifications', newNotification, { prepend: true });
         
         // Update UI
         this.updateNotificationBadge();
@@ -431,6 +466,24 @@ class NotificationSystem {
         return true;
     }
     
+    /**
+     * Pick up notifications for this user that were stored elsewhere (another
+     * tab, or another user's wishlist match) and show them
+     */
+    checkForNewNotifications() {
+        if (!this.currentUser) return;
+        
+        const known = new Set(this.notifications.map(n => n.id));
+        const added = this.loadNotificationsFromStorage().filter(n => !known.has(n.id));
+        if (added.length === 0) return;
+        
+        this.notifications.unshift(...added);
+        this.notifications.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        this.updateNotificationBadge();
+        this.renderNotifications();
+        added.filter(n => !n.seen).forEach(n => this.showToastNotification(n));
+    }
+    
     /**
      * Show a toast notification
      */
@@ -456,7 +509,7 @@ class NotificationSystem {
             </div>
             <div class="toast-content">
                 <div class="toast-title">New Notification</div>
-                <div class="toast-message">${notification.message}</div>
+                <div class="toast-message">${escapeHtml(notification.message)}</div>
             </div>
             <button class="toast-close">
                 <i class="fas fa-times"></i>
@@ -526,10 +579,11 @@ class NotificationSystem {
     }
     
     /**
-     * Simulate a new notification for demo purposes
+     * Simulate a new notification for demo purposes. New listing alerts are
+     * real: they come from wishlist matches (js/listing-wishlist.js).
      */
     simulateNewNotification() {
-        const notificationTypes = Object.values(this.notificationTypes);
+        const notificationTypes = Object.values(this.notificationTypes).filter(type => type !== this.notificationTypes.NEW_LISTING);
         const randomType = notificationTypes[Math.floor(Math.random() * notificationTypes.length)];
         
         let notification = {
@@ -541,14 +595,6 @@ class NotificationSystem {
         
         // Generate random notification based on type
         switch (randomType) {
-            case this.notificationTypes.NEW_LISTING:
-                const books = ['Calculus', 'Physics', 'Computer Science', 'Biology', 'Chemistry'];
-                const randomBook = books[Math.floor(Math.random() * books.length)];
-                notification.message = `New ${randomBook} textbook listed in your department`;
-                notification.data = { bookId: 'book_' + Math.random().toString(36).substr(2, 9) };
-                notification.link = 'browse.html';
-                break;
-                
             case this.notificationTypes.MESSAGE:
                 const names = ['Alex', 'Jordan', 'Taylor', 'Morgan', 'Casey'];
                 const randomName = names[Math.floor(Math.random() * names.length)];
@@ -637,7 +683,7 @@ class NotificationSystem {
                             <i class="${icon}"></i>
                         </div>
                         <div class="notification-content-full">
-                            <div class="notification-text-full">${notification.message}</div>
+                            <div class="notification-text-full">${escapeHtml(notification.message)}</div>
                             <div class="notification-time-full">${timestamp}</div>
                         </div>
                         <div class="notification-actions-full">
@@ -276,6 +276,27 @@ class PaymentGateway {
         }
     }
     
+    /**
+     * Format an amount for display, using the locale of a university that pays in that currency
+     * @param {number} amount - Amount to format
+     * @param {string} currency - ISO currency code
+     * @returns {string} Formatted amount (e.g. "₹450.00")
+     */
+    formatAmount(amount, currency) {
+        const code = currency.toUpperCase();
+        const university = window.universityRegistry &&
+            window.universityRegistry.getUniversities().find(entry => entry.currency && entry.currency.code === code);
+        
+        try {
+            return new Intl.NumberFormat(university ? university.currency.locale : undefined, {
+                style: 'currency',
+                currency: code
+            }).format(amount);
+        } catch (error) {
+            return `${code} ${amount}`;
+        }
+    }
+    
     /**
      * Generate a payment form for the selected gateway
      */
@@ -283,6 +304,7 @@ class PaymentGateway {
         const container = document.getElementById(containerId);
         if (!container) return false;
         
+        const displayAmount = this.formatAmount(amount, currency);
         let formHtml = '';
         
         // Payment method selection
@@ -324,7 +346,7 @@ class PaymentGateway {
                 </div>
                 <div class="summary-item total">
                     <span>Total:</span>
-                    <span>${currency.toUpperCase()} ${amount}</span>
+                    <span>${displayAmount}</span>
                 </div>
             </div>
         `;
@@ -344,7 +366,7 @@ class PaymentGateway {
                     <div id="stripe-card-element" class="card-element"></div>
                     <div id="card-errors" class="error-message" role="alert"></div>
                 </div>
-                <button id="submit-payment" type="submit" class="submit-btn">Pay ${currency.toUpperCase()} ${amount}</button>
+                <button id="submit-payment" type="submit" class="submit-btn">Pay ${displayAmount}</button>
             </form>
         `;
         
@@ -370,7 +392,7 @@ class PaymentGateway {
                     <label for="buyer-phone">Phone Number</label>
                     <input type="tel" id="buyer-phone" placeholder="Enter your phone number" required>
                 </div>
-                <button id="razorpay-button" class="submit-btn">Pay ${currency.toUpperCase()} ${amount}</button>
+                <button id="razorpay-button" class="submit-btn">Pay ${displayAmount}</button>
             </div>
         `;
         
@@ -0,0 +1,183 @@
+/**
+ * Permissions Module for Campus BookSwap
+ * Handles user roles (student, moderator, admin) and checks what each role may do
+ */
+
+/**
+ * Roles from least to most privileged. Each role can do everything the
+ * roles before it can. Permissions ending in ":own" only apply to records
+ * the user created; ":any" applies to everyone's records.
+ */
+const BOOKSWAP_ROLES = {
+    student: {
+        label: 'Student',
+        permissions: [
+            'listings.delete:own',
+            'forum.delete:own',
+            'reviews.delete:own',
+            'transactions.cancel:own',
+            'content.report'
+        ]
+    },
+    moderator: {
+        label: 'Moderator',
+        permissions: [
+            'listings.delete:any',
+            'forum.delete:any',
+            'reviews.delete:any',
+            'transactions.cancel:any',
+            'moderation.access',
+            'content.hide:any',
+            'reports.resolve',
+            'users.warn'
+        ]
+    },
+    admin: {
+        label: 'Admin',
+        permissions: [
+            'transactions.delete:any',
+            'users.assignRole',
+            'users.suspend',
+            'audit.view',
+            'catalog.import'
+        ]
+    }
+};
+
+const BOOKSWAP_DEFAULT_ROLE = 'student';
+
+class PermissionManager {
+    constructor(store = window.dataStore, roles = BOOKSWAP_ROLES) {
+        this.store = store;
+        this.roles = roles;
+        this.roleOrder = Object.keys(roles);
+    }
+    
+    /**
+     * Get a user's role. The stored profile wins over the copy in the session,
+     * so a role change applies without signing in again.
+     * @param {Object} user - User data (defaults to the signed-in user)
+     * @returns {string|null} Role name, or null if nobody is signed in
+     */
+    getRole(user = window.sessionManager.getCurrentUser()) {
+        if (!user) return null;
+        
+        const profile = this.store.getById('users', user.id);
+        const role = (profile && profile.role) || user.role;
+        return this.roles[role] ? role : BOOKSWAP_DEFAULT_ROLE;
+    }
+    
+    /**
+     * Get the display label for a role
+     * @param {string} role - Role name
+     * @returns {string} Label (e.g. "Moderator")
+     */
+    getRoleLabel(role) {
+        return this.roles[role] ? this.roles[role].label : '';
+    }
+    
+    /**
+     * Check if a user's role is at least the given role
+     * @param {string} role - Minimum role
+     * @param {Object} user - User data (defaults to the signed-in user)
+     * @returns {boolean} True if the user has the role or a higher one
+     */
+    hasRole(role, user = window.sessionManager.getCurrentUser()) {
+        const userRole = this.getRole(user);
+        if (!userRole) return false;
+        
+        return this.roleOrder.indexOf(userRole) >= this.roleOrder.indexOf(role);
+    }
+    
+    /**
+     * Get every permission a role has, including those of lower roles
+     * @param {string} role - Role name
+     * @returns {Array<string>} Permissions
+     */
+    getPermissions(role) {
+        const index = this.roleOrder.indexOf(role);
+        if (index === -1) return [];
+        
+        return this.roleOrder.slice(0, index + 1).flatMap(name => this.roles[name].permissions);
+    }
+    
+    /**
+     * Check whether a user may perform an action
+     * @param {string} action - Action name (e.g. 'forum.delete')
+     * @param {string|null} ownerId - Id of the user who owns the record, if any
+     * @param {Object} user - User data (defaults to the signed-in user)
+     * @returns {boolean} True if allowed
+     */
+    can(action, ownerId = null, user = window.sessionManager.getCurrentUser()) {
+        const role = this.getRole(user);
+        if (!role) return false;
+        
+        const permissions = this.getPermissions(role);
+        if (permissions.includes(action) || permissions.includes(`${action}:any`)) {
+            return true;
+        }
+        
+        const isOwner = ownerId !== null && ownerId !== undefined && String(ownerId) === String(user.id);
+        return isOwner && permissions.includes(`${action}:own`);
+    }
+    
+    /**
+     * Check a permission before a destructive action and tell the user if it's not allowed
+     * @param {string} action - Action name
+     * @param {string|null} ownerId - Id of the user who owns the record, if any
+     * @returns {boolean} True if allowed
+     */
+    enforce(action, ownerId = null) {
+        if (this.can(action, ownerId)) return true;
+        
+        const user = window.sessionManager.getCurrentUser();
+        console.warn(`Permission denied: ${action}`, { userId: user ? user.id : null, ownerId });
+        alert(user ? 'You don\'t have permission to do that.' : 'Please log in to continue.');
+        return false;
+    }
+    
+    /**
+     * Check whether roles can be changed from this browser. The shared server
+     * keeps the roles it has and only changes them with its set-role command.
+     * @param {Object} user - User data (defaults to the signed-in user)
+     * @returns {boolean} True if the user may assign roles here
+     */
+    canAssignRoles(user = window.sessionManager.getCurrentUser()) {
+        return this.store.backend !== 'server' && this.can('users.assignRole', null, user);
+    }
+    
+    /**
+     * Change a user's role
+     * @param {string} userId - User id
+     * @param {string} role - New role
+     * @returns {Object|null} Updated profile, or null if not allowed or not found
+     */
+    setRole(userId, role) {
+        if (!this.roles[role] || !this.enforce('users.assignRole')) return null;
+        
+        if (!this.canAssignRoles()) {
+            alert('Roles on the shared server are set with its set-role command.');
+            return null;
+        }
+        
+        const updated = this.store.update('users', userId, { role });
+        this.refreshSessionRole(userId, role);
+        return updated;
+    }
+    
+    /**
+     * Keep the role in the session in step with the stored profile
+     * @param {string} userId - User id
+     * @param {string} role - New role
+     */
+    refreshSessionRole(userId, role) {
+        const currentUser = window.sessionManager.getCurrentUser();
+        if (currentUser && currentUser.id === userId) {
+            window.sessionManager.updateUser({ ...currentUser, role });
+        }
+    }
+}
+
+// Create the shared permission helper
+window.permissions = new PermissionManager();
+window.PermissionManager = PermissionManager;
@@ -15,26 +15,24 @@ class RatingSystem {
     }
     
     /**
-     * Get current user from localStorage
+     * Get current user from the session
      */
     getCurrentUser() {
-        const userJson = localStorage.getItem('currentUser');
-        return userJson ? JSON.parse(userJson) : null;
+        return window.sessionManager.getCurrentUser();
     }
     
     /**
-     * Load ratings from localStorage
+     * Load ratings from the data store
      */
     loadRatingsFromStorage() {
-        const ratingsJson = localStorage.getItem('bookswap_ratings');
-        return ratingsJson ? JSON.parse(ratingsJson) : null;
+        return window.dataStore.getDocument('ratings');
     }
     
     /**
-     * Save ratings to localStorage
+     * Save ratings to the data store
      */
     saveRatingsToStorage() {
-        localStorage.setItem('bookswap_ratings', JSON.stringify(this.ratings));
+        window.dataStore.setDocument('ratings', this.ratings);
     }
     
     /**
@@ -144,7 +142,7 @@ class RatingSystem {
             return false;
         }
         
-        const userId = this.currentUser.email;
+        const userId = this.currentUser.id;
         const timestamp = new Date().toISOString();
         
         // Initialize if needed
@@ -182,7 +180,7 @@ class RatingSystem {
         // First save the rating
         this.saveRating(type, id, rating);
         
-        const userId = this.currentUser.email;
+        const userId = this.currentUser.id;
         const timestamp = new Date().toISOString();
         const userName = this.currentUser.name || 'Anonymous';
         
@@ -200,6 +198,33 @@ class RatingSystem {
         return true;
     }
     
+    /**
+     * Delete a review and its rating. Reviewers can delete their own; moderators and admins can delete any.
+     * @param {string} type - Item type ('book' or 'seller')
+     * @param {string} id - Item id
+     * @param {string} reviewerId - Id of the user who wrote the review
+     * @returns {boolean} True if the review was deleted
+     */
+    deleteReview(type, id, reviewerId) {
+        const item = this.ratings[type + 's'][id];
+        if (!item || !item.reviews || !item.reviews[reviewerId]) return false;
+        
+        if (!window.permissions.enforce('reviews.delete', reviewerId)) return false;
+        
+        if (!confirm('Delete this review?')) return false;
+        
+        delete item.reviews[reviewerId];
+        delete item.ratings[reviewerId];
+        
+        // Save to storage
+        this.saveRatingsToStorage();
+        
+        // Update average rating display if it exists
+        this.updateAverageRatingDisplay(type, id);
+        
+        return true;
+    }
+    
     /**
      * Calculate the average rating for an item
      */
@@ -296,16 +321,19 @@ class RatingSystem {
         }
         
         const item = this.ratings[type + 's'][id];
-        if (!item || !item.reviews || Object.keys(item.reviews).length === 0) {
+        
+        // Sort reviews by timestamp (newest first), keeping the reviewer's id for moderation.
+        // Reviews hidden by a moderator are left out.
+        const reviews = Object.entries((item && item.reviews) || {})
+            .map(([reviewerId, review]) => ({ ...review, reviewerId }))
+            .filter(review => !review.hidden)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        
+        if (reviews.length === 0) {
             container.innerHTML = '<p class="no-reviews">No reviews yet. Be the first to leave a review!</p>';
             return;
         }
         
-        // Sort reviews by timestamp (newest first)
-        const reviews = Object.values(item.reviews).sort((a, b) => {
-            return new Date(b.timestamp) - new Date(a.timestamp);
-        });
-        
         // Clear the container
         container.innerHTML = '';
         
@@ -332,6 +360,32 @@ class RatingSystem {
                 </div>
             `;
             
+            // Reviewers can delete their own review; moderators and admins can remove any
+            if (window.permissions.can('reviews.delete', review.reviewerId)) {
+                const isOwn = this.currentUser && String(this.currentUser.id) === String(review.reviewerId);
+                const deleteButton = document.createElement('button');
+                deleteButton.className = `delete-content-btn ${isOwn ? '' : 'moderator-action'}`;
+                deleteButton.innerHTML = `<i class="far fa-trash-alt"></i> ${isOwn ? 'Delete' : 'Remove'}`;
+                deleteButton.addEventListener('click', () => {
+                    if (this.deleteReview(type, id, review.reviewerId)) {
+                        this.displayReviews(type, id, container);
+                    }
+                });
+                reviewElement.appendChild(deleteButton);
+            }
+            
+            // Anyone else can report the review to the moderators
+            const isOwnReview = this.currentUser && String(this.currentUser.id) === String(review.reviewerId);
+            if (!isOwnReview && window.permissions.can('content.report')) {
+                const reportButton = document.createElement('button');
+                reportButton.className = 'report-content-btn';
+                reportButton.innerHTML = '<i class="far fa-flag"></i> Report';
+                reportButton.addEventListener('click', () => {
+                    window.moderation.promptReport('review', { type, itemId: id, reviewerId: review.reviewerId });
+                });
+                reviewElement.appendChild(reportButton);
+            }
+            
             container.appendChild(reviewElement);
         });
     }
@@ -0,0 +1,429 @@
+/**
+ * Saved Searches Module for Campus BookSwap
+ * Handles saved searches: students save a browse query (search term and
+ * filters) by name and choose how they hear about new listings that match it,
+ * straight away or grouped into a daily or weekly digest
+ */
+
+/**
+ * Limits for saved searches, the alert choices and how often digests go out
+ */
+const BOOKSWAP_SAVED_SEARCH_SETTINGS = {
+    maxSearches: 20,
+    maxPending: 50,
+    digestTitles: 3,
+    defaultAlerts: 'daily',
+    alerts: {
+        instant: 'Instant',
+        daily: 'Daily digest',
+        weekly: 'Weekly digest',
+        off: 'No alerts'
+    },
+    digestIntervals: {
+        daily: 24 * 60 * 60 * 1000,
+        weekly: 7 * 24 * 60 * 60 * 1000
+    }
+};
+
+/**
+ * Browse page address parameters a saved search keeps, and how each one is
+ * described. The filters match listings by the same rules as the browse page.
+ */
+const BOOKSWAP_SAVED_SEARCH_PARAMS = {
+    search: { label: 'Search' },
+    department: { label: 'Department', field: 'department', filter: true },
+    semester: { label: 'Semester', field: 'semester', filter: true },
+    condition: { label: 'Condition', field: 'condition', filter: true },
+    format: { label: 'Format', field: 'format', filter: true },
+    type: { label: 'Type', field: 'listingType', filter: true },
+    min: { label: 'From $', filter: true },
+    max: { label: 'Up to $', filter: true },
+    unavailable: { label: 'Including reserved and expired' },
+    sort: { label: 'Sorted by' }
+};
+
+class SavedSearches {
+    constructor(store = window.dataStore, settings = BOOKSWAP_SAVED_SEARCH_SETTINGS, params = BOOKSWAP_SAVED_SEARCH_PARAMS) {
+        this.store = store;
+        this.settings = settings;
+        this.params = params;
+    }
+    
+    /**
+     * Get a user's saved searches, newest first
+     * @param {string} userId - User id
+     * @returns {Array} Saved searches
+     */
+    getSearches(userId) {
+        return this.store.findBy('savedSearches', 'userId', String(userId))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+    
+    /**
+     * Save a browse query
+     * @param {Object} user - Signed-in user
+     * @param {Object} data - { name, query: browse page query string, alerts }
+     * @returns {Object} { ok: true, search } or { ok: false, reason, message }
+     */
+    saveSearch(user, data) {
+        const userId = window.sessionManager.getUserKey(user);
+        const name = String(data.name || '').trim();
+        const query = this.normalizeQuery(data.query);
+        const alerts = this.settings.alerts[data.alerts] ? data.alerts : this.settings.defaultAlerts;
+        
+        if (!name) {
+            return { ok: false, reason: 'name_required', message: 'Please give the search a name.' };
+        }
+        
+        const params = new URLSearchParams(query);
+        if (!Object.keys(this.params).some(param => (param === 'search' || this.params[param].filter) && params.has(param))) {
+            return { ok: false, reason: 'empty_query', message: 'Search for something or choose a filter before saving the search.' };
+        }
+        
+        const searches = this.getSearches(userId);
+        if (searches.length >= this.settings.maxSearches) {
+            return { ok: false, reason: 'too_many', message: `You can save up to ${this.settings.maxSearches} searches.` };
+        }
+        
+        const existing = searches.find(search => search.query === query);
+        if (existing) {
+            return { ok: false, reason: 'duplicate', message: `You already saved this search as "${existing.name}".` };
+        }
+        
+        const search = this.store.create('savedSearches', {
+            id: `search_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            userId: userId,
+            userName: user.name,
+            name: name,
+            query: query,
+            alerts: alerts,
+            pendingListingIds: [],
+            lastDigestAt: null,
+            createdAt: new Date().toISOString()
+        });
+        
+        return { ok: true, search };
+    }
+    
+    /**
+     * Find one of the user's own saved searches
+     * @param {string} searchId - Saved search id
+     * @param {Object} user - Signed-in user
+     * @returns {Object} { ok: true, search } or { ok: false, reason, message }
+     */
+    getOwnSearch(searchId, user) {
+        const search = this.store.getById('savedSearches', searchId);
+        if (!search) {
+            return { ok: false, reason: 'not_found', message: 'This search is no longer saved.' };
+        }
+        
+        if (String(search.userId) !== window.sessionManager.getUserKey(user)) {
+            return { ok: false, reason: 'not_owner', message: 'You can only change your own saved searches.' };
+        }
+        
+        return { ok: true, search };
+    }
+    
+    /**
+     * Change how a saved search alerts its owner. Matches waiting for a
+     * digest are dropped when the search stops using digests.
+     * @param {string} searchId - Saved search id
+     * @param {Object} user - Signed-in user
+     * @param {string} alerts - 'instant', 'daily', 'weekly' or 'off'
+     * @returns {Object} { ok: true, search } or { ok: false, reason, message }
+     */
+    setAlerts(searchId, user, alerts) {
+        const result = this.getOwnSearch(searchId, user);
+        if (!result.ok) return result;
+        
+        if (!this.settings.alerts[alerts]) {
+            return { ok: false, reason: 'invalid_alerts', message: 'Please choose how you want to hear about new matches.' };
+        }
+        
+        const changes = { alerts };
+        if (!this.settings.digestIntervals[alerts]) {
+            changes.pendingListingIds = [];
+        }
+        
+        return { ok: true, search: this.store.update('savedSearches', searchId, changes) };
+    }
+    
+    /**
+     * Delete a saved search
+     * @param {string} searchId - Saved search id
+     * @param {Object} user - Signed-in user
+     * @returns {Object} { ok: true } or { ok: false, reason, message }
+     */
+    removeSearch(searchId, user) {
+        const result = this.getOwnSearch(searchId, user);
+        if (!result.ok) return result;
+        
+        this.store.remove('savedSearches', searchId);
+        return { ok: true };
+    }
+    
+    /**
+     * Keep only the parts of a browse page query string a saved search needs,
+     * in a fixed order so the same search always has the same query
+     * @param {string} query - Query string, with or without the leading "?"
+     * @returns {string} Query string without the leading "?"
+     */
+    normalizeQuery(query) {
+        const params = new URLSearchParams(String(query || '').replace(/^\?/, ''));
+        const normalized = new URLSearchParams();
+        
+        Object.keys(this.params).forEach(param => {
+            const value = (params.get(param) || '').trim();
+            if (value) normalized.set(param, value);
+        });
+        
+        return normalized.toString();
+    }
+    
+    /**
+     * Describe a saved search in words, e.g. "calculus" · Department: mathematics · Up to $40
+     * @param {Object} search - Saved search
+     * @returns {string} Description
+     */
+    describe(search) {
+        const params = new URLSearchParams(search.query);
+        const parts = [];
+        
+        params.forEach((value, param) => {
+            const definition = this.params[param];
+            if (!definition) return;
+            
+            if (param === 'search') {
+                parts.push(`"${value}"`);
+            } else if (param === 'unavailable') {
+                parts.push(definition.label);
+            } else if (param === 'min' || param === 'max') {
+                parts.push(`${definition.label}${value}`);
+            } else {
+                parts.push(`${definition.label}: ${value}`);
+            }
+        });
+        
+        return parts.join(' · ');
+    }
+    
+    /**
+     * Check whether a new listing is one a saved search would find
+     * @param {Object} search - Saved search
+     * @param {Object} listing - Listing
+     * @returns {boolean} True if the listing matches
+     */
+    matches(search, listing) {
+        if (String(search.userId) === String(listing.userId)) return false;
+        if (listing.hidden || window.listingLifecycle.getState(listing) !== 'active') return false;
+        
+        // Listings waiting for a moderator because of the listing checks aren't announced or queued
+        if (window.moderation && window.moderation.isFlagged('listing', { id: listing.id })) return false;
+        
+        const params = new URLSearchParams(search.query);
+        
+        // The search term is matched like on the browse page, so prefixes and typos count
+        const term = params.get('search');
+        if (term) {
+            const index = new SearchIndex(BOOKSWAP_SEARCH_FIELDS.listings);
+            index.add(listing);
+            if (index.search(term).length === 0) return false;
+        }
+        
+        return Object.keys(this.params)
+            .filter(param => this.params[param].filter && params.has(param))
+            .every(param => this.matchesFilter(listing, param, params.get(param)));
+    }
+    
+    /**
+     * Check a listing against one filter of a saved search
+     * @param {Object} listing - Listing
+     * @param {string} param - Query string parameter
+     * @param {string} value - Filter value
+     * @returns {boolean} True if the listing passes
+     */
+    matchesFilter(listing, param, value) {
+        const price = listing.listingType === 'swap' ? NaN : parseFloat(listing.price);
+        
+        switch (param) {
+            case 'semester':
+                // Listings without a semester are shown for every semester
+                return !listing.semester || listing.semester === value;
+            case 'min':
+                return isNaN(price) || price >= parseFloat(value);
+            case 'max':
+                return isNaN(price) || price <= parseFloat(value);
+            default:
+                return listing[this.params[param].field] === value;
+        }
+    }
+    
+    /**
+     * Alert the owners of saved searches a new listing matches. Instant alerts
+     * are sent now, at most one per student. Digest searches note the listing
+     * for their next digest.
+     * @param {Object} listing - Saved listing
+     * @param {NotificationSystem} notificationSystem - Notification system for the seller's page
+     * @returns {number} Number of saved searches that matched
+     */
+    recordMatches(listing, notificationSystem) {
+        const matched = this.store.getAll('savedSearches')
+            .filter(search => search.alerts !== 'off' && this.matches(search, listing));
+        const notified = new Set();
+        
+        matched.forEach(search => {
+            if (search.alerts === 'instant') {
+                if (notified.has(String(search.userId))) return;
+                notified.add(String(search.userId));
+                
+                const price = listing.listingType === 'swap' ? 'for swap' : `for $${parseFloat(listing.price).toFixed(2)}`;
+                notificationSystem.addNotification({
+                    type: notificationSystem.notificationTypes.NEW_LISTING,
+                    userId: search.userId,
+                    message: `"${listing.title}" was just listed ${price}. It matches your saved search "${search.name}".`,
+                    data: { bookId: listing.id, savedSearchId: search.id },
+                    link: `book-details.html?id=${encodeURIComponent(listing.id)}`
+                });
+                return;
+            }
+            
+            const pending = (search.pendingListingIds || []).filter(id => id !== listing.id);
+            pending.push(listing.id);
+            this.store.update('savedSearches', search.id, {
+                pendingListingIds: pending.slice(-this.settings.maxPending)
+            });
+        });
+        
+        return matched.length;
+    }
+    
+    /**
+     * Send the signed-in user a digest for each of their saved searches that is
+     * due one: a single notification listing the new matches since the last
+     * digest. Listings that have sold or gone since are left out.
+     * @param {NotificationSystem} notificationSystem - Notification system for the current page
+     * @returns {number} Number of digests sent
+     */
+    sendDueDigests(notificationSystem) {
+        const userKey = window.sessionManager.getUserKey(notificationSystem.currentUser);
+        if (!userKey) return 0;
+        
+        const now = Date.now();
+        let sent = 0;
+        
+        this.getSearches(userKey).forEach(search => {
+            const interval = this.settings.digestIntervals[search.alerts];
+            if (!interval || now - new Date(search.lastDigestAt || search.createdAt).getTime() < interval) return;
+            
+            const listings = (search.pendingListingIds || [])
+                .map(id => this.store.getById('listings', id))
+                .filter(listing => listing && !listing.hidden && window.listingLifecycle.getState(listing) === 'active');
+            
+            if (listings.length > 0) {
+                const titles = listings.slice(0, this.settings.digestTitles).map(listing => `"${listing.title}"`);
+                const more = listings.length - titles.length;
+                
+                notificationSystem.addNotification({
+                    type: notificationSystem.notificationTypes.NEW_LISTING,
+                    userId: userKey,
+                    message: `${listings.length} new ${listings.length === 1 ? 'listing matches' : 'listings match'} your saved search "${search.name}": ${titles.join(', ')}${more > 0 ? ` and ${more} more` : ''}.`,
+                    data: { savedSearchId: search.id, listingIds: listings.map(listing => listing.id) },
+                    link: `browse.html?${search.query}`
+                });
+                sent++;
+            }
+            
+            this.store.update('savedSearches', search.id, {
+                pendingListingIds: [],
+                lastDigestAt: new Date(now).toISOString()
+            });
+        });
+        
+        return sent;
+    }
+}
+
+/**
+ * The saved searches tab on the dashboard: each search with its alert
+ * setting, a link to its results and a button to delete it
+ */
+class SavedSearchPanel {
+    /**
+     * @param {HTMLElement} container - Panel element
+     * @param {Object} user - Signed-in user
+     * @param {SavedSearches} savedSearches - Saved search rules
+     */
+    constructor(container, user, savedSearches = window.savedSearches) {
+        this.container = container;
+        this.user = user;
+        this.savedSearches = savedSearches;
+    }
+    
+    /**
+     * Draw the user's saved searches
+     */
+    render() {
+        const settings = this.savedSearches.settings;
+        const searches = this.savedSearches.getSearches(window.sessionManager.getUserKey(this.user));
+        
+        this.container.innerHTML = `
+            <h3>Saved searches</h3>
+            <p class="saved-search-message">Save a search with the Save Search button on the <a href="browse.html">Browse</a> page. Choose whether new matches reach you straight away or in a daily or weekly digest.</p>
+            <div class="saved-search-list">
+                ${searches.length === 0 ? '<p class="saved-search-empty">You have no saved searches.</p>' : searches.map(search => `
+                    <div class="saved-search-item" data-id="${search.id}">
+                        <div class="saved-search-info">
+                            <h4>${escapeHtml(search.name)}</h4>
+                            <p>${escapeHtml(this.savedSearches.describe(search))}</p>
+                            ${settings.digestIntervals[search.alerts] ? `<p>${(search.pendingListingIds || []).length} new ${(search.pendingListingIds || []).length === 1 ? 'match' : 'matches'} waiting for the next digest</p>` : ''}
+                        </div>
+                        <div class="saved-search-actions">
+                            <select class="saved-search-alerts" aria-label="Alerts for ${escapeHtml(search.name)}">
+                                ${Object.keys(settings.alerts).map(alerts => `<option value="${alerts}"${alerts === search.alerts ? ' selected' : ''}>${settings.alerts[alerts]}</option>`).join('')}
+                            </select>
+                            <a href="browse.html?${escapeHtml(search.query)}" class="listing-action-btn">View Results</a>
+                            <button class="listing-action-btn delete-btn remove-saved-search-btn">Remove</button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        
+        this.container.querySelectorAll('.saved-search-item').forEach(item => {
+            item.querySelector('.saved-search-alerts').addEventListener('change', (e) => this.setAlerts(item.dataset.id, e.target.value));
+            item.querySelector('.remove-saved-search-btn').addEventListener('click', () => this.remove(item.dataset.id));
+        });
+    }
+    
+    /**
+     * Change a saved search's alerts and redraw
+     * @param {string} searchId - Saved search id
+     * @param {string} alerts - Alert setting
+     */
+    setAlerts(searchId, alerts) {
+        const result = this.savedSearches.setAlerts(searchId, this.user, alerts);
+        if (!result.ok) {
+            alert(result.message);
+        }
+        
+        this.render();
+    }
+    
+    /**
+     * Delete a saved search and redraw
+     * @param {string} searchId - Saved search id
+     */
+    remove(searchId) {
+        const result = this.savedSearches.removeSearch(searchId, this.user);
+        if (!result.ok) {
+            alert(result.message);
+        }
+        
+        this.render();
+    }
+}
+
+// Create the shared saved search helper
+window.savedSearches = new SavedSearches();
+window.SavedSearches = SavedSearches;
+window.SavedSearchPanel = SavedSearchPanel;
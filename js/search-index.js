@@ -0,0 +1,396 @@
+/**
+ * Search Index Module for Campus BookSwap
+ * Handles full-text search: an inverted index over chosen fields of a
+ * collection, with prefix search, typo-tolerant matching, field weights and
+ * relevance ranking. Used by the browse page, the navbar search and the forum.
+ */
+
+/**
+ * How loosely words are matched. Words of at least fuzzyMinLength letters may
+ * have one typo, and words of at least twoTypoLength letters two. A prefix or
+ * a typo counts for less than the exact word.
+ */
+const BOOKSWAP_SEARCH_SETTINGS = {
+    prefixMinLength: 2,
+    fuzzyMinLength: 4,
+    twoTypoLength: 8,
+    prefixFactor: 0.8,
+    typoFactor: 0.6
+};
+
+/**
+ * Fields indexed for each kind of record and how much a match in each counts.
+ * 'code' fields (ISBNs, course codes) are also indexed as one word with spaces
+ * and dashes taken out, so "CS201" finds "CS 201". 'get' reads a field that
+ * isn't a plain property.
+ */
+const BOOKSWAP_SEARCH_FIELDS = {
+    listings: [
+        { name: 'title', weight: 5 },
+        { name: 'isbn', weight: 5, type: 'code' },
+        { name: 'courseCode', weight: 4, type: 'code' },
+        { name: 'author', weight: 3 },
+        { name: 'publisher', weight: 2 },
+        { name: 'description', weight: 1 }
+    ],
+    forumPosts: [
+        { name: 'title', weight: 5 },
+        { name: 'author', weight: 2, get: post => post.author && post.author.name },
+        { name: 'content', weight: 2 },
+        { name: 'comments', weight: 1, get: post => (post.comments || []).filter(comment => !comment.hidden).map(comment => comment.content).join(' ') }
+    ]
+};
+
+class SearchIndex {
+    /**
+     * @param {Array} fields - Field definitions, e.g. BOOKSWAP_SEARCH_FIELDS.listings
+     * @param {Object} settings - Matching settings
+     */
+    constructor(fields, settings = BOOKSWAP_SEARCH_SETTINGS) {
+        this.fields = fields;
+        this.settings = settings;
+        
+        // word -> Map(record id -> weight of the fields it appears in)
+        this.postings = new Map();
+        
+        // record id -> { words: Map(word -> weight), signature }
+        this.documents = new Map();
+        
+        // search word -> expandTerm() result, kept until a word is added to or
+        // leaves the index. Typing a query repeats its earlier words many times.
+        this.expansions = new Map();
+    }
+    
+    /**
+     * Split text into lowercase words without accents or punctuation
+     * @param {string} text - Text
+     * @returns {Array<string>} Words
+     */
+    tokenize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+    }
+    
+    /**
+     * Reduce an ISBN or course code to one word, e.g. "978-0-262-03384-8" to
+     * "9780262033848". ISBN-10s become ISBN-13s so both forms match.
+     * @param {string} value - Code
+     * @returns {string} Word, or an empty string
+     */
+    compactCode(value) {
+        const compact = this.tokenize(value).join('');
+        if (window.bookCatalog && /^(\d{9}[\dx]|\d{13})$/.test(compact)) {
+            return window.bookCatalog.toIsbn13(compact) || compact;
+        }
+        return compact;
+    }
+    
+    /**
+     * Work out the words a record is found by and how much each counts. A word
+     * counts once per field, for that field's weight.
+     * @param {Object} record - Record
+     * @returns {Map<string, number>} Word -> weight
+     */
+    getWords(record) {
+        const words = new Map();
+        
+        this.fields.forEach(field => {
+            const value = field.get ? field.get(record) : record[field.name];
+            const fieldWords = new Set(this.tokenize(value));
+            if (field.type === 'code' && value) {
+                fieldWords.add(this.compactCode(value));
+            }
+            
+            fieldWords.forEach(word => {
+                if (word) words.set(word, (words.get(word) || 0) + field.weight);
+            });
+        });
+        
+        return words;
+    }
+    
+    /**
+     * Get the text of a record's indexed fields, to tell whether it changed
+     * @param {Object} record - Record
+     * @returns {string} Signature
+     */
+    getSignature(record) {
+        return JSON.stringify(this.fields.map(field => (field.get ? field.get(record) : record[field.name]) || ''));
+    }
+    
+    /**
+     * Add a record to the index, replacing any earlier version of it
+     * @param {Object} record - Record with an id
+     */
+    add(record) {
+        const id = String(record.id);
+        const signature = this.getSignature(record);
+        const existing = this.documents.get(id);
+        if (existing && existing.signature === signature) return;
+        
+        this.remove(id);
+        
+        const words = this.getWords(record);
+        words.forEach((weight, word) => {
+            if (!this.postings.has(word)) {
+                this.postings.set(word, new Map());
+                this.expansions.clear();
+            }
+            this.postings.get(word).set(id, weight);
+        });
+        
+        this.documents.set(id, { words, signature });
+    }
+    
+    /**
+     * Take a record out of the index
+     * @param {string} id - Record id
+     */
+    remove(id) {
+        const entry = this.documents.get(String(id));
+        if (!entry) return;
+        
+        entry.words.forEach((weight, word) => {
+            const posting = this.postings.get(word);
+            posting.delete(String(id));
+            if (posting.size === 0) {
+                this.postings.delete(word);
+                this.expansions.clear();
+            }
+        });
+        
+        this.documents.delete(String(id));
+    }
+    
+    /**
+     * Bring the index in line with a full set of records. Only records that
+     * are new, changed or gone are re-indexed.
+     * @param {Array<Object>} records - Every record that should be searchable
+     */
+    sync(records) {
+        const ids = new Set(records.map(record => String(record.id)));
+        [...this.documents.keys()].filter(id => !ids.has(id)).forEach(id => this.remove(id));
+        records.forEach(record => this.add(record));
+    }
+    
+    /**
+     * Find the indexed words a search word matches: itself, words it is the
+     * start of, and words one or two typos away
+     * @param {string} term - Search word
+     * @returns {Map<string, number>} Indexed word -> how well it matches (0 to 1)
+     */
+    expandTerm(term) {
+        if (this.expansions.has(term)) return this.expansions.get(term);
+        
+        const settings = this.settings;
+        const matches = new Map();
+        const maxTypos = term.length >= settings.twoTypoLength ? 2 : term.length >= settings.fuzzyMinLength ? 1 : 0;
+        
+        if (this.postings.has(term)) {
+            matches.set(term, 1);
+        }
+        
+        this.postings.forEach((posting, word) => {
+            if (word === term) return;
+            
+            let factor = 0;
+            if (term.length >= settings.prefixMinLength && word.startsWith(term)) {
+                factor = settings.prefixFactor;
+            } else if (maxTypos > 0 && Math.abs(word.length - term.length) <= maxTypos) {
+                const typos = this.getEditDistance(term, word, maxTypos);
+                if (typos <= maxTypos) {
+                    factor = Math.pow(settings.typoFactor, typos);
+                }
+            }
+            
+            if (factor > 0) matches.set(word, factor);
+        });
+        
+        this.expansions.set(term, matches);
+        return matches;
+    }
+    
+    /**
+     * Count the typos (inserted, deleted, changed or swapped letters) between two words
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} max - Stop counting above this many
+     * @returns {number} Number of typos, or max + 1 if there are more than max
+     */
+    getEditDistance(a, b, max) {
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (value, j) => j);
+        
+        for (let i = 1; i <= a.length; i++) {
+            const next = [i];
+            let best = i;
+            
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let distance = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+                
+                // Two neighbouring letters swapped count as one typo
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    distance = Math.min(distance, previousRow[j - 2] + 1);
+                }
+                
+                next[j] = distance;
+                best = Math.min(best, distance);
+            }
+            
+            if (best > max) return max + 1;
+            previousRow = row;
+            row = next;
+        }
+        
+        return row[b.length];
+    }
+    
+    /**
+     * Search the index. Every word of the query has to match a record, by
+     * itself, as the start of a word or with a typo. Rarer words and matches
+     * in heavier fields rank higher. A query of several words is also tried
+     * as one word, so "cs 201" finds course code "CS201".
+     * @param {string} query - Search text
+     * @param {Object} options - { limit } to return only the best results
+     * @returns {Array} [{ id, score }], best match first
+     */
+    search(query, options = {}) {
+        const compact = this.compactCode(query);
+        const terms = /^(\d{9}[\dx]|\d{13})$/.test(compact) ? [compact] : [...new Set(this.tokenize(query))];
+        if (terms.length === 0) return [];
+        
+        // Codes can be stored with or without spaces, so a query of several
+        // words also finds the records that match it as one word
+        const scores = this.scoreTerms(terms);
+        if (terms.length > 1) {
+            this.scoreTerms([compact]).forEach((score, id) => {
+                if (score > (scores.get(id) || 0)) scores.set(id, score);
+            });
+        }
+        
+        const results = [...scores].map(([id, score]) => ({ id, score })).sort((a, b) => b.score - a.score);
+        return options.limit ? results.slice(0, options.limit) : results;
+    }
+    
+    /**
+     * Score the records every search word matches
+     * @param {Array<string>} terms - Search words
+     * @returns {Map<string, number>} Record id -> score
+     */
+    scoreTerms(terms) {
+        let scores = null;
+        for (const term of terms) {
+            // The best match for this word in each record
+            const termScores = new Map();
+            this.expandTerm(term).forEach((factor, word) => {
+                const posting = this.postings.get(word);
+                const rarity = Math.log(1 + this.documents.size / posting.size);
+                
+                posting.forEach((weight, id) => {
+                    const score = weight * factor * rarity;
+                    if (score > (termScores.get(id) || 0)) {
+                        termScores.set(id, score);
+                    }
+                });
+            });
+            
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, id) => {
+                    if (termScores.has(id)) combined.set(id, score + termScores.get(id));
+                });
+                scores = combined;
+            }
+            
+            if (scores.size === 0) break;
+        }
+        
+        return scores;
+    }
+}
+
+/**
+ * The shared index of listings and bundles. It is built the first time
+ * something searches and then kept in step with the data store, re-indexing
+ * only the records that change.
+ */
+class ListingSearch {
+    constructor(store = window.dataStore, fields = BOOKSWAP_SEARCH_FIELDS.listings) {
+        this.store = store;
+        this.fields = fields;
+        this.index = null;
+    }
+    
+    /**
+     * Get the index, building it on first use
+     * @returns {SearchIndex} Listing index
+     */
+    getIndex() {
+        if (this.index) return this.index;
+        
+        this.index = new SearchIndex(this.fields);
+        this.index.sync(this.getRecords());
+        
+        this.store.subscribe('listings', change => this.handleChange(change, record => record));
+        this.store.subscribe('bundles', change => this.handleChange(change, bundle => this.toRecord(bundle)));
+        
+        return this.index;
+    }
+    
+    /**
+     * Get every listing and bundle that can be searched
+     * @returns {Array<Object>} Records
+     */
+    getRecords() {
+        const bundles = this.store.getAll('bundles').map(bundle => this.toRecord(bundle));
+        return this.store.getAll('listings').concat(bundles);
+    }
+    
+    /**
+     * Get the searchable form of a bundle: its own title and description, and
+     * the authors and course codes of its books
+     * @param {Object} bundle - Bundle
+     * @returns {Object} Record
+     */
+    toRecord(bundle) {
+        return window.listingBundles ? window.listingBundles.toBrowseItem(bundle) : bundle;
+    }
+    
+    /**
+     * Update the index after a data store change
+     * @param {Object} change - { action, id, record } from DataStore.subscribe
+     * @param {Function} toRecord - Turns a stored record into a searchable one
+     */
+    handleChange(change, toRecord) {
+        if ((change.action === 'create' || change.action === 'update') && change.record) {
+            this.index.add(toRecord(change.record));
+        } else if (change.action === 'remove') {
+            this.index.remove(change.id);
+        } else {
+            // Whole collections replaced or changed in another tab
+            this.index.sync(this.getRecords());
+        }
+    }
+    
+    /**
+     * Search listings and bundles
+     * @param {string} query - Search text
+     * @param {Object} options - { limit }
+     * @returns {Array} [{ id, score }], best match first
+     */
+    search(query, options = {}) {
+        return this.getIndex().search(query, options);
+    }
+}
+
+// Create the shared listing search
+window.listingSearch = new ListingSearch();
+window.SearchIndex = SearchIndex;
+window.ListingSearch = ListingSearch;
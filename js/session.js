@@ -0,0 +1,285 @@
+/**
+ * Session Module for Campus BookSwap
+ * Handles the signed-in session: expiry, idle timeout, sliding renewal and logout across tabs
+ */
+
+class SessionManager {
+    constructor(storageKey = 'bookswap_session') {
+        this.storageKey = storageKey;
+        
+        // Session lengths in milliseconds
+        this.lifetime = 12 * 60 * 60 * 1000;
+        this.idleTimeout = 30 * 60 * 1000;
+        this.rememberedLifetime = 30 * 24 * 60 * 60 * 1000;
+        this.rememberedIdleTimeout = 7 * 24 * 60 * 60 * 1000;
+        
+        // Don't write to storage on every mouse move
+        this.touchInterval = 60 * 1000;
+        this.checkInterval = 30 * 1000;
+        this.lastTouchedAt = 0;
+        
+        this.upgradeLegacySession();
+        this.startMonitoring();
+    }
+    
+    /**
+     * Start a session for a user who just signed in
+     * @param {Object} user - User data
+     * @param {string} authProvider - How the user signed in (email, google, test)
+     * @param {Object} options - { rememberMe: true } for a longer session
+     * @returns {Object} New session
+     */
+    start(user, authProvider, options = {}) {
+        const now = Date.now();
+        const rememberMe = !!options.rememberMe;
+        
+        const session = {
+            token: this.generateToken(),
+            user: user,
+            authProvider: authProvider,
+            rememberMe: rememberMe,
+            issuedAt: new Date(now).toISOString(),
+            lastActivityAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.getLifetime(rememberMe)).toISOString()
+        };
+        
+        this.saveSession(session);
+        return session;
+    }
+    
+    /**
+     * Get the current session if it is still valid.
+     * Expired or idle sessions are ended here.
+     * @returns {Object|null} Session or null if not signed in
+     */
+    getSession() {
+        const session = this.readSession();
+        if (!session) return null;
+        
+        const reason = this.getExpiryReason(session);
+        if (reason) {
+            this.end(reason);
+            return null;
+        }
+        
+        return session;
+    }
+    
+    /**
+     * Get the signed-in user
+     * @returns {Object|null} User data or null if not signed in
+     */
+    getCurrentUser() {
+        const session = this.getSession();
+        return session ? session.user : null;
+    }
+    
+    /**
+     * Get the key a user's records are stored under: their id, or their email
+     * for accounts without one
+     * @param {Object} user - User data (the signed-in user by default)
+     * @returns {string|null} Owner key or null if there is no user
+     */
+    getUserKey(user = this.getCurrentUser()) {
+        return user ? String(user.id || user.email) : null;
+    }
+    
+    /**
+     * Get how the current user signed in
+     * @returns {string|null} Authentication provider or null if not signed in
+     */
+    getAuthProvider() {
+        const session = this.getSession();
+        return session ? session.authProvider : null;
+    }
+    
+    /**
+     * Check whether a user is signed in
+     * @returns {boolean} True if there is a valid session
+     */
+    isLoggedIn() {
+        return this.getSession() !== null;
+    }
+    
+    /**
+     * Replace the user data stored in the session (e.g. after a profile edit)
+     * @param {Object} user - Updated user data
+     */
+    updateUser(user) {
+        const session = this.getSession();
+        if (!session) return;
+        
+        session.user = user;
+        this.saveSession(session);
+    }
+    
+    /**
+     * Record activity and slide the expiry forward
+     */
+    touch() {
+        const now = Date.now();
+        if (now - this.lastTouchedAt < this.touchInterval) return;
+        this.lastTouchedAt = now;
+        
+        const session = this.getSession();
+        if (!session) return;
+        
+        session.lastActivityAt = new Date(now).toISOString();
+        session.expiresAt = new Date(now + this.getLifetime(session.rememberMe)).toISOString();
+        this.saveSession(session);
+    }
+    
+    /**
+     * End the session in this tab and, through the storage event, in every other tab
+     * @param {string} reason - logout, expired, idle or suspended
+     */
+    end(reason = 'logout') {
+        if (!this.readSession()) return;
+        
+        localStorage.removeItem(this.storageKey);
+        document.dispatchEvent(new CustomEvent('bookswap:sessionended', { detail: { reason } }));
+    }
+    
+    /**
+     * Work out whether a session has run out
+     * @param {Object} session - Session
+     * @returns {string|null} 'expired', 'idle', 'suspended' or null if still valid
+     */
+    getExpiryReason(session) {
+        const now = Date.now();
+        
+        // A moderator suspended the account while it was signed in
+        const profile = window.dataStore && session.user ? window.dataStore.getById('users', session.user.id) : null;
+        if (profile && profile.suspended === true) {
+            return 'suspended';
+        }
+        
+        if (now >= new Date(session.expiresAt).getTime()) {
+            return 'expired';
+        }
+        
+        const idleTimeout = session.rememberMe ? this.rememberedIdleTimeout : this.idleTimeout;
+        if (now - new Date(session.lastActivityAt).getTime() >= idleTimeout) {
+            return 'idle';
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Watch for activity, expiry and sessions ending in other tabs
+     */
+    startMonitoring() {
+        ['click', 'keydown', 'scroll', 'mousemove', 'touchstart'].forEach(eventName => {
+            document.addEventListener(eventName, () => this.touch(), { passive: true });
+        });
+        
+        setInterval(() => this.getSession(), this.checkInterval);
+        
+        // Another tab logged out, logged in as someone else, or let the session expire
+        window.addEventListener('storage', (event) => {
+            if (event.key !== this.storageKey && event.key !== null) return;
+            
+            const oldSession = this.parse(event.oldValue);
+            const newSession = this.readSession();
+            
+            if (oldSession && !newSession) {
+                this.handleSessionEnded('logout');
+            } else if (newSession && (!oldSession || oldSession.token !== newSession.token)) {
+                window.location.reload();
+            }
+        });
+        
+        // An explicit logout in this tab does its own redirect
+        document.addEventListener('bookswap:sessionended', (event) => {
+            if (event.detail.reason !== 'logout') {
+                this.handleSessionEnded(event.detail.reason);
+            }
+        });
+    }
+    
+    /**
+     * Leave pages that need a signed-in user once the session is gone
+     * @param {string} reason - logout, expired, idle or suspended
+     */
+    handleSessionEnded(reason) {
+        const page = window.location.pathname.split('/').pop() || 'index.html';
+        if (page === 'login.html') return;
+        
+        if (page === 'dashboard.html' || page === 'sell.html' || page === 'admin.html') {
+            window.location.href = `login.html?session=${reason}`;
+        } else {
+            window.location.reload();
+        }
+    }
+    
+    /**
+     * Turn a pre-session login (currentUser/authProvider keys) into a session
+     * so people who were already signed in aren't logged out by the upgrade
+     */
+    upgradeLegacySession() {
+        const legacyUser = this.parse(localStorage.getItem('currentUser'));
+        
+        if (legacyUser && !this.readSession()) {
+            this.start(legacyUser, localStorage.getItem('authProvider') || 'email', {
+                rememberMe: localStorage.getItem('rememberMe') === 'true'
+            });
+        }
+        
+        localStorage.removeItem('currentUser');
+        localStorage.removeItem('authProvider');
+    }
+    
+    /**
+     * Get how long a session lasts without activity renewing it
+     * @param {boolean} rememberMe - Whether "Remember me" was checked
+     * @returns {number} Milliseconds
+     */
+    getLifetime(rememberMe) {
+        return rememberMe ? this.rememberedLifetime : this.lifetime;
+    }
+    
+    /**
+     * Read the stored session without checking expiry
+     * @returns {Object|null} Session or null
+     */
+    readSession() {
+        return this.parse(localStorage.getItem(this.storageKey));
+    }
+    
+    /**
+     * Store a session
+     * @param {Object} session - Session
+     */
+    saveSession(session) {
+        localStorage.setItem(this.storageKey, JSON.stringify(session));
+    }
+    
+    /**
+     * Parse stored JSON
+     * @param {string|null} json - Stored value
+     * @returns {Object|null} Parsed value or null if missing/unreadable
+     */
+    parse(json) {
+        if (!json) return null;
+        
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            console.error('Error parsing session:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Generate a random session token
+     * @returns {string} Hex token
+     */
+    generateToken() {
+        const bytes = crypto.getRandomValues(new Uint8Array(32));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// Create the shared session manager as soon as the script loads so other modules can use it
+window.sessionManager = new SessionManager();
@@ -25,26 +25,24 @@ class SustainabilityDashboard {
     }
     
     /**
-     * Get current user from localStorage
+     * Get current user from the session
      */
     getCurrentUser() {
-        const userJson = localStorage.getItem('currentUser');
-        return userJson ? JSON.parse(userJson) : null;
+        return window.sessionManager.getCurrentUser();
     }
     
     /**
-     * Load sustainability metrics from localStorage
+     * Load sustainability metrics from the data store
      */
     loadMetricsFromStorage() {
-        const metricsJson = localStorage.getItem('bookswap_sustainability_metrics');
-        return metricsJson ? JSON.parse(metricsJson) : null;
+        return window.dataStore.getDocument('sustainabilityMetrics');
     }
     
     /**
-     * Save sustainability metrics to localStorage
+     * Save sustainability metrics to the data store
      */
     saveMetricsToStorage() {
-        localStorage.setItem('bookswap_sustainability_metrics', JSON.stringify(this.metrics));
+        window.dataStore.setDocument('sustainabilityMetrics', this.metrics);
     }
     
     /**
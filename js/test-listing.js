@@ -5,7 +5,7 @@
 
 function createTestBookListing() {
     // Check if user is logged in
-    const currentUser = JSON.parse(localStorage.getItem('currentUser'));
+    const currentUser = window.sessionManager.getCurrentUser();
     
     if (!currentUser) {
         console.error('No user logged in. Please log in first.');
@@ -22,26 +22,20 @@ function createTestBookListing() {
         userName: currentUser.name,
         title: 'Test Book: JavaScript Fundamentals',
         author: 'Jane Developer',
-        'course-code': 'CS202',
+        courseCode: 'CS202',
         department: 'computer-science',
         condition: 'Like New',
         format: 'Hardcover',
         price: '29.99',
         description: 'A comprehensive guide to JavaScript programming. Perfect for beginners and intermediate developers.',
-        'listing-type': 'sale',
+        listingType: 'sale',
         imageUrl: 'https://via.placeholder.com/300x180?text=JavaScript+Fundamentals',
         dateAdded: new Date().toISOString(),
         status: 'active'
     };
     
-    // Get existing listings from localStorage
-    const existingListings = JSON.parse(localStorage.getItem('bookListings')) || [];
-    
-    // Add the new listing
-    existingListings.push(testListing);
-    
-    // Save back to localStorage
-    localStorage.setItem('bookListings', JSON.stringify(existingListings));
+    // Save the listing through the data store
+    window.dataStore.create('listings', testListing);
     
     console.log('Test book listing created successfully:', testListing);
     console.log('Refresh the page to see the new listing.');
@@ -9,12 +9,13 @@ function createTestUser() {
         id: 'test-user-' + Date.now(),
         name: 'Test User',
         email: 'testuser@example.com',
-        profilePicture: 'https://via.placeholder.com/150?text=Test+User'
+        profilePicture: 'https://via.placeholder.com/150?text=Test+User',
+        // Test accounts skip email verification so they can list books straight away
+        emailVerified: true
     };
     
-    // Save to localStorage
-    localStorage.setItem('currentUser', JSON.stringify(testUser));
-    localStorage.setItem('authProvider', 'test');
+    // Start a session for the test user
+    window.sessionManager.start(testUser, 'test');
     
     // Also save the user ID and email for persistence between logins
     localStorage.setItem('lastLoggedInUser', JSON.stringify({
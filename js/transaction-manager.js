@@ -11,26 +11,24 @@ class TransactionManager {
     }
 
     /**
-     * Get current user from localStorage
+     * Get current user from the session
      */
     getCurrentUser() {
-        const userJson = localStorage.getItem('currentUser');
-        return userJson ? JSON.parse(userJson) : null;
+        return window.sessionManager.getCurrentUser();
     }
 
     /**
-     * Load transactions from localStorage
+     * Load transactions from the data store
      */
     loadTransactions() {
-        const transactionsJson = localStorage.getItem('bookswap_transactions');
-        return transactionsJson ? JSON.parse(transactionsJson) : [];
+        return window.dataStore.getAll('transactions');
     }
 
     /**
-     * Save transactions to localStorage
+     * Save transactions to the data store
      */
     saveTransactions() {
-        localStorage.setItem('bookswap_transactions', JSON.stringify(this.transactions));
+        window.dataStore.replaceAll('transactions', this.transactions);
     }
 
     /**
@@ -133,7 +131,7 @@ class TransactionManager {
      */
     addTransaction(transaction) {
         this.transactions.unshift(transaction); // Add to beginning for newest first
-        this.saveTransactions();
+        window.dataStore.create('transactions', transaction, { prepend: true });
     }
 
     /**
@@ -203,6 +201,7 @@ class TransactionManager {
                         <th>With</th>
                         <th>Amount</th>
                         <th>Status</th>
+                        <th></th>
                     </tr>
                 </thead>
                 <tbody>
@@ -211,7 +210,7 @@ class TransactionManager {
         if (transactions.length === 0) {
             tableHTML += `
                 <tr>
-                    <td colspan="6" class="empty-transactions">
+                    <td colspan="7" class="empty-transactions">
                         <div class="empty-state">
                             <i class="fas fa-receipt"></i>
                             <h3>No Transactions Yet</h3>
@@ -236,6 +235,7 @@ class TransactionManager {
                         <td>${otherParty}</td>
                         <td>${amount}</td>
                         <td><span class="transaction-status status-${transaction.status.toLowerCase().replace(' ', '-')}">${transaction.status}</span></td>
+                        <td class="transaction-actions">${this.getActionButtonsHTML(transaction)}</td>
                     </tr>
                 `;
             });
@@ -250,6 +250,99 @@ class TransactionManager {
 
         // Add filter event listeners
         this.setupTransactionFilters();
+        this.setupTransactionActions(transactionsTab);
+    }
+
+    /**
+     * Get the cancel/delete buttons the current user may use on a transaction
+     * @param {Object} transaction - Transaction
+     * @returns {string} Buttons HTML
+     */
+    getActionButtonsHTML(transaction) {
+        let html = '';
+
+        if (this.canCancel(transaction)) {
+            html += `<button class="transaction-action-btn" data-action="cancel" data-id="${transaction.id}">Cancel</button>`;
+        }
+
+        if (window.permissions.can('transactions.delete')) {
+            html += `<button class="transaction-action-btn moderator-action" data-action="delete" data-id="${transaction.id}" title="Delete as admin"><i class="far fa-trash-alt"></i></button>`;
+        }
+
+        return html;
+    }
+
+    /**
+     * Set up the cancel/delete buttons in the transactions table
+     * @param {HTMLElement} container - Element containing the buttons
+     */
+    setupTransactionActions(container) {
+        container.querySelectorAll('.transaction-action-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const changed = button.dataset.action === 'cancel'
+                    ? this.cancelTransaction(button.dataset.id)
+                    : this.deleteTransaction(button.dataset.id);
+
+                if (changed) {
+                    this.renderTransactionsTable();
+                }
+            });
+        });
+    }
+
+    /**
+     * Check whether the current user may cancel a transaction. Either party can
+     * cancel one that hasn't completed; moderators and admins can cancel any.
+     * @param {Object} transaction - Transaction
+     * @returns {boolean} True if allowed
+     */
+    canCancel(transaction) {
+        if (transaction.status === 'Cancelled') return false;
+
+        if (window.permissions.can('transactions.cancel')) return true;
+
+        const isParty = window.permissions.can('transactions.cancel', transaction.sellerId) ||
+            window.permissions.can('transactions.cancel', transaction.buyerId);
+        return isParty && transaction.status !== 'Completed';
+    }
+
+    /**
+     * Cancel a transaction
+     * @param {string} transactionId - Transaction id
+     * @returns {boolean} True if the transaction was cancelled
+     */
+    cancelTransaction(transactionId) {
+        const transaction = this.transactions.find(t => t.id === transactionId);
+        if (!transaction) return false;
+
+        if (!this.canCancel(transaction)) {
+            alert('You don\'t have permission to cancel this transaction.');
+            return false;
+        }
+
+        if (!confirm(`Cancel the transaction for "${transaction.bookTitle}"?`)) return false;
+
+        transaction.status = 'Cancelled';
+        window.dataStore.update('transactions', transactionId, { status: 'Cancelled', cancelledAt: new Date().toISOString() });
+        return true;
+    }
+
+    /**
+     * Delete a transaction record (admins only)
+     * @param {string} transactionId - Transaction id
+     * @returns {boolean} True if the transaction was deleted
+     */
+    deleteTransaction(transactionId) {
+        const transaction = this.transactions.find(t => t.id === transactionId);
+        if (!transaction) return false;
+
+        if (!window.permissions.enforce('transactions.delete')) return false;
+
+        if (!confirm(`Permanently delete the transaction for "${transaction.bookTitle}"?`)) return false;
+
+        this.transactions = this.transactions.filter(t => t.id !== transactionId);
+        window.dataStore.remove('transactions', transactionId);
+        return true;
     }
 
     /**
@@ -286,7 +379,7 @@ class TransactionManager {
         if (transactions.length === 0) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="6" class="empty-transactions">
+                    <td colspan="7" class="empty-transactions">
                         <div class="empty-state">
                             <i class="fas fa-receipt"></i>
                             <h3>No ${filter === 'all' ? '' : filter.charAt(0).toUpperCase() + filter.slice(1)} Transactions</h3>
@@ -314,9 +407,12 @@ class TransactionManager {
                 <td>${otherParty}</td>
                 <td>${amount}</td>
                 <td><span class="transaction-status status-${transaction.status.toLowerCase().replace(' ', '-')}">${transaction.status}</span></td>
+                <td class="transaction-actions">${this.getActionButtonsHTML(transaction)}</td>
             `;
             tbody.appendChild(row);
         });
+
+        this.setupTransactionActions(tbody);
     }
 
     /**
@@ -364,7 +460,9 @@ class TransactionManager {
 
 // Initialize transaction manager when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    window.transactionManager = new TransactionManager();
+    window.dataStore.ready.then(() => {
+        window.transactionManager = new TransactionManager();
+    });
 });
 
 // Export for use in other modules
@@ -0,0 +1,163 @@
+/**
+ * University Registry Module for Campus BookSwap
+ * Handles the list of supported institutions: email domains, display names,
+ * campus coordinates, currency and default book exchange points
+ */
+
+// Rules used when data/universities.json can't be fetched (e.g. the site is opened from file://)
+const BOOKSWAP_REGISTRY_FALLBACK = {
+    defaultUniversity: null,
+    academicSuffixes: ['.edu', '.ac.in', '.ac.uk', '.edu.au'],
+    personalDomains: [
+        'gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com',
+        'aol.com', 'icloud.com', 'mail.com', 'protonmail.com'
+    ],
+    universities: []
+};
+
+class UniversityRegistry {
+    constructor(url = 'data/universities.json') {
+        this.url = url;
+        this.config = BOOKSWAP_REGISTRY_FALLBACK;
+        this.loaded = false;
+        this.ready = this.load();
+    }
+    
+    /**
+     * Fetch the registry file
+     * @returns {Promise<UniversityRegistry>} Resolves once the registry is usable, even if the fetch failed
+     */
+    async load() {
+        try {
+            const response = await fetch(this.url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const config = await response.json();
+            this.config = {
+                ...BOOKSWAP_REGISTRY_FALLBACK,
+                ...config,
+                universities: Array.isArray(config.universities) ? config.universities : []
+            };
+            this.loaded = true;
+        } catch (error) {
+            console.warn('Could not load university registry, using built-in email rules:', error.message);
+        }
+        
+        return this;
+    }
+    
+    /**
+     * Get all registered universities
+     * @returns {Array} Universities
+     */
+    getUniversities() {
+        return this.config.universities;
+    }
+    
+    /**
+     * Get a university by id
+     * @param {string} id - University id (e.g. 'vit')
+     * @returns {Object|null} University or null if not registered
+     */
+    getUniversity(id) {
+        return this.config.universities.find(university => university.id === id) || null;
+    }
+    
+    /**
+     * Get the university used when the user's own campus isn't known
+     * @returns {Object|null} Default university
+     */
+    getDefaultUniversity() {
+        return this.getUniversity(this.config.defaultUniversity) || this.config.universities[0] || null;
+    }
+    
+    /**
+     * Get the domain part of an email address
+     * @param {string} email - Email address
+     * @returns {string} Lower-case domain, or an empty string
+     */
+    getDomain(email) {
+        if (!email || !email.includes('@')) return '';
+        return (email.split('@')[1] || '').trim().toLowerCase();
+    }
+    
+    /**
+     * Find the university an email domain belongs to. Department subdomains
+     * (e.g. cs.mit.edu) match their parent domain.
+     * @param {string} domain - Email domain
+     * @returns {Object|null} University or null if not registered
+     */
+    findByDomain(domain) {
+        if (!domain) return null;
+        
+        return this.config.universities.find(university =>
+            (university.domains || []).some(known => domain === known || domain.endsWith('.' + known))
+        ) || null;
+    }
+    
+    /**
+     * Find the university an email address belongs to
+     * @param {string} email - Email address
+     * @returns {Object|null} University or null if not registered
+     */
+    findByEmail(email) {
+        return this.findByDomain(this.getDomain(email));
+    }
+    
+    /**
+     * Check if an email belongs to a registered university or an academic domain
+     * @param {string} email - Email to check
+     * @returns {boolean} True if university email
+     */
+    isUniversityEmail(email) {
+        const domain = this.getDomain(email);
+        if (!domain) return false;
+        
+        // Personal email providers are never accepted
+        if (this.config.personalDomains.includes(domain)) return false;
+        
+        if (this.findByDomain(domain)) return true;
+        
+        return this.config.academicSuffixes.some(suffix => domain.endsWith(suffix));
+    }
+    
+    /**
+     * Get the display name of the university an email belongs to
+     * @param {string} email - User email
+     * @returns {string} University name, or an empty string if it can't be worked out
+     */
+    getUniversityName(email) {
+        const university = this.findByEmail(email);
+        if (university) return university.name;
+        
+        const domain = this.getDomain(email);
+        const universityPart = domain.split('.')[0];
+        
+        // e.g. 'harvard.edu' -> 'Harvard University'
+        if (domain.endsWith('.edu')) {
+            return universityPart.charAt(0).toUpperCase() + universityPart.slice(1) + ' University';
+        }
+        
+        // Indian academic institutions usually go by their initials
+        if (domain.endsWith('.ac.in')) {
+            return universityPart.toUpperCase();
+        }
+        
+        return '';
+    }
+    
+    /**
+     * Get the signed-in user's university, falling back to the default campus
+     * @returns {Object|null} University
+     */
+    getCurrentUniversity() {
+        const user = window.sessionManager ? window.sessionManager.getCurrentUser() : null;
+        return (user && this.findByEmail(user.email)) || this.getDefaultUniversity();
+    }
+}
+
+// Create the shared registry as soon as the script loads so other modules can wait on it
+window.universityRegistry = new UniversityRegistry();
+window.UniversityRegistry = UniversityRegistry;
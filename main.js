@@ -10,19 +10,20 @@ document.addEventListener('DOMContentLoaded', () => {
     // Check if user is logged in
     checkAuthStatus();
     
+    // Tell the user when browser storage runs out
+    watchStorageQuota();
+    
     // Load external scripts
     loadExternalScripts();
 });
 
 // Authentication Status Check
 function checkAuthStatus() {
-    // This would normally check with a backend service
-    // For demo purposes, we'll check localStorage
-    const user = localStorage.getItem('currentUser');
+    // Only a valid, unexpired session counts as logged in
+    const userData = window.sessionManager.getCurrentUser();
     
-    if (user) {
+    if (userData) {
         // User is logged in
-        const userData = JSON.parse(user);
         updateUIForLoggedInUser(userData);
     } else {
         // User is not logged in
@@ -30,6 +31,19 @@ function checkAuthStatus() {
     }
 }
 
+// Storage Quota Warning
+function watchStorageQuota() {
+    let warned = false;
+    
+    document.addEventListener('bookswap:storagefull', () => {
+        // One warning per page is enough; several writes can fail together
+        if (warned) return;
+        warned = true;
+        
+        alert('Your browser storage is full, so your latest changes could not be saved. Try a smaller photo or delete some old listings to free up space.');
+    });
+}
+
 function updateUIForLoggedInUser(userData) {
     const loginBtn = document.querySelector('.login-btn');
     if (loginBtn) {
@@ -76,11 +90,62 @@ function initializeSearchBar() {
         const searchInput = searchForm.querySelector('input').value.trim();
         
         if (searchInput) {
-            // In a real app, this would query the backend
-            // For demo, we'll redirect to search results page with query parameter
+            // The browse page shows the full results for the query parameter
             window.location.href = `browse.html?search=${encodeURIComponent(searchInput)}`;
         }
     });
+    
+    // Suggest the best matches from the search index while the user types
+    if (!window.listingSearch) return;
+    
+    const input = searchForm.querySelector('input');
+    const suggestions = document.createElement('ul');
+    suggestions.className = 'search-suggestions';
+    suggestions.hidden = true;
+    searchForm.appendChild(suggestions);
+    
+    let suggestionTimer;
+    input.addEventListener('input', () => {
+        clearTimeout(suggestionTimer);
+        suggestionTimer = setTimeout(() => {
+            window.dataStore.ready.then(() => showSearchSuggestions(input.value.trim(), suggestions));
+        }, 200);
+    });
+    
+    document.addEventListener('click', (e) => {
+        if (!searchForm.contains(e.target)) {
+            suggestions.hidden = true;
+        }
+    });
+}
+
+/**
+ * Show the listings that best match what has been typed in the navbar search
+ * @param {string} query - Search text
+ * @param {HTMLElement} list - Suggestions list under the search box
+ */
+function showSearchSuggestions(query, list) {
+    const escapeHtml = text => {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML.replace(/"/g, '&quot;');
+    };
+    
+    // Only listings buyers can see now are suggested; bundles are on the browse page
+    const listings = query ? window.listingSearch.search(query)
+        .map(result => window.dataStore.getById('listings', result.id))
+        .filter(listing => listing && listing.status === 'active' && !listing.hidden)
+        .slice(0, 5) : [];
+    
+    list.innerHTML = listings.map(listing => `
+        <li>
+            <a href="book-details.html?id=${encodeURIComponent(listing.id)}">
+                ${escapeHtml(listing.title)}
+                <small>${escapeHtml([listing.author, listing.courseCode].filter(Boolean).join(' · '))}</small>
+            </a>
+        </li>
+    `).join('') + (query ? `<li><a href="browse.html?search=${encodeURIComponent(query)}" class="search-all">See all results for "${escapeHtml(query)}"</a></li>` : '');
+    list.hidden = !query;
 }
 
 // Book Filtering System
@@ -172,41 +237,142 @@ function initializeFormValidation() {
 }
 
 function initializeListingForm(form) {
-    // Handle image preview
-    const imageInput = form.querySelector('#book-image');
-    const imagePreview = form.querySelector('.image-preview');
-    
-    if (imageInput && imagePreview) {
-        imageInput.addEventListener('change', () => {
-            const file = imageInput.files[0];
-            if (file) {
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    imagePreview.innerHTML = `<img src="${e.target.result}" alt="Book Cover Preview">`;
-                };
-                reader.readAsDataURL(file);
-            }
-        });
-    }
+    // Photo previews are handled by ListingPhotoPicker (js/listing-photos.js)
     
     // ISBN lookup functionality
     const isbnInput = form.querySelector('#isbn');
     const lookupBtn = form.querySelector('.isbn-lookup');
     
-    if (isbnInput && lookupBtn) {
-        lookupBtn.addEventListener('click', () => {
+    if (isbnInput && lookupBtn && window.bookCatalog) {
+        // Reject ISBNs with a wrong check digit before the form is submitted
+        isbnInput.addEventListener('input', () => {
+            const isbn = isbnInput.value.trim();
+            isbnInput.setCustomValidity(isbn && !window.bookCatalog.isValid(isbn) ? 'Please enter a valid ISBN-10 or ISBN-13' : '');
+        });
+        
+        lookupBtn.addEventListener('click', async () => {
             const isbn = isbnInput.value.trim();
-            if (isbn) {
-                // In a real app, this would query a book API
-                console.log('Looking up ISBN:', isbn);
-                // Simulate a successful lookup
-                setTimeout(() => {
-                    form.querySelector('#title').value = 'Sample Book Title';
-                    form.querySelector('#author').value = 'Sample Author';
-                    alert('Book information retrieved successfully!');
-                }, 1000);
+            if (!isbn) {
+                alert('Please enter a valid ISBN');
+                return;
             }
+            
+            lookupBtn.textContent = 'Loading...';
+            lookupBtn.disabled = true;
+            
+            const result = await window.bookCatalog.lookup(isbn);
+            
+            lookupBtn.textContent = 'Look Up';
+            lookupBtn.disabled = false;
+            
+            if (!result.ok) {
+                alert(result.message);
+                return;
+            }
+            
+            fillListingFormFromCatalog(form, result.book);
+            showPriceSuggestion(form);
+        });
+    }
+    
+    // Suggested price from similar books on BookSwap
+    if (window.listingPricing) {
+        let suggestionTimer;
+        ['#isbn', '#title', '#edition', '#condition'].forEach(selector => {
+            const field = form.querySelector(selector);
+            if (!field) return;
+            
+            ['input', 'change'].forEach(type => field.addEventListener(type, () => {
+                clearTimeout(suggestionTimer);
+                suggestionTimer = setTimeout(() => showPriceSuggestion(form), 300);
+            }));
         });
+        
+        window.dataStore.ready.then(() => showPriceSuggestion(form));
+    }
+}
+
+/**
+ * Show the suggested price range for the book in the listing form
+ * @param {HTMLFormElement} form - Listing form
+ */
+function showPriceSuggestion(form) {
+    const element = form.querySelector('.price-suggestion');
+    if (!element || !window.listingPricing) return;
+    
+    const value = selector => (form.querySelector(selector) || {}).value || '';
+    const suggestion = window.listingPricing.suggest({
+        isbn: value('#isbn'),
+        title: value('#title'),
+        edition: value('#edition'),
+        condition: value('#condition')
+    }, { excludeListingId: new URLSearchParams(window.location.search).get('edit') });
+    
+    if (!suggestion) {
+        element.hidden = true;
+        return;
+    }
+    
+    const counts = [
+        suggestion.sales > 0 ? `${suggestion.sales} ${suggestion.sales === 1 ? 'sale' : 'sales'}` : '',
+        suggestion.listings > 0 ? `${suggestion.listings} ${suggestion.listings === 1 ? 'listing' : 'listings'}` : ''
+    ].filter(Boolean).join(' and ');
+    
+    element.innerHTML = `
+        <i class="fas fa-tags"></i> Suggested: <strong>$${suggestion.low}&ndash;$${suggestion.high}</strong>
+        (based on ${counts} of this ${suggestion.basis === 'isbn' ? 'ISBN' : 'title'})
+        <button type="button" class="use-suggested-price">Use $${suggestion.suggested}</button>
+    `;
+    element.hidden = false;
+    
+    element.querySelector('.use-suggested-price').addEventListener('click', () => {
+        form.querySelector('#price').value = suggestion.suggested;
+    });
+}
+
+/**
+ * Fill the listing form with book details from the catalog
+ * @param {HTMLFormElement} form - Listing form
+ * @param {Object} book - Catalog entry
+ */
+function fillListingFormFromCatalog(form, book) {
+    const setValue = (selector, value) => {
+        const field = form.querySelector(selector);
+        if (field && value) {
+            field.value = value;
+        }
+    };
+    
+    setValue('#isbn', book.isbn13);
+    setValue('#title', book.title);
+    setValue('#author', book.authors.join(', '));
+    setValue('#edition', book.edition);
+    setValue('#publisher', book.publisher);
+    
+    // Only pick a department the form offers
+    const department = form.querySelector('#department');
+    if (department && book.department && Array.from(department.options).some(option => option.value === book.department)) {
+        department.value = book.department;
+    }
+    
+    // The cover is used as the listing photo unless the seller uploads their own
+    const coverInput = form.querySelector('#cover-url');
+    const imagePreview = form.querySelector('.image-preview');
+    if (coverInput) {
+        coverInput.value = book.coverUrl || '';
+    }
+    if (imagePreview && book.coverUrl && !imagePreview.querySelector('img:not(.catalog-cover)')) {
+        // Catalog data comes from uploaded files or Open Library, so it isn't put into HTML
+        const cover = document.createElement('img');
+        cover.src = book.coverUrl;
+        cover.alt = `Cover of ${book.title}`;
+        cover.className = 'catalog-cover';
+        imagePreview.replaceChildren(cover);
+    }
+    
+    const isbnInput = form.querySelector('#isbn');
+    if (isbnInput) {
+        isbnInput.setCustomValidity('');
     }
 }
 
@@ -217,8 +383,8 @@ function initializeRegistrationForm(form) {
     if (emailInput) {
         emailInput.addEventListener('blur', () => {
             const email = emailInput.value.trim();
-            if (email && !email.endsWith('.edu')) {
-                emailInput.setCustomValidity('Please use a university email (.edu)');
+            if (email && window.universityRegistry && !window.universityRegistry.isUniversityEmail(email)) {
+                emailInput.setCustomValidity('Please use your university email address');
             } else {
                 emailInput.setCustomValidity('');
             }
@@ -300,20 +466,18 @@ function createBookCard(book) {
 }
 
 // Messaging System (for a real implementation, this would use WebSockets)
+// Direct threads share the "conversations" collection with book inquiries
 class MessagingSystem {
     constructor() {
-        this.messages = JSON.parse(localStorage.getItem('messages')) || {};
-        this.currentUser = JSON.parse(localStorage.getItem('currentUser'));
+        this.currentUser = window.sessionManager.getCurrentUser();
     }
     
     sendMessage(recipientId, messageText) {
         if (!this.currentUser) return false;
         
-        const messageId = Date.now();
         const message = {
-            id: messageId,
+            id: Date.now().toString(),
             senderId: this.currentUser.id,
-            recipientId: recipientId,
             text: messageText,
             timestamp: new Date().toISOString(),
             read: false
@@ -321,12 +485,23 @@ class MessagingSystem {
         
         // Add to conversation
         const conversationId = this.getConversationId(this.currentUser.id, recipientId);
-        if (!this.messages[conversationId]) {
-            this.messages[conversationId] = [];
-        }
+        const conversation = window.dataStore.getById('conversations', conversationId);
         
-        this.messages[conversationId].push(message);
-        this.saveMessages();
+        if (conversation) {
+            conversation.messages.push(message);
+            window.dataStore.update('conversations', conversationId, { messages: conversation.messages });
+        } else {
+            window.dataStore.create('conversations', {
+                id: conversationId,
+                participants: [
+                    { id: this.currentUser.id, name: this.currentUser.name },
+                    { id: recipientId, name: `User ${recipientId}` }
+                ],
+                bookId: null,
+                bookTitle: '',
+                messages: [message]
+            });
+        }
         
         return true;
     }
@@ -334,40 +509,37 @@ class MessagingSystem {
     getConversations() {
         if (!this.currentUser) return [];
         
-        const conversations = [];
-        
-        for (const conversationId in this.messages) {
-            if (conversationId.includes(this.currentUser.id)) {
-                const otherUserId = conversationId.replace(this.currentUser.id, '').replace('-', '');
-                const lastMessage = this.messages[conversationId][this.messages[conversationId].length - 1];
+        return window.dataStore
+            .find('conversations', c => c.participants.some(p => p.id === this.currentUser.id) && c.messages.length > 0)
+            .map(conversation => {
+                const otherUser = conversation.participants.find(p => p.id !== this.currentUser.id) || {};
                 
-                conversations.push({
-                    id: conversationId,
-                    otherUserId: otherUserId,
-                    lastMessage: lastMessage
-                });
-            }
-        }
-        
-        return conversations;
+                return {
+                    id: conversation.id,
+                    otherUserId: otherUser.id,
+                    lastMessage: conversation.messages[conversation.messages.length - 1]
+                };
+            });
     }
     
     getMessages(otherUserId) {
         if (!this.currentUser) return [];
         
         const conversationId = this.getConversationId(this.currentUser.id, otherUserId);
-        return this.messages[conversationId] || [];
+        const conversation = window.dataStore.getById('conversations', conversationId);
+        return conversation ? conversation.messages : [];
     }
     
     markAsRead(conversationId) {
-        if (this.messages[conversationId]) {
-            this.messages[conversationId].forEach(message => {
-                if (message.recipientId === this.currentUser.id) {
+        const conversation = window.dataStore.getById('conversations', conversationId);
+        if (conversation) {
+            conversation.messages.forEach(message => {
+                if (message.senderId !== this.currentUser.id) {
                     message.read = true;
                 }
             });
             
-            this.saveMessages();
+            window.dataStore.update('conversations', conversationId, { messages: conversation.messages });
         }
     }
     
@@ -375,10 +547,6 @@ class MessagingSystem {
         // Create a consistent conversation ID regardless of who initiated
         return [userId1, userId2].sort().join('-');
     }
-    
-    saveMessages() {
-        localStorage.setItem('messages', JSON.stringify(this.messages));
-    }
 }
 
 // Initialize messaging if on message page
@@ -0,0 +1,559 @@
+/**
+ * Backend Server for Campus BookSwap
+ * Serves the site and a small REST API backed by JSON files on disk,
+ * so listings and messages are shared between every browser that uses it.
+ *
+ * Usage: node server/server.js   (PORT and BOOKSWAP_DATA_DIR can be set in the environment)
+ *        node server/server.js set-role <email> <role>
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DATA_DIR = path.resolve(process.env.BOOKSWAP_DATA_DIR || path.join(__dirname, 'data'));
+const MAX_JSON_BYTES = 1024 * 1024;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Collections exposed under /api/<name>.
+ * Names match the front end's BOOKSWAP_COLLECTIONS.
+ */
+const COLLECTIONS = {
+    listings: { type: 'list', required: ['title', 'userId'] },
+    bundles: { type: 'list', required: ['userId', 'listingIds'] },
+    wishlist: { type: 'list', required: ['userId', 'kind', 'query'] },
+    savedSearches: { type: 'list', required: ['userId', 'name', 'query'] },
+    users: { type: 'list', required: ['email'] },
+    conversations: { type: 'list' },
+    transactions: { type: 'list', required: ['bookId'] },
+    notifications: { type: 'list', required: ['type', 'message'] },
+    forumPosts: { type: 'list', required: ['title', 'content'] },
+    reports: { type: 'list', required: ['targetType', 'targetKey', 'reporterId'] },
+    auditLog: { type: 'list', required: ['action'] },
+    ratings: { type: 'document' },
+    bookCatalog: { type: 'document' },
+    courseCatalog: { type: 'document' }
+};
+
+/**
+ * Fields the API never changes, with the value new records get. The API
+ * doesn't know who is asking, so roles are only set with the set-role command.
+ */
+const PROTECTED_FIELDS = {
+    users: { role: 'student' }
+};
+
+/**
+ * Roles the set-role command accepts. Names match the front end's BOOKSWAP_ROLES.
+ */
+const ROLES = ['student', 'moderator', 'admin'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * Create an error carrying an HTTP status, thrown by route handlers
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message sent to the client
+ * @returns {Error} Error
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * JSON File Database
+ * One JSON file per collection, kept in memory and written atomically on change
+ */
+class JsonFileDatabase {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.imageDir = path.join(dataDir, 'images');
+        this.data = {};
+        this.modified = {};
+        
+        fs.mkdirSync(this.imageDir, { recursive: true });
+    }
+    
+    /**
+     * Load a collection from disk. The file is read again when it changed on
+     * disk, e.g. after the set-role command, while the server is running.
+     * @param {string} name - Collection name
+     * @returns {*} Array for list collections, object or null for documents
+     */
+    load(name) {
+        const file = path.join(this.dataDir, `${name}.json`);
+        const modified = fs.existsSync(file) ? fs.statSync(file).mtimeMs : null;
+        
+        if (!Object.hasOwn(this.data, name) || this.modified[name] !== modified) {
+            const empty = COLLECTIONS[name].type === 'list' ? [] : null;
+            
+            try {
+                this.data[name] = modified !== null ? JSON.parse(fs.readFileSync(file, 'utf8')) : empty;
+            } catch (error) {
+                console.error(`Error reading ${file}:`, error);
+                this.data[name] = empty;
+            }
+            this.modified[name] = modified;
+        }
+        return this.data[name];
+    }
+    
+    /**
+     * Write a collection to disk
+     * @param {string} name - Collection name
+     * @param {*} value - Collection value
+     */
+    save(name, value) {
+        const file = path.join(this.dataDir, `${name}.json`);
+        const tempFile = `${file}.tmp`;
+        
+        // Write to a temp file first so a crash never leaves half a file behind
+        fs.writeFileSync(tempFile, JSON.stringify(value, null, 2));
+        fs.renameSync(tempFile, file);
+        this.data[name] = value;
+        this.modified[name] = fs.statSync(file).mtimeMs;
+    }
+    
+    /**
+     * Get every record (or the document) in a collection
+     * @param {string} name - Collection name
+     * @returns {*} Records or document
+     */
+    getAll(name) {
+        return this.load(name);
+    }
+    
+    /**
+     * Get a record by id
+     * @param {string} name - Collection name
+     * @param {string} id - Record id
+     * @returns {Object|null} Record or null if not found
+     */
+    getById(name, id) {
+        return this.load(name).find(record => record.id === id) || null;
+    }
+    
+    /**
+     * Create a record
+     * @param {string} name - Collection name
+     * @param {Object} record - Record data (an id is generated if missing)
+     * @param {boolean} prepend - Insert at the start instead of the end
+     * @returns {Object} Stored record
+     */
+    create(name, record, prepend = false) {
+        this.validate(name, record);
+        const records = this.load(name).slice();
+        
+        const newRecord = { ...record, id: record.id ? String(record.id) : crypto.randomUUID() };
+        if (records.some(item => item.id === newRecord.id)) {
+            throw httpError(409, `A ${name} record with id "${newRecord.id}" already exists`);
+        }
+        
+        if (prepend) {
+            records.unshift(newRecord);
+        } else {
+            records.push(newRecord);
+        }
+        this.save(name, records);
+        return newRecord;
+    }
+    
+    /**
+     * Merge changes into a record
+     * @param {string} name - Collection name
+     * @param {string} id - Record id
+     * @param {Object} changes - Fields to merge
+     * @returns {Object} Updated record
+     */
+    update(name, id, changes) {
+        const records = this.load(name).slice();
+        const index = records.findIndex(record => record.id === id);
+        if (index === -1) {
+            throw httpError(404, `No ${name} record with id "${id}"`);
+        }
+        
+        const updatedRecord = { ...records[index], ...changes, id };
+        this.validate(name, updatedRecord);
+        records[index] = updatedRecord;
+        this.save(name, records);
+        return updatedRecord;
+    }
+    
+    /**
+     * Delete a record
+     * @param {string} name - Collection name
+     * @param {string} id - Record id
+     */
+    remove(name, id) {
+        const records = this.load(name);
+        const remaining = records.filter(record => record.id !== id);
+        if (remaining.length === records.length) {
+            throw httpError(404, `No ${name} record with id "${id}"`);
+        }
+        this.save(name, remaining);
+    }
+    
+    /**
+     * Replace a whole collection
+     * @param {string} name - Collection name
+     * @param {*} value - Records or document
+     * @returns {*} Stored value
+     */
+    replace(name, value) {
+        if (COLLECTIONS[name].type === 'list' && !Array.isArray(value)) {
+            throw httpError(400, `Invalid ${name} data: expected an array`);
+        }
+        this.save(name, value);
+        return value;
+    }
+    
+    /**
+     * Check a record has the collection's required fields
+     * @param {string} name - Collection name
+     * @param {Object} record - Record to check
+     */
+    validate(name, record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw httpError(400, `Invalid ${name} record`);
+        }
+        
+        const missing = (COLLECTIONS[name].required || []).filter(field =>
+            record[field] === undefined || record[field] === null || record[field] === ''
+        );
+        if (missing.length > 0) {
+            throw httpError(400, `Invalid ${name} record: missing ${missing.join(', ')}`);
+        }
+    }
+    
+    /**
+     * Store an uploaded image
+     * @param {Buffer} buffer - Image data
+     * @param {string} type - MIME type
+     * @returns {string} Image id
+     */
+    saveImage(buffer, type) {
+        const id = 'img_' + crypto.randomUUID();
+        fs.writeFileSync(path.join(this.imageDir, id), buffer);
+        fs.writeFileSync(path.join(this.imageDir, `${id}.json`), JSON.stringify({ id, type, size: buffer.length, createdAt: new Date().toISOString() }));
+        return id;
+    }
+    
+    /**
+     * Load an image
+     * @param {string} id - Image id
+     * @returns {Object|null} { type, data } or null if missing
+     */
+    getImage(id) {
+        const file = path.join(this.imageDir, path.basename(id));
+        if (!fs.existsSync(file) || !fs.existsSync(`${file}.json`)) return null;
+        
+        const meta = JSON.parse(fs.readFileSync(`${file}.json`, 'utf8'));
+        return { type: meta.type, data: fs.readFileSync(file) };
+    }
+    
+    /**
+     * Delete an image
+     * @param {string} id - Image id
+     */
+    removeImage(id) {
+        const file = path.join(this.imageDir, path.basename(id));
+        if (!fs.existsSync(file)) {
+            throw httpError(404, `No image with id "${id}"`);
+        }
+        fs.unlinkSync(file);
+        fs.rmSync(`${file}.json`, { force: true });
+    }
+}
+
+/**
+ * Decode a percent-encoded path segment
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded value
+ */
+function decodePath(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw httpError(400, 'Malformed request path');
+    }
+}
+
+/**
+ * Read a request body
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} limit - Maximum size in bytes
+ * @returns {Promise<Buffer>} Body
+ */
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(httpError(413, 'Request body is too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body
+ */
+async function readJson(req) {
+    const body = await readBody(req, MAX_JSON_BYTES);
+    try {
+        return JSON.parse(body.toString('utf8'));
+    } catch (error) {
+        throw httpError(400, 'Request body is not valid JSON');
+    }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {*} value - Body (ignored for 204)
+ */
+function sendJson(res, status, value) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(status === 204 ? undefined : JSON.stringify(value));
+}
+
+/**
+ * Put back the stored value of every protected field, so API writes can't change them
+ * @param {JsonFileDatabase} db - Database
+ * @param {string} name - Collection name
+ * @param {Array} records - Records (or changes) about to be written, with their ids
+ * @returns {Array} Records with protected fields reset
+ */
+function keepProtectedFields(db, name, records) {
+    const fields = PROTECTED_FIELDS[name];
+    if (!fields) return records;
+    
+    const stored = new Map(db.getAll(name).map(record => [record.id, record]));
+    return records.map(record => {
+        if (!record || typeof record !== 'object') return record;
+        
+        const previous = stored.get(record.id) || {};
+        const kept = { ...record };
+        Object.keys(fields).forEach(field => {
+            kept[field] = previous[field] === undefined ? fields[field] : previous[field];
+        });
+        return kept;
+    });
+}
+
+/**
+ * Handle /api/* requests
+ * @param {JsonFileDatabase} db - Database
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ */
+async function handleApi(db, req, res, url) {
+    const [name, id] = url.pathname.replace(/^\/api\/?/, '').split('/').map(decodePath);
+    
+    if (name === 'health' && req.method === 'GET') {
+        return sendJson(res, 200, { status: 'ok' });
+    }
+    
+    if (name === 'images') {
+        if (req.method === 'POST' && !id) {
+            const type = req.headers['content-type'] || 'application/octet-stream';
+            if (!type.startsWith('image/')) {
+                throw httpError(415, 'Only image uploads are accepted');
+            }
+            const imageId = db.saveImage(await readBody(req, MAX_IMAGE_BYTES), type);
+            return sendJson(res, 201, { id: imageId });
+        }
+        if (req.method === 'GET' && id) {
+            const image = db.getImage(id);
+            if (!image) throw httpError(404, `No image with id "${id}"`);
+            res.writeHead(200, { 'Content-Type': image.type, 'Cache-Control': 'max-age=31536000, immutable' });
+            return res.end(image.data);
+        }
+        if (req.method === 'DELETE' && id) {
+            db.removeImage(id);
+            return sendJson(res, 204);
+        }
+        throw httpError(405, 'Method not allowed');
+    }
+    
+    // Only the collections listed above, never inherited names like "__proto__" or "toString"
+    const definition = Object.hasOwn(COLLECTIONS, name) ? COLLECTIONS[name] : null;
+    if (!definition) {
+        throw httpError(404, `Unknown collection: ${name}`);
+    }
+    
+    if (definition.type === 'document' || !id) {
+        switch (req.method) {
+            case 'GET':
+                return sendJson(res, 200, db.getAll(name));
+            case 'PUT': {
+                const value = await readJson(req);
+                return sendJson(res, 200, db.replace(name, Array.isArray(value) ? keepProtectedFields(db, name, value) : value));
+            }
+            case 'POST': {
+                if (definition.type !== 'list') break;
+                const [record] = keepProtectedFields(db, name, [await readJson(req)]);
+                return sendJson(res, 201, db.create(name, record, url.searchParams.get('prepend') === '1'));
+            }
+            case 'DELETE':
+                db.replace(name, definition.type === 'list' ? [] : null);
+                return sendJson(res, 204);
+        }
+        throw httpError(405, 'Method not allowed');
+    }
+    
+    switch (req.method) {
+        case 'GET': {
+            const record = db.getById(name, id);
+            if (!record) throw httpError(404, `No ${name} record with id "${id}"`);
+            return sendJson(res, 200, record);
+        }
+        case 'PUT':
+        case 'PATCH': {
+            const [changes] = keepProtectedFields(db, name, [{ ...await readJson(req), id }]);
+            return sendJson(res, 200, db.update(name, id, changes));
+        }
+        case 'DELETE':
+            db.remove(name, id);
+            return sendJson(res, 204);
+    }
+    throw httpError(405, 'Method not allowed');
+}
+
+/**
+ * Serve a file from the site root
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ */
+function serveStatic(res, url) {
+    const relativePath = decodePath(url.pathname === '/' ? '/index.html' : url.pathname);
+    const file = path.join(ROOT_DIR, path.normalize(relativePath));
+    
+    // Never serve anything outside the site or the server's own files
+    if (!file.startsWith(ROOT_DIR + path.sep) || file.startsWith(__dirname + path.sep) || relativePath.includes('/.')) {
+        throw httpError(404, 'Not found');
+    }
+    
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+/**
+ * Create the HTTP server
+ * @param {string} dataDir - Directory for the JSON files and images
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createServer(dataDir = DATA_DIR) {
+    const db = new JsonFileDatabase(dataDir);
+    
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        
+        // Allow the pages to be opened from another origin (e.g. a static dev server)
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        
+        try {
+            if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+                await handleApi(db, req, res, url);
+            } else {
+                serveStatic(res, url);
+            }
+        } catch (error) {
+            if (!error.status) {
+                console.error(`Error handling ${req.method} ${req.url}:`, error);
+            }
+            if (!res.headersSent) {
+                sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+            }
+        }
+    });
+}
+
+/**
+ * Give a registered user a role, e.g. to set up the first admin
+ * @param {string} dataDir - Directory for the JSON files
+ * @param {string} email - Email of the user's profile
+ * @param {string} role - New role
+ * @returns {Object} Updated profile
+ */
+function setRole(dataDir, email, role) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role "${role}". Choose one of: ${ROLES.join(', ')}`);
+    }
+    
+    const db = new JsonFileDatabase(dataDir);
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    const profile = db.getAll('users').find(user => String(user.email || '').toLowerCase() === normalizedEmail);
+    if (!profile) {
+        throw new Error(`No user with email "${email}". They need to sign in once first.`);
+    }
+    
+    return db.update('users', profile.id, { role });
+}
+
+if (require.main === module) {
+    const [command, ...args] = process.argv.slice(2);
+    
+    if (command === 'set-role') {
+        // Usage: node server/server.js set-role <email> <role>
+        try {
+            const profile = setRole(DATA_DIR, args[0], args[1]);
+            console.log(`${profile.email} is now ${profile.role}`);
+        } catch (error) {
+            console.error(error.message);
+            process.exitCode = 1;
+        }
+    } else {
+        createServer().listen(PORT, () => {
+            console.log(`Campus BookSwap server running at http://localhost:${PORT}`);
+            console.log(`Data directory: ${DATA_DIR}`);
+        });
+    }
+}
+
+module.exports = { createServer, setRole, JsonFileDatabase, COLLECTIONS };